@@ -15,6 +15,9 @@ const zoneRoutes = require('./routes/zones');
 const securityRoutes = require('./routes/security');
 const analyticsRoutes = require('./routes/analytics');
 const configRoutes = require('./routes/config');
+const approvalRoutes = require('./routes/approvals');
+const freezeRoutes = require('./routes/freezes');
+const complianceRoutes = require('./routes/compliance');
 
 const app = express();
 
@@ -56,7 +59,7 @@ const corsOptions = {
     },
     credentials: process.env.CORS_CREDENTIALS === 'true',
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Break-Glass-Reason'],
     maxAge: 86400 // 24 hours
 };
 
@@ -106,6 +109,9 @@ app.use('/api/zones', zoneRoutes);
 app.use('/api/security', securityRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/freezes', freezeRoutes);
+app.use('/api/compliance', complianceRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -143,12 +149,30 @@ app.get('/api/docs', (req, res) => {
             analytics: {
                 'GET /api/analytics/:zoneId/overview': 'Get analytics overview',
                 'GET /api/analytics/:zoneId/threats': 'Get threat statistics',
-                'GET /api/analytics/:zoneId/performance': 'Get performance metrics'
+                'GET /api/analytics/:zoneId/performance': 'Get performance metrics',
+                'GET /api/analytics/:zoneId/top': 'Get top countries, ASNs, paths and user agents',
+                'GET /api/analytics/:zoneId/events': 'Explore security events with filters and cursor pagination',
+                'GET /api/analytics/:zoneId/events/groups': 'Count security events grouped by any dimension',
+                'GET /api/analytics/:zoneId/events/:rayId/similar': 'Find events similar to a security event'
             },
             config: {
                 'GET /api/config/:zoneId/export': 'Export configuration',
                 'POST /api/config/:zoneId/import': 'Import configuration',
                 'GET /api/config/:zoneId/backup': 'Create backup'
+            },
+            approvals: {
+                'GET /api/approvals': 'List change requests awaiting approval',
+                'POST /api/approvals/:requestId/approve': 'Approve and apply a change request',
+                'POST /api/approvals/:requestId/reject': 'Reject a change request'
+            },
+            freezes: {
+                'GET /api/freezes': 'List current and upcoming change freezes',
+                'POST /api/freezes': 'Define a change freeze window (admin)',
+                'DELETE /api/freezes/:freezeId': 'Cancel a change freeze (admin)'
+            },
+            compliance: {
+                'GET /api/compliance/policies': 'List compliance policies',
+                'GET /api/compliance/report': 'Pass/fail per zone per policy'
             }
         }
     });
@@ -168,6 +168,30 @@ const verifyZoneOwnership = async (req, res, next) => {
     }
 };
 
+/**
+ * Zone permission middleware
+ * Must run after verifyZoneOwnership; checks the zone's API permission flags
+ */
+const requireZonePermission = (action) => {
+    return (req, res, next) => {
+        if (!req.zone) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: 'Zone context is required'
+            });
+        }
+
+        if (!req.zone.canPerformAction(action)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Zone API token is not permitted to manage ${action}`
+            });
+        }
+
+        next();
+    };
+};
+
 /**
  * Rate limiting per user
  */
@@ -212,5 +236,6 @@ module.exports = {
     optionalAuth,
     authorize,
     verifyZoneOwnership,
+    requireZonePermission,
     userRateLimit
 };
\ No newline at end of file
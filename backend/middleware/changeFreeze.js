@@ -0,0 +1,96 @@
+const logger = require('../utils/logger');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LEADING_ID = /^\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:\/|$)/i;
+
+// Only routes whose handlers have a real preview branch may skip the freeze for a dry run
+const isDryRun = (req, patterns) => patterns.some(pattern => pattern.test(`${req.method} ${req.path}`)) &&
+    (req.body?.dry_run === true || req.body?.dry_run === 'true');
+
+// Exemptions are path patterns, or predicates for routes that only change nothing with certain bodies
+const isExempt = (req, rules) => rules.some(rule => (typeof rule === 'function' ? rule(req) : rule.test(req.path)));
+
+// Paths of the zone routers start with the zone ID
+const findOwnZone = (req, zoneId) => {
+    // Imported here to avoid circular dependency
+    const { Zone } = require('../models');
+    return Zone.findOne({ where: { id: zoneId, user_id: req.userId } });
+};
+
+/**
+ * Change freeze middleware
+ * Rejects mutating requests while a freeze window covers them. When the path starts with an ID,
+ * `resolveZone(req, id)` finds the zone it concerns and that zone's tag freezes count as well as
+ * global ones; otherwise only global freezes do. Sending an X-Break-Glass-Reason header overrides
+ * the freeze and is audited as critical; the override is exposed to handlers as `req.breakGlass`.
+ * `exempt` lists path patterns or `(req) => boolean` predicates for requests that do not change anything
+ * (previews, pause, local backups);
+ * `dryRun` lists `METHOD /path` patterns whose handlers only report what they would do when the body sets `dry_run`.
+ */
+const enforceChangeFreeze = ({ exempt = [], dryRun = [], resolveZone = findOwnZone } = {}) => {
+    return async (req, res, next) => {
+        if (READ_ONLY_METHODS.includes(req.method) || isDryRun(req, dryRun) ||
+            isExempt(req, exempt)) {
+            return next();
+        }
+
+        try {
+            const freezeService = require('../services/freezeService');
+
+            const match = req.path.match(LEADING_ID);
+            const zone = match ? await resolveZone(req, match[1]) : null;
+            const freeze = await freezeService.findBlocking(zone ? [zone] : []);
+
+            if (!freeze) {
+                return next();
+            }
+
+            const reason = req.get('X-Break-Glass-Reason');
+            if (!reason) {
+                return res.status(423).json({
+                    error: 'Change freeze in effect',
+                    message: freezeService.describe(freeze),
+                    freeze: {
+                        id: freeze.id,
+                        name: freeze.name,
+                        reason: freeze.reason,
+                        scope: freeze.scope,
+                        ends_at: freeze.ends_at
+                    },
+                    break_glass: 'Repeat the request with an X-Break-Glass-Reason header to override the freeze'
+                });
+            }
+
+            req.breakGlass = {
+                freezeId: freeze.id,
+                reason: freezeService.validateBreakGlassReason(reason)
+            };
+
+            await freezeService.breakGlass(freeze, {
+                userId: req.userId,
+                zone,
+                reason: req.breakGlass.reason,
+                method: req.method,
+                path: req.originalUrl,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            next();
+        } catch (error) {
+            if (error.statusCode) {
+                return next(error);
+            }
+
+            logger.error('Change freeze check error:', error);
+            return res.status(500).json({
+                error: 'Internal server error',
+                message: 'Failed to check for change freezes'
+            });
+        }
+    };
+};
+
+module.exports = {
+    enforceChangeFreeze
+};
\ No newline at end of file
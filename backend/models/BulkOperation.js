@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const BulkOperation = sequelize.define('BulkOperation', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    // What is applied to every zone: a template or a settings patch
+    action: {
+        type: DataTypes.ENUM('template', 'settings'),
+        allowNull: false
+    },
+
+    // { template_id, version, parameters, overrides } or { settings }
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    // How zones were selected: { tags, plan, zone_ids }
+    selector: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    concurrency: {
+        type: DataTypes.INTEGER,
+        defaultValue: 3,
+        validate: {
+            min: 1,
+            max: 10
+        }
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending_approval', 'pending', 'running', 'completed', 'partial', 'failed', 'cancelled'),
+        defaultValue: 'pending',
+        allowNull: false
+    },
+
+    // Change request an operation needing approval waits on in pending_approval
+    change_request_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'change_requests',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    // Per-zone report keyed by zone id
+    results: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    // Number of runs, the first one included
+    runs: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'bulk_operations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    indexes: [
+        {
+            fields: ['user_id', 'created_at']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Instance methods
+BulkOperation.prototype.getFailedZoneIds = function () {
+    return Object.entries(this.results || {})
+        .filter(([, result]) => result.status === 'failed')
+        .map(([zoneId]) => zoneId);
+};
+
+BulkOperation.prototype.getSummary = function () {
+    const results = Object.values(this.results || {});
+
+    return {
+        id: this.id,
+        action: this.action,
+        status: this.status,
+        change_request_id: this.change_request_id,
+        selector: this.selector,
+        concurrency: this.concurrency,
+        runs: this.runs,
+        zones: results.length,
+        by_status: results.reduce((counts, result) => ({
+            ...counts,
+            [result.status]: (counts[result.status] || 0) + 1
+        }), {}),
+        created_at: this.created_at,
+        started_at: this.started_at,
+        completed_at: this.completed_at
+    };
+};
+
+module.exports = BulkOperation;
\ No newline at end of file
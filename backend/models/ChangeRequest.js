@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ChangeRequest = sequelize.define('ChangeRequest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    // Null for bulk operations and rollouts, which span several zones
+    zone_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'zones',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected', 'applied', 'failed', 'cancelled', 'expired'),
+        defaultValue: 'pending',
+        allowNull: false
+    },
+
+    // Requested values, keyed by SecurityConfig field; the payload of a held bulk operation or rollout
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    // Stored values at request time, for the reviewer
+    previous_values: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    severity: {
+        type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+        allowNull: false
+    },
+
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    requested_by: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    reviewed_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    review_comment: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    // Audit entry whose status follows the request: pending, then success or failed
+    audit_log_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+
+    result: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    applied_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'change_requests',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    indexes: [
+        {
+            fields: ['zone_id', 'created_at']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['requested_by']
+        }
+    ]
+});
+
+// Instance methods
+ChangeRequest.prototype.isExpired = function () {
+    return Boolean(this.expires_at) && new Date() > this.expires_at;
+};
+
+ChangeRequest.prototype.isReviewable = function () {
+    return this.status === 'pending' && !this.isExpired();
+};
+
+module.exports = ChangeRequest;
\ No newline at end of file
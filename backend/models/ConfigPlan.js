@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ConfigPlan = sequelize.define('ConfigPlan', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    zone_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'zones',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending', 'applied', 'failed', 'stale', 'discarded'),
+        defaultValue: 'pending',
+        allowNull: false
+    },
+
+    // Declarative document the plan was computed from
+    document: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    // Operations apply will execute, in order
+    operations: {
+        type: DataTypes.JSON,
+        defaultValue: []
+    },
+
+    // Fingerprints of the live state each section was planned against
+    live_state: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    result: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    applied_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    applied_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'config_plans',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    indexes: [
+        {
+            fields: ['zone_id', 'created_at']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Instance methods
+ConfigPlan.prototype.isApplicable = function () {
+    return this.status === 'pending';
+};
+
+ConfigPlan.prototype.getSummary = function () {
+    const operations = this.operations || [];
+
+    return {
+        id: this.id,
+        status: this.status,
+        operations: operations.length,
+        by_type: operations.reduce((counts, operation) => ({
+            ...counts,
+            [operation.type]: (counts[operation.type] || 0) + 1
+        }), {}),
+        created_at: this.created_at,
+        applied_at: this.applied_at
+    };
+};
+
+module.exports = ConfigPlan;
\ No newline at end of file
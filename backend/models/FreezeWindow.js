@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const FreezeWindow = sequelize.define('FreezeWindow', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            len: [1, 100]
+        }
+    },
+
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    // A global freeze covers every zone; a tag freeze only zones carrying one of the tags
+    scope: {
+        type: DataTypes.ENUM('global', 'tag'),
+        defaultValue: 'global',
+        allowNull: false
+    },
+
+    tags: {
+        type: DataTypes.JSON,
+        defaultValue: []
+    },
+
+    starts_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    ends_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'freeze_windows',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    validate: {
+        endsAfterStart() {
+            if (this.ends_at <= this.starts_at) {
+                throw new Error('End time must be after start time');
+            }
+        },
+        tagScopeNeedsTags() {
+            if (this.scope === 'tag' && (!Array.isArray(this.tags) || this.tags.length === 0)) {
+                throw new Error('Tag freezes need at least one tag');
+            }
+        }
+    },
+
+    indexes: [
+        {
+            fields: ['starts_at', 'ends_at']
+        }
+    ]
+});
+
+// Instance methods
+FreezeWindow.prototype.isInEffect = function (now = new Date()) {
+    return !this.cancelled_at && this.starts_at <= now && this.ends_at > now;
+};
+
+/**
+ * Whether the freeze applies to a zone. Without a zone only global freezes apply.
+ */
+FreezeWindow.prototype.covers = function (zone = null) {
+    if (this.scope === 'global') return true;
+    if (!zone) return false;
+
+    return (zone.tags || []).some(tag => this.tags.includes(tag));
+};
+
+module.exports = FreezeWindow;
\ No newline at end of file
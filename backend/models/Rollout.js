@@ -0,0 +1,150 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Rollout = sequelize.define('Rollout', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    // Same change types as bulk operations: a template or a settings patch
+    action: {
+        type: DataTypes.ENUM('template', 'settings'),
+        allowNull: false
+    },
+
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    selector: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    // Ordered waves; the first one holds the canary zones
+    waves: {
+        type: DataTypes.JSON,
+        defaultValue: []
+    },
+
+    current_wave: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    soak_minutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        validate: {
+            min: 0,
+            max: 1440
+        }
+    },
+
+    // { max_threat_rate_increase, max_error_rate_increase } as fractions of requests
+    thresholds: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending_approval', 'running', 'paused', 'completed', 'rolled_back', 'aborted', 'failed', 'cancelled'),
+        defaultValue: 'running',
+        allowNull: false
+    },
+
+    // Change request a rollout needing approval waits on in pending_approval
+    change_request_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'change_requests',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    // When the current wave's soak period ends
+    next_check_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'rollouts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    indexes: [
+        {
+            fields: ['user_id', 'created_at']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Instance methods
+Rollout.prototype.isActive = function () {
+    return ['running', 'paused'].includes(this.status);
+};
+
+Rollout.prototype.getProgress = function () {
+    const waves = this.waves || [];
+    const zones = waves.reduce((total, wave) => total + wave.zone_ids.length, 0);
+    const applied = waves.reduce((total, wave) => total + Object.values(wave.zones || {})
+        .filter(zone => zone.status === 'applied').length, 0);
+
+    return {
+        id: this.id,
+        action: this.action,
+        status: this.status,
+        change_request_id: this.change_request_id,
+        current_wave: this.current_wave,
+        total_waves: waves.length,
+        zones,
+        zones_applied: applied,
+        percent: zones > 0 ? Math.round((applied / zones) * 100) : 0,
+        soak_minutes: this.soak_minutes,
+        thresholds: this.thresholds,
+        next_check_at: this.next_check_at,
+        error: this.error,
+        waves: waves.map(wave => ({
+            index: wave.index,
+            canary: wave.index === 0,
+            status: wave.status,
+            zones: wave.zone_ids.length,
+            applied_at: wave.applied_at || null,
+            soak_until: wave.soak_until || null,
+            verdict: wave.verdict || null
+        })),
+        created_at: this.created_at,
+        completed_at: this.completed_at
+    };
+};
+
+module.exports = Rollout;
\ No newline at end of file
@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const REPEAT_INTERVALS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const ScheduledChange = sequelize.define('ScheduledChange', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    zone_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'zones',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    // Values to apply, keyed by SecurityConfig field
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    // State captured when the change was applied, restored at ends_at
+    previous_state: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+
+    starts_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    // Null keeps the change in place
+    ends_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    repeat: {
+        type: DataTypes.ENUM('none', 'daily', 'weekly'),
+        defaultValue: 'none',
+        allowNull: false
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending_approval', 'scheduled', 'active', 'completed', 'cancelled', 'failed'),
+        defaultValue: 'scheduled',
+        allowNull: false
+    },
+
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    // Change request a change needing approval waits on in pending_approval
+    change_request_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'change_requests',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
+    // Failed attempts at the current step; reset after each success
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    last_applied_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    last_reverted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'scheduled_changes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+
+    validate: {
+        endsAfterStart() {
+            if (this.ends_at && this.ends_at <= this.starts_at) {
+                throw new Error('End time must be after start time');
+            }
+        },
+        repeatNeedsWindow() {
+            if (this.repeat !== 'none' && !this.ends_at) {
+                throw new Error('Repeating changes need an end time');
+            }
+        }
+    },
+
+    indexes: [
+        {
+            fields: ['status', 'starts_at']
+        },
+        {
+            fields: ['status', 'ends_at']
+        },
+        {
+            fields: ['zone_id']
+        }
+    ]
+});
+
+// Instance methods
+ScheduledChange.prototype.isActive = function () {
+    return ['pending_approval', 'scheduled', 'active'].includes(this.status);
+};
+
+/**
+ * Next window of a repeating change, moved past `now` so missed occurrences are skipped
+ */
+ScheduledChange.prototype.getNextWindow = function (now = new Date()) {
+    const interval = REPEAT_INTERVALS[this.repeat];
+    if (!interval) return null;
+
+    let startsAt = new Date(this.starts_at.getTime() + interval);
+    let endsAt = new Date(this.ends_at.getTime() + interval);
+    while (endsAt <= now) {
+        startsAt = new Date(startsAt.getTime() + interval);
+        endsAt = new Date(endsAt.getTime() + interval);
+    }
+
+    return { starts_at: startsAt, ends_at: endsAt };
+};
+
+module.exports = ScheduledChange;
\ No newline at end of file
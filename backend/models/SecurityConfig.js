@@ -1,6 +1,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Columns that change on every sync; on their own they are not a new configuration version
+const SYNC_FIELDS = ['last_cloudflare_sync', 'updated_at'];
+
 const SecurityConfig = sequelize.define('SecurityConfig', {
     id: {
         type: DataTypes.UUID,
@@ -8,9 +11,10 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
         primaryKey: true
     },
 
+    // Templates are not tied to a zone
     zone_id: {
         type: DataTypes.UUID,
-        allowNull: false,
+        allowNull: true,
         references: {
             model: 'zones',
             key: 'id'
@@ -199,6 +203,12 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
         allowNull: true
     },
 
+    // When development mode was last switched on, for compliance checks
+    development_mode_since: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
     // Backup Configuration
     backup_config: {
         type: DataTypes.JSON,
@@ -216,6 +226,17 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
         }
     },
 
+    // Author of a template; besides admins only they may change or delete it
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+
     last_cloudflare_sync: {
         type: DataTypes.DATE,
         allowNull: true
@@ -238,6 +259,36 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
         allowNull: true
     },
 
+    // Template a zone config (or a child template) is rendered from
+    template_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+
+    // Pinned version of template_id; null follows the latest version
+    template_version: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+
+    // Parameters a template declares: { name: { field, type, default, min, max, values, description } }
+    template_parameters: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    // Parameter values chosen by a zone
+    template_values: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
+    // Fields set on top of the parent template (child templates) or the template (zones)
+    template_overrides: {
+        type: DataTypes.JSON,
+        defaultValue: {}
+    },
+
     notes: {
         type: DataTypes.TEXT,
         allowNull: true
@@ -248,6 +299,14 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
     createdAt: 'created_at',
     updatedAt: 'updated_at',
 
+    validate: {
+        zoneRequired() {
+            if (!this.is_template && !this.zone_id) {
+                throw new Error('Zone is required for a security configuration');
+            }
+        }
+    },
+
     // Indexes
     indexes: [
         {
@@ -262,6 +321,9 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
         {
             fields: ['is_template']
         },
+        {
+            fields: ['template_id']
+        },
         {
             fields: ['last_cloudflare_sync']
         }
@@ -271,7 +333,8 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
     hooks: {
         beforeUpdate: async (config) => {
             // Create backup of current config before updating
-            if (config.changed() && !config.changed('backup_config')) {
+            const changed = (config.changed() || []).filter(field => !SYNC_FIELDS.includes(field));
+            if (changed.length > 0 && !config.changed('backup_config')) {
                 const originalConfig = { ...config._previousDataValues };
                 delete originalConfig.backup_config;
                 delete originalConfig.updated_at;
@@ -284,8 +347,23 @@ const SecurityConfig = sequelize.define('SecurityConfig', {
             // Update development mode expiry
             if (config.changed('development_mode') && config.development_mode) {
                 config.development_mode_expires = new Date(Date.now() + 3 * 60 * 60 * 1000); // 3 hours
+                config.development_mode_since = new Date();
             } else if (config.changed('development_mode') && !config.development_mode) {
                 config.development_mode_expires = null;
+                config.development_mode_since = null;
+            }
+        },
+
+        // Every saved state is kept in security_config_versions; for templates these are the template versions.
+        // Pass `actor` in the save options when the change is not made by last_modified_by (null for the system).
+        afterCreate: async (config, options) => {
+            await sequelize.models.SecurityConfigVersion.record(config, [], options);
+        },
+
+        afterUpdate: async (config, options) => {
+            const changedFields = config.changed() || [];
+            if (changedFields.includes('config_version')) {
+                await sequelize.models.SecurityConfigVersion.record(config, changedFields, options);
             }
         }
     }
@@ -342,7 +420,17 @@ SecurityConfig.prototype.getSecurityScore = function () {
     if (this.scrape_shield?.server_side_excludes) score += 2;
     if (this.scrape_shield?.hotlink_protection) score += 1;
 
-    return Math.min(score, maxScore);
+    // Managed WAF (10 points)
+    const managedRules = this.waf?.enabled !== false ? this.waf?.managed_rules || {} : {};
+    if (managedRules.cloudflare_managed) score += 6;
+    if (managedRules.owasp_core) {
+        score += 2;
+        // Stricter OWASP tuning than the defaults (paranoia 1, threshold 40)
+        if ((this.waf.owasp?.paranoia_level || 1) >= 2 || (this.waf.owasp?.anomaly_threshold || 40) <= 25) score += 2;
+    }
+
+    // The categories above add up to 110 points; scale back to 100
+    return Math.min(Math.round(score * maxScore / 110), maxScore);
 };
 
 SecurityConfig.prototype.getSecurityLevel = function () {
@@ -416,7 +504,7 @@ SecurityConfig.prototype.getRecommendations = function () {
     return recommendations;
 };
 
-SecurityConfig.prototype.createBackup = async function () {
+SecurityConfig.prototype.createBackup = async function (options = {}) {
     const backup = { ...this.toJSON() };
     delete backup.id;
     delete backup.created_at;
@@ -426,7 +514,7 @@ SecurityConfig.prototype.createBackup = async function () {
     return this.update({
         backup_config: backup,
         config_version: this.config_version + 1
-    });
+    }, options);
 };
 
 SecurityConfig.prototype.restoreFromBackup = async function () {
@@ -458,6 +546,7 @@ SecurityConfig.prototype.exportConfig = function () {
     delete config.created_at;
     delete config.updated_at;
     delete config.last_modified_by;
+    delete config.created_by;
     delete config.last_cloudflare_sync;
     delete config.backup_config;
 
@@ -465,6 +554,21 @@ SecurityConfig.prototype.exportConfig = function () {
 };
 
 // Class methods
+
+/**
+ * Columns that hold configuration, as opposed to record bookkeeping
+ */
+SecurityConfig.getConfigFields = function () {
+    const bookkeeping = [
+        'id', 'zone_id', 'config_version', 'backup_config', 'last_modified_by', 'created_by',
+        'last_cloudflare_sync', 'is_template', 'template_name', 'created_at', 'updated_at',
+        'development_mode_expires', 'development_mode_since', 'template_id', 'template_version', 'template_parameters',
+        'template_values', 'template_overrides'
+    ];
+
+    return Object.keys(this.rawAttributes).filter(field => !bookkeeping.includes(field));
+};
+
 SecurityConfig.findByZone = function (zoneId) {
     return this.findOne({
         where: { zone_id: zoneId }
@@ -474,26 +578,189 @@ SecurityConfig.findByZone = function (zoneId) {
 SecurityConfig.getTemplates = function () {
     return this.findAll({
         where: { is_template: true },
-        attributes: ['id', 'template_name', 'notes', 'created_at']
+        attributes: [
+            'id', 'template_name', 'notes', 'created_at', 'config_version',
+            'template_id', 'template_version', 'template_parameters'
+        ]
     });
 };
 
-SecurityConfig.createFromTemplate = async function (zoneId, templateId, userId) {
-    const template = await this.findByPk(templateId);
-    if (!template || !template.is_template) {
+const MAX_TEMPLATE_DEPTH = 10;
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, object);
+    target[last] = value;
+};
+
+/**
+ * Merge overrides onto a config. Nested objects merge field by field, lists and scalars replace.
+ */
+const mergeConfig = (base, overrides = {}) => {
+    const merged = { ...base };
+
+    Object.entries(overrides).forEach(([field, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[field] = isObject && merged[field] && typeof merged[field] === 'object' && !Array.isArray(merged[field]) ?
+            mergeConfig(merged[field], value) :
+            value;
+    });
+
+    return merged;
+};
+
+/**
+ * Definition of a template as of a version: the live row for the current version,
+ * otherwise the snapshot recorded in security_config_versions.
+ * `pending` replaces the latest definition of a template with an unsaved one.
+ */
+SecurityConfig.getTemplateDefinition = async function (templateId, version = null, pending = {}) {
+    const template = await this.findOne({ where: { id: templateId, is_template: true } });
+    if (!template) {
         throw new Error('Template not found');
     }
 
-    const config = template.toJSON();
-    delete config.id;
-    delete config.created_at;
-    delete config.updated_at;
-    config.zone_id = zoneId;
-    config.last_modified_by = userId;
-    config.is_template = false;
-    config.template_name = null;
+    if (!version && pending[templateId]) {
+        return { template, version: template.config_version + 1, definition: { ...template.toJSON(), ...pending[templateId] } };
+    }
+
+    if (!version || version === template.config_version) {
+        return { template, version: template.config_version, definition: template.toJSON() };
+    }
+
+    const snapshot = await sequelize.models.SecurityConfigVersion.findOne({
+        where: { security_config_id: templateId, version }
+    });
+    if (!snapshot) {
+        throw new Error(`Version ${version} of template '${template.template_name}' not found`);
+    }
+
+    return { template, version, definition: snapshot.snapshot };
+};
+
+/**
+ * Resolve a template through its parents.
+ * Root templates contribute every config field; child templates contribute their overrides.
+ * Parameter declarations are merged the same way, so a child can change a parent's default.
+ */
+SecurityConfig.resolveTemplate = async function (templateId, version = null, { pending = {}, depth = 0 } = {}) {
+    if (depth >= MAX_TEMPLATE_DEPTH) {
+        throw new Error('Template inheritance is too deep or circular');
+    }
+
+    const { template, version: resolvedVersion, definition } = await this.getTemplateDefinition(templateId, version, pending);
+    const link = { id: template.id, template_name: definition.template_name, version: resolvedVersion };
+
+    if (!definition.template_id) {
+        const config = this.getConfigFields().reduce((values, field) => {
+            if (definition[field] !== undefined) values[field] = definition[field];
+            return values;
+        }, {});
+
+        return { config, parameters: { ...(definition.template_parameters || {}) }, chain: [link] };
+    }
+
+    const parent = await this.resolveTemplate(definition.template_id, definition.template_version, { pending, depth: depth + 1 });
+
+    return {
+        config: mergeConfig(parent.config, definition.template_overrides),
+        parameters: { ...parent.parameters, ...(definition.template_parameters || {}) },
+        chain: [...parent.chain, link]
+    };
+};
+
+/**
+ * Apply parameter values and overrides to a resolved template.
+ * Throws with every invalid parameter listed.
+ */
+SecurityConfig.renderTemplate = function (resolved, values = {}, overrides = {}) {
+    const config = JSON.parse(JSON.stringify(resolved.config));
+    const errors = [];
+
+    Object.keys(values)
+        .filter(name => !resolved.parameters[name])
+        .forEach(name => errors.push(`Unknown parameter: ${name}`));
+
+    Object.entries(resolved.parameters).forEach(([name, parameter]) => {
+        const value = values[name] !== undefined ? values[name] : parameter.default;
+
+        if (value === undefined) {
+            errors.push(`Parameter ${name} is required`);
+            return;
+        }
+
+        if (parameter.type === 'integer' && !Number.isInteger(value)) {
+            errors.push(`Parameter ${name} must be an integer`);
+        } else if (parameter.type === 'boolean' && typeof value !== 'boolean') {
+            errors.push(`Parameter ${name} must be a boolean`);
+        } else if (parameter.type === 'string' && typeof value !== 'string') {
+            errors.push(`Parameter ${name} must be a string`);
+        } else if (parameter.type === 'list' && !Array.isArray(value)) {
+            errors.push(`Parameter ${name} must be a list`);
+        } else if (parameter.min !== undefined && value < parameter.min) {
+            errors.push(`Parameter ${name} must be at least ${parameter.min}`);
+        } else if (parameter.max !== undefined && value > parameter.max) {
+            errors.push(`Parameter ${name} must be at most ${parameter.max}`);
+        } else if (Array.isArray(parameter.values) && ![].concat(value).every(item => parameter.values.includes(item))) {
+            errors.push(`Parameter ${name} must be one of: ${parameter.values.join(', ')}`);
+        } else {
+            setPath(config, parameter.field || name, value);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid template parameters: ${errors.join('; ')}`);
+    }
+
+    return mergeConfig(config, overrides);
+};
+
+/**
+ * Render a template for a zone and store it as the zone's configuration.
+ * Options: version (pin, defaults to the current version; 'latest' follows new versions),
+ * parameters (values) and overrides (local fields kept on top of the template).
+ */
+SecurityConfig.createFromTemplate = async function (zoneId, templateId, userId, options = {}) {
+    const { version, parameters = {}, overrides = {} } = options;
+    const followLatest = version === 'latest';
+    const resolved = await this.resolveTemplate(templateId, followLatest ? null : version);
+    const config = this.renderTemplate(resolved, parameters, overrides);
+
+    const values = {
+        ...config,
+        last_modified_by: userId,
+        template_id: templateId,
+        template_version: followLatest ? null : resolved.chain[resolved.chain.length - 1].version,
+        template_values: parameters,
+        template_overrides: overrides
+    };
+
+    const existing = await this.findByZone(zoneId);
+    if (existing) {
+        return existing.update(values);
+    }
+
+    return this.create({ ...values, zone_id: zoneId });
+};
+
+/**
+ * Templates that extend a template, directly or through other templates
+ */
+SecurityConfig.findDescendantTemplates = async function (templateId) {
+    const descendants = [];
+    let frontier = [templateId];
+
+    for (let depth = 0; depth < MAX_TEMPLATE_DEPTH && frontier.length > 0; depth++) {
+        const children = await this.findAll({ where: { is_template: true, template_id: frontier } });
+        descendants.push(...children);
+        frontier = children.map(child => child.id);
+    }
 
-    return this.create(config);
+    return descendants;
 };
 
 module.exports = SecurityConfig;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SecurityConfigVersion = sequelize.define('SecurityConfigVersion', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    security_config_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'security_configs',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    // Null for template versions
+    zone_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'zones',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+
+    // Full configuration as it was after this version was written
+    snapshot: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+
+    changed_fields: {
+        type: DataTypes.JSON,
+        defaultValue: []
+    },
+
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'security_config_versions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false, // Versions are append-only
+
+    indexes: [
+        {
+            fields: ['zone_id', 'version']
+        },
+        {
+            unique: true,
+            fields: ['security_config_id', 'version']
+        },
+        {
+            fields: ['created_by']
+        }
+    ],
+
+    hooks: {
+        beforeUpdate: () => {
+            throw new Error('Security config versions are append-only');
+        },
+        beforeDestroy: () => {
+            throw new Error('Security config versions are append-only');
+        }
+    }
+});
+
+// Columns that are bookkeeping rather than configuration
+const NON_CONFIG_FIELDS = ['backup_config', 'updated_at', 'created_at', 'last_cloudflare_sync'];
+
+/**
+ * Append a snapshot of a security config, credited to `options.actor` when given
+ * and to the config's last_modified_by otherwise
+ */
+SecurityConfigVersion.record = function (config, changedFields = [], options = {}) {
+    const snapshot = config.toJSON();
+    NON_CONFIG_FIELDS.forEach(field => delete snapshot[field]);
+
+    return this.create({
+        security_config_id: config.id,
+        zone_id: config.zone_id,
+        version: config.config_version,
+        snapshot,
+        changed_fields: changedFields.filter(field => !NON_CONFIG_FIELDS.includes(field) && field !== 'config_version'),
+        created_by: (options.actor !== undefined ? options.actor : config.last_modified_by) || null
+    }, { transaction: options.transaction });
+};
+
+SecurityConfigVersion.findByVersion = function (zoneId, version) {
+    return this.findOne({
+        where: { zone_id: zoneId, version }
+    });
+};
+
+module.exports = SecurityConfigVersion;
\ No newline at end of file
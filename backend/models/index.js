@@ -5,6 +5,13 @@ const User = require("./User");
 const Zone = require("./Zone");
 const SecurityConfig = require("./SecurityConfig");
 const AuditLog = require("./AuditLog");
+const SecurityConfigVersion = require("./SecurityConfigVersion");
+const ConfigPlan = require("./ConfigPlan");
+const BulkOperation = require("./BulkOperation");
+const Rollout = require("./Rollout");
+const ChangeRequest = require("./ChangeRequest");
+const ScheduledChange = require("./ScheduledChange");
+const FreezeWindow = require("./FreezeWindow");
 
 // Define associations
 const defineAssociations = () => {
@@ -21,6 +28,18 @@ const defineAssociations = () => {
         onDelete: "CASCADE",
     });
 
+    User.hasMany(BulkOperation, {
+        foreignKey: "user_id",
+        as: "bulk_operations",
+        onDelete: "CASCADE",
+    });
+
+    User.hasMany(Rollout, {
+        foreignKey: "user_id",
+        as: "rollouts",
+        onDelete: "CASCADE",
+    });
+
     // Zone associations
     Zone.belongsTo(User, {
         foreignKey: "user_id",
@@ -39,6 +58,24 @@ const defineAssociations = () => {
         onDelete: "CASCADE",
     });
 
+    Zone.hasMany(ConfigPlan, {
+        foreignKey: "zone_id",
+        as: "config_plans",
+        onDelete: "CASCADE",
+    });
+
+    Zone.hasMany(ChangeRequest, {
+        foreignKey: "zone_id",
+        as: "change_requests",
+        onDelete: "CASCADE",
+    });
+
+    Zone.hasMany(ScheduledChange, {
+        foreignKey: "zone_id",
+        as: "scheduled_changes",
+        onDelete: "CASCADE",
+    });
+
     // SecurityConfig associations
     SecurityConfig.belongsTo(Zone, {
         foreignKey: "zone_id",
@@ -50,6 +87,94 @@ const defineAssociations = () => {
         as: "last_modifier",
     });
 
+    SecurityConfig.hasMany(SecurityConfigVersion, {
+        foreignKey: "security_config_id",
+        as: "versions",
+        onDelete: "CASCADE",
+    });
+
+    // SecurityConfigVersion associations
+    SecurityConfigVersion.belongsTo(SecurityConfig, {
+        foreignKey: "security_config_id",
+        as: "security_config",
+    });
+
+    SecurityConfigVersion.belongsTo(User, {
+        foreignKey: "created_by",
+        as: "author",
+    });
+
+    // ConfigPlan associations
+    ConfigPlan.belongsTo(Zone, {
+        foreignKey: "zone_id",
+        as: "zone",
+    });
+
+    ConfigPlan.belongsTo(User, {
+        foreignKey: "created_by",
+        as: "author",
+    });
+
+    // BulkOperation associations
+    BulkOperation.belongsTo(User, {
+        foreignKey: "user_id",
+        as: "user",
+    });
+
+    BulkOperation.belongsTo(ChangeRequest, {
+        foreignKey: "change_request_id",
+        as: "changeRequest",
+    });
+
+    // Rollout associations
+    Rollout.belongsTo(User, {
+        foreignKey: "user_id",
+        as: "user",
+    });
+
+    Rollout.belongsTo(ChangeRequest, {
+        foreignKey: "change_request_id",
+        as: "changeRequest",
+    });
+
+    // ChangeRequest associations
+    ChangeRequest.belongsTo(Zone, {
+        foreignKey: "zone_id",
+        as: "zone",
+    });
+
+    ChangeRequest.belongsTo(User, {
+        foreignKey: "requested_by",
+        as: "requester",
+    });
+
+    ChangeRequest.belongsTo(User, {
+        foreignKey: "reviewed_by",
+        as: "reviewer",
+    });
+
+    // ScheduledChange associations
+    ScheduledChange.belongsTo(Zone, {
+        foreignKey: "zone_id",
+        as: "zone",
+    });
+
+    ScheduledChange.belongsTo(User, {
+        foreignKey: "created_by",
+        as: "author",
+    });
+
+    ScheduledChange.belongsTo(ChangeRequest, {
+        foreignKey: "change_request_id",
+        as: "changeRequest",
+    });
+
+    // FreezeWindow associations
+    FreezeWindow.belongsTo(User, {
+        foreignKey: "created_by",
+        as: "author",
+    });
+
     // AuditLog associations
     AuditLog.belongsTo(User, {
         foreignKey: "user_id",
@@ -88,6 +213,13 @@ module.exports = {
     Zone,
     SecurityConfig,
     AuditLog,
+    SecurityConfigVersion,
+    ConfigPlan,
+    BulkOperation,
+    Rollout,
+    ChangeRequest,
+    ScheduledChange,
+    FreezeWindow,
 
     // Utilities
     syncModels,
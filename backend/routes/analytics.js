@@ -1,11 +1,13 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const net = require('net');
+const { query, param, validationResult } = require('express-validator');
 
 const { Zone, AuditLog } = require('../models');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticate, verifyZoneOwnership } = require('../middleware/auth');
 const { analyticsLimiter } = require('../middleware/rateLimiter');
 const cloudflareService = require('../services/cloudflareService');
+const benchmarkService = require('../services/benchmarkService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -40,6 +42,66 @@ const paginationValidation = [
         .withMessage('Limit must be between 1 and 1000')
 ];
 
+const topTrafficValidation = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+    query('dimensions')
+        .optional()
+        .matches(/^(countries|asns|paths|user_agents)(,(countries|asns|paths|user_agents))*$/)
+        .withMessage('Dimensions must be a comma-separated list of countries, asns, paths, user_agents')
+];
+
+// Security event explorer filters; each accepts a comma-separated list of values
+const EVENT_FILTERS = ['action', 'rule_id', 'source', 'ip', 'asn', 'country', 'path', 'host', 'user_agent', 'method', 'status'];
+
+const eventFilterValidation = [
+    query('ip')
+        .optional()
+        .custom(value => value.split(',').every(ip => net.isIP(ip.trim()) !== 0))
+        .withMessage('IP must be a comma-separated list of IP addresses'),
+    query(['asn', 'status'])
+        .optional()
+        .matches(/^\d+(,\d+)*$/)
+        .withMessage('ASN and status must be comma-separated numbers'),
+    query('country')
+        .optional()
+        .matches(/^[A-Za-z]{2}(,[A-Za-z]{2})*$/)
+        .withMessage('Country must be a comma-separated list of ISO 3166-1 alpha-2 codes'),
+    query(['action', 'rule_id', 'source', 'path', 'host', 'user_agent', 'method'])
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Filter values must be at most 500 characters')
+];
+
+const eventPageValidation = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Limit must be between 1 and 1000'),
+    query('cursor')
+        .optional()
+        .isBase64({ urlSafe: true })
+        .withMessage('Cursor must be a cursor returned by a previous page')
+];
+
+const eventGroupValidation = [
+    query('by')
+        .optional()
+        .customSanitizer(value => String(value).split(','))
+        .isIn(EVENT_FILTERS)
+        .withMessage(`By must be a comma-separated list of: ${EVENT_FILTERS.join(', ')}`),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
+
+// Firewall event actions, as reported by the GraphQL Analytics API ('drop' by the retired REST API)
+const BLOCK_ACTIONS = ['block', 'drop', 'connection_close'];
+const CHALLENGE_ACTIONS = ['challenge', 'managed_challenge', 'jschallenge'];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -57,6 +119,16 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Helper function to read explorer filters from the query string
+const getEventFilters = (reqQuery) => EVENT_FILTERS.reduce((filters, name) => {
+    if (reqQuery[name] === undefined || reqQuery[name] === '') return filters;
+
+    const values = String(reqQuery[name]).split(',').map(value => value.trim()).filter(Boolean);
+    const normalized = name === 'country' ? values.map(value => value.toUpperCase()) : values;
+
+    return { ...filters, [name]: normalized.length === 1 ? normalized[0] : normalized };
+}, {});
+
 // Helper function to get default date range
 const getDefaultDateRange = (period = '24h') => {
     const now = new Date();
@@ -336,6 +408,241 @@ router.get('/:zoneId/traffic',
     })
 );
 
+/**
+ * @route   GET /api/analytics/:zoneId/top
+ * @desc    Get top countries, ASNs, paths and user agents by request count (sampled)
+ * @access  Private
+ */
+router.get('/:zoneId/top',
+    verifyZoneOwnership,
+    analyticsLimiter,
+    dateRangeValidation,
+    topTrafficValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { since, until, period = '24h', limit = 10, dimensions } = req.query;
+
+        const dateRange = since && until ?
+            { since, until } :
+            getDefaultDateRange(period);
+
+        try {
+            const apiToken = zone.getDecryptedApiToken();
+
+            const result = await cloudflareService.getTopTraffic(apiToken, zone.cloudflare_zone_id, {
+                since: dateRange.since,
+                until: dateRange.until,
+                limit: parseInt(limit),
+                dimensions: dimensions ? dimensions.split(',') : undefined
+            });
+
+            res.json({
+                zone: {
+                    id: zone.id,
+                    name: zone.name
+                },
+                period: {
+                    since: dateRange.since,
+                    until: dateRange.until,
+                    duration: period
+                },
+                top: result.top,
+                last_updated: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`Failed to get top traffic for zone ${zone.id}:`, error);
+            throw error;
+        }
+    })
+);
+
+/**
+ * @route   GET /api/analytics/:zoneId/events
+ * @desc    List security events matching filters, newest first, paginated by cursor
+ * @access  Private
+ */
+router.get('/:zoneId/events',
+    verifyZoneOwnership,
+    analyticsLimiter,
+    dateRangeValidation,
+    eventFilterValidation,
+    eventPageValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { since, until, period = '24h', limit = 100, cursor } = req.query;
+        const filters = getEventFilters(req.query);
+
+        const dateRange = since && until ?
+            { since, until } :
+            getDefaultDateRange(period);
+
+        try {
+            const apiToken = zone.getDecryptedApiToken();
+
+            const page = await cloudflareService.getSecurityEventsPage(apiToken, zone.cloudflare_zone_id, {
+                since: dateRange.since,
+                until: dateRange.until,
+                filters,
+                limit: parseInt(limit),
+                cursor
+            });
+
+            res.json({
+                zone: {
+                    id: zone.id,
+                    name: zone.name
+                },
+                period: {
+                    since: dateRange.since,
+                    until: dateRange.until,
+                    duration: period
+                },
+                filters,
+                events: page.events,
+                pagination: {
+                    limit: parseInt(limit),
+                    count: page.events.length,
+                    next_cursor: page.cursor
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Failed to list security events for zone ${zone.id}:`, error);
+            throw error;
+        }
+    })
+);
+
+/**
+ * @route   GET /api/analytics/:zoneId/events/groups
+ * @desc    Count security events matching filters, grouped by one or more dimensions
+ * @access  Private
+ */
+router.get('/:zoneId/events/groups',
+    verifyZoneOwnership,
+    analyticsLimiter,
+    dateRangeValidation,
+    eventFilterValidation,
+    eventGroupValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { since, until, period = '24h', by = ['action'], limit = 20 } = req.query;
+        const filters = getEventFilters(req.query);
+
+        const dateRange = since && until ?
+            { since, until } :
+            getDefaultDateRange(period);
+
+        try {
+            const apiToken = zone.getDecryptedApiToken();
+
+            const result = await cloudflareService.groupSecurityEvents(apiToken, zone.cloudflare_zone_id, {
+                since: dateRange.since,
+                until: dateRange.until,
+                filters,
+                by,
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                zone: {
+                    id: zone.id,
+                    name: zone.name
+                },
+                period: {
+                    since: dateRange.since,
+                    until: dateRange.until,
+                    duration: period
+                },
+                filters,
+                by,
+                groups: result.groups
+            });
+
+        } catch (error) {
+            logger.error(`Failed to group security events for zone ${zone.id}:`, error);
+            throw error;
+        }
+    })
+);
+
+/**
+ * @route   GET /api/analytics/:zoneId/events/:rayId/similar
+ * @desc    Pivot from one security event to events sharing its IP, rule, ASN or other dimensions
+ * @access  Private
+ */
+router.get('/:zoneId/events/:rayId/similar',
+    verifyZoneOwnership,
+    analyticsLimiter,
+    param('rayId')
+        .matches(/^[A-Za-z0-9-]{1,64}$/)
+        .withMessage('Ray ID must be alphanumeric'),
+    dateRangeValidation,
+    eventGroupValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { since, until, period = '24h', by = ['ip'], limit = 20 } = req.query;
+
+        const dateRange = since && until ?
+            { since, until } :
+            getDefaultDateRange(period);
+
+        try {
+            const apiToken = zone.getDecryptedApiToken();
+            const range = { since: dateRange.since, until: dateRange.until };
+
+            const { event, filters } = await cloudflareService.getSimilarSecurityEventFilters(apiToken, zone.cloudflare_zone_id, req.params.rayId, {
+                ...range,
+                by
+            });
+
+            // The first page and an action breakdown; further pages come from /events with the same filters
+            const [page, breakdown] = await Promise.all([
+                cloudflareService.getSecurityEventsPage(apiToken, zone.cloudflare_zone_id, {
+                    ...range,
+                    filters,
+                    limit: parseInt(limit)
+                }),
+                cloudflareService.groupSecurityEvents(apiToken, zone.cloudflare_zone_id, {
+                    ...range,
+                    filters,
+                    by: ['action']
+                })
+            ]);
+
+            res.json({
+                zone: {
+                    id: zone.id,
+                    name: zone.name
+                },
+                period: {
+                    ...range,
+                    duration: period
+                },
+                event,
+                filters,
+                total: breakdown.groups.reduce((sum, group) => sum + group.count, 0),
+                by_action: breakdown.groups,
+                events: page.events,
+                pagination: {
+                    limit: parseInt(limit),
+                    count: page.events.length,
+                    next_cursor: page.cursor
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Failed to find events similar to ${req.params.rayId} for zone ${zone.id}:`, error);
+            throw error;
+        }
+    })
+);
+
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard analytics for all user zones
@@ -437,17 +744,28 @@ router.get('/dashboard',
 
 /**
  * @route   GET /api/analytics/:zoneId/reports/security
- * @desc    Generate security report for a zone
+ * @desc    Generate security report for a zone, including the benchmark controls with their evidence.
+ *          format=html renders it for auditors; download=true sends it as an attachment.
  * @access  Private
  */
 router.get('/:zoneId/reports/security',
     verifyZoneOwnership,
     analyticsLimiter,
-    dateRangeValidation,
+    [
+        ...dateRangeValidation,
+        query('format')
+            .optional()
+            .isIn(['json', 'html'])
+            .withMessage('Format must be json or html'),
+        query('download')
+            .optional()
+            .isBoolean()
+            .withMessage('Download must be a boolean')
+    ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
-        const { since, until, period = '7d' } = req.query;
+        const { since, until, period = '7d', format = 'json', download } = req.query;
 
         const dateRange = since && until ?
             { since, until } :
@@ -456,7 +774,7 @@ router.get('/:zoneId/reports/security',
         try {
             const apiToken = zone.getDecryptedApiToken();
 
-            const [securityEvents, analytics, auditLogs] = await Promise.all([
+            const [securityEvents, analytics, auditLogs, benchmark] = await Promise.all([
                 cloudflareService.getSecurityEvents(apiToken, zone.cloudflare_zone_id, {
                     since: dateRange.since,
                     until: dateRange.until
@@ -470,7 +788,8 @@ router.get('/:zoneId/reports/security',
                     dateFrom: dateRange.since,
                     dateTo: dateRange.until,
                     limit: 100
-                })
+                }),
+                benchmarkService.run(zone)
             ]);
 
             // Generate comprehensive security report
@@ -479,9 +798,20 @@ router.get('/:zoneId/reports/security',
                 securityEvents.events || [],
                 analytics.analytics,
                 auditLogs.rows,
-                dateRange
+                dateRange,
+                benchmark
             );
 
+            if (download === 'true') {
+                const filename = `${zone.name.replace(/[^a-zA-Z0-9]/g, '_')}_security_report_${new Date().toISOString().split('T')[0]}.${format}`;
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            }
+
+            if (format === 'html') {
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                return res.send(benchmarkService.renderHtml(securityReport));
+            }
+
             res.json(securityReport);
 
         } catch (error) {
@@ -524,8 +854,8 @@ function processAnalyticsData(analytics, period) {
 function processThreatData(securityEvents, analytics) {
     const summary = {
         total_threats: securityEvents.length,
-        blocked_requests: securityEvents.filter(e => e.action === 'drop').length,
-        challenged_requests: securityEvents.filter(e => e.action === 'challenge').length,
+        blocked_requests: securityEvents.filter(e => BLOCK_ACTIONS.includes(e.action)).length,
+        challenged_requests: securityEvents.filter(e => CHALLENGE_ACTIONS.includes(e.action)).length,
         allowed_requests: securityEvents.filter(e => e.action === 'allow').length
     };
 
@@ -548,7 +878,7 @@ function processThreatData(securityEvents, analytics) {
 
     // Get most blocked IPs
     const blockedIPs = securityEvents
-        .filter(e => e.action === 'drop')
+        .filter(e => BLOCK_ACTIONS.includes(e.action))
         .reduce((acc, event) => {
             const ip = event.client_ip;
             acc[ip] = (acc[ip] || 0) + 1;
@@ -682,7 +1012,7 @@ function calculateDashboardSummary(zoneResults) {
     return summary;
 }
 
-function generateSecurityReport(zone, securityEvents, analytics, auditLogs, dateRange) {
+function generateSecurityReport(zone, securityEvents, analytics, auditLogs, dateRange, benchmark = null) {
     const threatData = processThreatData(securityEvents, analytics);
     const performanceData = processPerformanceData(analytics);
 
@@ -718,8 +1048,18 @@ function generateSecurityReport(zone, securityEvents, analytics, auditLogs, date
                 timestamp: log.created_at,
                 user: log.user?.name || 'System'
             })),
-            recommendations: [] // Would be populated with security recommendations
+            recommendations: benchmark ?
+                benchmark.controls
+                    .filter(control => control.status === 'fail')
+                    .map(control => ({
+                        control_id: control.id,
+                        title: control.title,
+                        severity: control.severity,
+                        remediation: control.remediation
+                    })) :
+                []
         },
+        benchmark,
         performance_impact: {
             cache_performance: performanceData.cacheRatio,
             ssl_adoption: performanceData.sslRequests,
@@ -792,8 +1132,8 @@ function createTimelineBuckets(events, interval = 'hour') {
         }
 
         buckets[key].count++;
-        if (event.action === 'drop') buckets[key].blocked++;
-        if (event.action === 'challenge') buckets[key].challenged++;
+        if (BLOCK_ACTIONS.includes(event.action)) buckets[key].blocked++;
+        if (CHALLENGE_ACTIONS.includes(event.action)) buckets[key].challenged++;
     });
 
     return Object.values(buckets).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
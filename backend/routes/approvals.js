@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const { Zone, ChangeRequest, User } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+const { enforceChangeFreeze } = require('../middleware/changeFreeze');
+const { cloudflareApiLimiter } = require('../middleware/rateLimiter');
+const changeRequestService = require('../services/changeRequestService');
+
+const router = express.Router();
+
+// All approval routes require authentication
+router.use(authenticate);
+
+// Approving applies the change, so it is held during freeze windows on the request's zone
+router.use(enforceChangeFreeze({
+    exempt: [/\/(reject|cancel)$/],
+    resolveZone: async (req, requestId) => {
+        const changeRequest = await ChangeRequest.findByPk(requestId, { include: [{ model: Zone, as: 'zone' }] });
+        return changeRequest ? changeRequest.zone : null;
+    }
+}));
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Please check your input and try again',
+            details: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg,
+                value: err.value
+            }))
+        });
+    }
+    next();
+};
+
+const includes = [
+    { model: Zone, as: 'zone', attributes: ['id', 'name'] },
+    { model: User, as: 'requester', attributes: ['id', 'name', 'email'] },
+    { model: User, as: 'reviewer', attributes: ['id', 'name', 'email'] }
+];
+
+// Load a change request the user may see: their own, or any when they can approve
+const loadChangeRequest = async (req) => {
+    const changeRequest = await ChangeRequest.findByPk(req.params.requestId, { include: includes });
+
+    if (!changeRequest ||
+        (changeRequest.requested_by !== req.user.id && !changeRequestService.canApprove(req.user))) {
+        throw new AppError('Change request not found', 404);
+    }
+
+    return changeRequest;
+};
+
+/**
+ * @route   GET /api/approvals
+ * @desc    List change requests: all of them for approvers, otherwise the user's own
+ * @access  Private
+ */
+router.get('/',
+    [
+        query('status')
+            .optional()
+            .isIn(['pending', 'approved', 'rejected', 'applied', 'failed', 'cancelled', 'expired'])
+            .withMessage('Invalid change request status')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const canApprove = changeRequestService.canApprove(req.user);
+        const where = { status: req.query.status || 'pending' };
+
+        if (!canApprove) {
+            where.requested_by = req.user.id;
+        }
+
+        const changeRequests = await ChangeRequest.findAll({
+            where,
+            include: includes,
+            order: [['created_at', 'DESC']],
+            limit: 100
+        });
+
+        res.json({
+            change_requests: changeRequests,
+            can_approve: canApprove,
+            policy: changeRequestService.getPolicy()
+        });
+    })
+);
+
+/**
+ * @route   GET /api/approvals/:requestId
+ * @desc    Get a change request
+ * @access  Private
+ */
+router.get('/:requestId',
+    asyncHandler(async (req, res) => {
+        const changeRequest = await loadChangeRequest(req);
+
+        res.json({
+            change_request: changeRequest
+        });
+    })
+);
+
+/**
+ * @route   POST /api/approvals/:requestId/:decision
+ * @desc    Approve (and apply) or reject a change request
+ * @access  Private (approver roles)
+ */
+router.post('/:requestId/:decision(approve|reject)',
+    cloudflareApiLimiter,
+    [
+        body('comment')
+            .optional()
+            .isString()
+            .isLength({ max: 1000 })
+            .withMessage('Comment must be less than 1000 characters')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const changeRequest = await loadChangeRequest(req);
+
+        await changeRequestService.review(changeRequest, req.user, {
+            decision: req.params.decision,
+            comment: req.body.comment,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const messages = {
+            approved: 'Change request approved; the scheduled change or rollout it holds will apply it',
+            applied: 'Change request approved and applied',
+            failed: 'Change request approved but could not be fully applied',
+            rejected: 'Change request rejected'
+        };
+
+        res.status(changeRequest.status === 'failed' ? 207 : 200).json({
+            message: messages[changeRequest.status],
+            change_request: changeRequest
+        });
+    })
+);
+
+/**
+ * @route   POST /api/approvals/:requestId/cancel
+ * @desc    Withdraw a pending change request
+ * @access  Private (requester)
+ */
+router.post('/:requestId/cancel',
+    asyncHandler(async (req, res) => {
+        const changeRequest = await loadChangeRequest(req);
+
+        await changeRequestService.cancel(changeRequest, req.user.id);
+
+        res.json({
+            message: 'Change request cancelled',
+            change_request: changeRequest
+        });
+    })
+);
+
+module.exports = router;
\ No newline at end of file
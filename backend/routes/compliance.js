@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+const { cloudflareApiLimiter } = require('../middleware/rateLimiter');
+const complianceService = require('../services/complianceService');
+
+const router = express.Router();
+
+// All compliance routes require authentication
+router.use(authenticate);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Please check your input and try again',
+            details: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg,
+                value: err.value
+            }))
+        });
+    }
+    next();
+};
+
+// Accept both ?tags=a,b and ?tags=a&tags=b
+const listParam = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * @route   GET /api/compliance/policies
+ * @desc    List the compliance policies in force
+ * @access  Private
+ */
+router.get('/policies',
+    asyncHandler(async (req, res) => {
+        res.json({
+            policies: complianceService.getPolicies()
+        });
+    })
+);
+
+/**
+ * @route   GET /api/compliance/report
+ * @desc    Pass/fail per zone per policy for the user's zones, optionally narrowed by
+ *          zone_ids, tags or policies. Violations are audited and notified unless notify=false.
+ * @access  Private
+ */
+router.get('/report',
+    cloudflareApiLimiter,
+    [
+        query('notify')
+            .optional()
+            .isBoolean()
+            .withMessage('notify must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const report = await complianceService.report(req.user.id, {
+            zoneIds: listParam(req.query.zone_ids),
+            tags: listParam(req.query.tags),
+            policyIds: listParam(req.query.policies),
+            notify: req.query.notify !== 'false'
+        });
+
+        res.json(report);
+    })
+);
+
+module.exports = router;
\ No newline at end of file
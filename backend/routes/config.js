@@ -2,11 +2,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 
-const { Zone, SecurityConfig, AuditLog } = require('../models');
+const { Zone, SecurityConfig, AuditLog, ConfigPlan } = require('../models');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticate, verifyZoneOwnership } = require('../middleware/auth');
-const { exportLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { enforceChangeFreeze } = require('../middleware/changeFreeze');
+const { exportLimiter, uploadLimiter, cloudflareApiLimiter } = require('../middleware/rateLimiter');
 const cloudflareService = require('../services/cloudflareService');
+const configAsCodeService = require('../services/configAsCodeService');
+const terraformExportService = require('../services/terraformExportService');
+const templateService = require('../services/templateService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -30,6 +34,12 @@ const upload = multer({
 // All config routes require authentication
 router.use(authenticate);
 
+// Changes are held during freeze windows; backups and plans only read the zone
+router.use(enforceChangeFreeze({
+    exempt: [/\/backup$/, /\/plan$/],
+    dryRun: [/^PUT \/templates\/[^/]+$/]
+}));
+
 // Validation rules
 const importValidation = [
     body('overwrite_existing')
@@ -42,6 +52,41 @@ const importValidation = [
         .withMessage('Apply to Cloudflare must be a boolean')
 ];
 
+const planValidation = [
+    body('document')
+        .optional()
+        .isObject()
+        .withMessage('Document must be an object'),
+    body('content')
+        .optional()
+        .isString()
+        .withMessage('Content must be a YAML or JSON string'),
+    body('format')
+        .optional()
+        .isIn(['yaml', 'json'])
+        .withMessage('Format must be yaml or json')
+];
+
+const templateValidation = [
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters'),
+    body('parameters')
+        .optional()
+        .isObject()
+        .withMessage('Parameters must be an object of parameter declarations'),
+    body('overrides')
+        .optional()
+        .isObject()
+        .withMessage('Overrides must be an object'),
+    body('parent_version')
+        .optional()
+        .custom(value => value === 'latest' || (Number.isInteger(value) && value > 0))
+        .withMessage('Parent version must be a positive integer or "latest"')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -59,6 +104,58 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * @route   GET /api/config/export
+ * @desc    Export every zone of the user as one Terraform configuration (format=terraform)
+ * @access  Private
+ */
+router.get('/export',
+    exportLimiter,
+    asyncHandler(async (req, res) => {
+        const { format = 'terraform' } = req.query;
+
+        if (format !== 'terraform') {
+            throw new AppError('All zones can only be exported as terraform; export a single zone for json or yaml', 400);
+        }
+
+        const zones = await Zone.findAll({
+            where: { user_id: req.user.id },
+            order: [['name', 'ASC']]
+        });
+
+        if (zones.length === 0) {
+            throw new AppError('No zones to export', 404);
+        }
+
+        const hcl = await terraformExportService.exportZones(zones);
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'config_exported',
+            resourceType: 'zone',
+            description: `Terraform configuration exported for ${zones.length} zone(s)`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'data_access',
+            metadata: {
+                format,
+                zoneIds: zones.map(zone => zone.id),
+                exportSize: hcl.length
+            }
+        });
+
+        logger.userActivity(req.user.id, 'config_export', {
+            zones: zones.length,
+            format,
+            size: hcl.length
+        });
+
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="all_zones_${new Date().toISOString().split('T')[0]}.tf"`);
+        res.send(hcl);
+    })
+);
+
 /**
  * @route   GET /api/config/:zoneId/export
  * @desc    Export zone configuration
@@ -71,7 +168,42 @@ router.get('/:zoneId/export',
         const zone = req.zone;
         const { format = 'json', include_sensitive = 'false' } = req.query;
 
+        if (!['json', 'yaml', 'terraform'].includes(format)) {
+            throw new AppError('Export format must be json, yaml or terraform', 400);
+        }
+
         try {
+            if (format === 'terraform') {
+                const hcl = await terraformExportService.exportZone(zone);
+
+                await AuditLog.createEntry({
+                    userId: req.user.id,
+                    zoneId: zone.id,
+                    action: 'config_exported',
+                    resourceType: 'zone',
+                    resourceId: zone.id,
+                    description: `Terraform configuration exported for zone ${zone.name}`,
+                    ipAddress: req.ip,
+                    userAgent: req.get('User-Agent'),
+                    category: 'data_access',
+                    metadata: {
+                        format,
+                        exportSize: hcl.length
+                    }
+                });
+
+                logger.userActivity(req.user.id, 'config_export', {
+                    zoneId: zone.id,
+                    zoneName: zone.name,
+                    format,
+                    size: hcl.length
+                });
+
+                res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${zone.name.replace(/[^a-zA-Z0-9]/g, '_')}.tf"`);
+                return res.send(hcl);
+            }
+
             // Get current security configuration
             let securityConfig = await SecurityConfig.findByZone(zone.id);
             if (!securityConfig) {
@@ -85,6 +217,15 @@ router.get('/:zoneId/export',
             const apiToken = zone.getDecryptedApiToken();
             const currentSettings = await cloudflareService.getSecuritySettings(apiToken, zone.cloudflare_zone_id);
 
+            // Custom rules are optional: tokens without ruleset access still export the rest
+            let customRules;
+            try {
+                const { rules } = await cloudflareService.getPhaseRules(apiToken, zone.cloudflare_zone_id, 'http_request_firewall_custom');
+                customRules = rules.map(rule => configAsCodeService.toDeclarativeRule(rule));
+            } catch (error) {
+                logger.warn(`Custom rules not exported for zone ${zone.id}: ${error.message}`);
+            }
+
             // Prepare export data
             const exportData = {
                 metadata: {
@@ -105,6 +246,7 @@ router.get('/:zoneId/export',
                 },
                 security_settings: currentSettings.success ? currentSettings.settings : {},
                 security_config: securityConfig.exportConfig(),
+                custom_rules: customRules,
                 preferences: {
                     auto_sync: zone.auto_sync,
                     notification_settings: zone.notification_settings,
@@ -144,11 +286,16 @@ router.get('/:zoneId/export',
             });
 
             // Set appropriate headers for download
-            const filename = `${zone.name.replace(/[^a-zA-Z0-9]/g, '_')}_config_${new Date().toISOString().split('T')[0]}.json`;
+            const filename = `${zone.name.replace(/[^a-zA-Z0-9]/g, '_')}_config_${new Date().toISOString().split('T')[0]}.${format}`;
 
-            res.setHeader('Content-Type', 'application/json');
             res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
+            if (format === 'yaml') {
+                res.setHeader('Content-Type', 'application/x-yaml');
+                return res.send(configAsCodeService.toYaml(JSON.parse(JSON.stringify(exportData))));
+            }
+
+            res.setHeader('Content-Type', 'application/json');
             res.json(exportData);
 
         } catch (error) {
@@ -241,7 +388,7 @@ router.post('/:zoneId/import',
 
             if (importData.security_config || importData.security_settings) {
                 // Create backup before importing
-                await securityConfig.createBackup();
+                await securityConfig.createBackup({ actor: req.user.id });
 
                 const configToImport = importData.security_config || importData.security_settings;
 
@@ -361,6 +508,116 @@ router.post('/:zoneId/import',
     })
 );
 
+/**
+ * @route   POST /api/config/:zoneId/plan
+ * @desc    Compute the changes needed to make a zone match a declarative document
+ * @access  Private
+ */
+router.post('/:zoneId/plan',
+    verifyZoneOwnership,
+    cloudflareApiLimiter,
+    planValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const document = configAsCodeService.parseDocument(req.body);
+
+        const plan = await configAsCodeService.plan(zone, document, { userId: req.user.id });
+
+        logger.userActivity(req.user.id, 'config_plan', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            planId: plan.plan_id,
+            operations: plan.operations.length
+        });
+
+        res.status(201).json({
+            message: plan.no_changes ? 'Zone already matches the document' : 'Plan created successfully',
+            ...plan
+        });
+    })
+);
+
+/**
+ * @route   GET /api/config/:zoneId/plans/:planId
+ * @desc    Get a stored plan
+ * @access  Private
+ */
+router.get('/:zoneId/plans/:planId',
+    verifyZoneOwnership,
+    asyncHandler(async (req, res) => {
+        const plan = await ConfigPlan.findOne({
+            where: { id: req.params.planId, zone_id: req.zone.id }
+        });
+
+        if (!plan) {
+            throw new AppError('Plan not found', 404);
+        }
+
+        res.json({
+            plan: {
+                ...plan.getSummary(),
+                operations: plan.operations,
+                result: plan.result,
+                document: plan.document
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/config/:zoneId/apply
+ * @desc    Execute a previously computed plan
+ * @access  Private
+ */
+router.post('/:zoneId/apply',
+    verifyZoneOwnership,
+    cloudflareApiLimiter,
+    [
+        body('plan_id')
+            .isUUID()
+            .withMessage('Plan ID must be a valid UUID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const result = await configAsCodeService.apply(zone, req.body.plan_id, { userId: req.user.id });
+        const failed = result.results.filter(entry => entry.status === 'failed');
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            zoneId: zone.id,
+            action: 'config_plan_applied',
+            resourceType: 'security_config',
+            resourceId: result.plan_id,
+            description: `Configuration plan applied to zone ${zone.name}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'medium',
+            status: result.success ? 'success' : 'failed',
+            errorMessage: failed.length > 0 ? `${failed.length} operation(s) failed` : null,
+            metadata: {
+                planId: result.plan_id,
+                results: result.results
+            }
+        });
+
+        logger.userActivity(req.user.id, 'config_apply', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            planId: result.plan_id,
+            failed: failed.length
+        });
+
+        res.status(result.success ? 200 : 207).json({
+            message: result.success ? 'Plan applied successfully' : 'Plan applied with some errors',
+            ...result
+        });
+    })
+);
+
 /**
  * @route   POST /api/config/:zoneId/backup
  * @desc    Create a backup of current configuration
@@ -402,7 +659,7 @@ router.post('/:zoneId/backup',
             await securityConfig.update({
                 backup_config: backupData,
                 config_version: securityConfig.config_version + 1
-            });
+            }, { actor: req.user.id });
 
             // Log backup creation
             await AuditLog.createEntry({
@@ -600,7 +857,7 @@ router.post('/:zoneId/clone',
                 results.security_config_created = true;
             } else {
                 // Create backup before overwriting
-                await targetSecurityConfig.createBackup();
+                await targetSecurityConfig.createBackup({ actor: req.user.id });
             }
 
             // Clone security configuration
@@ -813,15 +1070,13 @@ router.get('/templates',
             }
         ];
 
+        const described = await Promise.all(customTemplates.map(template => templateService.describe(template)));
+
         res.json({
             built_in_templates: builtInTemplates,
-            custom_templates: customTemplates.map(template => ({
-                id: template.id,
-                template_name: template.template_name,
-                notes: template.notes,
-                category: 'custom',
-                created_at: template.created_at,
-                settings: template.exportConfig()
+            custom_templates: described.map(template => ({
+                ...template,
+                category: 'custom'
             })),
             total_templates: builtInTemplates.length + customTemplates.length
         });
@@ -830,7 +1085,7 @@ router.get('/templates',
 
 /**
  * @route   POST /api/config/templates
- * @desc    Create a custom configuration template
+ * @desc    Create a custom configuration template from a zone or by extending another template
  * @access  Private
  */
 router.post('/templates',
@@ -839,87 +1094,206 @@ router.post('/templates',
             .trim()
             .isLength({ min: 3, max: 100 })
             .withMessage('Template name must be between 3 and 100 characters'),
-        body('notes')
-            .optional()
-            .trim()
-            .isLength({ max: 500 })
-            .withMessage('Notes must be less than 500 characters'),
         body('source_zone_id')
+            .optional()
             .isUUID()
-            .withMessage('Source zone ID must be a valid UUID')
+            .withMessage('Source zone ID must be a valid UUID'),
+        body('parent_template_id')
+            .optional()
+            .isString()
+            .withMessage('Parent template ID must be a string'),
+        body()
+            .custom(value => Boolean(value.source_zone_id) !== Boolean(value.parent_template_id))
+            .withMessage('Provide either source_zone_id or parent_template_id'),
+        ...templateValidation
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { template_name, notes, source_zone_id } = req.body;
+        const { template_name, notes, source_zone_id, parent_template_id, parent_version, parameters, overrides } = req.body;
+        let sourceZone = null;
+        let sourceSecurityConfig = null;
+
+        if (source_zone_id) {
+            // Verify user owns source zone
+            sourceZone = await Zone.findOne({
+                where: {
+                    id: source_zone_id,
+                    user_id: req.user.id
+                }
+            });
 
-        // Verify user owns source zone
-        const sourceZone = await Zone.findOne({
-            where: {
-                id: source_zone_id,
-                user_id: req.user.id
+            if (!sourceZone) {
+                throw new AppError('Source zone not found or access denied', 404);
             }
-        });
 
-        if (!sourceZone) {
-            throw new AppError('Source zone not found or access denied', 404);
-        }
-
-        // Get source configuration
-        const sourceSecurityConfig = await SecurityConfig.findByZone(sourceZone.id);
-        if (!sourceSecurityConfig) {
-            throw new AppError('No security configuration found for source zone', 404);
+            // Get source configuration
+            sourceSecurityConfig = await SecurityConfig.findByZone(sourceZone.id);
+            if (!sourceSecurityConfig) {
+                throw new AppError('No security configuration found for source zone', 404);
+            }
         }
 
-        // Create template
-        const templateConfig = sourceSecurityConfig.exportConfig();
-        templateConfig.is_template = true;
-        templateConfig.template_name = template_name;
-        templateConfig.notes = notes;
-        templateConfig.zone_id = null; // Templates are not tied to specific zones
-
-        const template = await SecurityConfig.create(templateConfig);
+        const template = await templateService.createTemplate({
+            templateName: template_name,
+            notes,
+            sourceConfig: sourceSecurityConfig,
+            parentTemplateId: parent_template_id,
+            parentVersion: parent_version === 'latest' ? null : parent_version || null,
+            overrides,
+            parameters,
+            userId: req.user.id
+        });
 
         // Log template creation
         await AuditLog.createEntry({
             userId: req.user.id,
-            zoneId: sourceZone.id,
+            zoneId: sourceZone ? sourceZone.id : null,
             action: 'template_created',
             resourceType: 'security_config',
             resourceId: template.id,
-            description: `Configuration template '${template_name}' created from zone ${sourceZone.name}`,
+            description: sourceZone ?
+                `Configuration template '${template_name}' created from zone ${sourceZone.name}` :
+                `Configuration template '${template_name}' created from template ${parent_template_id}`,
             ipAddress: req.ip,
             userAgent: req.get('User-Agent'),
             category: 'configuration',
             metadata: {
                 templateName: template_name,
-                sourceZoneId: sourceZone.id,
-                sourceZoneName: sourceZone.name
+                sourceZoneId: sourceZone ? sourceZone.id : null,
+                sourceZoneName: sourceZone ? sourceZone.name : null,
+                parentTemplateId: parent_template_id || null,
+                parentVersion: parent_version || null,
+                parameters: Object.keys(parameters || {})
             }
         });
 
         logger.userActivity(req.user.id, 'template_create', {
             templateId: template.id,
             templateName: template_name,
-            sourceZoneId: sourceZone.id,
-            sourceZoneName: sourceZone.name
+            sourceZoneId: sourceZone ? sourceZone.id : null,
+            parentTemplateId: parent_template_id || null
         });
 
         res.status(201).json({
             message: 'Configuration template created successfully',
             template: {
-                id: template.id,
-                template_name: template.template_name,
-                notes: template.notes,
-                created_at: template.created_at,
-                source_zone: {
+                ...await templateService.describe(template),
+                source_zone: sourceZone ? {
                     id: sourceZone.id,
                     name: sourceZone.name
-                }
+                } : null
             }
         });
     })
 );
 
+/**
+ * @route   GET /api/config/templates/:templateId
+ * @desc    Get a template with its resolved settings and usage
+ * @access  Private
+ */
+router.get('/templates/:templateId',
+    asyncHandler(async (req, res) => {
+        const template = await SecurityConfig.findOne({
+            where: {
+                id: req.params.templateId,
+                is_template: true
+            }
+        });
+
+        if (!template) {
+            throw new AppError('Template not found', 404);
+        }
+
+        res.json({
+            template: await templateService.describe(template),
+            usage: await templateService.findUsage(template.id)
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/config/templates/:templateId
+ * @desc    Update a template and report the zones the change affects (dry_run only reports)
+ * @access  Private
+ */
+router.put('/templates/:templateId',
+    [
+        body('template_name')
+            .optional()
+            .trim()
+            .isLength({ min: 3, max: 100 })
+            .withMessage('Template name must be between 3 and 100 characters'),
+        body('settings')
+            .optional()
+            .isObject()
+            .withMessage('Settings must be an object'),
+        body('dry_run')
+            .optional()
+            .isBoolean()
+            .withMessage('Dry run must be a boolean'),
+        ...templateValidation
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const template = await SecurityConfig.findOne({
+            where: {
+                id: req.params.templateId,
+                is_template: true
+            }
+        });
+
+        if (!template) {
+            throw new AppError('Template not found', 404);
+        }
+
+        const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+        const previousVersion = template.config_version;
+        const { changes, impact } = await templateService.updateTemplate(template, {
+            templateName: req.body.template_name,
+            notes: req.body.notes,
+            settings: req.body.settings,
+            overrides: req.body.overrides,
+            parameters: req.body.parameters,
+            parentVersion: req.body.parent_version
+        }, { userId: req.user.id, isAdmin: req.user.role === 'admin', dryRun });
+
+        if (!dryRun) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                action: 'template_updated',
+                resourceType: 'security_config',
+                resourceId: template.id,
+                description: `Configuration template '${template.template_name}' updated to version ${template.config_version}`,
+                newValues: changes,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'configuration',
+                severity: impact.affected.length > 0 ? 'high' : 'medium',
+                metadata: {
+                    previousVersion,
+                    version: template.config_version,
+                    affectedZones: impact.affected.map(entry => entry.zone_id),
+                    otherUsersZones: impact.other_users_zones
+                }
+            });
+
+            logger.userActivity(req.user.id, 'template_update', {
+                templateId: template.id,
+                templateName: template.template_name,
+                affectedZones: impact.affected.length
+            });
+        }
+
+        res.json({
+            message: dryRun ? 'Template change previewed' : 'Configuration template updated successfully',
+            dry_run: dryRun,
+            changes,
+            ...impact
+        });
+    })
+);
+
 /**
  * @route   DELETE /api/config/templates/:templateId
  * @desc    Delete a custom configuration template
@@ -940,6 +1314,16 @@ router.delete('/templates/:templateId',
             throw new AppError('Template not found', 404);
         }
 
+        templateService.ensureCanModify(template, { userId: req.user.id, isAdmin: req.user.role === 'admin' });
+
+        const usage = await templateService.findUsage(template.id);
+        if (usage.zones > 0 || usage.templates > 0) {
+            throw new AppError(
+                `Template is still used by ${usage.zones} zone(s) and ${usage.templates} template(s)`,
+                409
+            );
+        }
+
         // Log template deletion
         await AuditLog.createEntry({
             userId: req.user.id,
@@ -0,0 +1,184 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+
+const { FreezeWindow, AuditLog, User } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const freezeService = require('../services/freezeService');
+
+const router = express.Router();
+
+// All freeze routes require authentication
+router.use(authenticate);
+
+// Validation rules
+const freezeValidation = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name is required and must be less than 100 characters'),
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Reason must be less than 1000 characters'),
+    body('scope')
+        .optional()
+        .isIn(['global', 'tag'])
+        .withMessage('Scope must be global or tag'),
+    body('tags')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Tags must be an array'),
+    body('tags.*')
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Each tag must be a non-empty string'),
+    body('starts_at')
+        .optional()
+        .isISO8601()
+        .withMessage('Start time must be an ISO 8601 date'),
+    body('ends_at')
+        .isISO8601()
+        .withMessage('End time must be an ISO 8601 date')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Please check your input and try again',
+            details: errors.array().map(err => ({
+                field: err.path,
+                message: err.msg,
+                value: err.value
+            }))
+        });
+    }
+    next();
+};
+
+const includes = [
+    { model: User, as: 'author', attributes: ['id', 'name', 'email'] }
+];
+
+/**
+ * @route   GET /api/freezes
+ * @desc    List current and upcoming freeze windows (past ones too with include_past=true)
+ * @access  Private
+ */
+router.get('/',
+    [
+        query('include_past')
+            .optional()
+            .isBoolean()
+            .withMessage('include_past must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const now = new Date();
+        const where = req.query.include_past === 'true' ?
+            {} :
+            { cancelled_at: null, ends_at: { [Op.gt]: now } };
+
+        const freezes = await FreezeWindow.findAll({
+            where,
+            include: includes,
+            order: [['starts_at', 'ASC']],
+            limit: 200
+        });
+
+        res.json({
+            freezes: freezes.map(freeze => ({
+                ...freeze.toJSON(),
+                in_effect: freeze.isInEffect(now)
+            }))
+        });
+    })
+);
+
+/**
+ * @route   POST /api/freezes
+ * @desc    Define a freeze window, global or limited to zones with the given tags
+ * @access  Private (admin)
+ */
+router.post('/',
+    authorize('admin'),
+    freezeValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { name, reason, scope = 'global', tags = [], starts_at, ends_at } = req.body;
+
+        const freeze = await freezeService.create({
+            name,
+            reason,
+            scope,
+            tags,
+            startsAt: starts_at,
+            endsAt: ends_at,
+            userId: req.user.id
+        });
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'change_freeze_created',
+            resourceType: 'security_config',
+            resourceId: freeze.id,
+            description: `Change freeze "${freeze.name}" defined from ${freeze.starts_at.toISOString()} ` +
+                `to ${freeze.ends_at.toISOString()}` + (scope === 'tag' ? ` for tags ${freeze.tags.join(', ')}` : ''),
+            newValues: { scope, tags: freeze.tags, starts_at: freeze.starts_at, ends_at: freeze.ends_at, reason },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'high'
+        });
+
+        res.status(201).json({
+            message: 'Freeze window created',
+            freeze: {
+                ...freeze.toJSON(),
+                in_effect: freeze.isInEffect()
+            }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/freezes/:freezeId
+ * @desc    Cancel a freeze window, lifting it early if it is in effect
+ * @access  Private (admin)
+ */
+router.delete('/:freezeId',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const freeze = await FreezeWindow.findByPk(req.params.freezeId);
+        if (!freeze) {
+            throw new AppError('Freeze window not found', 404);
+        }
+
+        await freezeService.cancel(freeze, req.user.id);
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'change_freeze_cancelled',
+            resourceType: 'security_config',
+            resourceId: freeze.id,
+            description: `Change freeze "${freeze.name}" cancelled`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'high'
+        });
+
+        res.json({
+            message: 'Freeze window cancelled',
+            freeze
+        });
+    })
+);
+
+module.exports = router;
\ No newline at end of file
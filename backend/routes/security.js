@@ -1,19 +1,26 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const jsonDiff = require('../utils/jsonDiff');
+const { SETTING_MAP } = require('../utils/zoneSettings');
 
 // Models - using try/catch for safe imports
-let Zone, SecurityConfig, AuditLog;
+let Zone, SecurityConfig, SecurityConfigVersion, AuditLog, User, ChangeRequest, ScheduledChange;
 try {
     const models = require('../models');
     Zone = models.Zone;
     SecurityConfig = models.SecurityConfig;
+    SecurityConfigVersion = models.SecurityConfigVersion;
     AuditLog = models.AuditLog;
+    User = models.User;
+    ChangeRequest = models.ChangeRequest;
+    ScheduledChange = models.ScheduledChange;
 } catch (error) {
     console.warn('Models not available in security routes');
 }
 
 // Middleware - using try/catch for safe imports
-let asyncHandler, AppError, authenticate, verifyZoneOwnership, cloudflareApiLimiter;
+let asyncHandler, AppError, authenticate, verifyZoneOwnership, requireZonePermission, cloudflareApiLimiter,
+    enforceChangeFreeze;
 try {
     const errorHandlers = require('../middleware/errorHandler');
     asyncHandler = errorHandlers.asyncHandler;
@@ -33,6 +40,7 @@ try {
     const auth = require('../middleware/auth');
     authenticate = auth.authenticate;
     verifyZoneOwnership = auth.verifyZoneOwnership;
+    requireZonePermission = auth.requireZonePermission;
 } catch (error) {
     // Fallback middleware
     authenticate = (req, res, next) => {
@@ -43,6 +51,7 @@ try {
         req.zone = { id: 'test-zone', name: 'test.com' };
         next();
     };
+    requireZonePermission = () => (req, res, next) => next();
 }
 
 try {
@@ -53,8 +62,17 @@ try {
     cloudflareApiLimiter = (req, res, next) => next();
 }
 
+try {
+    enforceChangeFreeze = require('../middleware/changeFreeze').enforceChangeFreeze;
+} catch (error) {
+    // Fallback freeze check
+    enforceChangeFreeze = () => (req, res, next) => next();
+}
+
 // Services - using try/catch for safe imports
-let cloudflareService, logger;
+let cloudflareService, firewallMigrationService, accessRuleSyncService, rateLimitService, managedWafService,
+    recommendationService, rollbackService, driftDetectionService, templateService, bulkOperationService,
+    changeRequestService, scheduledChangeService, logger;
 try {
     cloudflareService = require('../services/cloudflareService');
 } catch (error) {
@@ -65,6 +83,67 @@ try {
     };
 }
 
+try {
+    firewallMigrationService = require('../services/firewallMigrationService');
+} catch (error) {
+    console.warn('Firewall migration service not available in security routes');
+}
+
+try {
+    accessRuleSyncService = require('../services/accessRuleSyncService');
+} catch (error) {
+    console.warn('Access rule sync service not available in security routes');
+}
+
+try {
+    rateLimitService = require('../services/rateLimitService');
+} catch (error) {
+    console.warn('Rate limit service not available in security routes');
+}
+
+try {
+    managedWafService = require('../services/managedWafService');
+} catch (error) {
+    console.warn('Managed WAF service not available in security routes');
+}
+
+try {
+    recommendationService = require('../services/recommendationService');
+} catch (error) {
+    console.warn('Recommendation service not available in security routes');
+}
+
+try {
+    rollbackService = require('../services/rollbackService');
+} catch (error) {
+    console.warn('Rollback service not available in security routes');
+}
+
+try {
+    templateService = require('../services/templateService');
+} catch (error) {
+    console.warn('Template service not available in security routes');
+}
+
+try {
+    bulkOperationService = require('../services/bulkOperationService');
+    changeRequestService = require('../services/changeRequestService');
+} catch (error) {
+    console.warn('Change request service not available in security routes');
+}
+
+try {
+    scheduledChangeService = require('../services/scheduledChangeService');
+} catch (error) {
+    console.warn('Scheduled change service not available in security routes');
+}
+
+try {
+    driftDetectionService = require('../services/driftDetectionService');
+} catch (error) {
+    console.warn('Drift detection service not available in security routes');
+}
+
 try {
     logger = require('../utils/logger');
 } catch (error) {
@@ -81,6 +160,12 @@ const router = express.Router();
 // All security routes require authentication
 router.use(authenticate);
 
+// Changes are held during freeze windows; backups, previews, dry runs and cancelling scheduled changes are not
+router.use(enforceChangeFreeze({
+    exempt: [/\/backup$/, /\/restore\/preview$/, /\/scheduled-changes\/[^/]+$/],
+    dryRun: [/^POST \/[^/]+\/custom-rules\/migrate$/, /^POST \/[^/]+\/access-rules\/sync$/]
+}));
+
 // Validation rules for security settings
 const securityLevelValidation = [
     body('value')
@@ -98,6 +183,7 @@ const booleanSettingValidation = [
     body('value')
         .isBoolean()
         .withMessage('Value must be a boolean')
+        .toBoolean()
 ];
 
 const challengeTtlValidation = [
@@ -106,10 +192,41 @@ const challengeTtlValidation = [
         .withMessage('Challenge TTL must be between 300 seconds (5 minutes) and 31536000 seconds (1 year)')
 ];
 
+// Value checks of the Cloudflare settings PATCH /:zoneId/:setting accepts
+const SETTING_VALIDATION = {
+    security_level: securityLevelValidation,
+    ssl: sslModeValidation,
+    always_use_https: booleanSettingValidation,
+    bot_fight_mode: booleanSettingValidation,
+    browser_integrity_check: booleanSettingValidation,
+    challenge_ttl: challengeTtlValidation,
+    development_mode: booleanSettingValidation,
+    email_obfuscation: booleanSettingValidation,
+    server_side_exclude: booleanSettingValidation,
+    hotlink_protection: booleanSettingValidation
+};
+
+// Run the value checks of the setting named in the path
+const settingValueValidation = asyncHandler(async (req, res, next) => {
+    const validation = SETTING_VALIDATION[req.params.setting];
+    if (!validation) {
+        throw new AppError(`Invalid setting: ${req.params.setting}`, 400);
+    }
+
+    await Promise.all(validation.map(chain => chain.run(req)));
+    next();
+});
+
+// Top-level SecurityConfig fields that map to Cloudflare zone settings
+const SETTING_FIELDS = [...new Set(SETTING_MAP.map(({ field }) => field.split('.')[0]))];
+
 const bulkUpdateValidation = [
     body('settings')
         .isObject()
-        .withMessage('Settings must be an object'),
+        .withMessage('Settings must be an object')
+        .bail()
+        .custom(settings => Object.keys(settings).every(field => SETTING_FIELDS.includes(field)))
+        .withMessage(`Settings may only contain: ${SETTING_FIELDS.join(', ')}`),
     body('settings.security_level')
         .optional()
         .isIn(['off', 'essentially_off', 'low', 'medium', 'high', 'under_attack']),
@@ -133,6 +250,195 @@ const bulkUpdateValidation = [
         .isBoolean()
 ];
 
+const FIREWALL_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'allow', 'log', 'bypass'];
+
+const firewallRuleValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('expression')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 4096 })
+            .withMessage('Expression is required and must be at most 4096 characters'),
+        field('action')
+            .isIn(FIREWALL_ACTIONS)
+            .withMessage(`Action must be one of: ${FIREWALL_ACTIONS.join(', ')}`),
+        body('description')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Description must be less than 500 characters'),
+        body('priority')
+            .optional()
+            .isInt({ min: 0, max: 2147483647 })
+            .withMessage('Priority must be a positive integer'),
+        body('paused')
+            .optional()
+            .isBoolean()
+            .withMessage('Paused must be a boolean'),
+        body('products')
+            .optional()
+            .isArray()
+            .withMessage('Products must be an array')
+    ];
+};
+
+const CUSTOM_RULES_PHASE = 'http_request_firewall_custom';
+const CUSTOM_RULE_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'log', 'skip'];
+
+const ACCESS_RULE_LISTS = ['whitelist', 'blacklist', 'challenge'];
+
+const customRuleValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('expression')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 4096 })
+            .withMessage('Expression is required and must be at most 4096 characters'),
+        field('action')
+            .isIn(CUSTOM_RULE_ACTIONS)
+            .withMessage(`Action must be one of: ${CUSTOM_RULE_ACTIONS.join(', ')}`),
+        body('action_parameters')
+            .optional()
+            .isObject()
+            .withMessage('Action parameters must be an object'),
+        body('description')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Description must be less than 500 characters'),
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('Enabled must be a boolean'),
+        body('logging')
+            .optional()
+            .isObject()
+            .withMessage('Logging must be an object'),
+        body('position')
+            .optional()
+            .isObject()
+            .withMessage('Position must be an object with before, after or index')
+    ];
+};
+
+const RATE_LIMIT_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'log'];
+
+const rateLimitValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('expression')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 4096 })
+            .withMessage('Expression is required and must be at most 4096 characters'),
+        field('threshold')
+            .isInt({ min: 1 })
+            .toInt()
+            .withMessage('Threshold must be a positive integer'),
+        body('action')
+            .optional()
+            .isIn(RATE_LIMIT_ACTIONS)
+            .withMessage(`Action must be one of: ${RATE_LIMIT_ACTIONS.join(', ')}`),
+        body('period')
+            .optional()
+            .isInt()
+            .toInt()
+            .withMessage('Period must be an integer number of seconds'),
+        body('mitigation_timeout')
+            .optional()
+            .isInt({ min: 0 })
+            .toInt()
+            .withMessage('Mitigation timeout must be an integer number of seconds'),
+        body('characteristics')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Characteristics must be a non-empty array'),
+        body('counting_expression')
+            .optional()
+            .isString()
+            .withMessage('Counting expression must be a string'),
+        body('description')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Description must be less than 500 characters'),
+        body('simulate')
+            .optional()
+            .isBoolean()
+            .withMessage('Simulate must be a boolean'),
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('Enabled must be a boolean')
+    ];
+};
+
+const restoreValidation = [
+    body('version')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Version must be a positive integer'),
+    body('backup')
+        .optional()
+        .isObject()
+        .withMessage('Backup must be the contents of a backup file'),
+    body()
+        .custom(value => (value.version !== undefined) !== (value.backup !== undefined))
+        .withMessage('Specify either a version or a backup to restore'),
+    body('on_failure')
+        .optional()
+        .isIn(['revert', 'keep'])
+        .withMessage('on_failure must be revert or keep'),
+    body('max_retries')
+        .optional()
+        .isInt({ min: 0, max: 5 })
+        .withMessage('max_retries must be between 0 and 5')
+];
+
+const driftResolveValidation = [
+    body('resolutions')
+        .isArray({ min: 1 })
+        .withMessage('Resolutions must be a non-empty array'),
+    body('resolutions.*.field')
+        .isString()
+        .withMessage('Each resolution needs a field'),
+    body('resolutions.*.action')
+        .isIn(['adopt_remote', 'enforce_local'])
+        .withMessage('Resolution action must be adopt_remote or enforce_local')
+];
+
+const scheduledChangeValidation = [
+    body('changes')
+        .isObject()
+        .withMessage('Changes must be an object of security config fields'),
+    body('starts_at')
+        .optional()
+        .isISO8601()
+        .withMessage('Start time must be an ISO 8601 date'),
+    body('ends_at')
+        .optional()
+        .isISO8601()
+        .withMessage('End time must be an ISO 8601 date'),
+    body('duration_minutes')
+        .optional()
+        .isInt({ min: 1, max: 10080 })
+        .withMessage('Duration must be between 1 minute and 7 days'),
+    body('repeat')
+        .optional()
+        .isIn(['none', 'daily', 'weekly'])
+        .withMessage('Repeat must be none, daily or weekly'),
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -210,43 +516,51 @@ router.get('/:zoneId',
 
 /**
  * @route   PATCH /api/security/:zoneId/:setting
- * @desc    Update a specific security setting
+ * @desc    Update a specific security setting; settings that need approval create a change request
  * @access  Private
  */
 router.patch('/:zoneId/:setting',
     verifyZoneOwnership,
+    requireZonePermission('security'),
     cloudflareApiLimiter,
+    settingValueValidation,
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
         const { setting } = req.params;
-        const { value } = req.body;
-
-        // Validate setting name
-        const validSettings = [
-            'security_level', 'ssl', 'always_use_https', 'bot_fight_mode',
-            'browser_integrity_check', 'challenge_ttl', 'development_mode',
-            'email_obfuscation', 'server_side_exclude', 'hotlink_protection'
-        ];
-
-        if (!validSettings.includes(setting)) {
-            throw new AppError(`Invalid setting: ${setting}`, 400);
-        }
+        const { value, reason } = req.body;
 
         try {
-            // Mock current setting
-            const currentSetting = { value: 'medium' };
+            const currentSetting = await cloudflareService.getZoneSetting(
+                zone.getDecryptedApiToken(),
+                zone.cloudflare_zone_id,
+                setting
+            );
+            const severity = changeRequestService.settingSeverity(setting);
+            const securityConfig = await SecurityConfig.findByZone(zone.id);
+            const changes = changeRequestService.toLocalChanges({ [setting]: value }, securityConfig);
+
+            if (changeRequestService.requiresApproval(severity)) {
+                const changeRequest = await changeRequestService.create(zone, {
+                    changes,
+                    severity,
+                    reason,
+                    userId: req.user.id,
+                    ipAddress: req.ip,
+                    userAgent: req.get('User-Agent')
+                });
 
-            // Mock update result
-            const result = {
-                success: true,
-                setting: {
-                    name: setting,
-                    value: value,
-                    modified_on: new Date().toISOString()
-                }
-            };
+                return res.status(202).json({
+                    message: `Changing '${setting}' requires approval; a change request was created`,
+                    change_request: changeRequest
+                });
+            }
+
+            const result = await bulkOperationService.applySettings(zone, changes, req.user.id);
+            if (result.failed[setting]) {
+                throw new AppError(`Failed to update ${setting}: ${result.failed[setting]}`, 502);
+            }
 
-            // Mock audit log
             if (AuditLog && AuditLog.createEntry) {
                 await AuditLog.createEntry({
                     userId: req.user.id,
@@ -259,7 +573,7 @@ router.patch('/:zoneId/:setting',
                     ipAddress: req.ip,
                     userAgent: req.get('User-Agent'),
                     category: 'security',
-                    severity: getSeverityForSetting(setting, currentSetting.value, value)
+                    severity
                 });
             }
 
@@ -271,15 +585,17 @@ router.patch('/:zoneId/:setting',
                 newValue: value
             });
 
+            const updatedConfig = await SecurityConfig.findByZone(zone.id);
+
             res.json({
                 message: `Security setting '${setting}' updated successfully`,
                 setting: {
                     name: setting,
                     old_value: currentSetting.value,
                     new_value: value,
-                    updated_at: result.setting.modified_on
+                    updated_at: new Date().toISOString()
                 },
-                security_score: 80 // Mock score
+                security_score: updatedConfig ? updatedConfig.getSecurityScore() : null
             });
 
         } catch (error) {
@@ -291,46 +607,50 @@ router.patch('/:zoneId/:setting',
 
 /**
  * @route   POST /api/security/:zoneId/bulk-update
- * @desc    Update multiple security settings at once
+ * @desc    Update multiple security settings at once; changes that need approval create one change request
  * @access  Private
  */
 router.post('/:zoneId/bulk-update',
     verifyZoneOwnership,
+    requireZonePermission('security'),
     cloudflareApiLimiter,
     bulkUpdateValidation,
     handleValidationErrors,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
-        const { settings } = req.body;
+        const { settings, reason } = req.body;
 
         if (Object.keys(settings).length === 0) {
             throw new AppError('No settings provided for update', 400);
         }
 
         try {
-            // Mock current settings
-            const currentSettings = {
-                success: true,
-                settings: {
-                    security_level: 'medium',
-                    ssl_mode: 'full',
-                    always_use_https: true
-                }
-            };
+            const securityConfig = await SecurityConfig.findByZone(zone.id);
+            const oldValues = Object.keys(settings).reduce((values, field) => ({
+                ...values,
+                [field]: securityConfig ? securityConfig[field] : null
+            }), {});
+            const severity = changeRequestService.changeSeverity(settings);
+
+            if (changeRequestService.requiresApproval(severity)) {
+                const changeRequest = await changeRequestService.create(zone, {
+                    changes: settings,
+                    severity,
+                    reason,
+                    userId: req.user.id,
+                    ipAddress: req.ip,
+                    userAgent: req.get('User-Agent')
+                });
 
-            // Mock bulk update result
-            const result = {
-                success: true,
-                results: {},
-                errors: {}
-            };
+                return res.status(202).json({
+                    message: 'These settings require approval; a change request was created',
+                    change_request: changeRequest
+                });
+            }
 
-            // Process each setting
-            Object.keys(settings).forEach(setting => {
-                result.results[setting] = { success: true };
-            });
+            const result = await bulkOperationService.applySettings(zone, settings, req.user.id);
+            const failed = Object.keys(result.failed);
 
-            // Mock audit log
             if (AuditLog && AuditLog.createEntry) {
                 await AuditLog.createEntry({
                     userId: req.user.id,
@@ -338,12 +658,14 @@ router.post('/:zoneId/bulk-update',
                     action: 'security_bulk_update',
                     resourceType: 'security_config',
                     description: `Bulk security settings update for zone ${zone.name}`,
-                    oldValues: currentSettings.success ? currentSettings.settings : {},
+                    oldValues,
                     newValues: settings,
                     ipAddress: req.ip,
                     userAgent: req.get('User-Agent'),
+                    status: failed.length === 0 ? 'success' : 'failed',
+                    errorMessage: failed.length > 0 ? `Failed settings: ${failed.join(', ')}` : null,
                     category: 'security',
-                    severity: 'medium'
+                    severity
                 });
             }
 
@@ -351,20 +673,22 @@ router.post('/:zoneId/bulk-update',
                 zoneId: zone.id,
                 zoneName: zone.name,
                 settingsCount: Object.keys(settings).length,
-                successful: Object.keys(result.results || {}).length,
-                failed: Object.keys(result.errors || {}).length
+                successful: result.updated.length,
+                failed: failed.length
             });
 
-            res.json({
+            const updatedConfig = await SecurityConfig.findByZone(zone.id);
+
+            res.status(failed.length === 0 ? 200 : 207).json({
                 message: 'Bulk security settings update completed',
                 summary: {
-                    total: Object.keys(settings).length,
-                    successful: Object.keys(result.results || {}).length,
-                    failed: Object.keys(result.errors || {}).length
+                    total: result.updated.length + failed.length,
+                    successful: result.updated.length,
+                    failed: failed.length
                 },
-                results: result.results,
-                errors: result.errors,
-                security_score: 85 // Mock score
+                results: result.updated.reduce((results, setting) => ({ ...results, [setting]: { success: true } }), {}),
+                errors: result.failed,
+                security_score: updatedConfig ? updatedConfig.getSecurityScore() : null
             });
 
         } catch (error) {
@@ -374,6 +698,39 @@ router.post('/:zoneId/bulk-update',
     })
 );
 
+/**
+ * @route   GET /api/security/:zoneId/change-requests
+ * @desc    List change requests for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/change-requests',
+    verifyZoneOwnership,
+    [
+        query('status')
+            .optional()
+            .isIn(['pending', 'approved', 'rejected', 'applied', 'failed', 'cancelled', 'expired'])
+            .withMessage('Invalid change request status')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const where = { zone_id: req.zone.id };
+        if (req.query.status) {
+            where.status = req.query.status;
+        }
+
+        const changeRequests = await ChangeRequest.findAll({
+            where,
+            order: [['created_at', 'DESC']],
+            limit: 100
+        });
+
+        res.json({
+            change_requests: changeRequests,
+            policy: changeRequestService.getPolicy()
+        });
+    })
+);
+
 /**
  * @route   GET /api/security/:zoneId/recommendations
  * @desc    Get security recommendations for a zone
@@ -381,53 +738,89 @@ router.post('/:zoneId/bulk-update',
  */
 router.get('/:zoneId/recommendations',
     verifyZoneOwnership,
+    cloudflareApiLimiter,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
 
-        // Mock recommendations
-        const recommendations = [
-            {
-                id: 1,
-                type: 'ssl',
-                priority: 'high',
-                message: 'Enable Full (Strict) SSL mode for maximum security',
-                action: 'Update SSL mode to "strict"',
-                estimated_score_improvement: 15
-            },
-            {
-                id: 2,
-                type: 'bot_protection',
-                priority: 'medium',
-                message: 'Enable Bot Fight Mode to protect against automated attacks',
-                action: 'Enable Bot Fight Mode',
-                estimated_score_improvement: 8
-            },
-            {
-                id: 3,
-                type: 'headers',
-                priority: 'medium',
-                message: 'Enable HSTS to prevent downgrade attacks',
-                action: 'Enable HSTS security header',
-                estimated_score_improvement: 6
-            }
-        ];
+        const analysis = await recommendationService.analyze(zone);
 
         res.json({
             zone: {
                 id: zone.id,
-                name: zone.name || 'example.com'
+                name: zone.name
             },
             security_analysis: {
-                score: 75,
-                level: 'good',
-                max_score: 100
+                score: analysis.score,
+                level: analysis.level,
+                max_score: 100,
+                potential_score: Math.min(
+                    analysis.score + analysis.findings.reduce((total, finding) => total + Math.max(finding.score_delta, 0), 0),
+                    100
+                )
             },
-            recommendations,
+            recommendations: analysis.findings,
+            errors: analysis.errors.length > 0 ? analysis.errors : undefined,
             last_updated: new Date().toISOString()
         });
     })
 );
 
+/**
+ * @route   POST /api/security/:zoneId/recommendations/:id/apply
+ * @desc    Apply the fix of a security recommendation
+ * @access  Private
+ */
+router.post('/:zoneId/recommendations/:id/apply',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { id } = req.params;
+
+        const result = await recommendationService.apply(zone, id, req.user.id);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'recommendation_applied',
+                resourceType: 'security_config',
+                resourceId: id,
+                description: `Security recommendation '${result.finding.title}' applied to zone ${zone.name}`,
+                oldValues: result.previous,
+                newValues: result.finding.fix.config,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: result.finding.severity,
+                metadata: {
+                    fix: result.finding.fix,
+                    score_before: result.score_before,
+                    score_after: result.score_after
+                }
+            });
+        }
+
+        logger.userActivity(req.user.id, 'recommendation_apply', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            recommendation: id,
+            scoreBefore: result.score_before,
+            scoreAfter: result.score_after
+        });
+
+        res.json({
+            message: `Recommendation '${result.finding.title}' applied successfully`,
+            recommendation: result.finding,
+            security_score: {
+                before: result.score_before,
+                after: result.score_after
+            }
+        });
+    })
+);
+
 /**
  * @route   POST /api/security/:zoneId/backup
  * @desc    Create backup of current security configuration
@@ -466,71 +859,119 @@ router.post('/:zoneId/backup',
     })
 );
 
+/**
+ * @route   POST /api/security/:zoneId/restore/preview
+ * @desc    Preview rolling back to a recorded version or a backup file
+ * @access  Private
+ */
+router.post('/:zoneId/restore/preview',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    restoreValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        if (!rollbackService) {
+            throw new AppError('Rollback service not available', 503);
+        }
+
+        const { config, restorable_fields, ...preview } = await rollbackService.preview(req.zone, {
+            version: req.body.version,
+            backup: req.body.backup
+        });
+
+        res.json({
+            ...preview,
+            summary: {
+                cloudflare_changes: preview.changes.length,
+                skipped: preview.skipped.length,
+                local_changes: preview.local_changes.length
+            }
+        });
+    })
+);
+
 /**
  * @route   POST /api/security/:zoneId/restore
- * @desc    Restore security configuration from backup
+ * @desc    Roll security configuration back to a recorded version or a backup file
  * @access  Private
  */
 router.post('/:zoneId/restore',
     verifyZoneOwnership,
+    requireZonePermission('security'),
     cloudflareApiLimiter,
+    restoreValidation,
+    body('confirm')
+        .isString()
+        .withMessage('Confirm with the fingerprint returned by the restore preview'),
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
 
-        // Mock restore operation
-        const settingsToRestore = {
-            security_level: 'medium',
-            ssl: 'full',
-            always_use_https: true,
-            bot_fight_mode: false,
-            browser_integrity_check: true,
-            challenge_ttl: 1800,
-            development_mode: false
-        };
-
-        const result = {
-            success: true,
-            results: {},
-            errors: {}
-        };
+        if (!rollbackService) {
+            throw new AppError('Rollback service not available', 503);
+        }
 
-        // Mock successful restore
-        Object.keys(settingsToRestore).forEach(setting => {
-            result.results[setting] = { success: true };
+        const result = await rollbackService.apply(zone, {
+            version: req.body.version,
+            backup: req.body.backup
+        }, {
+            confirm: req.body.confirm,
+            onFailure: req.body.on_failure || 'revert',
+            maxRetries: req.body.max_retries !== undefined ? parseInt(req.body.max_retries) : 2,
+            userId: req.user.id
         });
 
-        // Mock audit log
+        const failed = result.results.filter(entry => ['failed', 'revert_failed'].includes(entry.status));
+
         if (AuditLog && AuditLog.createEntry) {
             await AuditLog.createEntry({
                 userId: req.user.id,
                 zoneId: zone.id,
                 action: 'security_config_restored',
                 resourceType: 'security_config',
-                description: `Security configuration restored from backup for zone ${zone.name}`,
-                newValues: settingsToRestore,
+                description: `Security configuration of zone ${zone.name} rolled back to ${result.label}` +
+                    (result.reverted ? ' (reverted after failures)' : ''),
+                oldValues: result.results.reduce((values, entry) => ({ ...values, [entry.setting]: entry.from }), {}),
+                newValues: result.results.reduce((values, entry) => ({ ...values, [entry.setting]: entry.to }), {}),
+                metadata: {
+                    target: result.target,
+                    results: result.results.map(({ setting, status, attempts, error }) => ({ setting, status, attempts, error }))
+                },
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 category: 'security',
-                severity: 'high'
+                severity: 'high',
+                status: result.success ? 'success' : 'failed',
+                errorMessage: failed.length > 0 ? `${failed.length} setting(s) could not be restored` : null
             });
         }
 
         logger.userActivity(req.user.id, 'security_restore', {
             zoneId: zone.id,
             zoneName: zone.name,
-            successful: Object.keys(result.results || {}).length,
-            failed: Object.keys(result.errors || {}).length
+            target: result.label,
+            successful: result.results.filter(entry => entry.status.startsWith('applied')).length,
+            failed: failed.length,
+            reverted: result.reverted
         });
 
-        res.json({
-            message: 'Security configuration restored successfully',
+        let message = 'Security configuration restored successfully';
+        if (result.reverted) {
+            message = 'Restore failed for some settings; applied settings were reverted';
+        } else if (result.partial) {
+            message = 'Security configuration partially restored';
+        }
+
+        res.status(result.success ? 200 : 207).json({
+            message,
+            ...result,
             summary: {
-                total: Object.keys(settingsToRestore).length,
-                successful: Object.keys(result.results || {}).length,
-                failed: Object.keys(result.errors || {}).length
+                total: result.results.length,
+                successful: result.results.filter(entry => entry.status.startsWith('applied')).length,
+                failed: result.results.filter(entry => entry.status === 'failed').length,
+                reverted: result.results.filter(entry => entry.status === 'reverted').length
             },
-            results: result.results,
-            errors: result.errors,
             restored_at: new Date().toISOString()
         });
     })
@@ -538,60 +979,40 @@ router.post('/:zoneId/restore',
 
 /**
  * @route   GET /api/security/:zoneId/templates
- * @desc    Get available security templates
+ * @desc    Get available security templates and the template the zone is linked to
  * @access  Private
  */
 router.get('/:zoneId/templates',
     verifyZoneOwnership,
     asyncHandler(async (req, res) => {
-        // Mock built-in templates
-        const builtInTemplates = [
-            {
-                id: 'basic_protection',
-                template_name: 'Basic Protection',
-                notes: 'Recommended settings for most websites',
-                settings: {
-                    security_level: 'medium',
-                    ssl_mode: 'full',
-                    always_use_https: true,
-                    bot_fight_mode: true,
-                    browser_integrity_check: true,
-                    challenge_ttl: 1800
-                }
-            },
-            {
-                id: 'high_security',
-                template_name: 'High Security',
-                notes: 'Maximum protection for sensitive websites',
-                settings: {
-                    security_level: 'high',
-                    ssl_mode: 'strict',
-                    always_use_https: true,
-                    bot_fight_mode: true,
-                    browser_integrity_check: true,
-                    challenge_ttl: 900
-                }
-            },
-            {
-                id: 'development',
-                template_name: 'Development Mode',
-                notes: 'Relaxed settings for development environments',
-                settings: {
-                    security_level: 'low',
-                    ssl_mode: 'flexible',
-                    always_use_https: false,
-                    bot_fight_mode: false,
-                    browser_integrity_check: false,
-                    development_mode: true
-                }
-            }
-        ];
+        const zone = req.zone;
+
+        if (!templateService) {
+            throw new AppError('Template service is not available', 503);
+        }
+
+        const templates = await SecurityConfig.getTemplates();
+        const securityConfig = await SecurityConfig.findByZone(zone.id);
+        let current = null;
+
+        if (securityConfig && securityConfig.template_id) {
+            const latest = templates.find(template => template.id === securityConfig.template_id);
+            current = {
+                template_id: securityConfig.template_id,
+                template_name: latest ? latest.template_name : null,
+                version: securityConfig.template_version || 'latest',
+                latest_version: latest ? latest.config_version : null,
+                parameters: securityConfig.template_values,
+                overrides: securityConfig.template_overrides
+            };
+        }
 
         res.json({
-            templates: builtInTemplates,
+            templates: await Promise.all(templates.map(template => templateService.describe(template))),
+            current_template: current,
             zone: {
-                id: req.zone.id,
-                name: req.zone.name || 'example.com'
+                id: zone.id,
+                name: zone.name
             }
         });
     })
@@ -599,16 +1020,29 @@ router.get('/:zoneId/templates',
 
 /**
  * @route   POST /api/security/:zoneId/apply-template
- * @desc    Apply security template to zone
+ * @desc    Apply security template to zone, optionally pinning a version, with parameters and local overrides
  * @access  Private
  */
 router.post('/:zoneId/apply-template',
     verifyZoneOwnership,
+    requireZonePermission('security'),
     cloudflareApiLimiter,
     [
         body('template_id')
             .notEmpty()
             .withMessage('Template ID is required'),
+        body('version')
+            .optional()
+            .custom(value => value === 'latest' || (Number.isInteger(value) && value > 0))
+            .withMessage('Version must be a positive integer or "latest"'),
+        body('parameters')
+            .optional()
+            .isObject()
+            .withMessage('Parameters must be an object'),
+        body('overrides')
+            .optional()
+            .isObject()
+            .withMessage('Overrides must be an object'),
         body('settings')
             .optional()
             .isObject()
@@ -617,71 +1051,42 @@ router.post('/:zoneId/apply-template',
     handleValidationErrors,
     asyncHandler(async (req, res) => {
         const zone = req.zone;
-        const { template_id, settings: customSettings } = req.body;
-
-        // Mock built-in templates
-        const builtInTemplates = {
-            'basic_protection': {
-                security_level: 'medium',
-                ssl: 'full',
-                always_use_https: true,
-                bot_fight_mode: true,
-                browser_integrity_check: true,
-                challenge_ttl: 1800
-            },
-            'high_security': {
-                security_level: 'high',
-                ssl: 'strict',
-                always_use_https: true,
-                bot_fight_mode: true,
-                browser_integrity_check: true,
-                challenge_ttl: 900
-            },
-            'development': {
-                security_level: 'low',
-                ssl: 'flexible',
-                always_use_https: false,
-                bot_fight_mode: false,
-                browser_integrity_check: false,
-                development_mode: true
-            }
-        };
+        const { template_id, version, parameters = {} } = req.body;
+        // `settings` is the older name for local overrides
+        const overrides = req.body.overrides || req.body.settings || {};
 
-        const templateSettings = builtInTemplates[template_id];
-        if (!templateSettings) {
-            throw new AppError('Template not found', 404);
+        if (!templateService) {
+            throw new AppError('Template service is not available', 503);
         }
 
-        // Merge with custom settings if provided
-        const finalSettings = { ...templateSettings, ...customSettings };
-
-        // Mock apply result
-        const result = {
-            success: true,
-            results: {},
-            errors: {}
-        };
-
-        Object.keys(finalSettings).forEach(setting => {
-            result.results[setting] = { success: true };
+        const result = await templateService.applyToZone(zone, template_id, {
+            version,
+            parameters,
+            overrides,
+            userId: req.user.id
         });
+        const failed = Object.keys(result.cloudflare.failed);
 
-        // Mock audit log
         if (AuditLog && AuditLog.createEntry) {
             await AuditLog.createEntry({
                 userId: req.user.id,
                 zoneId: zone.id,
                 action: 'security_template_applied',
                 resourceType: 'security_config',
-                description: `Security template '${template_id}' applied to zone ${zone.name}`,
-                newValues: finalSettings,
+                resourceId: result.security_config.id,
+                description: `Security template '${template_id}' (version ${result.template.version}) applied to zone ${zone.name}`,
+                newValues: { parameters, overrides },
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 category: 'security',
                 severity: 'medium',
+                status: result.success ? 'success' : 'failed',
+                errorMessage: failed.length > 0 ? `Failed settings: ${failed.join(', ')}` : null,
                 metadata: {
                     templateId: template_id,
-                    hasCustomSettings: !!customSettings
+                    templateVersion: result.template.version,
+                    chain: result.template.chain,
+                    changes: result.changes
                 }
             });
         }
@@ -690,97 +1095,1629 @@ router.post('/:zoneId/apply-template',
             zoneId: zone.id,
             zoneName: zone.name,
             templateId: template_id,
-            successful: Object.keys(result.results || {}).length,
-            failed: Object.keys(result.errors || {}).length
+            templateVersion: result.template.version,
+            successful: result.cloudflare.updated.length,
+            failed: failed.length
         });
 
-        res.json({
-            message: `Security template '${template_id}' applied successfully`,
+        res.status(result.success ? 200 : 207).json({
+            message: result.success ?
+                `Security template '${template_id}' applied successfully` :
+                `Security template '${template_id}' applied with some errors`,
+            template: result.template,
             summary: {
-                total: Object.keys(finalSettings).length,
-                successful: Object.keys(result.results || {}).length,
-                failed: Object.keys(result.errors || {}).length
+                total: result.cloudflare.updated.length + failed.length,
+                successful: result.cloudflare.updated.length,
+                failed: failed.length
             },
-            results: result.results,
-            errors: result.errors,
-            security_score: 85 // Mock score
+            changes: result.changes,
+            errors: result.cloudflare.failed,
+            security_score: result.security_config.getSecurityScore()
         });
     })
 );
 
 /**
  * @route   GET /api/security/:zoneId/history
- * @desc    Get security configuration change history
+ * @desc    Get security configuration version history
  * @access  Private
  */
 router.get('/:zoneId/history',
     verifyZoneOwnership,
-    asyncHandler(async (req, res) => {
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
         const { page = 1, limit = 20 } = req.query;
 
-        // Mock security history
-        const mockHistory = [
-            {
-                id: '1',
-                action: 'security_setting_updated',
-                description: 'SSL mode changed from flexible to full',
-                user: { name: 'John Doe' },
-                created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-                severity: 'medium'
-            },
-            {
-                id: '2',
-                action: 'security_template_applied',
-                description: 'Applied high security template',
-                user: { name: 'Jane Smith' },
-                created_at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-                severity: 'high'
-            }
-        ];
+        const { count, rows } = await SecurityConfigVersion.findAndCountAll({
+            where: { zone_id: zone.id },
+            attributes: ['id', 'version', 'changed_fields', 'created_by', 'created_at'],
+            include: [{
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name', 'email']
+            }],
+            order: [['version', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
 
         res.json({
             zone: {
-                id: req.zone.id,
-                name: req.zone.name || 'example.com'
+                id: zone.id,
+                name: zone.name
             },
-            history: mockHistory,
+            history: rows.map(version => ({
+                id: version.id,
+                version: version.version,
+                changed_fields: version.changed_fields,
+                user: version.author ? {
+                    id: version.author.id,
+                    name: version.author.name,
+                    email: version.author.email
+                } : null,
+                created_at: version.created_at
+            })),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
-                total: mockHistory.length,
-                pages: Math.ceil(mockHistory.length / parseInt(limit))
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
             }
         });
     })
 );
 
-// Helper functions
-function getSeverityForSetting(setting, oldValue, newValue) {
-    const criticalSettings = ['ssl', 'security_level'];
-    const highSecuritySettings = ['always_use_https', 'bot_fight_mode'];
+/**
+ * @route   GET /api/security/:zoneId/history/diff
+ * @desc    Field-level diff between two configuration versions (defaults to the latest change;
+ *          the first version is compared against an empty configuration)
+ * @access  Private
+ */
+router.get('/:zoneId/history/diff',
+    verifyZoneOwnership,
+    [
+        query('from')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('From must be a version number'),
+        query('to')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('To must be a version number')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
 
-    if (criticalSettings.includes(setting)) {
-        return 'high';
-    }
+        let to = req.query.to ? parseInt(req.query.to) : null;
+        if (!to) {
+            to = await SecurityConfigVersion.max('version', { where: { zone_id: zone.id } });
+            if (!to) {
+                throw new AppError('No configuration versions recorded for this zone', 404);
+            }
+        }
 
-    if (highSecuritySettings.includes(setting)) {
-        return 'medium';
-    }
+        // Without an earlier version to compare with, the diff starts from an empty configuration
+        let from = req.query.from ? parseInt(req.query.from) : null;
+        if (!from && to > 1) {
+            from = to - 1;
+        }
 
-    return 'low';
-}
+        const [fromVersion, toVersion] = await Promise.all([
+            from ? SecurityConfigVersion.findByVersion(zone.id, from) : null,
+            SecurityConfigVersion.findByVersion(zone.id, to)
+        ]);
 
-function getScoreImprovement(recommendationType) {
-    const improvements = {
-        'ssl': 15,
-        'https': 8,
-        'security_level': 10,
-        'bot_protection': 8,
-        'headers': 6,
-        'tls': 5
-    };
+        if ((from && !fromVersion) || !toVersion) {
+            throw new AppError(`Version ${toVersion ? from : to} not found for this zone`, 404);
+        }
 
-    return improvements[recommendationType] || 3;
-}
+        const changes = jsonDiff.diff(fromVersion ? fromVersion.snapshot : {}, toVersion.snapshot)
+            .filter(change => !['config_version', 'last_modified_by'].includes(change.path));
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            from: fromVersion ? {
+                version: fromVersion.version,
+                created_at: fromVersion.created_at
+            } : null,
+            to: {
+                version: toVersion.version,
+                created_at: toVersion.created_at
+            },
+            changes,
+            total_changes: changes.length
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/history/:version
+ * @desc    Get the full configuration snapshot of a version
+ * @access  Private
+ */
+router.get('/:zoneId/history/:version(\\d+)',
+    verifyZoneOwnership,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const version = await SecurityConfigVersion.findByVersion(zone.id, parseInt(req.params.version));
+
+        if (!version) {
+            throw new AppError('Version not found for this zone', 404);
+        }
+
+        const author = version.created_by ?
+            await User.findByPk(version.created_by, { attributes: ['id', 'name', 'email'] }) : null;
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            version: version.version,
+            changed_fields: version.changed_fields,
+            user: author,
+            created_at: version.created_at,
+            snapshot: version.snapshot
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/firewall/rules
+ * @desc    List firewall rules for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/firewall/rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.getFirewallRules(apiToken, zone.cloudflare_zone_id);
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            rules: result.rules || [],
+            total: (result.rules || []).length
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/firewall/rules
+ * @desc    Create a firewall rule
+ * @access  Private
+ */
+router.post('/:zoneId/firewall/rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    firewallRuleValidation(),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { expression, action, description, priority, paused, products } = req.body;
+
+        const ruleData = {
+            expression,
+            action,
+            description: description || `Rule created at ${new Date().toISOString()}`,
+            priority,
+            paused,
+            products
+        };
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.createFirewallRule(apiToken, zone.cloudflare_zone_id, ruleData);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rule_created',
+                resourceType: 'firewall_rule',
+                resourceId: result.rule.id,
+                description: `Firewall rule '${ruleData.description}' created for zone ${zone.name}`,
+                newValues: ruleData,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'firewall_rule_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId: result.rule.id,
+            action
+        });
+
+        res.status(201).json({
+            message: 'Firewall rule created successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/firewall/rules/import
+ * @desc    Bulk import firewall rules
+ * @access  Private
+ */
+router.post('/:zoneId/firewall/rules/import',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('rules')
+            .isArray({ min: 1, max: 500 })
+            .withMessage('Rules must be an array of 1 to 500 rules'),
+        body('rules.*.action')
+            .isIn(FIREWALL_ACTIONS)
+            .withMessage(`Every rule action must be one of: ${FIREWALL_ACTIONS.join(', ')}`),
+        body('skip_duplicates')
+            .optional()
+            .isBoolean()
+            .withMessage('Skip duplicates must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { rules, skip_duplicates = true } = req.body;
+
+        const invalid = rules.filter(rule => !(rule.filter?.expression ?? rule.expression));
+        if (invalid.length > 0) {
+            throw new AppError(`${invalid.length} rule(s) are missing an expression`, 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.importFirewallRules(apiToken, zone.cloudflare_zone_id, rules, {
+            skipDuplicates: skip_duplicates
+        });
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rules_imported',
+                resourceType: 'firewall_rule',
+                description: `${result.created.length} firewall rule(s) imported for zone ${zone.name}`,
+                newValues: { rule_ids: result.created.map(rule => rule.id) },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                status: result.success ? 'success' : 'failed',
+                errorMessage: result.failed.length > 0 ?
+                    `${result.failed.length} rule(s) failed to import` : undefined,
+                category: 'security',
+                severity: 'high',
+                metadata: {
+                    submitted: rules.length,
+                    created: result.created.length,
+                    skipped: result.skipped.length,
+                    failed: result.failed.length
+                }
+            });
+        }
+
+        logger.userActivity(req.user.id, 'firewall_rules_import', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            created: result.created.length,
+            skipped: result.skipped.length,
+            failed: result.failed.length
+        });
+
+        res.status(result.created.length > 0 ? 201 : 200).json({
+            message: result.success ?
+                'Firewall rules imported successfully' :
+                'Firewall rules imported with some errors',
+            summary: {
+                total: rules.length,
+                created: result.created.length,
+                skipped: result.skipped.length,
+                failed: result.failed.length
+            },
+            created: result.created,
+            skipped: result.skipped,
+            failed: result.failed
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/firewall/rules/reorder
+ * @desc    Change the evaluation order (priority) of firewall rules
+ * @access  Private
+ */
+router.post('/:zoneId/firewall/rules/reorder',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('order')
+            .isArray({ min: 1 })
+            .withMessage('Order must be a non-empty array of rule IDs or { id, priority } objects')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { order } = req.body;
+
+        const malformed = order.some(entry => typeof entry !== 'string' &&
+            !(entry && typeof entry.id === 'string' && Number.isInteger(entry.priority)));
+        if (malformed) {
+            throw new AppError('Each order entry must be a rule ID or an object with id and integer priority', 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.reorderFirewallRules(apiToken, zone.cloudflare_zone_id, order);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rules_reordered',
+                resourceType: 'firewall_rule',
+                description: `Firewall rule priorities changed for zone ${zone.name}`,
+                newValues: { order },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'medium'
+            });
+        }
+
+        res.json({
+            message: 'Firewall rules reordered successfully',
+            rules: result.rules
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/security/:zoneId/firewall/rules/:ruleId
+ * @desc    Update a firewall rule
+ * @access  Private
+ */
+router.put('/:zoneId/firewall/rules/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    firewallRuleValidation(true),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+        const { expression, action, description, priority, paused, products } = req.body;
+
+        const updates = { expression, action, description, priority, paused, products };
+        Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No firewall rule fields provided for update', 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.updateFirewallRule(apiToken, zone.cloudflare_zone_id, ruleId, updates);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rule_updated',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Firewall rule '${result.rule.description || ruleId}' updated for zone ${zone.name}`,
+                oldValues: {
+                    expression: result.previous.filter?.expression,
+                    action: result.previous.action,
+                    description: result.previous.description,
+                    priority: result.previous.priority,
+                    paused: result.previous.paused
+                },
+                newValues: updates,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'firewall_rule_update', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId,
+            fields: Object.keys(updates)
+        });
+
+        res.json({
+            message: 'Firewall rule updated successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/firewall/rules/:ruleId/pause
+ * @route   POST /api/security/:zoneId/firewall/rules/:ruleId/unpause
+ * @desc    Pause or resume a firewall rule
+ * @access  Private
+ */
+router.post('/:zoneId/firewall/rules/:ruleId/:toggle(pause|unpause)',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId, toggle } = req.params;
+        const paused = toggle === 'pause';
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.setFirewallRulesPaused(apiToken, zone.cloudflare_zone_id, ruleId, paused);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: paused ? 'firewall_rule_paused' : 'firewall_rule_unpaused',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Firewall rule ${ruleId} ${paused ? 'paused' : 'resumed'} for zone ${zone.name}`,
+                oldValues: { paused: !paused },
+                newValues: { paused },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: paused ? 'high' : 'medium'
+            });
+        }
+
+        res.json({
+            message: `Firewall rule ${paused ? 'paused' : 'resumed'} successfully`,
+            rule: (result.rules || []).find(rule => rule.id === ruleId) || { id: ruleId, paused }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/security/:zoneId/firewall/rules/:ruleId
+ * @desc    Delete a firewall rule
+ * @access  Private
+ */
+router.delete('/:zoneId/firewall/rules/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const current = await cloudflareService.getFirewallRule(apiToken, zone.cloudflare_zone_id, ruleId);
+        await cloudflareService.deleteFirewallRule(apiToken, zone.cloudflare_zone_id, ruleId);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rule_deleted',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Firewall rule '${current.rule.description || ruleId}' deleted from zone ${zone.name}`,
+                oldValues: current.rule,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'firewall_rule_delete', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId
+        });
+
+        res.json({
+            message: 'Firewall rule deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/custom-rules
+ * @desc    List WAF custom rules (Rulesets API) for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/custom-rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.getPhaseRules(apiToken, zone.cloudflare_zone_id, CUSTOM_RULES_PHASE);
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            ruleset_id: result.ruleset?.id || null,
+            rules: result.rules,
+            total: result.rules.length
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/custom-rules
+ * @desc    Create a WAF custom rule
+ * @access  Private
+ */
+router.post('/:zoneId/custom-rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    customRuleValidation(),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { expression, action, action_parameters, description, enabled, logging, position } = req.body;
+
+        const ruleData = { expression, action, action_parameters, description, enabled, logging };
+        Object.keys(ruleData).forEach(key => ruleData[key] === undefined && delete ruleData[key]);
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.createPhaseRule(
+            apiToken, zone.cloudflare_zone_id, CUSTOM_RULES_PHASE, ruleData, position
+        );
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'custom_rule_created',
+                resourceType: 'firewall_rule',
+                resourceId: result.rule?.id,
+                description: `Custom rule '${description || expression}' created for zone ${zone.name}`,
+                newValues: ruleData,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high',
+                metadata: { ruleset_id: result.ruleset.id, position }
+            });
+        }
+
+        logger.userActivity(req.user.id, 'custom_rule_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId: result.rule?.id,
+            action
+        });
+
+        res.status(201).json({
+            message: 'Custom rule created successfully',
+            ruleset_id: result.ruleset.id,
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/custom-rules/reorder
+ * @desc    Reorder WAF custom rules
+ * @access  Private
+ */
+router.post('/:zoneId/custom-rules/reorder',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('order')
+            .isArray({ min: 1 })
+            .withMessage('Order must be a non-empty array of rule IDs'),
+        body('order.*')
+            .isString()
+            .withMessage('Each order entry must be a rule ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { order } = req.body;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.reorderPhaseRules(
+            apiToken, zone.cloudflare_zone_id, CUSTOM_RULES_PHASE, order
+        );
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'custom_rules_reordered',
+                resourceType: 'firewall_rule',
+                resourceId: result.ruleset.id,
+                description: `Custom rules reordered for zone ${zone.name}`,
+                newValues: { order },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'medium'
+            });
+        }
+
+        res.json({
+            message: 'Custom rules reordered successfully',
+            rules: result.rules
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/custom-rules/migrate
+ * @desc    Migrate legacy firewall rules (Cloudflare and stored config) to WAF custom rules
+ * @access  Private
+ */
+router.post('/:zoneId/custom-rules/migrate',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('dry_run')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+            .withMessage('Dry run must be a boolean'),
+        body('remove_legacy')
+            .optional()
+            .isBoolean()
+            .withMessage('Remove legacy must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { dry_run = false, remove_legacy = false } = req.body;
+
+        const report = await firewallMigrationService.migrateZone(zone, {
+            dryRun: dry_run,
+            removeLegacy: remove_legacy,
+            userId: req.user.id
+        });
+
+        const summary = {
+            converted: report.converted.length,
+            skipped: report.skipped.length,
+            unconvertible: report.unconvertible.length,
+            legacy_removed: report.legacy_removed.length,
+            legacy_remove_failed: report.legacy_remove_failed.length
+        };
+
+        if (!dry_run && AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'firewall_rules_migrated',
+                resourceType: 'firewall_rule',
+                resourceId: report.ruleset_id,
+                description: `${summary.converted} legacy firewall rule(s) migrated to custom rules for zone ${zone.name}`,
+                newValues: { rule_ids: report.converted.map(entry => entry.rule.id).filter(Boolean) },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                status: report.success ? 'success' : 'failed',
+                errorMessage: summary.legacy_remove_failed > 0 ?
+                    `${summary.legacy_remove_failed} legacy rule(s) could not be removed` : undefined,
+                category: 'security',
+                severity: 'high',
+                metadata: summary
+            });
+        }
+
+        logger.userActivity(req.user.id, dry_run ? 'firewall_migration_preview' : 'firewall_migration', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ...summary
+        });
+
+        res.json({
+            message: dry_run ?
+                'Migration preview generated' :
+                'Legacy firewall rules migrated to custom rules',
+            summary,
+            report
+        });
+    })
+);
+
+/**
+ * @route   PATCH /api/security/:zoneId/custom-rules/:ruleId
+ * @desc    Update a WAF custom rule
+ * @access  Private
+ */
+router.patch('/:zoneId/custom-rules/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    customRuleValidation(true),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+        const { expression, action, action_parameters, description, enabled, logging } = req.body;
+
+        const updates = { expression, action, action_parameters, description, enabled, logging };
+        Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No custom rule fields provided for update', 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.updatePhaseRule(
+            apiToken, zone.cloudflare_zone_id, CUSTOM_RULES_PHASE, ruleId, updates
+        );
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'custom_rule_updated',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Custom rule '${result.previous.description || ruleId}' updated for zone ${zone.name}`,
+                oldValues: Object.keys(updates).reduce((values, key) => {
+                    values[key] = result.previous[key];
+                    return values;
+                }, {}),
+                newValues: updates,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'custom_rule_update', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId,
+            fields: Object.keys(updates)
+        });
+
+        res.json({
+            message: 'Custom rule updated successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/security/:zoneId/custom-rules/:ruleId
+ * @desc    Delete a WAF custom rule
+ * @access  Private
+ */
+router.delete('/:zoneId/custom-rules/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.deletePhaseRule(
+            apiToken, zone.cloudflare_zone_id, CUSTOM_RULES_PHASE, ruleId
+        );
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'custom_rule_deleted',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Custom rule '${result.rule.description || ruleId}' deleted from zone ${zone.name}`,
+                oldValues: result.rule,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'custom_rule_delete', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId
+        });
+
+        res.json({
+            message: 'Custom rule deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/access-rules
+ * @desc    Compare stored IP/country access rules with Cloudflare
+ * @access  Private
+ */
+router.get('/:zoneId/access-rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const { in_sync, securityConfig, diff } = await accessRuleSyncService.diffZone(zone);
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            local: {
+                ip_access_rules: securityConfig?.ip_access_rules || null,
+                country_access_rules: securityConfig?.country_access_rules || null
+            },
+            in_sync,
+            summary: {
+                in_sync: diff.in_sync.length,
+                local_only: diff.local_only.length,
+                remote_only: diff.remote_only.length,
+                mode_mismatch: diff.mode_mismatch.length,
+                inherited: diff.inherited.length,
+                invalid: diff.invalid.length
+            },
+            diff,
+            last_sync: securityConfig?.last_cloudflare_sync || null
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/access-rules
+ * @desc    Add an IP, CIDR range, ASN or country access rule
+ * @access  Private
+ */
+router.post('/:zoneId/access-rules',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('value')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Value must be an IP address, CIDR range, ASN or country code'),
+        body('list')
+            .isIn(ACCESS_RULE_LISTS)
+            .withMessage(`List must be one of: ${ACCESS_RULE_LISTS.join(', ')}`),
+        body('notes')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Notes must be less than 500 characters')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { value, list, notes } = req.body;
+
+        const result = await accessRuleSyncService.addEntry(zone, {
+            value,
+            list,
+            notes,
+            userId: req.user.id
+        });
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'access_rule_created',
+                resourceType: 'firewall_rule',
+                resourceId: result.rule.id,
+                description: `Access rule for ${result.rule.configuration.value} added to ${list} for zone ${zone.name}`,
+                newValues: {
+                    list,
+                    mode: result.rule.mode,
+                    target: result.rule.configuration.target,
+                    value: result.rule.configuration.value,
+                    notes
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: list === 'whitelist' ? 'high' : 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'access_rule_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId: result.rule.id,
+            list
+        });
+
+        res.status(201).json({
+            message: 'Access rule created successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/access-rules/sync
+ * @desc    Reconcile stored access rules with Cloudflare (push local or pull remote)
+ * @access  Private
+ */
+router.post('/:zoneId/access-rules/sync',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('direction')
+            .isIn(['push', 'pull'])
+            .withMessage('Direction must be push or pull'),
+        body('remove_remote_only')
+            .optional()
+            .isBoolean()
+            .withMessage('Remove remote only must be a boolean'),
+        body('dry_run')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+            .withMessage('Dry run must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { direction, remove_remote_only = false, dry_run = false } = req.body;
+
+        const result = direction === 'push' ?
+            await accessRuleSyncService.pushZone(zone, {
+                removeRemoteOnly: remove_remote_only,
+                dryRun: dry_run
+            }) :
+            await accessRuleSyncService.pullZone(zone, {
+                userId: req.user.id,
+                dryRun: dry_run
+            });
+
+        if (!dry_run && AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: direction === 'push' ? 'access_rules_pushed' : 'access_rules_pulled',
+                resourceType: direction === 'push' ? 'firewall_rule' : 'security_config',
+                description: direction === 'push' ?
+                    `Stored access rules pushed to Cloudflare for zone ${zone.name}` :
+                    `Cloudflare access rules pulled into stored config for zone ${zone.name}`,
+                newValues: direction === 'push' ?
+                    { created: result.created, updated: result.updated, deleted: result.deleted } :
+                    { ip_access_rules: result.ip_access_rules, country_access_rules: result.country_access_rules },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                status: result.success ? 'success' : 'failed',
+                errorMessage: result.failed?.length > 0 ?
+                    `${result.failed.length} access rule operation(s) failed` : undefined,
+                category: 'security',
+                severity: remove_remote_only ? 'high' : 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, `access_rules_${direction}`, {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            dryRun: dry_run
+        });
+
+        res.json({
+            message: dry_run ?
+                `Access rule ${direction} preview generated` :
+                result.success ?
+                    `Access rules ${direction === 'push' ? 'pushed' : 'pulled'} successfully` :
+                    `Access rules ${direction === 'push' ? 'pushed' : 'pulled'} with some errors`,
+            direction,
+            ...result
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/security/:zoneId/access-rules/:ruleId
+ * @desc    Delete an access rule from Cloudflare and the stored config
+ * @access  Private
+ */
+router.delete('/:zoneId/access-rules/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+
+        const result = await accessRuleSyncService.removeEntry(zone, ruleId, { userId: req.user.id });
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'access_rule_deleted',
+                resourceType: 'firewall_rule',
+                resourceId: ruleId,
+                description: `Access rule for ${result.rule.configuration.value} deleted from zone ${zone.name}`,
+                oldValues: {
+                    mode: result.rule.mode,
+                    target: result.rule.configuration.target,
+                    value: result.rule.configuration.value,
+                    notes: result.rule.notes
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'access_rule_delete', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId
+        });
+
+        res.json({
+            message: 'Access rule deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/rate-limits
+ * @desc    List rate limiting rules for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/rate-limits',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const result = await rateLimitService.listRules(zone);
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            enabled: result.enabled,
+            rules: result.rules,
+            remote_only: result.remote_only,
+            total: result.rules.length
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/rate-limits
+ * @desc    Create a rate limiting rule
+ * @access  Private
+ */
+router.post('/:zoneId/rate-limits',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    rateLimitValidation(),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const result = await rateLimitService.createRule(zone, req.body, req.user.id);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'rate_limit_created',
+                resourceType: 'rate_limit',
+                resourceId: result.rule.id,
+                description: `Rate limiting rule '${result.rule.description || result.rule.expression}' created for zone ${zone.name}`,
+                newValues: result.rule,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: result.rule.simulate ? 'low' : 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'rate_limit_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId: result.rule.id,
+            simulate: result.rule.simulate
+        });
+
+        res.status(201).json({
+            message: result.rule.simulate ?
+                'Rate limiting rule created in simulate mode' :
+                'Rate limiting rule created successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/rate-limits/:ruleId/simulate
+ * @route   POST /api/security/:zoneId/rate-limits/:ruleId/enforce
+ * @desc    Switch a rate limiting rule between logging matches only and enforcing its action
+ * @access  Private
+ */
+router.post('/:zoneId/rate-limits/:ruleId/:mode(simulate|enforce)',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId, mode } = req.params;
+        const simulate = mode === 'simulate';
+
+        const result = await rateLimitService.updateRule(zone, ruleId, { simulate }, req.user.id);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: simulate ? 'rate_limit_simulated' : 'rate_limit_enforced',
+                resourceType: 'rate_limit',
+                resourceId: ruleId,
+                description: `Rate limiting rule ${ruleId} switched to ${mode} mode for zone ${zone.name}`,
+                oldValues: { simulate: result.previous.simulate },
+                newValues: { simulate },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: simulate ? 'medium' : 'low'
+            });
+        }
+
+        res.json({
+            message: simulate ?
+                'Rate limiting rule now only logs matches' :
+                'Rate limiting rule is now enforced',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   PATCH /api/security/:zoneId/rate-limits/:ruleId
+ * @desc    Update a rate limiting rule
+ * @access  Private
+ */
+router.patch('/:zoneId/rate-limits/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    rateLimitValidation(true),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+
+        const result = await rateLimitService.updateRule(zone, ruleId, req.body, req.user.id);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'rate_limit_updated',
+                resourceType: 'rate_limit',
+                resourceId: ruleId,
+                description: `Rate limiting rule '${result.rule.description || ruleId}' updated for zone ${zone.name}`,
+                oldValues: result.previous,
+                newValues: result.rule,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'rate_limit_update', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId,
+            fields: Object.keys(req.body)
+        });
+
+        res.json({
+            message: 'Rate limiting rule updated successfully',
+            rule: result.rule
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/security/:zoneId/rate-limits/:ruleId
+ * @desc    Delete a rate limiting rule
+ * @access  Private
+ */
+router.delete('/:zoneId/rate-limits/:ruleId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleId } = req.params;
+
+        const result = await rateLimitService.deleteRule(zone, ruleId, req.user.id);
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'rate_limit_deleted',
+                resourceType: 'rate_limit',
+                resourceId: ruleId,
+                description: `Rate limiting rule '${result.rule.description || ruleId}' deleted from zone ${zone.name}`,
+                oldValues: result.rule,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: 'medium'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'rate_limit_delete', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleId
+        });
+
+        res.json({
+            message: 'Rate limiting rule deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/waf/managed
+ * @desc    Get managed WAF ruleset configuration and deployment status
+ * @access  Private
+ */
+router.get('/:zoneId/waf/managed',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const status = await managedWafService.getStatus(zone);
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            rulesets: status.rulesets,
+            owasp: status.waf.owasp,
+            overrides: status.waf.overrides,
+            in_sync: status.in_sync
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/security/:zoneId/waf/managed/:ruleset
+ * @desc    Deploy, undeploy or tune a managed WAF ruleset (cloudflare_managed or owasp_core)
+ * @access  Private
+ */
+router.put('/:zoneId/waf/managed/:ruleset(cloudflare_managed|owasp_core)',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    [
+        body('deployed')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+            .withMessage('Deployed must be a boolean'),
+        body('overrides')
+            .optional()
+            .isObject()
+            .withMessage('Overrides must be an object with rules and/or categories'),
+        body('overrides.rules')
+            .optional()
+            .isArray()
+            .withMessage('Rule overrides must be an array'),
+        body('overrides.categories')
+            .optional()
+            .isArray()
+            .withMessage('Category overrides must be an array'),
+        body('paranoia_level')
+            .optional()
+            .isInt({ min: 1, max: 4 })
+            .toInt()
+            .withMessage('Paranoia level must be between 1 and 4'),
+        body('anomaly_threshold')
+            .optional()
+            .isInt({ min: 1 })
+            .toInt()
+            .withMessage('Anomaly threshold must be a positive integer'),
+        body('action')
+            .optional()
+            .isIn(['block', 'managed_challenge', 'js_challenge', 'challenge', 'log'])
+            .withMessage('Invalid OWASP action')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { ruleset } = req.params;
+        const { deployed, overrides, paranoia_level, anomaly_threshold, action } = req.body;
+
+        if (ruleset !== 'owasp_core' && [paranoia_level, anomaly_threshold, action].some(value => value !== undefined)) {
+            throw new AppError('Paranoia level, anomaly threshold and action only apply to the OWASP ruleset', 400);
+        }
+
+        const result = await managedWafService.updateRuleset(zone, ruleset, {
+            deployed,
+            overrides,
+            paranoia_level,
+            anomaly_threshold,
+            action
+        }, req.user.id);
+
+        const wasDeployed = result.previous.managed_rules[ruleset];
+        const isDeployed = result.waf.managed_rules[ruleset];
+
+        if (AuditLog && AuditLog.createEntry) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: wasDeployed === isDeployed ?
+                    'managed_waf_updated' :
+                    (isDeployed ? 'managed_waf_deployed' : 'managed_waf_undeployed'),
+                resourceType: 'security_config',
+                resourceId: ruleset,
+                description: `Managed WAF ruleset ${ruleset} ${isDeployed ? 'deployed' : 'undeployed'} for zone ${zone.name}`,
+                oldValues: {
+                    deployed: wasDeployed,
+                    overrides: result.previous.overrides[ruleset],
+                    owasp: ruleset === 'owasp_core' ? result.previous.owasp : undefined
+                },
+                newValues: {
+                    deployed: isDeployed,
+                    overrides: result.waf.overrides[ruleset],
+                    owasp: ruleset === 'owasp_core' ? result.waf.owasp : undefined
+                },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'security',
+                severity: wasDeployed && !isDeployed ? 'critical' : 'high'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'managed_waf_update', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            ruleset,
+            deployed: isDeployed
+        });
+
+        res.json({
+            message: `Managed WAF ruleset ${ruleset} updated successfully`,
+            ruleset,
+            deployed: isDeployed,
+            overrides: result.waf.overrides[ruleset],
+            owasp: ruleset === 'owasp_core' ? result.waf.owasp : undefined,
+            security_score: result.security_score
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/drift
+ * @desc    Compare stored security configuration with live Cloudflare settings
+ * @access  Private
+ */
+router.get('/:zoneId/drift',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        if (!driftDetectionService) {
+            throw new AppError('Drift detection service not available', 503);
+        }
+
+        const result = await driftDetectionService.detect(req.zone, { userId: req.user.id });
+
+        res.json(result);
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/drift/resolve
+ * @desc    Adopt remote values or re-enforce local values for drifted settings
+ * @access  Private
+ */
+router.post('/:zoneId/drift/resolve',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    cloudflareApiLimiter,
+    driftResolveValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        if (!driftDetectionService) {
+            throw new AppError('Drift detection service not available', 503);
+        }
+
+        const result = await driftDetectionService.resolve(zone, req.body.resolutions, { userId: req.user.id });
+        const changed = result.results.filter(entry => ['adopted', 'enforced', 'failed'].includes(entry.status));
+
+        if (AuditLog && AuditLog.createEntry && changed.length > 0) {
+            await AuditLog.createEntry({
+                userId: req.user.id,
+                zoneId: zone.id,
+                action: 'security_config_drift_resolved',
+                resourceType: 'security_config',
+                description: `Resolved configuration drift on zone ${zone.name}: ` +
+                    changed.map(entry => `${entry.field} (${entry.action})`).join(', '),
+                oldValues: changed.reduce((values, entry) => ({ ...values, [entry.field]: entry.from }), {}),
+                newValues: changed.reduce((values, entry) => ({ ...values, [entry.field]: entry.to }), {}),
+                metadata: { results: result.results },
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                category: 'configuration',
+                severity: 'medium',
+                status: result.success ? 'success' : 'failed'
+            });
+        }
+
+        logger.userActivity(req.user.id, 'security_drift_resolved', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            resolved: changed.filter(entry => entry.status !== 'failed').length,
+            failed: changed.filter(entry => entry.status === 'failed').length
+        });
+
+        res.status(result.success ? 200 : 207).json({
+            message: result.success ? 'Drift resolved successfully' : 'Some settings could not be enforced',
+            ...result
+        });
+    })
+);
+
+/**
+ * @route   GET /api/security/:zoneId/scheduled-changes
+ * @desc    List scheduled and time-boxed changes for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/scheduled-changes',
+    verifyZoneOwnership,
+    asyncHandler(async (req, res) => {
+        const changes = await ScheduledChange.findAll({
+            where: { zone_id: req.zone.id },
+            order: [['starts_at', 'DESC']],
+            limit: 100
+        });
+
+        res.json({
+            zone: {
+                id: req.zone.id,
+                name: req.zone.name
+            },
+            scheduled_changes: changes
+        });
+    })
+);
+
+/**
+ * @route   POST /api/security/:zoneId/scheduled-changes
+ * @desc    Schedule a change, optionally reverted automatically at ends_at or after duration_minutes
+ * @access  Private
+ */
+router.post('/:zoneId/scheduled-changes',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    scheduledChangeValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        if (!scheduledChangeService) {
+            throw new AppError('Scheduled change service is not available', 503);
+        }
+
+        const change = await scheduledChangeService.create(zone, {
+            changes: req.body.changes,
+            startsAt: req.body.starts_at,
+            endsAt: req.body.ends_at,
+            durationMinutes: req.body.duration_minutes ? parseInt(req.body.duration_minutes) : null,
+            repeat: req.body.repeat || 'none',
+            reason: req.body.reason,
+            userId: req.user.id
+        });
+
+        logger.userActivity(req.user.id, 'scheduled_change_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            scheduledChangeId: change.id,
+            startsAt: change.starts_at,
+            endsAt: change.ends_at
+        });
+
+        if (change.status === 'pending_approval') {
+            return res.status(202).json({
+                message: 'This change requires approval; it is scheduled once its change request is approved',
+                scheduled_change: change
+            });
+        }
+
+        res.status(201).json({
+            message: change.status === 'scheduled' ?
+                'Change scheduled successfully' :
+                `Change ${change.status === 'failed' ? 'could not be applied' : 'applied'}`,
+            scheduled_change: change
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/security/:zoneId/scheduled-changes/:changeId
+ * @desc    Cancel a scheduled change; an active one is reverted
+ * @access  Private
+ */
+router.delete('/:zoneId/scheduled-changes/:changeId',
+    verifyZoneOwnership,
+    requireZonePermission('security'),
+    asyncHandler(async (req, res) => {
+        const change = await ScheduledChange.findOne({
+            where: { id: req.params.changeId, zone_id: req.zone.id }
+        });
+
+        if (!change) {
+            throw new AppError('Scheduled change not found', 404);
+        }
+
+        await scheduledChangeService.cancel(change, req.user.id);
+
+        logger.userActivity(req.user.id, 'scheduled_change_cancel', {
+            zoneId: req.zone.id,
+            scheduledChangeId: change.id
+        });
+
+        res.json({
+            message: 'Scheduled change cancelled',
+            scheduled_change: change
+        });
+    })
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,16 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 
-const { Zone, SecurityConfig, AuditLog, User } = require('../models');
+const { Zone, SecurityConfig, AuditLog, User, BulkOperation, Rollout } = require('../models');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { authenticate, verifyZoneOwnership } = require('../middleware/auth');
+const { authenticate, verifyZoneOwnership, requireZonePermission } = require('../middleware/auth');
+const { enforceChangeFreeze } = require('../middleware/changeFreeze');
 const { cloudflareApiLimiter } = require('../middleware/rateLimiter');
 const cloudflareService = require('../services/cloudflareService');
 const encryptionService = require('../services/encryptionService');
+const bulkOperationService = require('../services/bulkOperationService');
+const rolloutService = require('../services/rolloutService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -14,6 +18,13 @@ const router = express.Router();
 // All zone routes require authentication
 router.use(authenticate);
 
+// Changes are held during freeze windows; rollouts can still be paused, or aborted without rolling back
+const abortsWithoutRollback = (req) => /^\/rollouts\/[^/]+\/abort$/.test(req.path) &&
+    req.body?.rollback !== true && req.body?.rollback !== 'true';
+
+// Syncing only reads Cloudflare into the local records
+router.use(enforceChangeFreeze({ exempt: [/^\/sync$/, /^\/rollouts\/[^/]+\/pause$/, abortsWithoutRollback] }));
+
 // Validation rules
 const addZoneValidation = [
     body('cloudflare_zone_id')
@@ -32,6 +43,164 @@ const addZoneValidation = [
         .withMessage('Domain name must be valid')
 ];
 
+const DNS_RECORD_TYPES = [
+    'A', 'AAAA', 'CAA', 'CERT', 'CNAME', 'DNSKEY', 'DS', 'HTTPS', 'LOC', 'MX',
+    'NAPTR', 'NS', 'PTR', 'SMIMEA', 'SRV', 'SSHFP', 'SVCB', 'TLSA', 'TXT', 'URI'
+];
+
+const DNS_RECORD_FIELDS = ['type', 'name', 'content', 'ttl', 'proxied', 'priority', 'comment', 'tags', 'data'];
+
+const dnsRecordValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('type')
+            .isIn(DNS_RECORD_TYPES)
+            .withMessage(`Type must be one of: ${DNS_RECORD_TYPES.join(', ')}`),
+        field('name')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 255 })
+            .withMessage('Record name must be between 1 and 255 characters'),
+        body('content')
+            .optional()
+            .isString()
+            .withMessage('Content must be a string'),
+        body('ttl')
+            .optional()
+            .custom(value => value === 1 || (Number.isInteger(value) && value >= 30 && value <= 86400))
+            .withMessage('TTL must be 1 (automatic) or between 30 and 86400 seconds'),
+        body('proxied')
+            .optional()
+            .isBoolean()
+            .withMessage('Proxied must be a boolean'),
+        body('priority')
+            .optional()
+            .isInt({ min: 0, max: 65535 })
+            .withMessage('Priority must be between 0 and 65535'),
+        body('comment')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Comment must be less than 500 characters'),
+        body('tags')
+            .optional()
+            .isArray()
+            .withMessage('Tags must be an array'),
+        body('data')
+            .optional()
+            .isObject()
+            .withMessage('Data must be an object')
+    ];
+};
+
+const dnsBatchValidation = [
+    body('deletes')
+        .optional()
+        .isArray()
+        .withMessage('Deletes must be an array of record IDs'),
+    body('patches')
+        .optional()
+        .isArray()
+        .withMessage('Patches must be an array'),
+    body('patches.*.id')
+        .notEmpty()
+        .withMessage('Every patch requires a record ID'),
+    body('posts')
+        .optional()
+        .isArray()
+        .withMessage('Posts must be an array'),
+    body('posts.*.type')
+        .isIn(DNS_RECORD_TYPES)
+        .withMessage('Every new record requires a valid type'),
+    body('posts.*.name')
+        .notEmpty()
+        .withMessage('Every new record requires a name')
+];
+
+const bulkOperationValidation = [
+    body('action')
+        .isIn(['template', 'settings'])
+        .withMessage('Action must be template or settings'),
+    body('template_id')
+        .if(body('action').equals('template'))
+        .notEmpty()
+        .withMessage('Template ID is required for a template operation'),
+    body('settings')
+        .if(body('action').equals('settings'))
+        .isObject()
+        .withMessage('Settings must be an object for a settings operation'),
+    body('version')
+        .optional()
+        .custom(value => value === 'latest' || (Number.isInteger(value) && value > 0))
+        .withMessage('Version must be a positive integer or "latest"'),
+    body(['parameters', 'overrides'])
+        .optional()
+        .isObject()
+        .withMessage('Parameters and overrides must be objects'),
+    body('tags')
+        .optional()
+        .isArray()
+        .withMessage('Tags must be an array'),
+    body('plan')
+        .optional()
+        .isIn(['free', 'pro', 'business', 'enterprise'])
+        .withMessage('Plan must be free, pro, business or enterprise'),
+    body('zone_ids')
+        .optional()
+        .isArray()
+        .withMessage('Zone IDs must be an array'),
+    body('zone_ids.*')
+        .isUUID()
+        .withMessage('Every zone ID must be a valid UUID'),
+    body()
+        .custom(value => (value.tags || []).length > 0 || Boolean(value.plan) || (value.zone_ids || []).length > 0)
+        .withMessage('Select zones by tags, plan or zone_ids'),
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be less than 500 characters'),
+    body('concurrency')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Concurrency must be between 1 and 10')
+];
+
+const rolloutValidation = [
+    ...bulkOperationValidation.slice(0, -1),
+    body('canary_zone_ids')
+        .optional()
+        .isArray()
+        .withMessage('Canary zone IDs must be an array'),
+    body('canary_count')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Canary count must be between 1 and 10'),
+    body('wave_size')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Wave size must be between 1 and 50'),
+    body('soak_minutes')
+        .optional()
+        .isInt({ min: 0, max: 1440 })
+        .withMessage('Soak period must be between 0 and 1440 minutes'),
+    body(['thresholds.max_threat_rate_increase', 'thresholds.max_error_rate_increase'])
+        .optional()
+        .isFloat({ min: 0, max: 1 })
+        .withMessage('Thresholds must be fractions between 0 and 1')
+];
+
+// Keep only the fields Cloudflare accepts for a DNS record
+const pickDnsRecordFields = (source = {}) => {
+    return DNS_RECORD_FIELDS.reduce((record, field) => {
+        if (source[field] !== undefined) {
+            record[field] = source[field];
+        }
+        return record;
+    }, {});
+};
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -82,6 +251,397 @@ router.get('/',
     })
 );
 
+/**
+ * @route   POST /api/zones/sync
+ * @desc    Register and refresh every zone an API token can see, reading all pages.
+ *          Without api_token the tokens stored on the user's zones are used.
+ * @access  Private
+ */
+router.post('/sync',
+    cloudflareApiLimiter,
+    [
+        body('api_token')
+            .optional()
+            .isLength({ min: 40 })
+            .withMessage('API token appears to be invalid')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const tokens = new Set();
+        if (req.body.api_token) {
+            tokens.add(req.body.api_token);
+        } else {
+            const ownZones = await Zone.findAll({ where: { user_id: req.user.id } });
+            ownZones.forEach(zone => tokens.add(zone.getDecryptedApiToken()));
+        }
+
+        if (tokens.size === 0) {
+            throw new AppError('An API token is required to sync zones', 400);
+        }
+
+        const seen = new Set();
+        const added = [];
+        let updated = 0;
+        let skipped = 0;
+
+        for (const token of tokens) {
+            for await (const cfZone of cloudflareService.iterateZones(token)) {
+                if (seen.has(cfZone.id)) continue;
+                seen.add(cfZone.id);
+
+                const values = {
+                    name: cfZone.name,
+                    status: cfZone.status,
+                    is_paused: cfZone.paused,
+                    name_servers: cfZone.name_servers || [],
+                    original_name_servers: cfZone.original_name_servers || [],
+                    last_sync: new Date(),
+                    sync_status: 'success',
+                    sync_error: null
+                };
+
+                const existing = await Zone.findByCloudflareId(cfZone.id);
+
+                if (!existing) {
+                    const zone = await Zone.create({
+                        ...values,
+                        user_id: req.user.id,
+                        cloudflare_zone_id: cfZone.id,
+                        plan: cfZone.plan?.legacy_id || 'free',
+                        cloudflare_api_token: token,
+                        auto_sync: true
+                    });
+                    await SecurityConfig.create({ zone_id: zone.id, last_modified_by: req.user.id });
+                    added.push(zone);
+                } else if (existing.user_id === req.user.id) {
+                    await existing.update(values);
+                    updated++;
+                } else {
+                    // Registered by another user
+                    skipped++;
+                }
+            }
+        }
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'zones_synced',
+            resourceType: 'zone',
+            description: `Zones synced from Cloudflare: ${added.length} added, ${updated} updated, ${skipped} skipped`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            metadata: {
+                total: seen.size,
+                addedZoneIds: added.map(zone => zone.id),
+                updated,
+                skipped
+            }
+        });
+
+        logger.userActivity(req.user.id, 'zones_sync', {
+            total: seen.size,
+            added: added.length,
+            updated,
+            skipped
+        });
+
+        res.json({
+            message: 'Zones synced successfully',
+            total: seen.size,
+            added: added.map(zone => ({ id: zone.id, name: zone.name, cloudflare_zone_id: zone.cloudflare_zone_id })),
+            updated,
+            skipped
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/bulk-operations
+ * @desc    Apply a template or settings patch to zones selected by tags, plan or an explicit list
+ * @access  Private
+ */
+router.post('/bulk-operations',
+    cloudflareApiLimiter,
+    bulkOperationValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { action, template_id, version, parameters, overrides, settings, tags, plan, zone_ids, concurrency } = req.body;
+
+        const operation = await bulkOperationService.start(req.user.id, {
+            action,
+            payload: action === 'template' ?
+                { template_id, version, parameters: parameters || {}, overrides: overrides || {} } :
+                { settings },
+            selector: { tags: tags || [], plan: plan || null, zone_ids: zone_ids || [] },
+            concurrency: concurrency ? parseInt(concurrency) : 3,
+            reason: req.body.reason,
+            breakGlass: Boolean(req.breakGlass)
+        });
+        const summary = operation.getSummary();
+
+        if (operation.status === 'pending_approval') {
+            return res.status(202).json({
+                message: 'This operation requires approval; it runs once its change request is approved',
+                operation: summary,
+                results: operation.results
+            });
+        }
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'bulk_operation_started',
+            resourceType: 'zone',
+            resourceId: operation.id,
+            description: `Bulk ${action} operation applied to ${summary.zones} zone(s)`,
+            newValues: operation.payload,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'high',
+            status: operation.status === 'completed' ? 'success' : 'failed',
+            errorMessage: operation.status === 'completed' ? null : `${summary.by_status.failed} zone(s) failed`,
+            metadata: {
+                operationId: operation.id,
+                selector: operation.selector,
+                zoneIds: Object.keys(operation.results)
+            }
+        });
+
+        res.status(operation.status === 'completed' ? 201 : 207).json({
+            message: operation.status === 'completed' ?
+                'Bulk operation completed successfully' :
+                'Bulk operation completed with some errors; retry to run the failed zones again',
+            operation: summary,
+            results: operation.results
+        });
+    })
+);
+
+/**
+ * @route   GET /api/zones/bulk-operations/:operationId
+ * @desc    Get the per-zone report of a bulk operation
+ * @access  Private
+ */
+router.get('/bulk-operations/:operationId',
+    asyncHandler(async (req, res) => {
+        const operation = await BulkOperation.findOne({
+            where: { id: req.params.operationId, user_id: req.user.id }
+        });
+
+        if (!operation) {
+            throw new AppError('Bulk operation not found', 404);
+        }
+
+        res.json({
+            operation: {
+                ...operation.getSummary(),
+                payload: operation.payload
+            },
+            results: operation.results
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/bulk-operations/:operationId/retry
+ * @desc    Run a bulk operation again for the zones that failed
+ * @access  Private
+ */
+router.post('/bulk-operations/:operationId/retry',
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const existing = await BulkOperation.findOne({
+            where: { id: req.params.operationId, user_id: req.user.id }
+        });
+
+        if (!existing) {
+            throw new AppError('Bulk operation not found', 404);
+        }
+
+        const retried = existing.getFailedZoneIds();
+        const operation = await bulkOperationService.retry(existing, req.user.id, { breakGlass: Boolean(req.breakGlass) });
+        const stillFailed = operation.getFailedZoneIds();
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'bulk_operation_retried',
+            resourceType: 'zone',
+            resourceId: operation.id,
+            description: `Bulk ${operation.action} operation retried for ${retried.length} failed zone(s)`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'high',
+            status: stillFailed.length === 0 ? 'success' : 'failed',
+            errorMessage: stillFailed.length > 0 ? `${stillFailed.length} zone(s) still failing` : null,
+            metadata: {
+                operationId: operation.id,
+                run: operation.runs,
+                retriedZoneIds: retried
+            }
+        });
+
+        res.status(stillFailed.length === 0 ? 200 : 207).json({
+            message: stillFailed.length === 0 ?
+                'All failed zones succeeded on retry' :
+                `${stillFailed.length} zone(s) still failing`,
+            retried: retried,
+            operation: operation.getSummary(),
+            results: operation.results
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/rollouts
+ * @desc    Roll a template or settings patch out in waves, canary zones first
+ * @access  Private
+ */
+router.post('/rollouts',
+    cloudflareApiLimiter,
+    rolloutValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { action, template_id, version, parameters, overrides, settings, tags, plan, zone_ids } = req.body;
+
+        const rollout = await rolloutService.start(req.user.id, {
+            action,
+            payload: action === 'template' ?
+                { template_id, version, parameters: parameters || {}, overrides: overrides || {} } :
+                { settings },
+            selector: { tags: tags || [], plan: plan || null, zone_ids: zone_ids || [] },
+            canaryZoneIds: req.body.canary_zone_ids || [],
+            canaryCount: req.body.canary_count ? parseInt(req.body.canary_count) : 1,
+            waveSize: req.body.wave_size ? parseInt(req.body.wave_size) : 5,
+            soakMinutes: req.body.soak_minutes !== undefined ? parseInt(req.body.soak_minutes) : 30,
+            thresholds: req.body.thresholds || {},
+            reason: req.body.reason,
+            breakGlass: Boolean(req.breakGlass)
+        });
+        const progress = rollout.getProgress();
+
+        if (rollout.status === 'pending_approval') {
+            return res.status(202).json({
+                message: 'This rollout requires approval; the canary wave is applied once its change request is approved',
+                rollout: progress
+            });
+        }
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: 'rollout_started',
+            resourceType: 'zone',
+            resourceId: rollout.id,
+            description: `Staged ${action} rollout started for ${progress.zones} zone(s) in ${progress.total_waves} wave(s)`,
+            newValues: rollout.payload,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: 'high',
+            metadata: {
+                rolloutId: rollout.id,
+                selector: rollout.selector,
+                waves: rollout.waves.map(wave => wave.zone_ids),
+                soakMinutes: rollout.soak_minutes,
+                thresholds: rollout.thresholds
+            }
+        });
+
+        res.status(201).json({
+            message: 'Rollout started; canary wave applied',
+            rollout: progress
+        });
+    })
+);
+
+/**
+ * @route   GET /api/zones/rollouts/:rolloutId
+ * @desc    Get rollout progress with per-zone results
+ * @access  Private
+ */
+router.get('/rollouts/:rolloutId',
+    asyncHandler(async (req, res) => {
+        const rollout = await Rollout.findOne({
+            where: { id: req.params.rolloutId, user_id: req.user.id }
+        });
+
+        if (!rollout) {
+            throw new AppError('Rollout not found', 404);
+        }
+
+        res.json({
+            rollout: {
+                ...rollout.getProgress(),
+                payload: rollout.payload
+            },
+            waves: rollout.waves.map(wave => ({
+                index: wave.index,
+                status: wave.status,
+                zones: Object.entries(wave.zones).map(([zoneId, entry]) => ({
+                    zone_id: zoneId,
+                    zone_name: entry.zone_name,
+                    status: entry.status,
+                    error: entry.error || null,
+                    baseline: entry.baseline || null,
+                    observed: entry.observed || null
+                }))
+            }))
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/rollouts/:rolloutId/:control
+ * @desc    Pause, resume or abort a rollout (abort accepts { rollback: true })
+ * @access  Private
+ */
+router.post('/rollouts/:rolloutId/:control(pause|resume|abort)',
+    [
+        body('rollback')
+            .optional()
+            .isBoolean()
+            .withMessage('Rollback must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { control } = req.params;
+        const rollout = await Rollout.findOne({
+            where: { id: req.params.rolloutId, user_id: req.user.id }
+        });
+
+        if (!rollout) {
+            throw new AppError('Rollout not found', 404);
+        }
+
+        const rollback = req.body.rollback === true || req.body.rollback === 'true';
+        if (control === 'abort') {
+            await rolloutService.abort(rollout, { rollback });
+        } else {
+            await rolloutService[control](rollout);
+        }
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            action: `rollout_${control}`,
+            resourceType: 'zone',
+            resourceId: rollout.id,
+            description: `Rollout ${rollout.id} ${control === 'abort' ? 'aborted' : `${control}d`}` +
+                (rollback ? ' and rolled back' : ''),
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            severity: control === 'abort' ? 'high' : 'medium',
+            metadata: { rolloutId: rollout.id, wave: rollout.current_wave, rollback }
+        });
+
+        res.json({
+            message: `Rollout ${rollout.status}`,
+            rollout: rollout.getProgress()
+        });
+    })
+);
+
 /**
  * @route   GET /api/zones/:zoneId
  * @desc    Get zone details
@@ -162,7 +722,7 @@ router.post('/',
             cloudflare_zone_id,
             name: name || cfZone.name,
             status: cfZone.status,
-            plan: cfZone.plan?.name || 'free',
+            plan: cfZone.plan?.legacy_id || 'free',
             is_paused: cfZone.paused,
             name_servers: cfZone.name_servers || [],
             original_name_servers: cfZone.original_name_servers || [],
@@ -290,4 +850,316 @@ router.delete('/:zoneId',
     })
 );
 
+/**
+ * @route   GET /api/zones/:zoneId/dns
+ * @desc    List all DNS records for a zone
+ * @access  Private
+ */
+router.get('/:zoneId/dns',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    [
+        query('type')
+            .optional()
+            .isIn(DNS_RECORD_TYPES)
+            .withMessage('Invalid DNS record type'),
+        query('proxied')
+            .optional()
+            .isBoolean()
+            .withMessage('Proxied must be a boolean'),
+        query('match')
+            .optional()
+            .isIn(['any', 'all'])
+            .withMessage('Match must be "any" or "all"')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { type, name, content, proxied, match, order, direction } = req.query;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.getDnsRecords(apiToken, zone.cloudflare_zone_id, {
+            type,
+            name,
+            content,
+            proxied,
+            match,
+            order,
+            direction
+        });
+
+        res.json({
+            zone: {
+                id: zone.id,
+                name: zone.name
+            },
+            records: result.records,
+            total: result.total
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/:zoneId/dns/batch
+ * @desc    Create, update and delete several DNS records in one atomic request
+ * @access  Private
+ */
+router.post('/:zoneId/dns/batch',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    dnsBatchValidation,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const deletes = req.body.deletes || [];
+        const patches = (req.body.patches || []).map(patch => ({ id: patch.id, ...pickDnsRecordFields(patch) }));
+        const posts = (req.body.posts || []).map(pickDnsRecordFields);
+
+        const totalOperations = deletes.length + patches.length + posts.length;
+        if (totalOperations === 0) {
+            throw new AppError('No DNS operations provided', 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+
+        // Capture the records that will change so the audit trail keeps their previous state
+        const existing = await cloudflareService.getDnsRecords(apiToken, zone.cloudflare_zone_id);
+        const existingById = new Map(existing.records.map(record => [record.id, record]));
+
+        const result = await cloudflareService.batchDnsRecords(apiToken, zone.cloudflare_zone_id, {
+            deletes,
+            patches,
+            posts
+        });
+
+        const correlationId = crypto.randomUUID();
+        const auditBase = {
+            userId: req.user.id,
+            zoneId: zone.id,
+            resourceType: 'dns_record',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration',
+            correlationId,
+            metadata: { batch: true, operations: totalOperations }
+        };
+
+        await Promise.all([
+            ...deletes.map(recordId => AuditLog.createEntry({
+                ...auditBase,
+                action: 'dns_record_deleted',
+                resourceId: recordId,
+                description: `DNS record ${existingById.get(recordId)?.name || recordId} deleted from zone ${zone.name}`,
+                oldValues: existingById.get(recordId) || null
+            })),
+            ...result.patches.map(record => AuditLog.createEntry({
+                ...auditBase,
+                action: 'dns_record_updated',
+                resourceId: record.id,
+                description: `DNS record ${record.type} ${record.name} updated in zone ${zone.name}`,
+                oldValues: existingById.get(record.id) || null,
+                newValues: record
+            })),
+            ...result.posts.map(record => AuditLog.createEntry({
+                ...auditBase,
+                action: 'dns_record_created',
+                resourceId: record.id,
+                description: `DNS record ${record.type} ${record.name} created in zone ${zone.name}`,
+                newValues: record
+            }))
+        ]);
+
+        logger.userActivity(req.user.id, 'dns_batch', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            deletes: deletes.length,
+            patches: patches.length,
+            posts: posts.length
+        });
+
+        res.json({
+            message: 'DNS batch applied successfully',
+            summary: {
+                deleted: result.deletes.length,
+                updated: result.patches.length,
+                created: result.posts.length
+            },
+            results: {
+                deletes: result.deletes,
+                patches: result.patches,
+                posts: result.posts
+            },
+            correlation_id: correlationId
+        });
+    })
+);
+
+/**
+ * @route   GET /api/zones/:zoneId/dns/:recordId
+ * @desc    Get a single DNS record
+ * @access  Private
+ */
+router.get('/:zoneId/dns/:recordId',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.getDnsRecord(apiToken, zone.cloudflare_zone_id, req.params.recordId);
+
+        res.json({
+            record: result.record
+        });
+    })
+);
+
+/**
+ * @route   POST /api/zones/:zoneId/dns
+ * @desc    Create a DNS record
+ * @access  Private
+ */
+router.post('/:zoneId/dns',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    dnsRecordValidation(),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const record = pickDnsRecordFields(req.body);
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.createDnsRecord(apiToken, zone.cloudflare_zone_id, record);
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            zoneId: zone.id,
+            action: 'dns_record_created',
+            resourceType: 'dns_record',
+            resourceId: result.record.id,
+            description: `DNS record ${record.type} ${record.name} created in zone ${zone.name}`,
+            newValues: result.record,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration'
+        });
+
+        logger.userActivity(req.user.id, 'dns_record_create', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            recordId: result.record.id,
+            type: record.type,
+            name: record.name
+        });
+
+        res.status(201).json({
+            message: 'DNS record created successfully',
+            record: result.record
+        });
+    })
+);
+
+/**
+ * @route   PATCH /api/zones/:zoneId/dns/:recordId
+ * @desc    Update a DNS record
+ * @access  Private
+ */
+router.patch('/:zoneId/dns/:recordId',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    dnsRecordValidation(true),
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { recordId } = req.params;
+        const updates = pickDnsRecordFields(req.body);
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No DNS record fields provided for update', 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const current = await cloudflareService.getDnsRecord(apiToken, zone.cloudflare_zone_id, recordId);
+        const result = await cloudflareService.updateDnsRecord(apiToken, zone.cloudflare_zone_id, recordId, updates);
+
+        const oldValues = Object.keys(updates).reduce((acc, field) => {
+            acc[field] = current.record[field];
+            return acc;
+        }, {});
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            zoneId: zone.id,
+            action: 'dns_record_updated',
+            resourceType: 'dns_record',
+            resourceId: recordId,
+            description: `DNS record ${result.record.type} ${result.record.name} updated in zone ${zone.name}`,
+            oldValues,
+            newValues: updates,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration'
+        });
+
+        logger.userActivity(req.user.id, 'dns_record_update', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            recordId,
+            fields: Object.keys(updates)
+        });
+
+        res.json({
+            message: 'DNS record updated successfully',
+            record: result.record
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/zones/:zoneId/dns/:recordId
+ * @desc    Delete a DNS record
+ * @access  Private
+ */
+router.delete('/:zoneId/dns/:recordId',
+    verifyZoneOwnership,
+    requireZonePermission('dns'),
+    cloudflareApiLimiter,
+    asyncHandler(async (req, res) => {
+        const zone = req.zone;
+        const { recordId } = req.params;
+
+        const apiToken = zone.getDecryptedApiToken();
+        const current = await cloudflareService.getDnsRecord(apiToken, zone.cloudflare_zone_id, recordId);
+        await cloudflareService.deleteDnsRecord(apiToken, zone.cloudflare_zone_id, recordId);
+
+        await AuditLog.createEntry({
+            userId: req.user.id,
+            zoneId: zone.id,
+            action: 'dns_record_deleted',
+            resourceType: 'dns_record',
+            resourceId: recordId,
+            description: `DNS record ${current.record.type} ${current.record.name} deleted from zone ${zone.name}`,
+            oldValues: current.record,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            category: 'configuration'
+        });
+
+        logger.userActivity(req.user.id, 'dns_record_delete', {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            recordId
+        });
+
+        res.json({
+            message: 'DNS record deleted successfully'
+        });
+    })
+);
+
 module.exports = router;
\ No newline at end of file
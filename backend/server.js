@@ -100,6 +100,33 @@ async function initializeDatabase() {
     }
 }
 
+/**
+ * Pick up background work that was in progress before the restart
+ */
+async function resumeBackgroundJobs() {
+    if (!sequelize) {
+        return;
+    }
+
+    try {
+        const rolloutService = require('./services/rolloutService');
+        const resumed = await rolloutService.resumeActive();
+        if (resumed > 0) {
+            console.log(`🌊 Resumed ${resumed} staged rollout(s)`);
+        }
+    } catch (error) {
+        console.warn('⚠️  Could not resume staged rollouts:', error.message);
+    }
+
+    try {
+        const scheduledChangeService = require('./services/scheduledChangeService');
+        await scheduledChangeService.start();
+        console.log('⏰ Scheduled change runner started');
+    } catch (error) {
+        console.warn('⚠️  Could not start scheduled change runner:', error.message);
+    }
+}
+
 /**
  * Start the server
  */
@@ -109,6 +136,7 @@ async function startServer() {
 
         // Initialize database
         await initializeDatabase();
+        await resumeBackgroundJobs();
 
         // Start server
         const server = app.listen(PORT, () => {
@@ -0,0 +1,419 @@
+const net = require('net');
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// SecurityConfig list name -> Cloudflare access rule mode
+const LIST_MODES = {
+    whitelist: 'whitelist',
+    blacklist: 'block',
+    challenge: 'challenge'
+};
+
+// Cloudflare access rule mode -> SecurityConfig list name
+const MODE_LISTS = {
+    whitelist: 'whitelist',
+    block: 'blacklist',
+    challenge: 'challenge',
+    js_challenge: 'challenge',
+    managed_challenge: 'challenge'
+};
+
+// Two-character country codes, including Cloudflare's T1 for Tor; a leading letter keeps two-digit ASNs out
+const COUNTRY_CODE = /^[A-Za-z][A-Za-z0-9]$/;
+
+// Prefix lengths Cloudflare accepts for ip_range targets
+const RANGE_PREFIXES = {
+    4: [16, 24],
+    6: [32, 48, 64]
+};
+
+class AccessRuleSyncService {
+    /**
+     * Work out the Cloudflare target for a locally stored entry.
+     * Returns { target, value } or { reason } when Cloudflare cannot express it.
+     */
+    classifyEntry(rawValue, column) {
+        const value = String(rawValue || '').trim();
+
+        if (!value) {
+            return { reason: 'Empty value' };
+        }
+
+        if (column === 'country_access_rules') {
+            return COUNTRY_CODE.test(value) ?
+                { target: 'country', value: value.toUpperCase() } :
+                { reason: 'Country must be a two-letter country code' };
+        }
+
+        const asn = value.match(/^(?:AS)?(\d+)$/i);
+        if (asn && !net.isIP(value)) {
+            return { target: 'asn', value: `AS${asn[1]}` };
+        }
+
+        if (net.isIPv4(value)) {
+            return { target: 'ip', value };
+        }
+
+        if (net.isIPv6(value)) {
+            return { target: 'ip6', value: value.toLowerCase() };
+        }
+
+        const [address, prefixText, extra] = value.split('/');
+        const version = net.isIP(address);
+        const prefix = Number(prefixText);
+
+        if (extra !== undefined || !version || !/^\d+$/.test(prefixText || '')) {
+            return { reason: 'Not an IP address, CIDR range or ASN' };
+        }
+
+        if ((version === 4 && prefix === 32) || (version === 6 && prefix === 128)) {
+            return { target: version === 4 ? 'ip' : 'ip6', value: version === 4 ? address : address.toLowerCase() };
+        }
+
+        if (!RANGE_PREFIXES[version].includes(prefix)) {
+            return { reason: `Cloudflare only accepts /${RANGE_PREFIXES[version].join(', /')} ranges for IPv${version}` };
+        }
+
+        return { target: 'ip_range', value: `${version === 4 ? address : address.toLowerCase()}/${prefix}` };
+    }
+
+    /**
+     * Flatten the whitelist/blacklist/challenge lists of both columns into entries
+     */
+    getLocalEntries(securityConfig) {
+        const entries = [];
+        const invalid = [];
+
+        ['ip_access_rules', 'country_access_rules'].forEach(column => {
+            const lists = securityConfig?.[column] || {};
+
+            Object.keys(LIST_MODES).forEach(list => {
+                (lists[list] || []).forEach(item => {
+                    const rawValue = typeof item === 'object' && item !== null ? item.value : item;
+                    const notes = typeof item === 'object' && item !== null ? item.notes : undefined;
+                    const classified = this.classifyEntry(rawValue, column);
+
+                    if (classified.reason) {
+                        invalid.push({ column, list, value: rawValue, reason: classified.reason });
+                        return;
+                    }
+
+                    entries.push({ column, list, target: classified.target, value: classified.value, notes });
+                });
+            });
+        });
+
+        return { entries, invalid };
+    }
+
+    /**
+     * Cloudflare access rule mode for a SecurityConfig list name
+     */
+    modeForList(list) {
+        return LIST_MODES[list];
+    }
+
+    entryKey(target, value) {
+        return `${target}:${value}`;
+    }
+
+    /**
+     * Compare the stored lists with the zone's Cloudflare access rules
+     */
+    async diffZone(zone, securityConfig = null) {
+        const config = securityConfig || await SecurityConfig.findByZone(zone.id);
+        const { entries, invalid } = this.getLocalEntries(config);
+
+        const apiToken = zone.getDecryptedApiToken();
+        const { rules } = await cloudflareService.getAccessRules(apiToken, zone.cloudflare_zone_id);
+
+        // Rules inherited from the account or organisation cannot be managed per zone
+        const inherited = rules.filter(rule => rule.scope?.type && rule.scope.type !== 'zone');
+        const remoteByKey = new Map();
+
+        rules
+            .filter(rule => !inherited.includes(rule))
+            .forEach(rule => {
+                const { target, value } = rule.configuration;
+                const normalised = target === 'ip6' || target === 'ip_range' ? value.toLowerCase() :
+                    target === 'country' || target === 'asn' ? value.toUpperCase() : value;
+                remoteByKey.set(this.entryKey(target, normalised), rule);
+            });
+
+        const diff = {
+            in_sync: [],
+            local_only: [],
+            remote_only: [],
+            mode_mismatch: [],
+            inherited: inherited.map(rule => ({
+                id: rule.id,
+                target: rule.configuration.target,
+                value: rule.configuration.value,
+                mode: rule.mode,
+                scope: rule.scope.type
+            })),
+            invalid
+        };
+
+        const localKeys = new Map();
+
+        entries.forEach(entry => {
+            const key = this.entryKey(entry.target, entry.value);
+
+            if (localKeys.has(key)) {
+                const first = localKeys.get(key);
+                if (first.list !== entry.list) {
+                    diff.invalid.push({
+                        column: entry.column,
+                        list: entry.list,
+                        value: entry.value,
+                        reason: `Also listed in ${first.list}`
+                    });
+                }
+                return;
+            }
+
+            localKeys.set(key, entry);
+            const remote = remoteByKey.get(key);
+
+            if (!remote) {
+                diff.local_only.push(entry);
+            } else if (MODE_LISTS[remote.mode] !== entry.list) {
+                diff.mode_mismatch.push({ ...entry, remote_id: remote.id, remote_mode: remote.mode });
+            } else {
+                diff.in_sync.push({ ...entry, remote_id: remote.id });
+            }
+        });
+
+        remoteByKey.forEach((rule, key) => {
+            if (!localKeys.has(key)) {
+                diff.remote_only.push({
+                    id: rule.id,
+                    target: rule.configuration.target,
+                    value: rule.configuration.value,
+                    mode: rule.mode,
+                    list: MODE_LISTS[rule.mode] || null,
+                    notes: rule.notes
+                });
+            }
+        });
+
+        return {
+            in_sync: diff.local_only.length === 0 && diff.remote_only.length === 0 && diff.mode_mismatch.length === 0,
+            securityConfig: config,
+            diff
+        };
+    }
+
+    /**
+     * Push the stored lists to Cloudflare.
+     * Local-only entries are created and mismatched modes corrected; remote-only
+     * rules are deleted only when `removeRemoteOnly` is set.
+     */
+    async pushZone(zone, { removeRemoteOnly = false, dryRun = false } = {}) {
+        const { diff, securityConfig } = await this.diffZone(zone);
+        const result = { created: [], updated: [], deleted: [], failed: [] };
+
+        if (dryRun) {
+            return { success: true, dry_run: true, diff, ...result };
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+
+        for (const entry of diff.local_only) {
+            try {
+                const { rule } = await cloudflareService.createAccessRule(apiToken, cloudflareZoneId, {
+                    mode: LIST_MODES[entry.list],
+                    target: entry.target,
+                    value: entry.value,
+                    notes: entry.notes
+                });
+                result.created.push({ id: rule.id, target: entry.target, value: entry.value, mode: rule.mode });
+            } catch (error) {
+                result.failed.push({ operation: 'create', target: entry.target, value: entry.value, error: error.message });
+            }
+        }
+
+        for (const entry of diff.mode_mismatch) {
+            try {
+                const { rule } = await cloudflareService.updateAccessRule(apiToken, cloudflareZoneId, entry.remote_id, {
+                    mode: LIST_MODES[entry.list]
+                });
+                result.updated.push({ id: rule.id, value: entry.value, from: entry.remote_mode, to: rule.mode });
+            } catch (error) {
+                result.failed.push({ operation: 'update', id: entry.remote_id, value: entry.value, error: error.message });
+            }
+        }
+
+        if (removeRemoteOnly) {
+            for (const rule of diff.remote_only) {
+                try {
+                    await cloudflareService.deleteAccessRule(apiToken, cloudflareZoneId, rule.id);
+                    result.deleted.push({ id: rule.id, value: rule.value, mode: rule.mode });
+                } catch (error) {
+                    result.failed.push({ operation: 'delete', id: rule.id, value: rule.value, error: error.message });
+                }
+            }
+        }
+
+        if (securityConfig && result.failed.length === 0) {
+            await securityConfig.update({ last_cloudflare_sync: new Date() });
+        }
+
+        logger.cloudflareApi('PUSH_ACCESS_RULES', cloudflareZoneId, result.failed.length === 0, {
+            created: result.created.length,
+            updated: result.updated.length,
+            deleted: result.deleted.length,
+            failed: result.failed.length
+        });
+
+        return {
+            success: result.failed.length === 0,
+            dry_run: false,
+            diff,
+            ...result
+        };
+    }
+
+    /**
+     * Replace the stored lists with the zone's Cloudflare access rules.
+     * Entries Cloudflare could not represent are dropped and reported.
+     */
+    async pullZone(zone, { userId = null, dryRun = false } = {}) {
+        const { diff, securityConfig } = await this.diffZone(zone);
+
+        const columns = {
+            ip_access_rules: { whitelist: [], blacklist: [], challenge: [] },
+            country_access_rules: { whitelist: [], blacklist: [], challenge: [] }
+        };
+
+        const remoteRules = [
+            ...diff.in_sync,
+            ...diff.mode_mismatch.map(entry => ({ ...entry, list: MODE_LISTS[entry.remote_mode] })),
+            ...diff.remote_only
+        ];
+
+        remoteRules.forEach(rule => {
+            if (!rule.list) {
+                return;
+            }
+
+            const column = rule.target === 'country' ? 'country_access_rules' : 'ip_access_rules';
+            columns[column][rule.list].push(rule.notes ? { value: rule.value, notes: rule.notes } : rule.value);
+        });
+
+        if (!dryRun) {
+            const config = securityConfig || await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+
+            await config.update({
+                ip_access_rules: { ...config.ip_access_rules, ...columns.ip_access_rules },
+                country_access_rules: { ...config.country_access_rules, ...columns.country_access_rules },
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+        }
+
+        return {
+            success: true,
+            dry_run: dryRun,
+            diff,
+            dropped: diff.invalid,
+            ...columns
+        };
+    }
+
+    /**
+     * Create an access rule on Cloudflare and record it in the stored lists
+     */
+    async addEntry(zone, { value, list, notes, userId = null }) {
+        const column = COUNTRY_CODE.test(String(value).trim()) ? 'country_access_rules' : 'ip_access_rules';
+        const classified = this.classifyEntry(value, column);
+
+        if (classified.reason) {
+            throw new AppError(`Invalid access rule value '${value}': ${classified.reason}`, 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const existing = await cloudflareService.getAccessRules(apiToken, zone.cloudflare_zone_id, {
+            target: classified.target,
+            value: classified.value
+        });
+
+        if (existing.rules.length > 0) {
+            throw new AppError(`An access rule for ${classified.value} already exists`, 409);
+        }
+
+        const { rule } = await cloudflareService.createAccessRule(apiToken, zone.cloudflare_zone_id, {
+            mode: LIST_MODES[list],
+            target: classified.target,
+            value: classified.value,
+            notes
+        });
+
+        const config = await SecurityConfig.findByZone(zone.id) ||
+            await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+        const lists = { whitelist: [], blacklist: [], challenge: [], ...config[column] };
+
+        await config.update({
+            [column]: {
+                ...lists,
+                [list]: [...lists[list], notes ? { value: classified.value, notes } : classified.value]
+            },
+            last_modified_by: userId
+        });
+
+        return {
+            success: true,
+            column,
+            rule
+        };
+    }
+
+    /**
+     * Delete an access rule on Cloudflare and drop it from the stored lists
+     */
+    async removeEntry(zone, ruleId, { userId = null } = {}) {
+        const apiToken = zone.getDecryptedApiToken();
+        const { rules } = await cloudflareService.getAccessRules(apiToken, zone.cloudflare_zone_id);
+        const rule = rules.find(candidate => candidate.id === ruleId);
+
+        if (!rule) {
+            throw new AppError('Access rule not found', 404);
+        }
+
+        if (rule.scope?.type && rule.scope.type !== 'zone') {
+            throw new AppError(`Access rule is inherited from the ${rule.scope.type} and cannot be deleted per zone`, 400);
+        }
+
+        await cloudflareService.deleteAccessRule(apiToken, zone.cloudflare_zone_id, ruleId);
+
+        const config = await SecurityConfig.findByZone(zone.id);
+        if (config) {
+            const column = rule.configuration.target === 'country' ? 'country_access_rules' : 'ip_access_rules';
+            const key = this.entryKey(rule.configuration.target, rule.configuration.value.toLowerCase());
+            const lists = { ...config[column] };
+
+            Object.keys(LIST_MODES).forEach(list => {
+                lists[list] = (lists[list] || []).filter(item => {
+                    const classified = this.classifyEntry(typeof item === 'object' && item !== null ? item.value : item, column);
+                    return classified.reason || this.entryKey(classified.target, classified.value.toLowerCase()) !== key;
+                });
+            });
+
+            await config.update({ [column]: lists, last_modified_by: userId });
+        }
+
+        return {
+            success: true,
+            rule
+        };
+    }
+}
+
+// Create singleton instance
+const accessRuleSyncService = new AccessRuleSyncService();
+
+module.exports = accessRuleSyncService;
\ No newline at end of file
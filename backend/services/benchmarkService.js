@@ -0,0 +1,298 @@
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const { isOn } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const TLS_ORDER = ['1.0', '1.1', '1.2', '1.3'];
+const SIX_MONTHS_SECONDS = 15552000;
+
+const hstsOf = (values) => values.security_header?.strict_transport_security || {};
+
+/**
+ * Benchmark controls. `settings` are the Cloudflare zone settings collected as evidence and
+ * `check` receives their values keyed by setting name.
+ */
+const CONTROLS = [
+    {
+        id: '1.1',
+        section: 'TLS and HTTPS',
+        title: 'SSL/TLS encryption mode is Full (Strict)',
+        severity: 'high',
+        settings: ['ssl'],
+        check: (values) => values.ssl === 'strict',
+        remediation: 'Install a valid origin certificate, then set the `ssl` zone setting to `strict` ' +
+            '(SSL/TLS > Overview > Full (strict)).'
+    },
+    {
+        id: '1.2',
+        section: 'TLS and HTTPS',
+        title: 'All HTTP requests are redirected to HTTPS',
+        severity: 'high',
+        settings: ['always_use_https'],
+        check: (values) => isOn(values.always_use_https),
+        remediation: 'Set the `always_use_https` zone setting to `on` (SSL/TLS > Edge Certificates > Always Use HTTPS).'
+    },
+    {
+        id: '1.3',
+        section: 'TLS and HTTPS',
+        title: 'Minimum TLS version is 1.2 or newer',
+        severity: 'high',
+        settings: ['min_tls_version'],
+        check: (values) => TLS_ORDER.indexOf(values.min_tls_version) >= TLS_ORDER.indexOf('1.2'),
+        remediation: 'Set the `min_tls_version` zone setting to `1.2` or `1.3` ' +
+            '(SSL/TLS > Edge Certificates > Minimum TLS Version).'
+    },
+    {
+        id: '1.4',
+        section: 'TLS and HTTPS',
+        title: 'TLS 1.3 is enabled',
+        severity: 'medium',
+        settings: ['tls_1_3'],
+        check: (values) => ['on', 'zrt'].includes(values.tls_1_3),
+        remediation: 'Set the `tls_1_3` zone setting to `on` (SSL/TLS > Edge Certificates > TLS 1.3).'
+    },
+    {
+        id: '1.5',
+        section: 'TLS and HTTPS',
+        title: 'Automatic HTTPS rewrites are enabled',
+        severity: 'low',
+        settings: ['automatic_https_rewrites'],
+        check: (values) => isOn(values.automatic_https_rewrites),
+        remediation: 'Set the `automatic_https_rewrites` zone setting to `on` to avoid mixed content.'
+    },
+    {
+        id: '2.1',
+        section: 'Security headers',
+        title: 'HSTS is enabled with a max-age of at least 6 months',
+        severity: 'medium',
+        settings: ['security_header'],
+        check: (values) => hstsOf(values).enabled === true && (hstsOf(values).max_age || 0) >= SIX_MONTHS_SECONDS,
+        remediation: `Enable HTTP Strict Transport Security with max_age of at least ${SIX_MONTHS_SECONDS} seconds ` +
+            'in the `security_header` zone setting (SSL/TLS > Edge Certificates > HSTS).'
+    },
+    {
+        id: '2.2',
+        section: 'Security headers',
+        title: 'HSTS covers subdomains',
+        severity: 'low',
+        settings: ['security_header'],
+        check: (values) => hstsOf(values).include_subdomains === true,
+        remediation: 'Set `include_subdomains` to true in the `security_header` zone setting once every subdomain serves HTTPS.'
+    },
+    {
+        id: '2.3',
+        section: 'Security headers',
+        title: 'X-Content-Type-Options: nosniff is sent',
+        severity: 'low',
+        settings: ['security_header'],
+        check: (values) => hstsOf(values).nosniff === true,
+        remediation: 'Set `nosniff` to true in the `security_header` zone setting.'
+    },
+    {
+        id: '3.1',
+        section: 'Threat protection',
+        title: 'Security level is medium or higher',
+        severity: 'medium',
+        settings: ['security_level'],
+        check: (values) => !['off', 'essentially_off', 'low'].includes(values.security_level),
+        remediation: 'Set the `security_level` zone setting to `medium` or higher (Security > Settings).'
+    },
+    {
+        id: '3.2',
+        section: 'Threat protection',
+        title: 'Browser integrity check is enabled',
+        severity: 'medium',
+        settings: ['browser_integrity_check'],
+        check: (values) => isOn(values.browser_integrity_check),
+        remediation: 'Set the `browser_integrity_check` zone setting to `on` (Security > Settings).'
+    },
+    {
+        id: '3.3',
+        section: 'Threat protection',
+        title: 'Challenge passage lasts at most one hour',
+        severity: 'low',
+        settings: ['challenge_ttl'],
+        check: (values) => Number(values.challenge_ttl) <= 3600,
+        remediation: 'Set the `challenge_ttl` zone setting to 3600 seconds or less (Security > Settings > Challenge Passage).'
+    },
+    {
+        id: '4.1',
+        section: 'Operations',
+        title: 'Development mode is off',
+        severity: 'medium',
+        settings: ['development_mode'],
+        check: (values) => !isOn(values.development_mode),
+        remediation: 'Set the `development_mode` zone setting to `off`; it bypasses the cache and should only be used briefly.'
+    },
+    {
+        id: '4.2',
+        section: 'Operations',
+        title: 'Email addresses are obfuscated',
+        severity: 'low',
+        settings: ['email_obfuscation'],
+        check: (values) => isOn(values.email_obfuscation),
+        remediation: 'Set the `email_obfuscation` zone setting to `on` (Scrape Shield).'
+    }
+];
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+class BenchmarkService {
+    getControls() {
+        return CONTROLS.map(({ check, ...control }) => control);
+    }
+
+    /**
+     * Read every setting the controls need. Settings that cannot be read are reported under `errors`.
+     */
+    async collectEvidence(zone) {
+        const apiToken = zone.getDecryptedApiToken();
+        const names = [...new Set(CONTROLS.flatMap(control => control.settings))];
+        const results = await Promise.allSettled(names.map(name =>
+            cloudflareService.getZoneSetting(apiToken, zone.cloudflare_zone_id, name)));
+
+        const settings = {};
+        const errors = {};
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled' && result.value) {
+                settings[names[index]] = {
+                    value: result.value.value,
+                    modified_on: result.value.modified_on || null,
+                    editable: result.value.editable
+                };
+            } else {
+                errors[names[index]] = result.reason?.message || 'Setting not returned';
+            }
+        });
+
+        return { settings, errors, collected_at: new Date().toISOString() };
+    }
+
+    /**
+     * Evaluate every control for a zone, with the evidence behind each verdict
+     */
+    async run(zone) {
+        const [evidence, securityConfig] = await Promise.all([
+            this.collectEvidence(zone),
+            SecurityConfig.findByZone(zone.id)
+        ]);
+        const values = Object.entries(evidence.settings)
+            .reduce((all, [name, setting]) => ({ ...all, [name]: setting.value }), {});
+
+        const controls = CONTROLS.map(control => {
+            const missing = control.settings.filter(name => !(name in evidence.settings));
+            let status;
+            if (missing.length > 0) {
+                status = 'error';
+            } else {
+                try {
+                    status = control.check(values) ? 'pass' : 'fail';
+                } catch (error) {
+                    logger.warn(`Benchmark control ${control.id} could not be evaluated: ${error.message}`);
+                    status = 'error';
+                }
+            }
+
+            return {
+                id: control.id,
+                section: control.section,
+                title: control.title,
+                severity: control.severity,
+                status,
+                evidence: control.settings.map(name => ({
+                    setting: name,
+                    value: evidence.settings[name]?.value,
+                    modified_on: evidence.settings[name]?.modified_on || null,
+                    error: evidence.errors[name]
+                })),
+                remediation: status === 'pass' ? null : control.remediation
+            };
+        });
+
+        const count = (status) => controls.filter(control => control.status === status).length;
+        const assessed = count('pass') + count('fail');
+
+        return {
+            benchmark: 'Cloudflare zone security baseline',
+            summary: {
+                controls: controls.length,
+                passed: count('pass'),
+                failed: count('fail'),
+                errors: count('error'),
+                score: assessed > 0 ? Math.round((count('pass') / assessed) * 100) : 0
+            },
+            evidence_collected_at: evidence.collected_at,
+            last_synced_at: securityConfig?.last_cloudflare_sync || null,
+            controls
+        };
+    }
+
+    /**
+     * Render a security report that carries a benchmark as a standalone HTML document
+     */
+    renderHtml(report) {
+        const { zone, report_period: period, executive_summary: summary, benchmark } = report;
+        const statusColor = { pass: '#28a745', fail: '#dc3545', error: '#6c757d' };
+
+        const rows = benchmark.controls.map(control => `
+            <tr>
+                <td>${escapeHtml(control.id)}</td>
+                <td>${escapeHtml(control.title)}<br><small>${escapeHtml(control.section)} &middot; ${escapeHtml(control.severity)}</small></td>
+                <td style="color: ${statusColor[control.status]}; font-weight: bold;">${escapeHtml(control.status.toUpperCase())}</td>
+                <td>${control.evidence.map(item => `<code>${escapeHtml(item.setting)}</code> = ` +
+                    (item.error ?
+                        `<em>unavailable (${escapeHtml(item.error)})</em>` :
+                        `<code>${escapeHtml(JSON.stringify(item.value))}</code>` +
+                        (item.modified_on ? `<br><small>modified ${escapeHtml(item.modified_on)}</small>` : ''))
+                ).join('<br>')}</td>
+                <td>${escapeHtml(control.remediation || '')}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Security benchmark report - ${escapeHtml(zone.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 32px; color: #333; }
+        h1 { color: #f38020; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; font-size: 14px; }
+        th { background: #f5f5f5; }
+        .summary td { border: none; padding: 4px 16px 4px 0; }
+    </style>
+</head>
+<body>
+    <h1>Security benchmark report</h1>
+    <p><strong>${escapeHtml(zone.name)}</strong> (${escapeHtml(zone.plan)} plan) &middot;
+        ${escapeHtml(period.since)} to ${escapeHtml(period.until)}</p>
+    <table class="summary">
+        <tr><td>Benchmark</td><td>${escapeHtml(benchmark.benchmark)}</td></tr>
+        <tr><td>Score</td><td>${benchmark.summary.score}% (${benchmark.summary.passed} passed, ${benchmark.summary.failed} failed, ${benchmark.summary.errors} not assessed)</td></tr>
+        <tr><td>Evidence collected</td><td>${escapeHtml(benchmark.evidence_collected_at)}</td></tr>
+        <tr><td>Last synced with Cloudflare</td><td>${escapeHtml(benchmark.last_synced_at ? new Date(benchmark.last_synced_at).toISOString() : 'never')}</td></tr>
+        <tr><td>Requests / blocked threats</td><td>${summary.total_requests} / ${summary.blocked_threats}</td></tr>
+    </table>
+    <h2>Controls</h2>
+    <table>
+        <thead>
+            <tr><th>ID</th><th>Control</th><th>Status</th><th>Evidence</th><th>Remediation</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    <p><small>Generated ${escapeHtml(report.generated_at)}</small></p>
+</body>
+</html>`;
+    }
+}
+
+// Create singleton instance
+const benchmarkService = new BenchmarkService();
+
+module.exports = benchmarkService;
\ No newline at end of file
@@ -0,0 +1,360 @@
+const { Op } = require('sequelize');
+const { Zone, SecurityConfig, BulkOperation } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const templateService = require('./templateService');
+const freezeService = require('./freezeService');
+const changeRequestService = require('./changeRequestService');
+const { AppError } = require('../middleware/errorHandler');
+const { SETTING_MAP, getPath, toCloudflareValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+// Template links are restored together with the settings
+const TEMPLATE_FIELDS = ['template_id', 'template_version', 'template_values', 'template_overrides'];
+
+class BulkOperationService {
+    /**
+     * Zones of a user matching a selector. An explicit zone list wins; otherwise zones
+     * must carry at least one of the tags and be on the plan, when those are given.
+     */
+    async selectZones(userId, { tags = [], plan = null, zone_ids: zoneIds = [] } = {}) {
+        const where = { user_id: userId, status: { [Op.ne]: 'deleted' } };
+
+        if (zoneIds.length > 0) {
+            where.id = zoneIds;
+        } else if (plan) {
+            where.plan = plan;
+        }
+
+        const zones = await Zone.findAll({ where, order: [['name', 'ASC']] });
+
+        if (zoneIds.length > 0 || tags.length === 0) {
+            return zones;
+        }
+
+        return zones.filter(zone => (zone.tags || []).some(tag => tags.includes(tag)));
+    }
+
+    /**
+     * Check the payload before any zone is touched
+     */
+    validatePayload(action, payload) {
+        const settings = action === 'template' ? payload.overrides || {} : payload.settings;
+
+        if (action === 'template') {
+            if (!payload.template_id) {
+                throw new AppError('A template ID is required', 400);
+            }
+        } else if (!settings || Object.keys(settings).length === 0) {
+            throw new AppError('At least one setting is required', 400);
+        }
+
+        templateService.validateSettings(settings);
+    }
+
+    /**
+     * Cloudflare settings the operation changes on at least one of the zones. A template only
+     * changes the settings whose rendered value differs from a zone's stored config.
+     */
+    async findChangedSettings(action, payload, zones) {
+        if (action !== 'template') {
+            return SETTING_MAP.filter(({ field }) => getPath(payload.settings, field) !== undefined).map(({ setting }) => setting);
+        }
+
+        const { template_id: templateId, version, parameters = {}, overrides = {} } = payload;
+        const resolved = await templateService.resolve(() => SecurityConfig.resolveTemplate(templateId, version === 'latest' ? null : version));
+        const config = await templateService.resolve(async () => SecurityConfig.renderTemplate(resolved, parameters, overrides));
+        const stored = await SecurityConfig.findAll({ where: { zone_id: zones.map(zone => zone.id) } });
+        const storedConfigs = zones.map(zone => {
+            const securityConfig = stored.find(candidate => candidate.zone_id === zone.id);
+            return securityConfig ? securityConfig.toJSON() : {};
+        });
+
+        return SETTING_MAP
+            .filter(({ field }) => getPath(config, field) !== undefined && storedConfigs.some(storedConfig =>
+                JSON.stringify(getPath(config, field)) !== JSON.stringify(getPath(storedConfig, field))))
+            .map(({ setting }) => setting);
+    }
+
+    /**
+     * Open a change request when the operation changes settings that need approval.
+     * Returns the request, or null when the change can go ahead.
+     */
+    async requestApprovalIfRequired(userId, { action, payload, zones, kind, reason = null }) {
+        const severity = changeRequestService.settingsSeverity(await this.findChangedSettings(action, payload, zones));
+        if (!changeRequestService.requiresApproval(severity)) {
+            return null;
+        }
+
+        return changeRequestService.create(null, {
+            changes: payload,
+            severity,
+            reason,
+            scope: `${zones.length} zone(s) through a ${action} ${kind}`,
+            userId
+        });
+    }
+
+    /**
+     * Push a settings patch to a zone and store the fields Cloudflare accepted.
+     * Only configuration fields are stored; bookkeeping columns in the patch are ignored.
+     * Settings that need approval are refused unless the change was `approved` through a change request.
+     */
+    async applySettings(zone, settings, userId, { approved = false } = {}) {
+        const cloudflareSettings = SETTING_MAP.reduce((values, mapping) => {
+            const value = getPath(settings, mapping.field);
+            if (value !== undefined) {
+                values[mapping.setting] = toCloudflareValue(mapping, value);
+            }
+            return values;
+        }, {});
+
+        if (!approved) {
+            changeRequestService.ensureApprovalNotRequired(Object.keys(cloudflareSettings));
+        }
+
+        const result = Object.keys(cloudflareSettings).length > 0 ?
+            await cloudflareService.bulkUpdateSettings(zone.getDecryptedApiToken(), zone.cloudflare_zone_id, cloudflareSettings) :
+            { errors: {} };
+        const failed = result.errors || {};
+
+        const failedFields = SETTING_MAP
+            .filter(({ setting }) => failed[setting])
+            .map(({ field }) => field.split('.')[0]);
+        const configFields = SecurityConfig.getConfigFields();
+        const accepted = Object.keys(settings)
+            .filter(field => configFields.includes(field) && !failedFields.includes(field))
+            .reduce((values, field) => ({ ...values, [field]: settings[field] }), {});
+
+        if (Object.keys(accepted).length > 0) {
+            const securityConfig = await SecurityConfig.findByZone(zone.id) ||
+                await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+            await securityConfig.update({
+                ...accepted,
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+        }
+
+        return {
+            updated: Object.keys(cloudflareSettings).filter(setting => !failed[setting]),
+            failed
+        };
+    }
+
+    /**
+     * Live Cloudflare values and stored config fields a change is about to overwrite,
+     * so the zone can be put back with restoreState
+     */
+    async captureState(zone, action, payload) {
+        const apiToken = zone.getDecryptedApiToken();
+        const mappings = action === 'template' ?
+            SETTING_MAP :
+            SETTING_MAP.filter(({ field }) => payload.settings[field.split('.')[0]] !== undefined);
+        const settings = {};
+
+        for (const { setting } of mappings) {
+            const current = await cloudflareService.getZoneSetting(apiToken, zone.cloudflare_zone_id, setting);
+            settings[setting] = current.value;
+        }
+
+        const securityConfig = await SecurityConfig.findByZone(zone.id);
+        const fields = [...new Set(mappings.map(({ field }) => field.split('.')[0]))];
+        const config = securityConfig ?
+            [...fields, ...(action === 'template' ? TEMPLATE_FIELDS : [])]
+                .reduce((values, field) => ({ ...values, [field]: securityConfig[field] }), {}) :
+            null;
+
+        return { settings, config };
+    }
+
+    /**
+     * Push captured settings back to Cloudflare; the stored config is restored only when all of them succeed
+     */
+    async restoreState(zone, previous, userId) {
+        const result = await cloudflareService.bulkUpdateSettings(
+            zone.getDecryptedApiToken(),
+            zone.cloudflare_zone_id,
+            previous.settings
+        );
+        const failed = Object.keys(result.errors || {});
+
+        if (failed.length === 0 && previous.config) {
+            const securityConfig = await SecurityConfig.findByZone(zone.id);
+            if (securityConfig) {
+                await securityConfig.update({ ...previous.config, last_modified_by: userId });
+            }
+        }
+
+        return { failed };
+    }
+
+    /**
+     * Apply a bulk operation or rollout to one zone. Only those released by an approved change request carry one.
+     */
+    async runZone(operation, zone, userId) {
+        if (!zone.canPerformAction('security')) {
+            throw new Error('Zone API token is not permitted to manage security');
+        }
+
+        const approved = Boolean(operation.change_request_id);
+
+        if (operation.action === 'template') {
+            const { template_id: templateId, version, parameters, overrides } = operation.payload;
+            const result = await templateService.applyToZone(zone, templateId, { version, parameters, overrides, userId, approved });
+            return { ...result.cloudflare, template_version: result.template.version };
+        }
+
+        return this.applySettings(zone, operation.payload.settings, userId, { approved });
+    }
+
+    /**
+     * Run the operation on the given zones, `concurrency` at a time.
+     * Results are saved as each zone finishes so a crash leaves an accurate report.
+     * Zones under a change freeze are left failed for a later retry unless the freeze was overridden.
+     */
+    async execute(operation, zones, userId, { breakGlass = false } = {}) {
+        const results = { ...operation.results };
+        let saving = Promise.resolve();
+        const save = (values) => {
+            saving = saving.then(() => operation.update({ ...values, results: { ...results } }));
+            return saving;
+        };
+
+        zones.forEach(zone => {
+            results[zone.id] = { ...results[zone.id], zone_name: zone.name, status: 'pending' };
+        });
+        await save({ status: 'running', runs: operation.runs + 1, started_at: operation.started_at || new Date() });
+
+        const freezes = breakGlass ? [] : await freezeService.findActive();
+        const queue = [...zones];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const zone = queue.shift();
+                const freeze = freezes.find(candidate => candidate.covers(zone));
+
+                if (freeze) {
+                    results[zone.id] = {
+                        zone_name: zone.name,
+                        status: 'failed',
+                        attempts: results[zone.id].attempts || 0,
+                        error: freezeService.describe(freeze),
+                        held_by_freeze: freeze.id,
+                        finished_at: new Date()
+                    };
+                    await save({});
+                    continue;
+                }
+
+                const attempts = (results[zone.id].attempts || 0) + 1;
+
+                try {
+                    const outcome = await this.runZone(operation, zone, userId);
+                    const failed = Object.keys(outcome.failed || {});
+
+                    results[zone.id] = {
+                        zone_name: zone.name,
+                        status: failed.length === 0 ? 'succeeded' : 'failed',
+                        attempts,
+                        ...outcome,
+                        error: failed.length > 0 ? `Failed settings: ${failed.join(', ')}` : null,
+                        finished_at: new Date()
+                    };
+                } catch (error) {
+                    logger.error(`Bulk operation ${operation.id} failed for zone ${zone.id}:`, error);
+                    results[zone.id] = {
+                        zone_name: zone.name,
+                        status: 'failed',
+                        attempts,
+                        error: error.message,
+                        finished_at: new Date()
+                    };
+                }
+
+                await save({});
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(operation.concurrency, zones.length) }, worker));
+
+        const statuses = Object.values(results).map(result => result.status);
+        const failed = statuses.filter(status => status === 'failed').length;
+        const status = failed === 0 ? 'completed' : (failed === statuses.length ? 'failed' : 'partial');
+        await save({ status, completed_at: new Date() });
+
+        logger.userActivity(userId, 'bulk_operation_run', {
+            operationId: operation.id,
+            action: operation.action,
+            zones: zones.length,
+            failed,
+            run: operation.runs
+        });
+
+        return operation;
+    }
+
+    /**
+     * Select the zones, record the operation and run it. An operation changing settings that need
+     * approval waits in pending_approval and runs once its change request is approved.
+     */
+    async start(userId, { action, payload, selector, concurrency = 3, reason = null, breakGlass = false }) {
+        this.validatePayload(action, payload);
+
+        const zones = await this.selectZones(userId, selector);
+        if (zones.length === 0) {
+            throw new AppError('No zones match the selection', 404);
+        }
+
+        const request = await this.requestApprovalIfRequired(userId, { action, payload, zones, kind: 'bulk operation', reason });
+        const operation = await BulkOperation.create({
+            user_id: userId,
+            action,
+            payload,
+            selector,
+            concurrency,
+            status: request ? 'pending_approval' : 'pending',
+            change_request_id: request ? request.id : null,
+            results: zones.reduce((results, zone) => ({ ...results, [zone.id]: { zone_name: zone.name, status: 'pending' } }), {})
+        });
+
+        if (request) {
+            return operation;
+        }
+
+        return this.execute(operation, zones, userId, { breakGlass });
+    }
+
+    /**
+     * Run the operation again for the zones that failed last time
+     */
+    async retry(operation, userId, { breakGlass = false } = {}) {
+        if (['pending_approval', 'pending', 'running'].includes(operation.status)) {
+            throw new AppError(`Bulk operation is ${operation.status === 'pending_approval' ? 'waiting for approval' : 'still running'}`, 409);
+        }
+
+        const failedZoneIds = operation.getFailedZoneIds();
+        if (failedZoneIds.length === 0) {
+            throw new AppError('Bulk operation has no failed zones to retry', 400);
+        }
+
+        const zones = await Zone.findAll({ where: { id: failedZoneIds, user_id: userId } });
+        const missing = failedZoneIds.filter(zoneId => !zones.some(zone => zone.id === zoneId));
+        if (missing.length > 0) {
+            const results = { ...operation.results };
+            missing.forEach(zoneId => {
+                results[zoneId] = { ...results[zoneId], status: 'skipped', error: 'Zone no longer exists' };
+            });
+            await operation.update({ results });
+        }
+
+        if (zones.length === 0) {
+            throw new AppError('None of the failed zones exist anymore', 404);
+        }
+
+        return this.execute(operation, zones, userId, { breakGlass });
+    }
+}
+
+// Create singleton instance
+const bulkOperationService = new BulkOperationService();
+
+module.exports = bulkOperationService;
\ No newline at end of file
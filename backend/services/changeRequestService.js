@@ -0,0 +1,351 @@
+const { Zone, SecurityConfig, ChangeRequest, ScheduledChange, BulkOperation, Rollout, AuditLog } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { SETTING_MAP, getPath, toLocalValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Severities that need a second person's approval (empty disables approvals) and who may approve
+const APPROVAL_POLICY = {
+    severities: splitList(process.env.APPROVAL_REQUIRED_SEVERITIES ?? 'high,critical'),
+    approverRoles: splitList(process.env.APPROVER_ROLES || 'admin'),
+    expiryHours: parseInt(process.env.APPROVAL_EXPIRY_HOURS) || 72
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Severity of changing a Cloudflare setting; anything not listed is low
+const SETTING_SEVERITY = {
+    ssl: 'high',
+    security_level: 'high',
+    always_use_https: 'medium',
+    bot_fight_mode: 'medium'
+};
+
+class ChangeRequestService {
+    getPolicy() {
+        return { ...APPROVAL_POLICY };
+    }
+
+    requiresApproval(severity) {
+        return APPROVAL_POLICY.severities.includes(severity);
+    }
+
+    canApprove(user) {
+        return APPROVAL_POLICY.approverRoles.includes(user.role);
+    }
+
+    highestSeverity(severities) {
+        return severities.reduce((highest, severity) =>
+            (SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(highest) ? severity : highest), 'low');
+    }
+
+    settingSeverity(setting) {
+        return SETTING_SEVERITY[setting] || 'low';
+    }
+
+    /**
+     * Severity of changing a set of Cloudflare settings: the highest of them
+     */
+    settingsSeverity(settings) {
+        return this.highestSeverity(settings.map(setting => this.settingSeverity(setting)));
+    }
+
+    /**
+     * Severity of a SecurityConfig patch: the highest of the Cloudflare settings it touches
+     */
+    changeSeverity(changes) {
+        return this.settingsSeverity(SETTING_MAP
+            .filter(({ field }) => getPath(changes, field) !== undefined)
+            .map(({ setting }) => setting));
+    }
+
+    /**
+     * Refuse to push Cloudflare settings that need approval. Every write path outside
+     * the change request flow calls this before touching the zone.
+     */
+    ensureApprovalNotRequired(settings, action = 'This change') {
+        const gated = settings.filter(setting => this.requiresApproval(this.settingSeverity(setting)));
+
+        if (gated.length > 0) {
+            throw new AppError(`${action} changes ${gated.join(', ')}, which requires approval; ` +
+                'request it through PATCH /api/security/:zoneId/:setting or POST /api/security/:zoneId/bulk-update', 403);
+        }
+    }
+
+    /**
+     * Turn Cloudflare setting values into a SecurityConfig patch.
+     * Nested fields such as scrape_shield keep their other keys.
+     */
+    toLocalChanges(settings, securityConfig = null) {
+        return Object.entries(settings).reduce((changes, [setting, value]) => {
+            const mapping = SETTING_MAP.find(entry => entry.setting === setting);
+            if (!mapping) {
+                throw new AppError(`Setting ${setting} cannot be stored locally`, 400);
+            }
+
+            const [field, key] = mapping.field.split('.');
+            const localValue = toLocalValue(mapping, value);
+            if (key) {
+                changes[field] = { ...(securityConfig?.[field] || {}), ...changes[field], [key]: localValue };
+            } else {
+                changes[field] = localValue;
+            }
+            return changes;
+        }, {});
+    }
+
+    /**
+     * Record a change for approval instead of applying it. Bulk operations and rollouts pass no zone
+     * and describe what they cover in `scope`; their `changes` are the operation payload.
+     */
+    async create(zone, { changes, severity, reason = null, scope = null, userId, ipAddress = null, userAgent = null }) {
+        const securityConfig = zone ? await SecurityConfig.findByZone(zone.id) : null;
+        const previous = zone ? Object.keys(changes).reduce((values, field) => ({
+            ...values,
+            [field]: securityConfig ? securityConfig[field] : null
+        }), {}) : {};
+
+        const request = await ChangeRequest.create({
+            zone_id: zone ? zone.id : null,
+            changes,
+            previous_values: previous,
+            severity,
+            reason,
+            requested_by: userId,
+            expires_at: new Date(Date.now() + APPROVAL_POLICY.expiryHours * 60 * 60 * 1000)
+        });
+
+        const entry = await AuditLog.createEntry({
+            userId,
+            zoneId: zone ? zone.id : null,
+            action: 'security_change_requested',
+            resourceType: 'security_config',
+            resourceId: request.id,
+            description: `Approval requested for ${severity}-severity change on ${zone ? `zone ${zone.name}` : scope}: ` +
+                Object.keys(changes).join(', '),
+            oldValues: previous,
+            newValues: changes,
+            ipAddress,
+            userAgent,
+            status: 'pending',
+            category: 'security',
+            severity,
+            metadata: { changeRequestId: request.id, reason }
+        });
+        await request.update({ audit_log_id: entry.id });
+
+        logger.userActivity(userId, 'security_change_requested', {
+            zoneId: zone ? zone.id : null,
+            changeRequestId: request.id,
+            fields: Object.keys(changes)
+        });
+
+        return request;
+    }
+
+    /**
+     * Move the request's audit entry along with the request
+     */
+    async settleAuditEntry(request, status, errorMessage = null) {
+        if (!request.audit_log_id) return;
+
+        await AuditLog.update(
+            { status, error_message: errorMessage },
+            { where: { id: request.audit_log_id } }
+        );
+    }
+
+    /**
+     * A scheduled change, bulk operation or rollout waiting on the request is released on approval
+     * and cancelled otherwise. Released operations and rollouts are started by the reviewer.
+     */
+    async settleHeldChanges(request, approved, error = null) {
+        const where = { change_request_id: request.id, status: 'pending_approval' };
+        const [scheduledChange, operation, rollout] = await Promise.all([
+            ScheduledChange.findOne({ where }),
+            BulkOperation.findOne({ where }),
+            Rollout.findOne({ where })
+        ]);
+
+        if (scheduledChange) {
+            await scheduledChange.update(approved ? { status: 'scheduled', error: null } : { status: 'cancelled', error });
+        }
+        if (operation) {
+            await operation.update({ status: approved ? 'pending' : 'cancelled' });
+        }
+        if (rollout) {
+            await rollout.update(approved ? { status: 'running' } : { status: 'cancelled', error, completed_at: new Date() });
+        }
+
+        return { scheduledChange, operation, rollout };
+    }
+
+    /**
+     * Run a released bulk operation and settle the request with its outcome
+     */
+    async runOperation(request, operation) {
+        // Imported here to avoid circular dependency
+        const bulkOperationService = require('./bulkOperationService');
+
+        const zones = await Zone.findAll({ where: { id: Object.keys(operation.results), user_id: operation.user_id } });
+        await bulkOperationService.execute(operation, zones, operation.user_id);
+
+        const failed = operation.getFailedZoneIds();
+        await request.update({
+            status: failed.length === 0 ? 'applied' : 'failed',
+            result: { bulk_operation_id: operation.id, status: operation.status, failed_zone_ids: failed },
+            applied_at: new Date()
+        });
+        await this.settleAuditEntry(request, failed.length === 0 ? 'success' : 'failed',
+            failed.length > 0 ? `${failed.length} zone(s) failed` : null);
+    }
+
+    async ensureReviewable(request) {
+        if (request.status === 'pending' && request.isExpired()) {
+            await request.update({ status: 'expired' });
+            await this.settleAuditEntry(request, 'failed', 'Change request expired before review');
+            await this.settleHeldChanges(request, false, 'Change request expired before review');
+        }
+
+        if (request.status !== 'pending') {
+            throw new AppError(`Change request is already ${request.status}`, 409);
+        }
+    }
+
+    /**
+     * Move a pending request on. The update only matches while the request is still pending,
+     * so when two reviews race only one of them goes ahead.
+     */
+    async claim(request, values) {
+        const [updated] = await ChangeRequest.update(values, { where: { id: request.id, status: 'pending' } });
+        await request.reload();
+
+        if (updated === 0) {
+            throw new AppError(`Change request is already ${request.status}`, 409);
+        }
+    }
+
+    /**
+     * Approve (and apply) or reject a request. The reviewer must hold an approver role
+     * and must not be the person who asked for the change.
+     */
+    async review(request, reviewer, { decision, comment = null, ipAddress = null, userAgent = null }) {
+        await this.ensureReviewable(request);
+
+        if (!this.canApprove(reviewer)) {
+            throw new AppError('Your role is not permitted to review change requests', 403);
+        }
+        if (reviewer.id === request.requested_by) {
+            throw new AppError('A change must be reviewed by someone other than its requester', 403);
+        }
+
+        const zone = request.zone_id ? await Zone.findByPk(request.zone_id) : null;
+        if (request.zone_id && !zone) {
+            throw new AppError('Zone of the change request no longer exists', 404);
+        }
+
+        await this.claim(request, {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            reviewed_by: reviewer.id,
+            review_comment: comment,
+            reviewed_at: new Date()
+        });
+
+        // Scheduled changes and rollouts are only released here; the scheduler and the rollout waves apply them
+        const { scheduledChange, operation, rollout } = await this.settleHeldChanges(request, decision === 'approve',
+            `Change request rejected${comment ? `: ${comment}` : ''}`);
+
+        if (decision === 'approve' && (scheduledChange || rollout)) {
+            await this.settleAuditEntry(request, 'success');
+        } else if (decision === 'approve' && operation) {
+            try {
+                await this.runOperation(request, operation);
+            } catch (error) {
+                logger.error(`Failed to run bulk operation ${operation.id} of change request ${request.id}:`, error);
+                await request.update({ status: 'failed', result: { bulk_operation_id: operation.id, error: error.message } });
+                await this.settleAuditEntry(request, 'failed', error.message);
+            }
+        } else if (decision === 'approve') {
+            // Imported here to avoid circular dependency
+            const bulkOperationService = require('./bulkOperationService');
+
+            try {
+                const result = await bulkOperationService.applySettings(zone, request.changes, reviewer.id, { approved: true });
+                const failed = Object.keys(result.failed || {});
+
+                await request.update({
+                    status: failed.length === 0 ? 'applied' : 'failed',
+                    result,
+                    applied_at: new Date()
+                });
+                await this.settleAuditEntry(request, failed.length === 0 ? 'success' : 'failed',
+                    failed.length > 0 ? `Failed settings: ${failed.join(', ')}` : null);
+            } catch (error) {
+                logger.error(`Failed to apply change request ${request.id}:`, error);
+                await request.update({ status: 'failed', result: { error: error.message } });
+                await this.settleAuditEntry(request, 'failed', error.message);
+            }
+        } else {
+            await this.settleAuditEntry(request, 'failed', `Rejected by reviewer${comment ? `: ${comment}` : ''}`);
+        }
+
+        await AuditLog.createEntry({
+            userId: reviewer.id,
+            zoneId: zone ? zone.id : null,
+            action: decision === 'approve' ? 'security_change_approved' : 'security_change_rejected',
+            resourceType: 'security_config',
+            resourceId: request.id,
+            description: `Change request ${request.id}${zone ? ` on zone ${zone.name}` : ''} ` +
+                (decision === 'approve' ? 'approved' : 'rejected'),
+            newValues: decision === 'approve' ? request.changes : null,
+            ipAddress,
+            userAgent,
+            status: request.status === 'failed' ? 'failed' : 'success',
+            category: 'security',
+            severity: request.severity,
+            metadata: {
+                changeRequestId: request.id,
+                scheduledChangeId: scheduledChange ? scheduledChange.id : null,
+                bulkOperationId: operation ? operation.id : null,
+                rolloutId: rollout ? rollout.id : null,
+                requestedBy: request.requested_by,
+                comment,
+                result: request.result
+            }
+        });
+
+        logger.userActivity(reviewer.id, `security_change_${decision === 'approve' ? 'approved' : 'rejected'}`, {
+            zoneId: zone ? zone.id : null,
+            changeRequestId: request.id,
+            status: request.status
+        });
+
+        if (decision === 'approve' && rollout) {
+            // Imported here to avoid circular dependency
+            const rolloutService = require('./rolloutService');
+            await rolloutService.runWave(rollout);
+        }
+
+        return request;
+    }
+
+    async cancel(request, userId) {
+        await this.ensureReviewable(request);
+
+        if (request.requested_by !== userId) {
+            throw new AppError('Only the requester can cancel a change request', 403);
+        }
+
+        await this.claim(request, { status: 'cancelled' });
+        await this.settleAuditEntry(request, 'failed', 'Cancelled by requester');
+        await this.settleHeldChanges(request, false, 'Change request cancelled');
+
+        return request;
+    }
+}
+
+// Create singleton instance
+const changeRequestService = new ChangeRequestService();
+
+module.exports = changeRequestService;
\ No newline at end of file
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Failures that say something about the token or the API rather than the request. A 403 only
+// means the token lacks one permission, so it must not stop calls to the endpoints it may use.
+const countsForBreaker = (error) => {
+    const status = error.response?.status;
+    return status ? status === 401 || status >= 500 : RETRYABLE_CODES.includes(error.code);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Integer from the environment; unlike `parseInt() || fallback` this keeps an explicit 0
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Seconds or an HTTP date, as sent in Retry-After
+ */
+const parseRetryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Resilience layer for Cloudflare API clients, attached as axios interceptors.
+ * Per API token it keeps a sliding-window request budget (Cloudflare allows 1200 requests
+ * per 5 minutes), queueing calls once the budget is spent or a 429 asked us to back off,
+ * and a circuit breaker that stops calls after repeated auth or server failures, each call
+ * counted once after its retries.
+ * Idempotent calls are retried with jittered exponential backoff; any call rejected with
+ * 429 is retried after Retry-After, since Cloudflare did not process it.
+ */
+class CloudflareApiClient {
+    constructor() {
+        this.options = {
+            maxRetries: envInt('CLOUDFLARE_API_MAX_RETRIES', 3),
+            retryBaseMs: envInt('CLOUDFLARE_API_RETRY_BASE_MS', 500),
+            retryMaxMs: parseInt(process.env.CLOUDFLARE_API_RETRY_MAX_MS) || 30000,
+            budget: parseInt(process.env.CLOUDFLARE_API_RATE_LIMIT) || 1200,
+            budgetWindowMs: parseInt(process.env.CLOUDFLARE_API_RATE_WINDOW_MS) || 5 * 60 * 1000,
+            breakerThreshold: parseInt(process.env.CLOUDFLARE_API_BREAKER_THRESHOLD) || 5,
+            breakerCooldownMs: parseInt(process.env.CLOUDFLARE_API_BREAKER_COOLDOWN_MS) || 60 * 1000
+        };
+        this.tokens = new Map();
+    }
+
+    configure(options = {}) {
+        Object.assign(this.options, options);
+        return this;
+    }
+
+    /**
+     * Forget all per-token state
+     */
+    reset() {
+        this.tokens.clear();
+    }
+
+    keyOf(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex').substring(0, 16);
+    }
+
+    stateOf(token) {
+        const key = this.keyOf(token);
+
+        if (!this.tokens.has(key)) {
+            this.tokens.set(key, {
+                key,
+                sent: [],
+                pausedUntil: 0,
+                queue: Promise.resolve(),
+                waiting: 0,
+                breaker: { state: 'closed', failures: 0, openedAt: 0, trial: false }
+            });
+        }
+
+        return this.tokens.get(key);
+    }
+
+    /**
+     * Budget and breaker state for a token, for diagnostics
+     */
+    getStatus(token) {
+        const state = this.stateOf(token);
+        const now = Date.now();
+
+        return {
+            requests_in_window: state.sent.filter(time => now - time < this.options.budgetWindowMs).length,
+            budget: this.options.budget,
+            queued: state.waiting,
+            paused_until: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+            breaker: state.breaker.state
+        };
+    }
+
+    /**
+     * Wait for a slot in the token's budget. Callers are served in order.
+     */
+    acquire(state) {
+        state.waiting++;
+
+        const turn = state.queue.then(async () => {
+            for (;;) {
+                const now = Date.now();
+                state.sent = state.sent.filter(time => now - time < this.options.budgetWindowMs);
+
+                let waitMs = state.pausedUntil - now;
+                if (state.sent.length >= this.options.budget) {
+                    waitMs = Math.max(waitMs, state.sent[0] + this.options.budgetWindowMs - now);
+                }
+
+                if (waitMs <= 0) {
+                    state.sent.push(now);
+                    return;
+                }
+
+                logger.cloudflareApi('RATE_LIMIT_WAIT', null, true, { token: state.key, waitMs, queued: state.waiting });
+                await sleep(waitMs);
+            }
+        });
+
+        state.queue = turn.finally(() => {
+            state.waiting--;
+        });
+
+        return turn;
+    }
+
+    checkBreaker(state) {
+        const { breaker } = state;
+        if (breaker.state === 'closed') return;
+
+        const remaining = breaker.openedAt + this.options.breakerCooldownMs - Date.now();
+
+        // After the cooldown one trial call decides whether the breaker closes again
+        if (remaining <= 0 && !breaker.trial) {
+            breaker.state = 'half_open';
+            breaker.trial = true;
+            return;
+        }
+
+        const error = new AppError(
+            'Cloudflare API calls for this token are suspended after repeated failures; ' +
+            `retry in ${Math.max(Math.ceil(remaining / 1000), 1)} seconds`,
+            503
+        );
+        error.circuitOpen = true;
+        throw error;
+    }
+
+    recordSuccess(state) {
+        if (state.breaker.state !== 'closed') {
+            logger.cloudflareApi('CIRCUIT_CLOSED', null, true, { token: state.key });
+        }
+        state.breaker = { state: 'closed', failures: 0, openedAt: 0, trial: false };
+    }
+
+    recordFailure(state, error) {
+        const status = error.response?.status;
+        const { breaker } = state;
+
+        if (!countsForBreaker(error)) {
+            if (breaker.state === 'half_open') {
+                // Any other answer to the trial call shows the API is reachable; a 429 or 5xx earns another trial
+                if (status && status !== 429 && status < 500) {
+                    this.recordSuccess(state);
+                } else {
+                    breaker.trial = false;
+                }
+            }
+            return;
+        }
+
+        breaker.failures++;
+        if (breaker.state === 'half_open' || breaker.failures >= this.options.breakerThreshold) {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+            breaker.trial = false;
+            logger.cloudflareApi('CIRCUIT_OPEN', null, false, { token: state.key, failures: breaker.failures, status });
+        }
+    }
+
+    isRetryable(error, config) {
+        const status = error.response?.status;
+        if (status === 429) return true;
+
+        const idempotent = config.idempotent ?? IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+        if (!idempotent) return false;
+
+        return status ? RETRYABLE_STATUSES.includes(status) : RETRYABLE_CODES.includes(error.code);
+    }
+
+    /**
+     * Full-jitter exponential backoff, unless the response says how long to wait
+     */
+    retryDelay(error, attempt) {
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null) return Math.min(retryAfter, this.options.retryMaxMs * 10);
+
+        const ceiling = Math.min(this.options.retryMaxMs, this.options.retryBaseMs * 2 ** attempt);
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    /**
+     * Install the budget, breaker and retry interceptors on an axios instance bound to a token.
+     * Install before any error-mapping interceptor so retries see the raw response.
+     */
+    attach(client, token) {
+        const state = this.stateOf(token);
+
+        client.interceptors.request.use(async (config) => {
+            this.checkBreaker(state);
+            await this.acquire(state);
+            return config;
+        });
+
+        client.interceptors.response.use(
+            (response) => {
+                this.recordSuccess(state);
+                return response;
+            },
+            async (error) => {
+                const config = error.config;
+                if (error.circuitOpen || !config) {
+                    throw error;
+                }
+
+                // A half-open trial is not retried: its answer alone decides the breaker
+                const attempt = config.retryAttempt || 0;
+                if (attempt >= this.options.maxRetries || !this.isRetryable(error, config) ||
+                    state.breaker.state === 'half_open') {
+                    this.recordFailure(state, error);
+                    throw error;
+                }
+
+                const delay = this.retryDelay(error, attempt);
+                if (error.response?.status === 429) {
+                    // Hold every queued call for this token, not only the one that was rejected
+                    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+                }
+
+                logger.cloudflareApi('RETRY', null, false, {
+                    method: config.method?.toUpperCase(),
+                    url: config.url,
+                    status: error.response?.status,
+                    code: error.code,
+                    attempt: attempt + 1,
+                    delayMs: delay
+                });
+
+                if (error.response?.status !== 429) {
+                    await sleep(delay);
+                }
+
+                return client.request({ ...config, retryAttempt: attempt + 1 });
+            }
+        );
+
+        return client;
+    }
+}
+
+// Create singleton instance
+const cloudflareApiClient = new CloudflareApiClient();
+
+module.exports = cloudflareApiClient;
\ No newline at end of file
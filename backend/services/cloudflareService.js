@@ -1,6 +1,8 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-const { handleCloudflareError } = require('../middleware/errorHandler');
+const cloudflareApiClient = require('./cloudflareApiClient');
+const graphqlAnalyticsService = require('./graphqlAnalyticsService');
+const { handleCloudflareError, AppError } = require('../middleware/errorHandler');
 
 class CloudflareService {
     constructor() {
@@ -17,8 +19,15 @@ class CloudflareService {
             }
         });
 
+        this.installInterceptors(this.client);
+    }
+
+    /**
+     * Log requests and turn Cloudflare errors into AppErrors
+     */
+    installInterceptors(client) {
         // Request interceptor
-        this.client.interceptors.request.use(
+        client.interceptors.request.use(
             (config) => {
                 config.metadata = { startTime: Date.now() };
                 logger.cloudflareApi('REQUEST', null, true, {
@@ -35,7 +44,7 @@ class CloudflareService {
         );
 
         // Response interceptor
-        this.client.interceptors.response.use(
+        client.interceptors.response.use(
             (response) => {
                 const duration = Date.now() - response.config.metadata.startTime;
                 logger.cloudflareApi('RESPONSE', null, true, {
@@ -46,6 +55,11 @@ class CloudflareService {
                 return response;
             },
             (error) => {
+                // Already handled by a retried request or the circuit breaker
+                if (error instanceof AppError) {
+                    throw error;
+                }
+
                 const duration = error.config?.metadata ?
                     Date.now() - error.config.metadata.startTime : 0;
 
@@ -69,29 +83,135 @@ class CloudflareService {
     }
 
     /**
-     * Create request with token
+     * Create request with token. Calls go through the token's budget, circuit breaker and retries.
      */
     createAuthenticatedRequest(token) {
-        return this.client.create({
+        const client = this.client.create({
             ...this.client.defaults,
             headers: {
                 ...this.client.defaults.headers,
                 Authorization: `Bearer ${token}`
             }
         });
+
+        // Retries must see raw responses, so they are installed before the error mapping
+        cloudflareApiClient.attach(client, token);
+        this.installInterceptors(client);
+
+        return client;
+    }
+
+    // ===== PAGINATION =====
+
+    /**
+     * Walk every page of a list endpoint, yielding one item at a time.
+     * `mode` is `page` (page/total_pages) or `cursor` (result_info.cursors.after).
+     * The next page is only requested once the current one has been consumed,
+     * so breaking out of a `for await` loop stops further API calls.
+     */
+    async *paginate(token, path, options = {}) {
+        const {
+            params = {},
+            mode = 'page',
+            perPage = 50,
+            perPageParam = mode === 'cursor' ? 'limit' : 'per_page'
+        } = options;
+        const client = this.createAuthenticatedRequest(token);
+
+        let page = 1;
+        let cursor = null;
+
+        while (true) {
+            const query = { ...params, [perPageParam]: perPage };
+            if (mode === 'cursor') {
+                if (cursor) query.cursor = cursor;
+            } else {
+                query.page = page;
+            }
+
+            const response = await client.get(path, { params: query });
+            const items = response.data.result || [];
+            const info = response.data.result_info || {};
+
+            for (const item of items) {
+                yield item;
+            }
+
+            if (items.length === 0) return;
+
+            if (mode === 'cursor') {
+                cursor = info.cursors?.after || info.cursor || null;
+                if (!cursor) return;
+            } else {
+                if (page >= (info.total_pages || 1)) return;
+                page++;
+            }
+        }
+    }
+
+    /**
+     * Drain a paginated endpoint into an array, stopping after `limit` items when given
+     */
+    async collectAll(token, path, options = {}) {
+        const { limit, ...paginateOptions } = options;
+        const items = [];
+
+        for await (const item of this.paginate(token, path, paginateOptions)) {
+            items.push(item);
+            if (limit && items.length >= limit) break;
+        }
+
+        return items;
     }
 
     // ===== ZONE MANAGEMENT =====
 
     /**
-     * Get all zones for the authenticated user
+     * Iterate over every zone the token can see, page by page
+     */
+    iterateZones(token, options = {}) {
+        const params = {
+            order: options.order || 'name',
+            direction: options.direction || 'asc',
+            status: options.status,
+            account: options.account,
+            name: options.name
+        };
+
+        Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+        return this.paginate(token, '/zones', { params, perPage: options.perPage || 50 });
+    }
+
+    /**
+     * Get zones for the authenticated user.
+     * Without `options.page` every page is read; with it only that page is returned.
      */
     async getZones(token, options = {}) {
         try {
+            if (!options.page) {
+                const zones = [];
+                for await (const zone of this.iterateZones(token, options)) {
+                    zones.push(zone);
+                    if (options.limit && zones.length >= options.limit) break;
+                }
+
+                return {
+                    success: true,
+                    zones,
+                    pagination: {
+                        page: 1,
+                        perPage: zones.length,
+                        totalPages: 1,
+                        totalCount: zones.length
+                    }
+                };
+            }
+
             const client = this.createAuthenticatedRequest(token);
 
             const params = {
-                page: options.page || 1,
+                page: options.page,
                 per_page: options.perPage || 50,
                 order: options.order || 'name',
                 direction: options.direction || 'asc',
@@ -229,7 +349,8 @@ class CloudflareService {
 
             const data = { value };
 
-            const response = await client.patch(`/zones/${zoneId}/settings/${settingName}`, data);
+            // Setting a value is safe to repeat, so failed attempts may be retried
+            const response = await client.patch(`/zones/${zoneId}/settings/${settingName}`, data, { idempotent: true });
 
             logger.cloudflareApi('UPDATE_SETTING', zoneId, true, {
                 setting: settingName,
@@ -255,14 +376,11 @@ class CloudflareService {
             const results = {};
             const errors = {};
 
-            // Update settings sequentially to avoid rate limits
+            // Update settings sequentially; the client paces calls against the token's rate limit
             for (const [settingName, value] of Object.entries(settings)) {
                 try {
                     const result = await this.updateZoneSetting(token, zoneId, settingName, value);
                     results[settingName] = result.setting;
-
-                    // Small delay between requests
-                    await new Promise(resolve => setTimeout(resolve, 100));
                 } catch (error) {
                     errors[settingName] = error.message;
                     logger.warn(`Failed to update setting ${settingName}:`, error);
@@ -397,49 +515,172 @@ class CloudflareService {
     }
 
     // ===== ANALYTICS =====
+    // Served by the GraphQL Analytics API; the REST /analytics/dashboard endpoint has been sunset
+
+    /**
+     * Run a GraphQL Analytics API query.
+     * GraphQL reports query errors with a 200 response, so they are raised here.
+     */
+    async graphql(token, query, variables = {}) {
+        const client = this.createAuthenticatedRequest(token);
+
+        // Analytics queries only read data, so they are safe to retry
+        const response = await client.post('/graphql', { query, variables }, { idempotent: true });
+        const errors = response.data.errors || [];
+
+        if (errors.length > 0) {
+            const messages = errors.map(error => error.message).join(', ');
+            const denied = errors.some(error => error.extensions?.code === 'authz');
+
+            logger.cloudflareApi('GRAPHQL_ERROR', null, false, { error: messages });
+            throw new AppError(`Cloudflare GraphQL error: ${messages}`, denied ? 403 : 400);
+        }
+
+        return response.data.data;
+    }
 
     /**
-     * Get zone analytics
+     * Bind a token to graphql() for graphqlAnalyticsService
+     */
+    graphqlRunner(token) {
+        return (query, variables) => this.graphql(token, query, variables);
+    }
+
+    /**
+     * Get zone analytics as { totals, timeseries }
      */
     async getZoneAnalytics(token, zoneId, options = {}) {
         try {
-            const client = this.createAuthenticatedRequest(token);
+            const analytics = await graphqlAnalyticsService.getZoneAnalytics(this.graphqlRunner(token), zoneId, options);
 
-            const params = {
-                since: options.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-                until: options.until || new Date().toISOString(),
-                continuous: options.continuous !== false
+            return {
+                success: true,
+                analytics
+            };
+        } catch (error) {
+            logger.error(`Failed to get analytics for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the top countries, ASNs, paths and user agents sending requests to a zone
+     */
+    async getTopTraffic(token, zoneId, options = {}) {
+        try {
+            const top = await graphqlAnalyticsService.getTopTraffic(this.graphqlRunner(token), zoneId, options);
+
+            return {
+                success: true,
+                top
             };
+        } catch (error) {
+            logger.error(`Failed to get top traffic for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
 
-            const response = await client.get(`/zones/${zoneId}/analytics/dashboard`, { params });
+    /**
+     * Get request, 5xx and threat counts for a zone within an exact range
+     */
+    async getRequestOutcomes(token, zoneId, options = {}) {
+        try {
+            const outcomes = await graphqlAnalyticsService.getRequestOutcomes(this.graphqlRunner(token), zoneId, options);
 
             return {
                 success: true,
-                analytics: response.data.result
+                outcomes
             };
         } catch (error) {
-            logger.error(`Failed to get analytics for zone ${zoneId}:`, error);
+            logger.error(`Failed to get request outcomes for zone ${zoneId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get security events
+     * Get one page of security events matching explorer filters, with the cursor for the next page
      */
-    async getSecurityEvents(token, zoneId, options = {}) {
+    async getSecurityEventsPage(token, zoneId, options = {}) {
         try {
-            const client = this.createAuthenticatedRequest(token);
+            const { filters, ...pageOptions } = options;
+            const page = await graphqlAnalyticsService.getFirewallEventsPage(this.graphqlRunner(token), zoneId, {
+                ...pageOptions,
+                filter: graphqlAnalyticsService.buildEventFilter(filters)
+            });
 
-            const params = {
-                since: options.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-                until: options.until || new Date().toISOString()
+            return {
+                success: true,
+                ...page
+            };
+        } catch (error) {
+            logger.error(`Failed to get security events for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count security events matching explorer filters, grouped by `options.by` dimensions
+     */
+    async groupSecurityEvents(token, zoneId, options = {}) {
+        try {
+            const { filters, ...groupOptions } = options;
+            const groups = await graphqlAnalyticsService.groupFirewallEvents(this.graphqlRunner(token), zoneId, {
+                ...groupOptions,
+                filter: graphqlAnalyticsService.buildEventFilter(filters)
+            });
+
+            return {
+                success: true,
+                groups
+            };
+        } catch (error) {
+            logger.error(`Failed to group security events for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a security event by ray ID and build the filters that match events similar to it
+     */
+    async getSimilarSecurityEventFilters(token, zoneId, rayId, options = {}) {
+        try {
+            const event = await graphqlAnalyticsService.getFirewallEvent(this.graphqlRunner(token), zoneId, rayId, options);
+
+            return {
+                success: true,
+                event,
+                filters: graphqlAnalyticsService.similarEventFilters(event, options.by)
             };
+        } catch (error) {
+            logger.error(`Failed to get security event ${rayId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate over security events, newest first, one page at a time
+     */
+    iterateSecurityEvents(token, zoneId, options = {}) {
+        return graphqlAnalyticsService.iterateFirewallEvents(this.graphqlRunner(token), zoneId, options);
+    }
+
+    /**
+     * Get security events, capped at `options.limit` (default 10000) so busy zones stay bounded
+     */
+    async getSecurityEvents(token, zoneId, options = {}) {
+        try {
+            const limit = options.limit || 10000;
+            const events = [];
 
-            const response = await client.get(`/zones/${zoneId}/security/events`, { params });
+            for await (const event of this.iterateSecurityEvents(token, zoneId, options)) {
+                events.push(event);
+                if (events.length >= limit) break;
+            }
 
             return {
                 success: true,
-                events: response.data.result
+                events,
+                truncated: events.length >= limit
             };
         } catch (error) {
             logger.error(`Failed to get security events for zone ${zoneId}:`, error);
@@ -448,18 +689,18 @@ class CloudflareService {
     }
 
     // ===== FIREWALL RULES =====
+    // Legacy Firewall Rules API, deprecated by Cloudflare in favour of the Rulesets API below
 
     /**
      * Get firewall rules
      */
     async getFirewallRules(token, zoneId) {
         try {
-            const client = this.createAuthenticatedRequest(token);
-            const response = await client.get(`/zones/${zoneId}/firewall/rules`);
+            const rules = await this.collectAll(token, `/zones/${zoneId}/firewall/rules`, { perPage: 100 });
 
             return {
                 success: true,
-                rules: response.data.result
+                rules
             };
         } catch (error) {
             logger.error(`Failed to get firewall rules for zone ${zoneId}:`, error);
@@ -467,22 +708,72 @@ class CloudflareService {
         }
     }
 
+    /**
+     * Get a single firewall rule
+     */
+    async getFirewallRule(token, zoneId, ruleId) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.get(`/zones/${zoneId}/firewall/rules/${ruleId}`);
+
+            return {
+                success: true,
+                rule: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to get firewall rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the Cloudflare payload for a firewall rule.
+     * Accepts either the flat shape used by our API ({ expression, action, ... })
+     * or Cloudflare's native shape ({ filter: { expression }, action, ... }).
+     */
+    buildFirewallRulePayload(rule) {
+        const expression = rule.filter?.expression ?? rule.expression;
+
+        const payload = {
+            filter: {
+                expression,
+                paused: false
+            },
+            action: rule.action,
+            description: rule.description,
+            priority: rule.priority,
+            paused: rule.paused === true,
+            products: rule.products
+        };
+
+        Object.keys(payload).forEach(key =>
+            payload[key] === undefined && delete payload[key]
+        );
+
+        return payload;
+    }
+
     /**
      * Create firewall rule
      */
     async createFirewallRule(token, zoneId, rule) {
         try {
             const client = this.createAuthenticatedRequest(token);
-            const response = await client.post(`/zones/${zoneId}/firewall/rules`, rule);
+            const response = await client.post(`/zones/${zoneId}/firewall/rules`, [
+                this.buildFirewallRulePayload(rule)
+            ]);
+
+            const created = Array.isArray(response.data.result) ?
+                response.data.result[0] : response.data.result;
 
             logger.cloudflareApi('CREATE_FIREWALL_RULE', zoneId, true, {
-                ruleId: response.data.result.id,
+                ruleId: created.id,
                 action: rule.action
             });
 
             return {
                 success: true,
-                rule: response.data.result
+                rule: created
             };
         } catch (error) {
             logger.error(`Failed to create firewall rule for zone ${zoneId}:`, error);
@@ -490,6 +781,696 @@ class CloudflareService {
         }
     }
 
+    /**
+     * Update firewall rule.
+     * The expression lives on the rule's filter, so it is updated through the filters endpoint.
+     */
+    async updateFirewallRule(token, zoneId, ruleId, updates) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const { rule: current } = await this.getFirewallRule(token, zoneId, ruleId);
+
+            if (updates.expression !== undefined && updates.expression !== current.filter?.expression) {
+                await client.put(`/zones/${zoneId}/filters/${current.filter.id}`, {
+                    id: current.filter.id,
+                    expression: updates.expression,
+                    paused: current.filter.paused || false
+                });
+            }
+
+            const payload = {
+                id: ruleId,
+                filter: { id: current.filter.id },
+                action: updates.action ?? current.action,
+                description: updates.description ?? current.description,
+                priority: updates.priority ?? current.priority,
+                paused: updates.paused ?? current.paused,
+                products: updates.products ?? current.products
+            };
+
+            Object.keys(payload).forEach(key =>
+                payload[key] === undefined && delete payload[key]
+            );
+
+            const response = await client.put(`/zones/${zoneId}/firewall/rules/${ruleId}`, payload);
+
+            logger.cloudflareApi('UPDATE_FIREWALL_RULE', zoneId, true, {
+                ruleId,
+                fields: Object.keys(updates)
+            });
+
+            return {
+                success: true,
+                rule: response.data.result,
+                previous: current
+            };
+        } catch (error) {
+            logger.error(`Failed to update firewall rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete firewall rule (and its filter when no other rule uses it)
+     */
+    async deleteFirewallRule(token, zoneId, ruleId) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.delete(`/zones/${zoneId}/firewall/rules/${ruleId}`, {
+                params: { delete_filter_if_unused: true }
+            });
+
+            logger.cloudflareApi('DELETE_FIREWALL_RULE', zoneId, true, { ruleId });
+
+            return {
+                success: true,
+                id: response.data.result?.id || ruleId
+            };
+        } catch (error) {
+            logger.error(`Failed to delete firewall rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reorder firewall rules.
+     * `order` is either a list of rule IDs in evaluation order or a list of { id, priority }.
+     */
+    async reorderFirewallRules(token, zoneId, order) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+
+            const priorities = order.map((entry, index) => (
+                typeof entry === 'string' ?
+                    { id: entry, priority: index + 1 } :
+                    { id: entry.id, priority: entry.priority }
+            ));
+
+            const response = await client.patch(`/zones/${zoneId}/firewall/rules`, priorities);
+
+            logger.cloudflareApi('REORDER_FIREWALL_RULES', zoneId, true, {
+                count: priorities.length
+            });
+
+            return {
+                success: true,
+                rules: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to reorder firewall rules for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause or unpause firewall rules
+     */
+    async setFirewallRulesPaused(token, zoneId, ruleIds, paused) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const ids = Array.isArray(ruleIds) ? ruleIds : [ruleIds];
+
+            const response = await client.patch(`/zones/${zoneId}/firewall/rules`,
+                ids.map(id => ({ id, paused }))
+            );
+
+            logger.cloudflareApi(paused ? 'PAUSE_FIREWALL_RULES' : 'UNPAUSE_FIREWALL_RULES', zoneId, true, {
+                ruleIds: ids
+            });
+
+            return {
+                success: true,
+                rules: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to ${paused ? 'pause' : 'unpause'} firewall rules for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Import many firewall rules.
+     * Rules are created in chunks; a failing chunk is retried rule by rule so one
+     * invalid expression does not reject the whole import.
+     */
+    async importFirewallRules(token, zoneId, rules, options = {}) {
+        const { skipDuplicates = true, chunkSize = 25 } = options;
+
+        try {
+            const client = this.createAuthenticatedRequest(token);
+
+            const created = [];
+            const skipped = [];
+            const failed = [];
+
+            let candidates = rules;
+
+            if (skipDuplicates) {
+                const existing = await this.getFirewallRules(token, zoneId);
+                const existingKeys = new Set((existing.rules || []).map(rule =>
+                    `${rule.action}|${rule.filter?.expression}`
+                ));
+
+                candidates = rules.filter(rule => {
+                    const payload = this.buildFirewallRulePayload(rule);
+                    const isDuplicate = existingKeys.has(`${payload.action}|${payload.filter.expression}`);
+                    if (isDuplicate) {
+                        skipped.push({ rule, reason: 'A rule with the same expression and action already exists' });
+                    }
+                    return !isDuplicate;
+                });
+            }
+
+            for (let i = 0; i < candidates.length; i += chunkSize) {
+                const chunk = candidates.slice(i, i + chunkSize);
+
+                try {
+                    const response = await client.post(`/zones/${zoneId}/firewall/rules`,
+                        chunk.map(rule => this.buildFirewallRulePayload(rule))
+                    );
+                    created.push(...response.data.result);
+                } catch (chunkError) {
+                    for (const rule of chunk) {
+                        try {
+                            const result = await this.createFirewallRule(token, zoneId, rule);
+                            created.push(result.rule);
+                        } catch (ruleError) {
+                            failed.push({ rule, error: ruleError.message });
+                        }
+                    }
+                }
+            }
+
+            logger.cloudflareApi('IMPORT_FIREWALL_RULES', zoneId, failed.length === 0, {
+                created: created.length,
+                skipped: skipped.length,
+                failed: failed.length
+            });
+
+            return {
+                success: failed.length === 0,
+                partial: failed.length > 0 && created.length > 0,
+                created,
+                skipped,
+                failed
+            };
+        } catch (error) {
+            logger.error(`Failed to import firewall rules for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    // ===== RULESETS =====
+
+    /**
+     * Normalise a rule into the payload accepted by the Rulesets API.
+     * Read-only fields (version, last_updated) are dropped; id and ref are kept
+     * so existing rules survive a full entry point update.
+     */
+    buildRulesetRulePayload(rule) {
+        const payload = {
+            id: rule.id,
+            ref: rule.ref,
+            expression: rule.expression,
+            action: rule.action,
+            action_parameters: rule.action_parameters,
+            description: rule.description,
+            enabled: rule.enabled,
+            logging: rule.logging,
+            ratelimit: rule.ratelimit
+        };
+
+        Object.keys(payload).forEach(key =>
+            payload[key] === undefined && delete payload[key]
+        );
+
+        return payload;
+    }
+
+    /**
+     * Get the zone entry point ruleset for a phase.
+     * Resolves with a null ruleset when the phase has no entry point yet.
+     */
+    async getPhaseRuleset(token, zoneId, phase) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.get(`/zones/${zoneId}/rulesets/phases/${phase}/entrypoint`);
+
+            return {
+                success: true,
+                ruleset: response.data.result
+            };
+        } catch (error) {
+            if ((error.response?.status || error.statusCode) === 404) {
+                return {
+                    success: true,
+                    ruleset: null
+                };
+            }
+
+            logger.error(`Failed to get ${phase} ruleset for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rules of a phase entry point ruleset
+     */
+    async getPhaseRules(token, zoneId, phase) {
+        const { ruleset } = await this.getPhaseRuleset(token, zoneId, phase);
+
+        return {
+            success: true,
+            ruleset,
+            rules: ruleset?.rules || []
+        };
+    }
+
+    /**
+     * Replace all rules of a phase entry point ruleset.
+     * Creates the entry point when it does not exist yet.
+     */
+    async replacePhaseRules(token, zoneId, phase, rules, description) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const payload = {
+                rules: rules.map(rule => this.buildRulesetRulePayload(rule))
+            };
+
+            if (description) {
+                payload.description = description;
+            }
+
+            const response = await client.put(`/zones/${zoneId}/rulesets/phases/${phase}/entrypoint`, payload);
+
+            logger.cloudflareApi('REPLACE_RULESET_RULES', zoneId, true, {
+                phase,
+                count: rules.length
+            });
+
+            return {
+                success: true,
+                ruleset: response.data.result,
+                rules: response.data.result.rules || []
+            };
+        } catch (error) {
+            logger.error(`Failed to replace ${phase} rules for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a rule to a phase entry point ruleset.
+     * `position` follows the Rulesets API ({ before }, { after } or { index }); rules are appended by default.
+     */
+    async createPhaseRule(token, zoneId, phase, rule, position) {
+        try {
+            const { ruleset, rules } = await this.getPhaseRules(token, zoneId, phase);
+            const payload = this.buildRulesetRulePayload({ ...rule, id: undefined });
+
+            let result;
+            if (!ruleset) {
+                result = (await this.replacePhaseRules(token, zoneId, phase, [payload])).ruleset;
+            } else {
+                const client = this.createAuthenticatedRequest(token);
+                const response = await client.post(`/zones/${zoneId}/rulesets/${ruleset.id}/rules`, {
+                    ...payload,
+                    ...(position ? { position } : {})
+                });
+                result = response.data.result;
+            }
+
+            // The API returns the whole ruleset, so pick out the rule we just added
+            const previousIds = new Set(rules.map(existing => existing.id));
+            const created = (result.rules || []).find(candidate => !previousIds.has(candidate.id));
+
+            logger.cloudflareApi('CREATE_RULESET_RULE', zoneId, true, {
+                phase,
+                ruleId: created?.id,
+                action: rule.action
+            });
+
+            return {
+                success: true,
+                ruleset: result,
+                rule: created
+            };
+        } catch (error) {
+            logger.error(`Failed to create ${phase} rule for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a rule in a phase entry point ruleset.
+     * The API expects the full rule, so updates are merged over the current rule.
+     */
+    async updatePhaseRule(token, zoneId, phase, ruleId, updates) {
+        try {
+            const { ruleset, rules } = await this.getPhaseRules(token, zoneId, phase);
+            const current = rules.find(rule => rule.id === ruleId);
+
+            if (!ruleset || !current) {
+                throw new AppError('Ruleset rule not found', 404);
+            }
+
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.patch(`/zones/${zoneId}/rulesets/${ruleset.id}/rules/${ruleId}`,
+                this.buildRulesetRulePayload({ ...current, ...updates, id: undefined })
+            );
+
+            logger.cloudflareApi('UPDATE_RULESET_RULE', zoneId, true, {
+                phase,
+                ruleId,
+                fields: Object.keys(updates)
+            });
+
+            return {
+                success: true,
+                ruleset: response.data.result,
+                rule: (response.data.result.rules || []).find(rule => rule.id === ruleId),
+                previous: current
+            };
+        } catch (error) {
+            logger.error(`Failed to update ${phase} rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a rule from a phase entry point ruleset
+     */
+    async deletePhaseRule(token, zoneId, phase, ruleId) {
+        try {
+            const { ruleset, rules } = await this.getPhaseRules(token, zoneId, phase);
+            const current = rules.find(rule => rule.id === ruleId);
+
+            if (!ruleset || !current) {
+                throw new AppError('Ruleset rule not found', 404);
+            }
+
+            const client = this.createAuthenticatedRequest(token);
+            await client.delete(`/zones/${zoneId}/rulesets/${ruleset.id}/rules/${ruleId}`);
+
+            logger.cloudflareApi('DELETE_RULESET_RULE', zoneId, true, { phase, ruleId });
+
+            return {
+                success: true,
+                rule: current
+            };
+        } catch (error) {
+            logger.error(`Failed to delete ${phase} rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reorder the rules of a phase entry point ruleset.
+     * Listed rule IDs move to the top in the given order; unlisted rules keep their relative order after them.
+     */
+    async reorderPhaseRules(token, zoneId, phase, order) {
+        const { ruleset, rules } = await this.getPhaseRules(token, zoneId, phase);
+
+        if (!ruleset) {
+            throw new AppError('No ruleset exists for this phase', 404);
+        }
+
+        const byId = new Map(rules.map(rule => [rule.id, rule]));
+        const unknown = order.filter(id => !byId.has(id));
+
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown rule ID(s): ${unknown.join(', ')}`, 400);
+        }
+
+        const listed = new Set(order);
+        const reordered = [
+            ...order.map(id => byId.get(id)),
+            ...rules.filter(rule => !listed.has(rule.id))
+        ];
+
+        return this.replacePhaseRules(token, zoneId, phase, reordered, ruleset.description);
+    }
+
+    // ===== IP ACCESS RULES =====
+
+    /**
+     * Get all IP access rules visible to a zone (zone rules and inherited account rules)
+     */
+    async getAccessRules(token, zoneId, options = {}) {
+        try {
+            const params = {
+                mode: options.mode,
+                'configuration.target': options.target,
+                'configuration.value': options.value
+            };
+
+            Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+            const rules = await this.collectAll(token, `/zones/${zoneId}/firewall/access_rules/rules`, {
+                params,
+                perPage: 100
+            });
+
+            return {
+                success: true,
+                rules
+            };
+        } catch (error) {
+            logger.error(`Failed to get access rules for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create an IP access rule.
+     * `target` is one of ip, ip6, ip_range, asn or country.
+     */
+    async createAccessRule(token, zoneId, { mode, target, value, notes }) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.post(`/zones/${zoneId}/firewall/access_rules/rules`, {
+                mode,
+                configuration: { target, value },
+                notes: notes || ''
+            });
+
+            logger.cloudflareApi('CREATE_ACCESS_RULE', zoneId, true, { mode, target, value });
+
+            return {
+                success: true,
+                rule: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to create access rule for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the mode or notes of an IP access rule
+     */
+    async updateAccessRule(token, zoneId, ruleId, { mode, notes }) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const data = { mode, notes };
+
+            Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+
+            const response = await client.patch(`/zones/${zoneId}/firewall/access_rules/rules/${ruleId}`, data);
+
+            logger.cloudflareApi('UPDATE_ACCESS_RULE', zoneId, true, { ruleId, mode });
+
+            return {
+                success: true,
+                rule: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to update access rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an IP access rule
+     */
+    async deleteAccessRule(token, zoneId, ruleId) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            await client.delete(`/zones/${zoneId}/firewall/access_rules/rules/${ruleId}`);
+
+            logger.cloudflareApi('DELETE_ACCESS_RULE', zoneId, true, { ruleId });
+
+            return {
+                success: true
+            };
+        } catch (error) {
+            logger.error(`Failed to delete access rule ${ruleId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    // ===== DNS RECORDS =====
+
+    /**
+     * Get all DNS records for a zone, following pagination until every page is read
+     */
+    async getDnsRecords(token, zoneId, options = {}) {
+        try {
+            const params = {
+                order: options.order || 'type',
+                direction: options.direction || 'asc',
+                match: options.match,
+                type: options.type,
+                name: options.name,
+                content: options.content,
+                proxied: options.proxied
+            };
+
+            // Remove undefined params
+            Object.keys(params).forEach(key =>
+                params[key] === undefined && delete params[key]
+            );
+
+            const records = await this.collectAll(token, `/zones/${zoneId}/dns_records`, {
+                params,
+                perPage: options.perPage || 100
+            });
+
+            return {
+                success: true,
+                records,
+                total: records.length
+            };
+        } catch (error) {
+            logger.error(`Failed to get DNS records for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single DNS record
+     */
+    async getDnsRecord(token, zoneId, recordId) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.get(`/zones/${zoneId}/dns_records/${recordId}`);
+
+            return {
+                success: true,
+                record: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to get DNS record ${recordId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create DNS record
+     */
+    async createDnsRecord(token, zoneId, record) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.post(`/zones/${zoneId}/dns_records`, record);
+
+            logger.cloudflareApi('CREATE_DNS_RECORD', zoneId, true, {
+                recordId: response.data.result.id,
+                type: record.type,
+                name: record.name
+            });
+
+            return {
+                success: true,
+                record: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to create DNS record for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update DNS record (only the provided fields are changed)
+     */
+    async updateDnsRecord(token, zoneId, recordId, updates) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.patch(`/zones/${zoneId}/dns_records/${recordId}`, updates);
+
+            logger.cloudflareApi('UPDATE_DNS_RECORD', zoneId, true, {
+                recordId,
+                fields: Object.keys(updates)
+            });
+
+            return {
+                success: true,
+                record: response.data.result
+            };
+        } catch (error) {
+            logger.error(`Failed to update DNS record ${recordId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete DNS record
+     */
+    async deleteDnsRecord(token, zoneId, recordId) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+            const response = await client.delete(`/zones/${zoneId}/dns_records/${recordId}`);
+
+            logger.cloudflareApi('DELETE_DNS_RECORD', zoneId, true, { recordId });
+
+            return {
+                success: true,
+                id: response.data.result?.id || recordId
+            };
+        } catch (error) {
+            logger.error(`Failed to delete DNS record ${recordId} for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply several DNS changes in one request.
+     * Cloudflare executes deletes, patches, puts and posts in that order, atomically.
+     */
+    async batchDnsRecords(token, zoneId, operations = {}) {
+        try {
+            const client = this.createAuthenticatedRequest(token);
+
+            const data = {
+                deletes: (operations.deletes || []).map(id => (typeof id === 'string' ? { id } : id)),
+                patches: operations.patches || [],
+                puts: operations.puts || [],
+                posts: operations.posts || []
+            };
+
+            const response = await client.post(`/zones/${zoneId}/dns_records/batch`, data);
+
+            logger.cloudflareApi('BATCH_DNS_RECORDS', zoneId, true, {
+                deletes: data.deletes.length,
+                patches: data.patches.length,
+                puts: data.puts.length,
+                posts: data.posts.length
+            });
+
+            const result = response.data.result || {};
+
+            return {
+                success: true,
+                deletes: result.deletes || [],
+                patches: result.patches || [],
+                puts: result.puts || [],
+                posts: result.posts || []
+            };
+        } catch (error) {
+            logger.error(`Failed to apply DNS batch for zone ${zoneId}:`, error);
+            throw error;
+        }
+    }
+
     // ===== UTILITIES =====
 
     /**
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AuditLog, User } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const recommendationService = require('./recommendationService');
+const bulkOperationService = require('./bulkOperationService');
+const { SEVERITIES, validatePolicy, evaluatePolicy } = require('../utils/policyEngine');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+let notificationService;
+try {
+    notificationService = require('./notificationService');
+} catch (error) {
+    notificationService = null;
+}
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'policies.json');
+
+// The same set of violations on a zone is reported at most once per period
+const NOTIFY_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+class ComplianceService {
+    constructor() {
+        this.policies = null;
+        this.notified = new Map();
+    }
+
+    /**
+     * Load policies from COMPLIANCE_POLICY_FILE (JSON or YAML), or the bundled defaults
+     */
+    loadPolicies(file = process.env.COMPLIANCE_POLICY_FILE || DEFAULT_POLICY_FILE) {
+        const content = fs.readFileSync(file, 'utf8');
+        const document = /\.ya?ml$/i.test(file) ?
+            yaml.load(content, { schema: yaml.CORE_SCHEMA }) :
+            JSON.parse(content);
+
+        return this.setPolicies(document?.policies);
+    }
+
+    setPolicies(policies) {
+        if (!Array.isArray(policies)) {
+            throw new Error('Policy document needs a policies array');
+        }
+
+        const errors = policies.flatMap((policy, index) => validatePolicy(policy, index));
+        const ids = policies.map(policy => policy.id);
+        ids.filter((id, index) => ids.indexOf(id) !== index)
+            .forEach(id => errors.push(`Policy '${id}' is defined more than once`));
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid compliance policies: ${errors.join('; ')}`);
+        }
+
+        this.policies = policies.map(policy => ({ severity: 'medium', ...policy }));
+        return this.policies;
+    }
+
+    getPolicies() {
+        return this.policies || this.loadPolicies();
+    }
+
+    /**
+     * Facts a policy is evaluated against: the stored config overlaid with live settings,
+     * live HSTS when the token can read it, and how long development mode has been on
+     */
+    async buildFacts(zone) {
+        const { config, securityConfig } = await recommendationService.buildContext(zone);
+        const facts = {
+            ...config,
+            zone: { name: zone.name, plan: zone.plan, tags: zone.tags || [] }
+        };
+
+        try {
+            const header = await cloudflareService.getZoneSetting(
+                zone.getDecryptedApiToken(),
+                zone.cloudflare_zone_id,
+                'security_header'
+            );
+            const hsts = header?.value?.strict_transport_security;
+
+            if (hsts) {
+                facts.security_headers = {
+                    ...facts.security_headers,
+                    hsts: {
+                        enabled: hsts.enabled,
+                        max_age: hsts.max_age,
+                        include_subdomains: hsts.include_subdomains,
+                        preload: hsts.preload
+                    }
+                };
+            }
+        } catch (error) {
+            logger.warn(`Using stored HSTS settings for compliance checks on zone ${zone.id}: ${error.message}`);
+        }
+
+        const since = securityConfig?.development_mode_since;
+        if (!facts.development_mode) {
+            facts.development_mode_hours = 0;
+        } else {
+            // Switched on outside this manager: unknown, which fails any limit on it
+            facts.development_mode_hours = since ?
+                Math.round((Date.now() - new Date(since).getTime()) / (60 * 60 * 1000) * 10) / 10 :
+                null;
+        }
+
+        return facts;
+    }
+
+    async evaluateZone(zone, policies) {
+        let facts;
+        try {
+            facts = await this.buildFacts(zone);
+        } catch (error) {
+            logger.error(`Failed to read settings for compliance checks on zone ${zone.id}:`, error);
+            return {
+                zone_id: zone.id,
+                zone_name: zone.name,
+                compliant: false,
+                error: error.message,
+                results: policies.map(policy => ({
+                    policy_id: policy.id,
+                    severity: policy.severity,
+                    status: 'error',
+                    message: 'Zone settings could not be read'
+                }))
+            };
+        }
+
+        const results = policies.map(policy => ({
+            policy_id: policy.id,
+            severity: policy.severity,
+            ...evaluatePolicy(policy, facts, zone)
+        }));
+
+        return {
+            zone_id: zone.id,
+            zone_name: zone.name,
+            compliant: results.every(result => result.status === 'pass' || result.status === 'skipped'),
+            results
+        };
+    }
+
+    /**
+     * Evaluate policies for the user's zones matching the selector and notify about violations
+     */
+    async report(userId, { tags = [], zoneIds = [], policyIds = [], notify = true } = {}) {
+        const allPolicies = this.getPolicies();
+        const unknown = policyIds.filter(id => !allPolicies.some(policy => policy.id === id));
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown policies: ${unknown.join(', ')}`, 400);
+        }
+
+        const policies = policyIds.length > 0 ?
+            allPolicies.filter(policy => policyIds.includes(policy.id)) :
+            allPolicies;
+
+        const zones = await bulkOperationService.selectZones(userId, { tags, zone_ids: zoneIds });
+        if (zones.length === 0) {
+            throw new AppError('No zones match the selection', 404);
+        }
+
+        const reports = [];
+        for (const zone of zones) {
+            const report = await this.evaluateZone(zone, policies);
+            reports.push(report);
+
+            const violations = report.results.filter(result => result.status === 'fail');
+            if (notify && violations.length > 0) {
+                await this.reportViolations(zone, violations, policies);
+            }
+        }
+
+        const byPolicy = policies.reduce((summary, policy) => ({
+            ...summary,
+            [policy.id]: { pass: 0, fail: 0, skipped: 0, error: 0 }
+        }), {});
+        reports.forEach(report => report.results.forEach(result => {
+            byPolicy[result.policy_id][result.status] += 1;
+        }));
+
+        logger.userActivity(userId, 'compliance_report_generated', {
+            zones: zones.length,
+            policies: policies.length
+        });
+
+        return {
+            generated_at: new Date().toISOString(),
+            policies: policies.map(({ id, title, description, severity, applies_to }) =>
+                ({ id, title, description, severity, applies_to })),
+            summary: {
+                zones: reports.length,
+                compliant_zones: reports.filter(report => report.compliant).length,
+                violations: Object.values(byPolicy).reduce((sum, counts) => sum + counts.fail, 0),
+                errors: reports.filter(report => report.error).length,
+                by_policy: byPolicy
+            },
+            zones: reports
+        };
+    }
+
+    /**
+     * Audit and notify the zone owner, unless the same violations were reported recently
+     */
+    async reportViolations(zone, violations, policies) {
+        const signature = violations.map(result => result.policy_id).sort().join(',');
+        const previous = this.notified.get(zone.id);
+        if (previous && previous.signature === signature && Date.now() - previous.at < NOTIFY_COOLDOWN_MS) {
+            return;
+        }
+        this.notified.set(zone.id, { signature, at: Date.now() });
+
+        const severity = violations.reduce((highest, result) =>
+            (SEVERITIES.indexOf(result.severity) > SEVERITIES.indexOf(highest) ? result.severity : highest), 'low');
+        const description = `Zone ${zone.name} violates ${violations.length} compliance ` +
+            `polic${violations.length === 1 ? 'y' : 'ies'}: ` +
+            violations.map(result => {
+                const policy = policies.find(candidate => candidate.id === result.policy_id);
+                return `${policy.title} (${result.message})`;
+            }).join('; ');
+
+        await AuditLog.createEntry({
+            userId: zone.user_id,
+            zoneId: zone.id,
+            action: 'compliance_violation_detected',
+            resourceType: 'security_config',
+            description,
+            metadata: { violations },
+            category: 'security',
+            severity
+        });
+
+        if (!notificationService) return;
+
+        try {
+            const owner = await User.findByPk(zone.user_id);
+            if (owner) {
+                await notificationService.sendNotificationWithPreferences(owner, {
+                    type: 'security_alert',
+                    zoneName: zone.name,
+                    alertType: 'Compliance violation',
+                    description,
+                    severity,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            logger.error(`Failed to send compliance notification for zone ${zone.id}:`, error);
+        }
+    }
+}
+
+// Create singleton instance
+const complianceService = new ComplianceService();
+
+module.exports = complianceService;
\ No newline at end of file
@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { SecurityConfig, ConfigPlan } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const changeRequestService = require('./changeRequestService');
+const accessRuleSyncService = require('./accessRuleSyncService');
+const rateLimitService = require('./rateLimitService');
+const rollbackService = require('./rollbackService');
+const { AppError } = require('../middleware/errorHandler');
+const jsonDiff = require('../utils/jsonDiff');
+const { SETTING_MAP, getPath, toCloudflareValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const DOCUMENT_VERSION = '1.0';
+const CUSTOM_RULES_PHASE = 'http_request_firewall_custom';
+const RATE_LIMIT_PHASE = 'http_ratelimit';
+const CUSTOM_RULE_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'log', 'skip'];
+
+// Export bookkeeping that a document may carry but that is never applied
+const IGNORED_CONFIG_FIELDS = [
+    'config_version', 'is_template', 'template_name', 'development_mode_expires', 'development_mode_since'
+];
+
+// Rule fields compared when deciding whether a deployed rule matches the document
+const COMPARED_RULE_FIELDS = ['description', 'expression', 'action', 'action_parameters', 'enabled', 'ratelimit'];
+
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 16);
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class ConfigAsCodeService {
+    /**
+     * Parse a declarative document sent either as an object or as YAML/JSON text
+     */
+    parseDocument({ document, content, format = 'yaml' }) {
+        let parsed = document;
+
+        if (parsed === undefined) {
+            if (typeof content !== 'string' || !content.trim()) {
+                throw new AppError('A configuration document is required', 400);
+            }
+
+            try {
+                parsed = format === 'json' ? JSON.parse(content) : yaml.load(content, { schema: yaml.CORE_SCHEMA });
+            } catch (error) {
+                throw new AppError(`Invalid ${format.toUpperCase()} document: ${error.message}`, 400);
+            }
+        }
+
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new AppError('Configuration document must be an object', 400);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Render a document as YAML, the format we keep in repositories
+     */
+    toYaml(document) {
+        return yaml.dump(document, { noRefs: true, sortKeys: false, lineWidth: 120 });
+    }
+
+    /**
+     * Convert a deployed custom rule into its declarative form
+     */
+    toDeclarativeRule(rule) {
+        const declarative = {
+            ref: rule.ref,
+            description: rule.description,
+            expression: rule.expression,
+            action: rule.action,
+            action_parameters: rule.action_parameters,
+            enabled: rule.enabled
+        };
+
+        Object.keys(declarative).forEach(key => declarative[key] === undefined && delete declarative[key]);
+
+        return declarative;
+    }
+
+    /**
+     * Check a document against the zone and report every problem at once
+     */
+    validateDocument(zone, document) {
+        const errors = [];
+        const config = document.security_config;
+
+        if (document.metadata?.export_version && document.metadata.export_version !== DOCUMENT_VERSION) {
+            errors.push(`Unsupported export_version ${document.metadata.export_version}, expected ${DOCUMENT_VERSION}`);
+        }
+
+        if (document.metadata?.zone_name && document.metadata.zone_name !== zone.name) {
+            errors.push(`Document describes zone ${document.metadata.zone_name}, not ${zone.name}`);
+        }
+
+        if (config !== undefined) {
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                errors.push('security_config must be an object');
+            } else {
+                const known = SecurityConfig.getConfigFields();
+                Object.keys(config)
+                    .filter(field => !known.includes(field) && !IGNORED_CONFIG_FIELDS.includes(field))
+                    .forEach(field => errors.push(`Unknown security_config field: ${field}`));
+
+                (config.rate_limiting?.rules || []).forEach((rule, index) => {
+                    rateLimitService.validateRule(rateLimitService.normaliseRule(rule))
+                        .forEach(message => errors.push(`rate_limiting.rules[${index}]: ${message}`));
+                });
+
+                accessRuleSyncService.getLocalEntries(config).invalid
+                    .forEach(entry => errors.push(`${entry.column}.${entry.list}: ${entry.value} - ${entry.reason}`));
+            }
+        }
+
+        if (document.custom_rules !== undefined) {
+            if (!Array.isArray(document.custom_rules)) {
+                errors.push('custom_rules must be a list');
+            } else {
+                const keys = new Set();
+
+                document.custom_rules.forEach((rule, index) => {
+                    if (typeof rule?.expression !== 'string' || !rule.expression.trim()) {
+                        errors.push(`custom_rules[${index}]: expression is required`);
+                    }
+                    if (!CUSTOM_RULE_ACTIONS.includes(rule?.action)) {
+                        errors.push(`custom_rules[${index}]: action must be one of: ${CUSTOM_RULE_ACTIONS.join(', ')}`);
+                    }
+
+                    const key = rule?.ref || rule?.description;
+                    if (!key) {
+                        errors.push(`custom_rules[${index}]: a ref or description is required to track the rule`);
+                    } else if (keys.has(key)) {
+                        errors.push(`custom_rules[${index}]: duplicate ref or description '${key}'`);
+                    }
+                    keys.add(key);
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new AppError(`Invalid configuration document: ${errors.join('; ')}`, 400);
+        }
+    }
+
+    /**
+     * Build the ruleset operation for a phase, keeping ids of rules that already exist.
+     * `changed` is false when the deployed rules already match.
+     */
+    planRuleset(phase, desired, live, matchKeys) {
+        const unmatched = [...live.rules];
+        const changes = { added: [], removed: [], modified: [], reordered: false };
+
+        const rules = desired.map(rule => {
+            const index = unmatched.findIndex(existing => matchKeys(rule).some(key =>
+                key && (existing.id === key || existing.ref === key || existing.description === key)));
+            const label = rule.ref || rule.description;
+
+            if (index === -1) {
+                changes.added.push(label);
+                return rule;
+            }
+
+            const [existing] = unmatched.splice(index, 1);
+            const fields = COMPARED_RULE_FIELDS.filter(field => !same(rule[field], existing[field]));
+
+            if (fields.length > 0) {
+                changes.modified.push({ rule: label, fields });
+            }
+
+            return { ...rule, id: existing.id };
+        });
+
+        changes.removed = unmatched.map(rule => rule.ref || rule.description || rule.id);
+
+        const keptOrder = rules.filter(rule => rule.id).map(rule => rule.id);
+        const liveOrder = live.rules.map(rule => rule.id).filter(id => keptOrder.includes(id));
+        changes.reordered = !same(keptOrder, liveOrder);
+
+        const changed = changes.added.length > 0 || changes.removed.length > 0 ||
+            changes.modified.length > 0 || changes.reordered;
+
+        return { type: 'ruleset', phase, rules, changes, changed };
+    }
+
+    async fingerprintAccessRules(zone) {
+        const { rules } = await cloudflareService.getAccessRules(zone.getDecryptedApiToken(), zone.cloudflare_zone_id);
+
+        return hash(rules
+            .filter(rule => !rule.scope?.type || rule.scope.type === 'zone')
+            .map(rule => [rule.id, rule.mode, rule.configuration.target, rule.configuration.value])
+            .sort());
+    }
+
+    /**
+     * Compute the operations needed to make the zone match a document and store them as a plan
+     */
+    async plan(zone, document, { userId = null } = {}) {
+        this.validateDocument(zone, document);
+
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const config = { ...(document.security_config || {}) };
+        const securityConfig = await SecurityConfig.findByZone(zone.id);
+        const operations = [];
+        const liveState = {};
+
+        // Zone settings
+        const live = await rollbackService.getLiveSettings(zone);
+        const skipped = [];
+
+        SETTING_MAP.forEach((mapping) => {
+            const value = getPath(config, mapping.field);
+            if (value === undefined || value === null) return;
+
+            const to = toCloudflareValue(mapping, value);
+            const current = live[mapping.setting];
+
+            if (current.unavailable || current.editable === false) {
+                skipped.push({ setting: mapping.setting, reason: current.error || 'Setting is not editable on this plan' });
+            } else if (!same(current.value, to)) {
+                operations.push({ type: 'zone_setting', field: mapping.field, setting: mapping.setting, from: current.value, to });
+            }
+        });
+
+        // Access rules
+        if (config.ip_access_rules !== undefined || config.country_access_rules !== undefined) {
+            const desired = {
+                ip_access_rules: config.ip_access_rules ?? securityConfig?.ip_access_rules,
+                country_access_rules: config.country_access_rules ?? securityConfig?.country_access_rules
+            };
+            const { diff } = await accessRuleSyncService.diffZone(zone, desired);
+
+            diff.local_only.forEach(entry => operations.push({
+                type: 'access_rule',
+                operation: 'create',
+                target: entry.target,
+                value: entry.value,
+                mode: accessRuleSyncService.modeForList(entry.list),
+                notes: entry.notes
+            }));
+            diff.mode_mismatch.forEach(entry => operations.push({
+                type: 'access_rule',
+                operation: 'update',
+                id: entry.remote_id,
+                target: entry.target,
+                value: entry.value,
+                from: entry.remote_mode,
+                mode: accessRuleSyncService.modeForList(entry.list)
+            }));
+            diff.remote_only.forEach(rule => operations.push({
+                type: 'access_rule',
+                operation: 'delete',
+                id: rule.id,
+                target: rule.target,
+                value: rule.value,
+                from: rule.mode
+            }));
+
+            liveState.access_rules = await this.fingerprintAccessRules(zone);
+        }
+
+        // Custom firewall rules
+        if (document.custom_rules !== undefined) {
+            const liveRules = await cloudflareService.getPhaseRules(apiToken, cloudflareZoneId, CUSTOM_RULES_PHASE);
+            const desired = document.custom_rules.map(rule => ({ enabled: true, ...this.toDeclarativeRule(rule) }));
+            const { changed, ...operation } = this.planRuleset(CUSTOM_RULES_PHASE, desired, liveRules,
+                rule => [rule.ref, rule.description]);
+
+            if (changed) operations.push(operation);
+            liveState[CUSTOM_RULES_PHASE] = liveRules.ruleset?.version || null;
+        }
+
+        // Rate limiting rules
+        if (config.rate_limiting?.rules !== undefined) {
+            const liveRules = await cloudflareService.getPhaseRules(apiToken, cloudflareZoneId, RATE_LIMIT_PHASE);
+            const stored = config.rate_limiting.rules.map(rule => ({ id: rule.id, ...rateLimitService.normaliseRule(rule) }));
+            const desired = stored.map(rule => rateLimitService.toRulesetRule(rule));
+            const { changed, ...operation } = this.planRuleset(RATE_LIMIT_PHASE, desired, liveRules,
+                rule => [stored[desired.indexOf(rule)].id, rule.description]);
+
+            // Rules matched by description pick up the id of the deployed rule
+            const previous = securityConfig?.rate_limiting?.rules || [];
+            stored.forEach((rule, index) => {
+                rule.id = operation.rules[index].id || rule.id;
+
+                const existing = previous.find(candidate => candidate.id && candidate.id === rule.id);
+                if (existing) {
+                    rule.created_at = existing.created_at;
+                    rule.updated_at = existing.updated_at;
+                }
+            });
+            config.rate_limiting = { ...config.rate_limiting, enabled: stored.some(rule => rule.enabled), rules: stored };
+
+            if (changed) operations.push({ ...operation, stored_rules: stored });
+            liveState[RATE_LIMIT_PHASE] = liveRules.ruleset?.version || null;
+        }
+
+        // Stored configuration
+        const fields = Object.keys(config).filter(field => SecurityConfig.getConfigFields().includes(field));
+        const current = securityConfig ? securityConfig.toJSON() : {};
+        const localChanges = jsonDiff.diff(
+            fields.reduce((values, field) => ({ ...values, [field]: current[field] }), {}),
+            fields.reduce((values, field) => ({ ...values, [field]: config[field] }), {})
+        );
+
+        if (localChanges.length > 0) {
+            operations.push({
+                type: 'local_config',
+                changes: localChanges,
+                values: fields.reduce((values, field) => ({ ...values, [field]: config[field] }), {})
+            });
+        }
+
+        const plan = await ConfigPlan.create({
+            zone_id: zone.id,
+            document,
+            operations,
+            live_state: liveState,
+            created_by: userId
+        });
+
+        return {
+            success: true,
+            plan_id: plan.id,
+            no_changes: operations.length === 0,
+            operations,
+            skipped,
+            summary: plan.getSummary()
+        };
+    }
+
+    /**
+     * Find what changed on Cloudflare since the plan was computed
+     */
+    async findStaleSections(zone, plan) {
+        const apiToken = zone.getDecryptedApiToken();
+        const stale = [];
+
+        const settingOps = plan.operations.filter(operation => operation.type === 'zone_setting');
+        if (settingOps.length > 0) {
+            const live = await rollbackService.getLiveSettings(zone);
+            settingOps
+                .filter(operation => !same(live[operation.setting]?.value, operation.from))
+                .forEach(operation => stale.push(`zone setting ${operation.setting}`));
+        }
+
+        for (const [section, planned] of Object.entries(plan.live_state || {})) {
+            const current = section === 'access_rules' ?
+                await this.fingerprintAccessRules(zone) :
+                (await cloudflareService.getPhaseRuleset(apiToken, zone.cloudflare_zone_id, section)).ruleset?.version || null;
+
+            if (current !== planned) {
+                stale.push(section === 'access_rules' ? 'access rules' : `${section} ruleset`);
+            }
+        }
+
+        return stale;
+    }
+
+    /**
+     * Execute the operations of a stored plan exactly as planned.
+     * The plan is refused when the live state it was computed against has changed.
+     */
+    async apply(zone, planId, { userId = null } = {}) {
+        const plan = await ConfigPlan.findOne({ where: { id: planId, zone_id: zone.id } });
+
+        if (!plan) {
+            throw new AppError('Plan not found', 404);
+        }
+
+        if (!plan.isApplicable()) {
+            throw new AppError(`Plan is ${plan.status} and cannot be applied`, 409);
+        }
+
+        const stale = await this.findStaleSections(zone, plan);
+        if (stale.length > 0) {
+            await plan.update({ status: 'stale', result: { stale } });
+            throw new AppError(`Live configuration changed since the plan was computed (${stale.join(', ')}); create a new plan`, 409);
+        }
+
+        changeRequestService.ensureApprovalNotRequired(
+            plan.operations.filter(operation => operation.type === 'zone_setting').map(operation => operation.setting),
+            'This plan'
+        );
+
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const results = plan.operations.map((operation, index) => ({ index, type: operation.type, status: 'pending' }));
+        const localOperation = plan.operations.find(operation => operation.type === 'local_config');
+        const values = { ...(localOperation?.values || {}) };
+
+        const settingIndexes = plan.operations
+            .map((operation, index) => (operation.type === 'zone_setting' ? index : -1))
+            .filter(index => index !== -1);
+
+        if (settingIndexes.length > 0) {
+            const update = await cloudflareService.bulkUpdateSettings(apiToken, cloudflareZoneId,
+                settingIndexes.reduce((values, index) => ({
+                    ...values,
+                    [plan.operations[index].setting]: plan.operations[index].to
+                }), {}));
+
+            settingIndexes.forEach(index => {
+                const error = update.errors?.[plan.operations[index].setting];
+                Object.assign(results[index], error ? { status: 'failed', error } : { status: 'applied' });
+            });
+        }
+
+        for (const [index, operation] of plan.operations.entries()) {
+            if (results[index].status !== 'pending' || operation.type === 'local_config') continue;
+
+            try {
+                if (operation.type === 'access_rule' && operation.operation === 'create') {
+                    const { rule } = await cloudflareService.createAccessRule(apiToken, cloudflareZoneId, {
+                        mode: operation.mode,
+                        target: operation.target,
+                        value: operation.value,
+                        notes: operation.notes
+                    });
+                    results[index].id = rule.id;
+                } else if (operation.type === 'access_rule' && operation.operation === 'update') {
+                    await cloudflareService.updateAccessRule(apiToken, cloudflareZoneId, operation.id, { mode: operation.mode });
+                } else if (operation.type === 'access_rule') {
+                    await cloudflareService.deleteAccessRule(apiToken, cloudflareZoneId, operation.id);
+                } else if (operation.type === 'ruleset') {
+                    const { rules } = await cloudflareService.replacePhaseRules(apiToken, cloudflareZoneId, operation.phase, operation.rules);
+
+                    // Stored rate limiting rules carry the ids Cloudflare assigned
+                    if (operation.stored_rules) {
+                        const now = new Date().toISOString();
+                        values.rate_limiting = {
+                            ...values.rate_limiting,
+                            enabled: operation.stored_rules.some(rule => rule.enabled),
+                            rules: operation.stored_rules.map((rule, position) => ({
+                                ...rule,
+                                id: rules[position]?.id || rule.id,
+                                created_at: rule.created_at || now,
+                                updated_at: now
+                            }))
+                        };
+                    }
+                }
+
+                results[index].status = 'applied';
+            } catch (error) {
+                Object.assign(results[index], { status: 'failed', error: error.message });
+            }
+        }
+
+        const failed = results.filter(result => result.status === 'failed');
+        const localIndex = plan.operations.indexOf(localOperation);
+
+        // The stored config only follows the document once Cloudflare does
+        if (failed.length === 0 && Object.keys(values).length > 0) {
+            const securityConfig = await SecurityConfig.findByZone(zone.id) ||
+                await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+
+            await securityConfig.update({
+                ...values,
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+        }
+
+        if (localIndex !== -1) {
+            results[localIndex].status = failed.length === 0 ? 'applied' : 'skipped';
+        }
+
+        const success = failed.length === 0;
+        await plan.update({
+            status: success ? 'applied' : 'failed',
+            result: { results },
+            applied_by: userId,
+            applied_at: new Date()
+        });
+
+        logger.cloudflareApi('APPLY_CONFIG_PLAN', cloudflareZoneId, success, {
+            planId: plan.id,
+            operations: results.length,
+            failed: failed.length
+        });
+
+        return {
+            success,
+            plan_id: plan.id,
+            status: plan.status,
+            results
+        };
+    }
+}
+
+// Create singleton instance
+const configAsCodeService = new ConfigAsCodeService();
+
+module.exports = configAsCodeService;
\ No newline at end of file
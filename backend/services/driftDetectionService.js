@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { SecurityConfig, AuditLog, User } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const changeRequestService = require('./changeRequestService');
+const { AppError } = require('../middleware/errorHandler');
+const { SETTING_MAP, getPath, toCloudflareValue, toLocalValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+let notificationService;
+try {
+    notificationService = require('./notificationService');
+} catch (error) {
+    notificationService = null;
+}
+
+const RESOLUTIONS = ['adopt_remote', 'enforce_local'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class DriftDetectionService {
+    /**
+     * Read the live Cloudflare state as local values, keyed by field path.
+     * Settings the zone's plan does not offer are left out; if none can be read the first error is thrown.
+     */
+    async fetchRemote(zone) {
+        const apiToken = zone.getDecryptedApiToken();
+        const results = await Promise.allSettled(
+            SETTING_MAP.map(({ setting }) => cloudflareService.getZoneSetting(apiToken, zone.cloudflare_zone_id, setting))
+        );
+
+        if (results.every(result => result.status === 'rejected')) {
+            throw results[0].reason;
+        }
+
+        return SETTING_MAP.reduce((remote, mapping, index) => {
+            if (results[index].status === 'fulfilled') {
+                remote[mapping.field] = toLocalValue(mapping, results[index].value.value);
+            }
+            return remote;
+        }, {});
+    }
+
+    /**
+     * Classify a difference using the last remote state we saw (the zone's settings cache):
+     * - remote_only: Cloudflare moved away from the baseline, the stored config did not
+     * - local_only: the stored config moved away from the baseline, Cloudflare did not
+     * - conflict: both moved, or there is no baseline to tell who changed
+     */
+    classify(local, remote, baseline) {
+        if (baseline === undefined) return 'conflict';
+        if (same(local, baseline)) return 'remote_only';
+        if (same(remote, baseline)) return 'local_only';
+        return 'conflict';
+    }
+
+    fingerprint(differences) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(differences.map(({ field, local, remote }) => [field, local, remote])))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Compare stored config, zone settings cache and live Cloudflare settings.
+     * New drift (a different set of differences than last reported) is audited and notified once.
+     */
+    async detect(zone, { userId = null } = {}) {
+        const [remote, securityConfig] = await Promise.all([
+            this.fetchRemote(zone),
+            SecurityConfig.findByZone(zone.id)
+        ]);
+
+        if (!securityConfig) {
+            throw new AppError('No stored security configuration for this zone', 404);
+        }
+
+        const cache = zone.settings_cache || {};
+        const baseline = { ...(cache.security || {}) };
+        const local = securityConfig.toJSON();
+        const differences = [];
+
+        SETTING_MAP.forEach(({ field, setting }) => {
+            if (!(field in remote)) return;
+
+            const localValue = getPath(local, field);
+
+            if (same(localValue, remote[field])) {
+                // Agreeing values become the new baseline
+                baseline[field] = remote[field];
+                return;
+            }
+
+            differences.push({
+                field,
+                setting,
+                local: localValue,
+                remote: remote[field],
+                baseline: baseline[field],
+                classification: this.classify(localValue, remote[field], baseline[field])
+            });
+        });
+
+        const fingerprint = differences.length > 0 ? this.fingerprint(differences) : null;
+        const isNew = fingerprint !== null && fingerprint !== cache.drift_fingerprint;
+
+        await zone.cacheSettings({ ...cache, security: baseline, drift_fingerprint: fingerprint });
+
+        if (isNew) {
+            await this.report(zone, differences, userId);
+        }
+
+        logger.cloudflareApi('DETECT_DRIFT', zone.cloudflare_zone_id, true, {
+            differences: differences.length,
+            new_drift: isNew
+        });
+
+        return {
+            success: true,
+            in_sync: differences.length === 0,
+            checked_at: new Date().toISOString(),
+            fingerprint,
+            new_drift: isNew,
+            differences,
+            summary: {
+                remote_only: differences.filter(entry => entry.classification === 'remote_only').length,
+                local_only: differences.filter(entry => entry.classification === 'local_only').length,
+                conflict: differences.filter(entry => entry.classification === 'conflict').length
+            }
+        };
+    }
+
+    /**
+     * Record a drift event in the audit log and notify the zone owner
+     */
+    async report(zone, differences, userId) {
+        const hasConflict = differences.some(entry => entry.classification === 'conflict');
+        const severity = hasConflict ? 'high' : 'medium';
+        const description = `Configuration drift detected on zone ${zone.name}: ` +
+            differences.map(entry => `${entry.field} (${entry.classification})`).join(', ');
+
+        await AuditLog.createEntry({
+            userId,
+            zoneId: zone.id,
+            action: 'security_config_drift_detected',
+            resourceType: 'security_config',
+            description,
+            oldValues: differences.reduce((values, entry) => ({ ...values, [entry.field]: entry.local }), {}),
+            newValues: differences.reduce((values, entry) => ({ ...values, [entry.field]: entry.remote }), {}),
+            metadata: { differences },
+            category: 'configuration',
+            severity
+        });
+
+        if (!notificationService) return;
+
+        try {
+            const owner = await User.findByPk(zone.user_id);
+            if (owner) {
+                await notificationService.sendNotificationWithPreferences(owner, {
+                    type: 'security_alert',
+                    zoneName: zone.name,
+                    alertType: 'Configuration drift',
+                    description,
+                    severity,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            logger.error(`Failed to send drift notification for zone ${zone.id}:`, error);
+        }
+    }
+
+    /**
+     * Resolve drifted fields by adopting the remote value or re-enforcing the local one.
+     * `resolutions` is a list of { field, action }.
+     */
+    async resolve(zone, resolutions, { userId = null } = {}) {
+        const unknown = resolutions.filter(({ field, action }) =>
+            !SETTING_MAP.some(entry => entry.field === field) || !RESOLUTIONS.includes(action));
+        if (unknown.length > 0) {
+            throw new AppError(`Cannot resolve drift for: ${unknown.map(entry => entry.field).join(', ')}`, 400);
+        }
+
+        const [remote, securityConfig] = await Promise.all([
+            this.fetchRemote(zone),
+            SecurityConfig.findByZone(zone.id)
+        ]);
+
+        if (!securityConfig) {
+            throw new AppError('No stored security configuration for this zone', 404);
+        }
+
+        const local = securityConfig.toJSON();
+        const cache = zone.settings_cache || {};
+        const baseline = { ...(cache.security || {}) };
+        const localUpdates = {};
+        const remoteUpdates = {};
+        const results = [];
+
+        resolutions.forEach(({ field, action }) => {
+            const mapping = SETTING_MAP.find(entry => entry.field === field);
+            const localValue = getPath(local, field);
+
+            if (!(field in remote)) {
+                results.push({ field, action, status: 'failed', error: 'Setting is not available for this zone' });
+                return;
+            }
+
+            if (same(localValue, remote[field])) {
+                results.push({ field, action, status: 'in_sync', value: remote[field] });
+                return;
+            }
+
+            if (action === 'adopt_remote') {
+                const [column, key] = field.split('.');
+                if (key) {
+                    localUpdates[column] = { ...(localUpdates[column] || local[column] || {}), [key]: remote[field] };
+                } else {
+                    localUpdates[column] = remote[field];
+                }
+                results.push({ field, action, status: 'adopted', from: localValue, to: remote[field] });
+            } else {
+                remoteUpdates[mapping.setting] = toCloudflareValue(mapping, localValue);
+                results.push({ field, setting: mapping.setting, action, status: 'pending', from: remote[field], to: localValue });
+            }
+        });
+
+        changeRequestService.ensureApprovalNotRequired(Object.keys(remoteUpdates), 'Enforcing the local value');
+
+        if (Object.keys(remoteUpdates).length > 0) {
+            const update = await cloudflareService.bulkUpdateSettings(
+                zone.getDecryptedApiToken(),
+                zone.cloudflare_zone_id,
+                remoteUpdates
+            );
+
+            results.filter(entry => entry.status === 'pending').forEach(entry => {
+                if (update.errors?.[entry.setting]) {
+                    entry.status = 'failed';
+                    entry.error = update.errors[entry.setting];
+                } else {
+                    entry.status = 'enforced';
+                    baseline[entry.field] = entry.to;
+                }
+            });
+        }
+
+        if (Object.keys(localUpdates).length > 0) {
+            await securityConfig.update({
+                ...localUpdates,
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+            results.filter(entry => entry.status === 'adopted').forEach(entry => {
+                baseline[entry.field] = entry.to;
+            });
+        }
+
+        await zone.cacheSettings({ ...cache, security: baseline, drift_fingerprint: null });
+
+        logger.cloudflareApi('RESOLVE_DRIFT', zone.cloudflare_zone_id, !results.some(entry => entry.status === 'failed'), {
+            adopted: results.filter(entry => entry.status === 'adopted').length,
+            enforced: results.filter(entry => entry.status === 'enforced').length
+        });
+
+        return {
+            success: !results.some(entry => entry.status === 'failed'),
+            results
+        };
+    }
+}
+
+// Create singleton instance
+const driftDetectionService = new DriftDetectionService();
+
+module.exports = driftDetectionService;
\ No newline at end of file
@@ -31,8 +31,8 @@ class EncryptionService {
             // Generate random IV
             const iv = crypto.randomBytes(16);
 
-            // Create cipher
-            const cipher = crypto.createCipher(this.algorithm, this.keyBuffer);
+            // Create cipher; the IV must reach the cipher, or GCM reuses a key-derived nonce
+            const cipher = crypto.createCipheriv(this.algorithm, this.keyBuffer, iv);
             cipher.setAutoPadding(true);
 
             // Encrypt the text
@@ -77,18 +77,15 @@ class EncryptionService {
             const iv = Buffer.from(ivHex, 'hex');
             const authTag = authTagHex ? Buffer.from(authTagHex, 'hex') : null;
 
-            // Create decipher
-            const decipher = crypto.createDecipher(this.algorithm, this.keyBuffer);
-
-            // Set auth tag for GCM mode
-            if (authTag && decipher.setAuthTag) {
-                decipher.setAuthTag(authTag);
+            let decrypted;
+            try {
+                decrypted = this.decipher(crypto.createDecipheriv(this.algorithm, this.keyBuffer, iv), authTag, encrypted);
+            } catch (error) {
+                // Values written before the IV was passed to the cipher were encrypted with createCipher
+                if (!crypto.createDecipher) throw error;
+                decrypted = this.decipher(crypto.createDecipher(this.algorithm, this.keyBuffer), authTag, encrypted);
             }
 
-            // Decrypt the text
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-
             logger.debug('Text decrypted successfully');
             return decrypted;
 
@@ -98,6 +95,20 @@ class EncryptionService {
         }
     }
 
+    /**
+     * Run a decipher over hex ciphertext, checking the auth tag in GCM mode
+     */
+    decipher(decipher, authTag, encrypted) {
+        if (authTag && decipher.setAuthTag) {
+            decipher.setAuthTag(authTag);
+        }
+
+        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+
+        return decrypted;
+    }
+
     /**
      * Hash text using SHA-256
      * @param {string} text - Text to hash
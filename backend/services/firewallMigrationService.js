@@ -0,0 +1,221 @@
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const logger = require('../utils/logger');
+
+const CUSTOM_RULES_PHASE = 'http_request_firewall_custom';
+
+// Legacy actions that exist unchanged in the custom rules phase
+const DIRECT_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'log'];
+
+// Legacy bypass products that the skip action can still skip
+const SKIP_PRODUCTS = ['zoneLockdown', 'uaBlock', 'bic', 'hot', 'securityLevel', 'rateLimit', 'waf'];
+
+// Phases a legacy "allow" rule used to bypass
+const ALLOW_SKIP_PHASES = ['http_ratelimit', 'http_request_firewall_managed', 'http_request_sbfm'];
+
+class FirewallMigrationService {
+    /**
+     * Convert a legacy firewall rule into a custom rule (Rulesets API).
+     * Accepts Cloudflare's legacy shape ({ filter: { expression }, ... }) or the flat
+     * shape stored in SecurityConfig.firewall_rules. Returns { rule, warnings } or { reason }.
+     */
+    convertRule(legacy) {
+        const expression = (legacy.filter?.expression ?? legacy.expression ?? '').trim();
+        const warnings = [];
+
+        if (!expression) {
+            return { reason: 'Rule has no filter expression' };
+        }
+
+        const rule = {
+            expression,
+            description: legacy.description || (legacy.id ? `Migrated firewall rule ${legacy.id}` : 'Migrated firewall rule'),
+            enabled: legacy.paused !== true && legacy.filter?.paused !== true && legacy.enabled !== false
+        };
+
+        if (DIRECT_ACTIONS.includes(legacy.action)) {
+            rule.action = legacy.action;
+
+            if (legacy.action === 'log') {
+                warnings.push('The log action is only available on Enterprise plans');
+            }
+        } else if (legacy.action === 'allow') {
+            rule.action = 'skip';
+            rule.action_parameters = {
+                ruleset: 'current',
+                phases: ALLOW_SKIP_PHASES,
+                products: SKIP_PRODUCTS
+            };
+            rule.logging = { enabled: true };
+            warnings.push('allow was converted to skip the remaining custom rules, rate limiting, managed rules and legacy security products');
+        } else if (legacy.action === 'bypass') {
+            const products = legacy.products || [];
+            const unsupported = products.filter(product => !SKIP_PRODUCTS.includes(product));
+
+            if (products.length === 0) {
+                return { reason: 'bypass rule does not list any products to bypass' };
+            }
+
+            if (unsupported.length > 0) {
+                return { reason: `bypass product(s) cannot be skipped by custom rules: ${unsupported.join(', ')}` };
+            }
+
+            rule.action = 'skip';
+            rule.action_parameters = { products };
+            rule.logging = { enabled: true };
+        } else {
+            return { reason: `Unsupported action '${legacy.action}'` };
+        }
+
+        return { rule, warnings };
+    }
+
+    /**
+     * Collect legacy rules from Cloudflare and from the stored security config,
+     * ordered by priority. Rules present in both places are only returned once.
+     */
+    async collectLegacyRules(apiToken, cloudflareZoneId, securityConfig) {
+        const sources = [];
+
+        const remote = await cloudflareService.getFirewallRules(apiToken, cloudflareZoneId);
+        const remoteRules = [...(remote.rules || [])].sort((a, b) =>
+            (a.priority ?? Number.MAX_SAFE_INTEGER) - (b.priority ?? Number.MAX_SAFE_INTEGER)
+        );
+        remoteRules.forEach(rule => sources.push({ source: 'cloudflare', rule }));
+
+        const stored = securityConfig?.firewall_rules || {};
+        (stored.rules || []).forEach(rule => sources.push({
+            source: 'security_config',
+            rule: stored.enabled === false ? { ...rule, enabled: false } : rule,
+            original: rule
+        }));
+
+        return sources;
+    }
+
+    /**
+     * Migrate a zone's legacy firewall rules into its custom rules ruleset.
+     * All converted rules are written in one entry point update so the migration
+     * either lands completely or not at all. With `dryRun` only the report is built.
+     */
+    async migrateZone(zone, { dryRun = false, removeLegacy = false, userId = null } = {}) {
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const securityConfig = await SecurityConfig.findOne({ where: { zone_id: zone.id } });
+
+        const report = {
+            dry_run: dryRun,
+            ruleset_id: null,
+            converted: [],
+            skipped: [],
+            unconvertible: [],
+            legacy_removed: [],
+            legacy_remove_failed: []
+        };
+
+        const legacyRules = await this.collectLegacyRules(apiToken, cloudflareZoneId, securityConfig);
+        const { ruleset, rules: existingRules } = await cloudflareService.getPhaseRules(
+            apiToken, cloudflareZoneId, CUSTOM_RULES_PHASE
+        );
+
+        const ruleKey = (rule) => `${rule.action}|${rule.expression}`;
+        const seen = new Set(existingRules.map(ruleKey));
+        const unconvertedStored = [];
+
+        for (const { source, rule: legacy, original } of legacyRules) {
+            const entry = {
+                source,
+                legacy_id: legacy.id || null,
+                description: legacy.description || null,
+                action: legacy.action
+            };
+            const { rule, warnings, reason } = this.convertRule(legacy);
+
+            if (!rule) {
+                report.unconvertible.push({ ...entry, reason });
+                if (original) {
+                    unconvertedStored.push(original);
+                }
+                continue;
+            }
+
+            if (seen.has(ruleKey(rule))) {
+                report.skipped.push({ ...entry, reason: 'An equivalent custom rule already exists' });
+                continue;
+            }
+
+            seen.add(ruleKey(rule));
+            report.converted.push({ ...entry, rule, warnings });
+        }
+
+        report.ruleset_id = ruleset?.id || null;
+
+        if (dryRun || report.converted.length === 0) {
+            return { success: true, ...report };
+        }
+
+        const result = await cloudflareService.replacePhaseRules(
+            apiToken,
+            cloudflareZoneId,
+            CUSTOM_RULES_PHASE,
+            [...existingRules, ...report.converted.map(entry => entry.rule)],
+            ruleset?.description
+        );
+        report.ruleset_id = result.ruleset.id;
+
+        // The API returns the whole ruleset; converted rules are the new tail
+        const createdRules = result.rules.slice(existingRules.length);
+        report.converted.forEach((entry, index) => {
+            entry.rule = createdRules[index] || entry.rule;
+        });
+
+        if (removeLegacy) {
+            const remoteIds = report.converted
+                .filter(entry => entry.source === 'cloudflare' && entry.legacy_id)
+                .map(entry => entry.legacy_id);
+
+            for (const ruleId of remoteIds) {
+                try {
+                    await cloudflareService.deleteFirewallRule(apiToken, cloudflareZoneId, ruleId);
+                    report.legacy_removed.push(ruleId);
+                } catch (error) {
+                    report.legacy_remove_failed.push({ legacy_id: ruleId, error: error.message });
+                }
+            }
+        }
+
+        if (securityConfig) {
+            const firewallRules = securityConfig.firewall_rules || {};
+
+            // Keep only the stored rules that still need manual attention
+            await securityConfig.update({
+                firewall_rules: {
+                    ...firewallRules,
+                    rules: unconvertedStored,
+                    migrated_to_rulesets: {
+                        at: new Date().toISOString(),
+                        ruleset_id: report.ruleset_id,
+                        converted: report.converted.length
+                    }
+                },
+                last_modified_by: userId
+            });
+        }
+
+        logger.cloudflareApi('MIGRATE_FIREWALL_RULES', cloudflareZoneId, true, {
+            converted: report.converted.length,
+            skipped: report.skipped.length,
+            unconvertible: report.unconvertible.length
+        });
+
+        return {
+            success: report.legacy_remove_failed.length === 0,
+            ...report
+        };
+    }
+}
+
+// Create singleton instance
+const firewallMigrationService = new FirewallMigrationService();
+
+module.exports = firewallMigrationService;
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { Op } = require('sequelize');
+const { FreezeWindow, AuditLog } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Shortest reason accepted for a break-glass override
+const MIN_BREAK_GLASS_REASON_LENGTH = 10;
+
+class FreezeService {
+    /**
+     * Freezes in effect at `now`, longest-running first
+     */
+    async findActive(now = new Date()) {
+        return FreezeWindow.findAll({
+            where: {
+                cancelled_at: null,
+                starts_at: { [Op.lte]: now },
+                ends_at: { [Op.gt]: now }
+            },
+            order: [['ends_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Freeze holding back changes to any of the zones. With no zones only global freezes count.
+     */
+    async findBlocking(zones = [], now = new Date()) {
+        const freezes = await this.findActive(now);
+        const targets = zones.length > 0 ? zones : [null];
+
+        return freezes.find(freeze => targets.some(zone => freeze.covers(zone))) || null;
+    }
+
+    describe(freeze) {
+        return `Changes are frozen until ${freeze.ends_at.toISOString()} by "${freeze.name}"` +
+            (freeze.reason ? `: ${freeze.reason}` : '');
+    }
+
+    validateBreakGlassReason(reason) {
+        if (typeof reason !== 'string' || reason.trim().length < MIN_BREAK_GLASS_REASON_LENGTH) {
+            throw new AppError(`A break-glass override needs a reason of at least ${MIN_BREAK_GLASS_REASON_LENGTH} characters`, 400);
+        }
+
+        return reason.trim();
+    }
+
+    /**
+     * Record a change made through a freeze
+     */
+    async breakGlass(freeze, { userId, zone = null, reason, method, path, ipAddress, userAgent }) {
+        await AuditLog.createEntry({
+            userId,
+            zoneId: zone ? zone.id : null,
+            action: 'change_freeze_overridden',
+            resourceType: zone ? 'zone' : 'security_config',
+            resourceId: zone ? zone.id : freeze.id,
+            description: `Change freeze "${freeze.name}" overridden for ${method} ${path}: ${reason}`,
+            ipAddress,
+            userAgent,
+            category: 'security',
+            severity: 'critical',
+            metadata: {
+                freezeId: freeze.id,
+                freezeEndsAt: freeze.ends_at,
+                reason,
+                method,
+                path
+            }
+        });
+
+        logger.warn(`Change freeze ${freeze.id} overridden by user ${userId}`, { method, path, reason });
+    }
+
+    async create({ name, reason = null, scope = 'global', tags = [], startsAt = null, endsAt, userId }) {
+        try {
+            const freeze = await FreezeWindow.create({
+                name,
+                reason,
+                scope,
+                tags: scope === 'tag' ? tags : [],
+                starts_at: startsAt ? new Date(startsAt) : new Date(),
+                ends_at: new Date(endsAt),
+                created_by: userId
+            });
+
+            logger.userActivity(userId, 'change_freeze_created', {
+                freezeId: freeze.id,
+                scope,
+                tags: freeze.tags,
+                startsAt: freeze.starts_at,
+                endsAt: freeze.ends_at
+            });
+
+            return freeze;
+        } catch (error) {
+            if (error.name === 'SequelizeValidationError') {
+                throw new AppError(error.errors.map(item => item.message).join('; '), 400);
+            }
+            throw error;
+        }
+    }
+
+    async cancel(freeze, userId) {
+        if (freeze.cancelled_at) {
+            throw new AppError('Freeze window is already cancelled', 409);
+        }
+        if (freeze.ends_at <= new Date()) {
+            throw new AppError('Freeze window has already ended', 409);
+        }
+
+        await freeze.update({ cancelled_at: new Date() });
+        logger.userActivity(userId, 'change_freeze_cancelled', { freezeId: freeze.id });
+
+        return freeze;
+    }
+}
+
+// Create singleton instance
+const freezeService = new FreezeService();
+
+module.exports = freezeService;
\ No newline at end of file
@@ -0,0 +1,548 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges up to this length are read from hourly groups, longer ones from daily groups
+const HOURLY_RANGE_MS = 3 * DAY_MS;
+
+// Adaptive datasets Cloudflare lets us group request samples by
+const TOP_DIMENSIONS = {
+    countries: 'value: clientCountryName',
+    asns: 'value: clientAsn description: clientASNDescription',
+    paths: 'value: clientRequestPath',
+    user_agents: 'value: userAgent'
+};
+
+const HTTP_REQUESTS_SELECTION = `
+        sum {
+            requests
+            cachedRequests
+            bytes
+            cachedBytes
+            encryptedRequests
+            encryptedBytes
+            threats
+            pageViews
+            countryMap { clientCountryName requests threats bytes }
+            responseStatusMap { edgeResponseStatus requests }
+            contentTypeMap { edgeResponseContentTypeName requests bytes }
+            threatPathingMap { threatPathingName requests }
+            clientHTTPVersionMap { clientHTTPProtocol requests }
+        }
+        uniq { uniques }`;
+
+// Event dimensions the explorer can filter and group by, mapped to firewallEventsAdaptive fields
+const EVENT_DIMENSIONS = {
+    action: 'action',
+    rule_id: 'ruleId',
+    source: 'source',
+    ip: 'clientIP',
+    asn: 'clientAsn',
+    country: 'clientCountryName',
+    path: 'clientRequestPath',
+    host: 'clientRequestHTTPHost',
+    user_agent: 'userAgent',
+    method: 'clientRequestHTTPMethodName',
+    status: 'edgeResponseStatus'
+};
+
+// Dimensions matched with `*` wildcards instead of exact values
+const WILDCARD_DIMENSIONS = ['path', 'user_agent'];
+const NUMERIC_DIMENSIONS = ['asn', 'status'];
+
+// Firewall event actions counted as threats, as in the threats total of httpRequests1hGroups
+const THREAT_ACTIONS = ['block', 'challenge', 'managed_challenge', 'jschallenge', 'connection_close'];
+
+const REQUEST_OUTCOMES_QUERY = `
+query ZoneRequestOutcomes($zoneTag: string, $filter: ZoneHttpRequestsAdaptiveGroupsFilter_InputObject, $eventFilter: FirewallEventsAdaptiveGroupsFilter_InputObject) {
+    viewer {
+        zones(filter: { zoneTag: $zoneTag }) {
+            statuses: httpRequestsAdaptiveGroups(limit: 1000, filter: $filter) {
+                count
+                dimensions { edgeResponseStatus }
+            }
+            threats: firewallEventsAdaptiveGroups(limit: 1000, filter: $eventFilter) {
+                count
+            }
+        }
+    }
+}`;
+
+// Own keys only, so names like `constructor` are not taken for dimensions
+const isEventDimension = (dimension) => Object.prototype.hasOwnProperty.call(EVENT_DIMENSIONS, dimension);
+
+const FIREWALL_EVENT_FIELDS = `
+            action
+            source
+            ruleId
+            description
+            rayName
+            datetime
+            clientIP
+            clientAsn
+            clientASNDescription
+            clientCountryName
+            clientRequestHTTPHost
+            clientRequestHTTPMethodName
+            clientRequestHTTPProtocol
+            clientRequestPath
+            clientRequestQuery
+            userAgent
+            edgeResponseStatus`;
+
+const FIREWALL_EVENTS_QUERY = `
+query FirewallEvents($zoneTag: string, $filter: FirewallEventsAdaptiveFilter_InputObject, $limit: uint64!) {
+    viewer {
+        zones(filter: { zoneTag: $zoneTag }) {
+            firewallEventsAdaptive(limit: $limit, filter: $filter, orderBy: [datetime_DESC, rayName_DESC]) {${FIREWALL_EVENT_FIELDS}
+            }
+        }
+    }
+}`;
+
+const encodeCursor = position => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (Number.isNaN(Date.parse(position.before)) || !Array.isArray(position.exclude)) throw new Error();
+        return position;
+    } catch (error) {
+        throw new AppError('Invalid events cursor', 400);
+    }
+};
+
+/**
+ * Add every numeric leaf of `source` onto `target`, creating nested objects as needed
+ */
+const addInto = (target, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            target[key] = (target[key] || 0) + value;
+        } else if (value && typeof value === 'object') {
+            target[key] = addInto(target[key] || {}, value);
+        }
+    });
+    return target;
+};
+
+const countBy = (entries, key, value = 'requests') => (entries || []).reduce((counts, entry) => {
+    const name = entry[key] ?? 'unknown';
+    counts[name] = (counts[name] || 0) + (entry[value] || 0);
+    return counts;
+}, {});
+
+/**
+ * Client for Cloudflare's GraphQL Analytics API.
+ * Results are mapped into the shape the old /analytics/dashboard endpoint returned
+ * ({ totals, timeseries }) and the event shape used across the app, so routes/analytics.js
+ * keeps working. Every method takes `run(query, variables)`, which executes the query
+ * with the zone's API token (see CloudflareService.graphql).
+ */
+class GraphqlAnalyticsService {
+    /**
+     * Hourly groups for short ranges, daily groups otherwise
+     */
+    httpRequestsDataset(since, until) {
+        if (until - since <= HOURLY_RANGE_MS) {
+            return {
+                dataset: 'httpRequests1hGroups',
+                filterType: 'ZoneHttpRequests1hGroupsFilter_InputObject',
+                dimension: 'datetime',
+                bucketMs: HOUR_MS,
+                filter: { datetime_geq: since.toISOString(), datetime_lt: until.toISOString() }
+            };
+        }
+
+        return {
+            dataset: 'httpRequests1dGroups',
+            filterType: 'ZoneHttpRequests1dGroupsFilter_InputObject',
+            dimension: 'date',
+            bucketMs: DAY_MS,
+            filter: { date_geq: since.toISOString().substring(0, 10), date_leq: until.toISOString().substring(0, 10) }
+        };
+    }
+
+    parseRange({ since, until } = {}) {
+        const end = until ? new Date(until) : new Date();
+        const start = since ? new Date(since) : new Date(end.getTime() - DAY_MS);
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+            throw new AppError('Analytics range must have a valid since before until', 400);
+        }
+
+        return { since: start, until: end };
+    }
+
+    zoneResult(data) {
+        return data?.viewer?.zones?.[0] || {};
+    }
+
+    /**
+     * Request totals and a time series for a zone, as { totals, timeseries }
+     */
+    async getZoneAnalytics(run, zoneId, options = {}) {
+        const { since, until } = this.parseRange(options);
+        const { dataset, filterType, dimension, bucketMs, filter } = this.httpRequestsDataset(since, until);
+
+        const query = `
+query ZoneHttpRequests($zoneTag: string, $filter: ${filterType}, $limit: uint64!) {
+    viewer {
+        zones(filter: { zoneTag: $zoneTag }) {
+            series: ${dataset}(limit: $limit, filter: $filter, orderBy: [${dimension}_ASC]) {
+                dimensions { timeslot: ${dimension} }${HTTP_REQUESTS_SELECTION}
+            }
+        }
+    }
+}`;
+
+        const data = await run(query, {
+            zoneTag: zoneId,
+            filter,
+            limit: Math.ceil((until - since) / bucketMs) + 1
+        });
+
+        const timeseries = (this.zoneResult(data).series || []).map(group => this.mapHttpRequestsGroup(group, bucketMs));
+
+        return {
+            totals: this.sumTimeseries(timeseries, since, until),
+            timeseries
+        };
+    }
+
+    /**
+     * One hourly or daily group as a dashboard time series point
+     */
+    mapHttpRequestsGroup(group, bucketMs) {
+        const sum = group.sum || {};
+        const timeslot = String(group.dimensions?.timeslot);
+        const start = new Date(timeslot.length === 10 ? `${timeslot}T00:00:00Z` : timeslot);
+
+        const requests = sum.requests || 0;
+        const cached = sum.cachedRequests || 0;
+        const bytes = sum.bytes || 0;
+        const cachedBytes = sum.cachedBytes || 0;
+        const encrypted = sum.encryptedRequests || 0;
+
+        const httpStatus = (sum.responseStatusMap || []).reduce((counts, entry) => {
+            const statusClass = `${Math.floor(entry.edgeResponseStatus / 100)}xx`;
+            counts[statusClass] = (counts[statusClass] || 0) + entry.requests;
+            return counts;
+        }, {});
+
+        return {
+            since: start.toISOString(),
+            until: new Date(start.getTime() + bucketMs).toISOString(),
+            requests: {
+                all: requests,
+                cached,
+                uncached: requests - cached,
+                cache_status: { hit: cached, miss: requests - cached },
+                ssl: { encrypted, unencrypted: requests - encrypted },
+                http_status: httpStatus,
+                http_version: countBy(sum.clientHTTPVersionMap, 'clientHTTPProtocol'),
+                content_type: countBy(sum.contentTypeMap, 'edgeResponseContentTypeName'),
+                country: countBy(sum.countryMap, 'clientCountryName')
+            },
+            bandwidth: {
+                all: bytes,
+                cached: cachedBytes,
+                uncached: bytes - cachedBytes,
+                cache_status: { hit: cachedBytes, miss: bytes - cachedBytes },
+                ssl: { encrypted: sum.encryptedBytes || 0, unencrypted: bytes - (sum.encryptedBytes || 0) }
+            },
+            threats: {
+                all: sum.threats || 0,
+                country: countBy(sum.countryMap, 'clientCountryName', 'threats'),
+                type: countBy(sum.threatPathingMap, 'threatPathingName')
+            },
+            pageviews: { all: sum.pageViews || 0 },
+            // Uniques are per group; their sum over a range overcounts returning visitors
+            uniques: { all: group.uniq?.uniques || 0 }
+        };
+    }
+
+    sumTimeseries(timeseries, since, until) {
+        const totals = timeseries.reduce((sum, point) => addInto(sum, {
+            requests: point.requests,
+            bandwidth: point.bandwidth,
+            threats: point.threats,
+            pageviews: point.pageviews,
+            uniques: point.uniques
+        }), {});
+
+        return { since: since.toISOString(), until: until.toISOString(), ...totals };
+    }
+
+    /**
+     * Top request sources by country, ASN, path and user agent from the adaptive (sampled) dataset
+     */
+    async getTopTraffic(run, zoneId, options = {}) {
+        const { since, until } = this.parseRange(options);
+        const dimensions = options.dimensions || Object.keys(TOP_DIMENSIONS);
+
+        const unknown = dimensions.filter(dimension => !TOP_DIMENSIONS[dimension]);
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown top traffic dimension: ${unknown.join(', ')}`, 400);
+        }
+
+        const groups = dimensions.map(dimension => `
+            ${dimension}: httpRequestsAdaptiveGroups(limit: $limit, filter: $filter, orderBy: [count_DESC]) {
+                count
+                dimensions { ${TOP_DIMENSIONS[dimension]} }
+            }`).join('');
+
+        const query = `
+query ZoneTopTraffic($zoneTag: string, $filter: ZoneHttpRequestsAdaptiveGroupsFilter_InputObject, $limit: uint64!) {
+    viewer {
+        zones(filter: { zoneTag: $zoneTag }) {${groups}
+        }
+    }
+}`;
+
+        const data = await run(query, {
+            zoneTag: zoneId,
+            filter: { datetime_geq: since.toISOString(), datetime_leq: until.toISOString(), ...(options.filter || {}) },
+            limit: options.limit || 10
+        });
+        const zone = this.zoneResult(data);
+
+        return dimensions.reduce((top, dimension) => ({
+            ...top,
+            [dimension]: (zone[dimension] || []).map(group => ({
+                value: group.dimensions?.value ?? null,
+                ...(group.dimensions?.description !== undefined && { description: group.dimensions.description }),
+                count: group.count
+            }))
+        }), {});
+    }
+
+    /**
+     * Requests, 5xx responses and threats within an exact range. Hourly groups only cover whole
+     * hours, so short windows such as a rollout's soak period are counted from sampled requests.
+     */
+    async getRequestOutcomes(run, zoneId, options = {}) {
+        const { since, until } = this.parseRange(options);
+        const range = { datetime_geq: since.toISOString(), datetime_lt: until.toISOString() };
+
+        const data = await run(REQUEST_OUTCOMES_QUERY, {
+            zoneTag: zoneId,
+            filter: range,
+            eventFilter: { ...range, action_in: THREAT_ACTIONS }
+        });
+        const zone = this.zoneResult(data);
+        const statuses = zone.statuses || [];
+
+        return {
+            requests: statuses.reduce((sum, group) => sum + group.count, 0),
+            errors: statuses
+                .filter(group => group.dimensions?.edgeResponseStatus >= 500)
+                .reduce((sum, group) => sum + group.count, 0),
+            threats: (zone.threats || []).reduce((sum, group) => sum + group.count, 0)
+        };
+    }
+
+    /**
+     * Translate explorer filters ({ country: 'US', ip: [...], path: '/wp-*' }) into a
+     * firewallEventsAdaptive filter. Arrays match any value; path and user agent accept `*` wildcards.
+     */
+    buildEventFilter(filters = {}) {
+        return Object.entries(filters).reduce((filter, [dimension, value]) => {
+            const field = isEventDimension(dimension) ? EVENT_DIMENSIONS[dimension] : null;
+            if (!field) {
+                throw new AppError(`Unknown event filter: ${dimension}`, 400);
+            }
+            if (value === undefined || value === null || value === '') return filter;
+
+            const values = (Array.isArray(value) ? value : [value])
+                .map(entry => (NUMERIC_DIMENSIONS.includes(dimension) ? Number(entry) : String(entry)));
+
+            if (WILDCARD_DIMENSIONS.includes(dimension) && values.some(entry => entry.includes('*'))) {
+                const patterns = values.map(entry => ({ [`${field}_like`]: entry.replace(/\*/g, '%') }));
+                return patterns.length === 1 ?
+                    { ...filter, ...patterns[0] } :
+                    { ...filter, AND: [...(filter.AND || []), { OR: patterns }] };
+            }
+
+            return values.length === 1 ?
+                { ...filter, [field]: values[0] } :
+                { ...filter, [`${field}_in`]: values };
+        }, {});
+    }
+
+    /**
+     * One page of firewall events, newest first, and the cursor for the next page (null on the last one).
+     * firewallEventsAdaptive has no cursor, so ours records the oldest timestamp returned and the
+     * ray IDs already seen at that timestamp; the next page ends there and excludes those rays.
+     * `filter` takes extra firewallEventsAdaptive filter fields, e.g. { action: 'block' }.
+     */
+    async getFirewallEventsPage(run, zoneId, options = {}) {
+        const { since, until } = this.parseRange(options);
+        const limit = options.limit || 100;
+        const position = options.cursor ? decodeCursor(options.cursor) : { before: until.toISOString(), exclude: [] };
+
+        const filter = {
+            ...(options.filter || {}),
+            datetime_geq: since.toISOString(),
+            datetime_leq: position.before
+        };
+        if (position.exclude.length > 0) filter.rayName_notin = position.exclude;
+
+        const data = await run(FIREWALL_EVENTS_QUERY, { zoneTag: zoneId, filter, limit });
+        const events = this.zoneResult(data).firewallEventsAdaptive || [];
+
+        let cursor = null;
+        if (events.length === limit) {
+            const oldest = events[events.length - 1].datetime;
+            const atOldest = events.filter(event => event.datetime === oldest).map(event => event.rayName);
+            cursor = encodeCursor({
+                before: oldest,
+                exclude: oldest === position.before ? [...position.exclude, ...atOldest] : atOldest
+            });
+        }
+
+        return {
+            events: events.map(event => this.mapFirewallEvent(event)),
+            cursor
+        };
+    }
+
+    /**
+     * Iterate over firewall events, newest first, one page at a time
+     */
+    async *iterateFirewallEvents(run, zoneId, options = {}) {
+        let cursor = null;
+
+        do {
+            const page = await this.getFirewallEventsPage(run, zoneId, {
+                ...options,
+                limit: options.perPage || 1000,
+                cursor
+            });
+
+            for (const event of page.events) {
+                yield event;
+            }
+
+            cursor = page.cursor;
+        } while (cursor);
+    }
+
+    /**
+     * Look up a single firewall event by ray ID within the range
+     */
+    async getFirewallEvent(run, zoneId, rayId, options = {}) {
+        const { events } = await this.getFirewallEventsPage(run, zoneId, {
+            ...options,
+            filter: { rayName: rayId },
+            limit: 1
+        });
+
+        if (events.length === 0) {
+            throw new AppError('Security event not found', 404);
+        }
+
+        return events[0];
+    }
+
+    /**
+     * Count firewall events grouped by explorer dimensions, largest groups first
+     */
+    async groupFirewallEvents(run, zoneId, options = {}) {
+        const { since, until } = this.parseRange(options);
+        const by = options.by || [];
+
+        const unknown = by.filter(dimension => !isEventDimension(dimension));
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown event dimension: ${unknown.join(', ')}`, 400);
+        }
+
+        const dimensions = by.length > 0 ?
+            `\n                dimensions { ${by.map(dimension => `${dimension}: ${EVENT_DIMENSIONS[dimension]}`).join(' ')} }` :
+            '';
+
+        const query = `
+query FirewallEventGroups($zoneTag: string, $filter: FirewallEventsAdaptiveGroupsFilter_InputObject, $limit: uint64!) {
+    viewer {
+        zones(filter: { zoneTag: $zoneTag }) {
+            groups: firewallEventsAdaptiveGroups(limit: $limit, filter: $filter, orderBy: [count_DESC]) {
+                count${dimensions}
+            }
+        }
+    }
+}`;
+
+        const data = await run(query, {
+            zoneTag: zoneId,
+            filter: { ...(options.filter || {}), datetime_geq: since.toISOString(), datetime_leq: until.toISOString() },
+            limit: options.limit || 20
+        });
+
+        return (this.zoneResult(data).groups || []).map(group => ({
+            ...by.reduce((values, dimension) => ({ ...values, [dimension]: group.dimensions?.[dimension] ?? null }), {}),
+            count: group.count
+        }));
+    }
+
+    /**
+     * The explorer filter matching `event` on each pivot dimension, for "show similar events"
+     */
+    similarEventFilters(event, by) {
+        return by.reduce((filters, dimension) => {
+            if (!isEventDimension(dimension)) {
+                throw new AppError(`Unknown event dimension: ${dimension}`, 400);
+            }
+
+            const value = this.eventValue(event, dimension);
+            if (value === null || value === undefined || value === '') {
+                throw new AppError(`Event has no ${dimension} to pivot on`, 400);
+            }
+
+            return { ...filters, [dimension]: value };
+        }, {});
+    }
+
+    /**
+     * Value of an explorer dimension on a mapped event
+     */
+    eventValue(event, dimension) {
+        switch (dimension) {
+            case 'ip': return event.client_ip;
+            case 'asn': return event.client_asn;
+            case 'path': return event.uri?.split('?')[0];
+            case 'user_agent': return event.ua;
+            default: return event[dimension];
+        }
+    }
+
+    /**
+     * A firewallEventsAdaptive row in the event shape used by the app
+     */
+    mapFirewallEvent(event) {
+        return {
+            ray_id: event.rayName,
+            kind: 'firewall',
+            source: event.source,
+            action: event.action,
+            rule_id: event.ruleId || null,
+            description: event.description || null,
+            client_ip: event.clientIP,
+            client_asn: event.clientAsn,
+            client_asn_description: event.clientASNDescription,
+            country: event.clientCountryName,
+            host: event.clientRequestHTTPHost,
+            method: event.clientRequestHTTPMethodName,
+            proto: event.clientRequestHTTPProtocol,
+            uri: `${event.clientRequestPath || ''}${event.clientRequestQuery || ''}`,
+            ua: event.userAgent,
+            status: event.edgeResponseStatus,
+            occurred_at: event.datetime
+        };
+    }
+}
+
+// Create singleton instance
+const graphqlAnalyticsService = new GraphqlAnalyticsService();
+
+module.exports = graphqlAnalyticsService;
\ No newline at end of file
@@ -0,0 +1,282 @@
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MANAGED_PHASE = 'http_request_firewall_managed';
+
+// Cloudflare's account-independent IDs for the managed rulesets we deploy
+const MANAGED_RULESETS = {
+    cloudflare_managed: {
+        id: 'efb7b8c949ac4650a09736fc376e9aee',
+        name: 'Cloudflare Managed Ruleset'
+    },
+    owasp_core: {
+        id: '4814384a9e5d4991b9815dcfc25d2f1f',
+        name: 'Cloudflare OWASP Core Ruleset'
+    }
+};
+
+// OWASP rule 949110 "Inbound Anomaly Score Exceeded" carries the score threshold
+const OWASP_ANOMALY_RULE_ID = '6179ae15870a4bb7b2d480d4843b323c';
+
+const PARANOIA_LEVELS = [1, 2, 3, 4];
+const OWASP_ACTIONS = ['block', 'managed_challenge', 'js_challenge', 'challenge', 'log'];
+const OVERRIDE_ACTIONS = ['block', 'managed_challenge', 'js_challenge', 'challenge', 'log'];
+
+const DEFAULT_OWASP = {
+    paranoia_level: 1,
+    anomaly_threshold: 40,
+    action: 'block'
+};
+
+class ManagedWafService {
+    /**
+     * Merge stored WAF settings over the defaults so older rows without
+     * overrides or OWASP settings behave consistently
+     */
+    getWafConfig(securityConfig) {
+        const waf = securityConfig?.waf || {};
+
+        return {
+            enabled: waf.enabled !== false,
+            ...waf,
+            managed_rules: {
+                cloudflare_managed: false,
+                cloudflare_specials: false,
+                owasp_core: false,
+                ...waf.managed_rules
+            },
+            overrides: {
+                cloudflare_managed: { rules: [], categories: [] },
+                owasp_core: { rules: [], categories: [] },
+                ...waf.overrides
+            },
+            owasp: {
+                ...DEFAULT_OWASP,
+                ...waf.owasp
+            },
+            custom_rules: waf.custom_rules || []
+        };
+    }
+
+    /**
+     * Validate overrides and OWASP settings. Returns a list of error messages.
+     */
+    validate(waf) {
+        const errors = [];
+
+        Object.keys(MANAGED_RULESETS).forEach(key => {
+            const { rules = [], categories = [] } = waf.overrides[key] || {};
+
+            rules.forEach((override, index) => {
+                if (!override.id) {
+                    errors.push(`${key} rule override ${index} needs an id`);
+                }
+                if (override.action !== undefined && !OVERRIDE_ACTIONS.includes(override.action)) {
+                    errors.push(`${key} rule override ${override.id || index} has an invalid action`);
+                }
+            });
+
+            categories.forEach((override, index) => {
+                if (!override.category) {
+                    errors.push(`${key} category override ${index} needs a category`);
+                }
+                if (override.action !== undefined && !OVERRIDE_ACTIONS.includes(override.action)) {
+                    errors.push(`${key} category override ${override.category || index} has an invalid action`);
+                }
+            });
+        });
+
+        if (!PARANOIA_LEVELS.includes(waf.owasp.paranoia_level)) {
+            errors.push(`OWASP paranoia level must be one of: ${PARANOIA_LEVELS.join(', ')}`);
+        }
+
+        if (!Number.isInteger(waf.owasp.anomaly_threshold) || waf.owasp.anomaly_threshold < 1) {
+            errors.push('OWASP anomaly threshold must be a positive integer');
+        }
+
+        if (!OWASP_ACTIONS.includes(waf.owasp.action)) {
+            errors.push(`OWASP action must be one of: ${OWASP_ACTIONS.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Build the execute rule that deploys a managed ruleset with its overrides
+     */
+    buildExecuteRule(key, waf) {
+        const overrides = waf.overrides[key] || {};
+        const ruleOverrides = (overrides.rules || []).map(({ id, action, enabled }) =>
+            ({ id, action, enabled })
+        );
+        const categoryOverrides = (overrides.categories || []).map(({ category, action, enabled }) =>
+            ({ category, action, enabled })
+        );
+
+        if (key === 'owasp_core') {
+            // Rules above the chosen paranoia level are tagged by level and switched off
+            PARANOIA_LEVELS
+                .filter(level => level > waf.owasp.paranoia_level)
+                .forEach(level => categoryOverrides.push({ category: `paranoia-level-${level}`, enabled: false }));
+
+            ruleOverrides.push({
+                id: OWASP_ANOMALY_RULE_ID,
+                action: waf.owasp.action,
+                score_threshold: waf.owasp.anomaly_threshold
+            });
+        }
+
+        const clean = (items) => items.map(item => {
+            Object.keys(item).forEach(field => item[field] === undefined && delete item[field]);
+            return item;
+        });
+
+        const actionParameters = { id: MANAGED_RULESETS[key].id };
+
+        if (ruleOverrides.length > 0 || categoryOverrides.length > 0) {
+            actionParameters.overrides = {};
+            if (ruleOverrides.length > 0) {
+                actionParameters.overrides.rules = clean(ruleOverrides);
+            }
+            if (categoryOverrides.length > 0) {
+                actionParameters.overrides.categories = clean(categoryOverrides);
+            }
+        }
+
+        return {
+            action: 'execute',
+            action_parameters: actionParameters,
+            expression: 'true',
+            description: `Execute ${MANAGED_RULESETS[key].name}`,
+            enabled: true
+        };
+    }
+
+    findExecuteRule(rules, key) {
+        return rules.find(rule =>
+            rule.action === 'execute' && rule.action_parameters?.id === MANAGED_RULESETS[key].id
+        );
+    }
+
+    /**
+     * Stored WAF settings alongside what is deployed on Cloudflare
+     */
+    async getStatus(zone) {
+        const securityConfig = await SecurityConfig.findByZone(zone.id);
+        const waf = this.getWafConfig(securityConfig);
+
+        const apiToken = zone.getDecryptedApiToken();
+        const { rules } = await cloudflareService.getPhaseRules(apiToken, zone.cloudflare_zone_id, MANAGED_PHASE);
+
+        const rulesets = Object.keys(MANAGED_RULESETS).reduce((status, key) => {
+            const deployedRule = this.findExecuteRule(rules, key);
+
+            status[key] = {
+                ...MANAGED_RULESETS[key],
+                configured: waf.managed_rules[key],
+                deployed: !!deployedRule && deployedRule.enabled !== false,
+                overrides: deployedRule?.action_parameters?.overrides || null
+            };
+            return status;
+        }, {});
+
+        return {
+            success: true,
+            waf,
+            rulesets,
+            in_sync: Object.keys(rulesets).every(key => rulesets[key].configured === rulesets[key].deployed)
+        };
+    }
+
+    /**
+     * Apply changes to the managed WAF configuration and deploy it.
+     * `changes` may contain `deployed`, `overrides` ({ rules, categories }) and, for
+     * the OWASP ruleset, `paranoia_level`, `anomaly_threshold` and `action`.
+     */
+    async updateRuleset(zone, key, changes, userId = null) {
+        if (!MANAGED_RULESETS[key]) {
+            throw new AppError(`Unknown managed ruleset '${key}'`, 400);
+        }
+
+        const securityConfig = await SecurityConfig.findByZone(zone.id) ||
+            await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+        const previous = this.getWafConfig(securityConfig);
+        const waf = JSON.parse(JSON.stringify(previous));
+
+        if (changes.deployed !== undefined) {
+            waf.managed_rules[key] = changes.deployed;
+            // The Cloudflare Specials are part of the Cloudflare Managed Ruleset
+            if (key === 'cloudflare_managed') {
+                waf.managed_rules.cloudflare_specials = changes.deployed;
+            }
+        }
+
+        if (changes.overrides) {
+            waf.overrides[key] = {
+                rules: changes.overrides.rules ?? waf.overrides[key].rules,
+                categories: changes.overrides.categories ?? waf.overrides[key].categories
+            };
+        }
+
+        if (key === 'owasp_core') {
+            ['paranoia_level', 'anomaly_threshold', 'action'].forEach(field => {
+                if (changes[field] !== undefined) {
+                    waf.owasp[field] = changes[field];
+                }
+            });
+        }
+
+        const errors = this.validate(waf);
+        if (errors.length > 0) {
+            throw new AppError(`Invalid managed WAF configuration: ${errors.join('; ')}`, 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const { ruleset, rules } = await cloudflareService.getPhaseRules(apiToken, zone.cloudflare_zone_id, MANAGED_PHASE);
+
+        // Only our execute rules are touched; anything else in the phase stays where it is
+        const managedIds = Object.values(MANAGED_RULESETS).map(item => item.id);
+        const nextRules = rules.filter(rule =>
+            !(rule.action === 'execute' && managedIds.includes(rule.action_parameters?.id))
+        );
+
+        Object.keys(MANAGED_RULESETS).forEach(name => {
+            if (!waf.managed_rules[name]) {
+                return;
+            }
+
+            const existing = this.findExecuteRule(rules, name);
+            nextRules.push({ ...this.buildExecuteRule(name, waf), id: existing?.id });
+        });
+
+        await cloudflareService.replacePhaseRules(
+            apiToken, zone.cloudflare_zone_id, MANAGED_PHASE, nextRules, ruleset?.description
+        );
+
+        await securityConfig.update({
+            waf,
+            last_modified_by: userId,
+            last_cloudflare_sync: new Date()
+        });
+
+        logger.cloudflareApi('UPDATE_MANAGED_WAF', zone.cloudflare_zone_id, true, {
+            ruleset: key,
+            deployed: waf.managed_rules[key]
+        });
+
+        return {
+            success: true,
+            ruleset: key,
+            previous,
+            waf,
+            security_score: securityConfig.getSecurityScore()
+        };
+    }
+}
+
+// Create singleton instance
+const managedWafService = new ManagedWafService();
+
+module.exports = managedWafService;
\ No newline at end of file
@@ -0,0 +1,265 @@
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const { AppError } = require('../middleware/errorHandler');
+
+const RATE_LIMIT_PHASE = 'http_ratelimit';
+
+const ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'log'];
+const CHALLENGE_ACTIONS = ['challenge', 'js_challenge', 'managed_challenge'];
+
+// Values accepted by Cloudflare for the ratelimit object
+const PERIODS = [10, 60, 120, 300, 600, 3600];
+const MITIGATION_TIMEOUTS = [0, 10, 60, 120, 300, 600, 3600, 86400];
+const CHARACTERISTICS = [
+    'cf.colo.id',
+    'ip.src',
+    'ip.src.asnum',
+    'ip.geoip.country',
+    'http.host',
+    'http.request.uri.path',
+    'cf.unique_visitor_id'
+];
+
+// Fields of a stored rule that callers may set
+const RULE_FIELDS = [
+    'description', 'expression', 'action', 'threshold', 'period',
+    'mitigation_timeout', 'characteristics', 'counting_expression', 'simulate', 'enabled'
+];
+
+class RateLimitService {
+    /**
+     * Validate a stored-format rate limiting rule. Returns a list of error messages.
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (typeof rule.expression !== 'string' || !rule.expression.trim()) {
+            errors.push('expression is required');
+        }
+
+        if (!ACTIONS.includes(rule.action)) {
+            errors.push(`action must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        if (!Number.isInteger(rule.threshold) || rule.threshold < 1) {
+            errors.push('threshold must be a positive integer');
+        }
+
+        if (!PERIODS.includes(rule.period)) {
+            errors.push(`period must be one of: ${PERIODS.join(', ')} seconds`);
+        }
+
+        if (!MITIGATION_TIMEOUTS.includes(rule.mitigation_timeout)) {
+            errors.push(`mitigation_timeout must be one of: ${MITIGATION_TIMEOUTS.join(', ')} seconds`);
+        } else if (CHALLENGE_ACTIONS.includes(rule.action) && rule.mitigation_timeout !== 0) {
+            errors.push('mitigation_timeout must be 0 for challenge actions');
+        }
+
+        const unknown = (rule.characteristics || []).filter(item => !CHARACTERISTICS.includes(item));
+        if (!Array.isArray(rule.characteristics) || unknown.length > 0) {
+            errors.push(`characteristics must be a list of: ${CHARACTERISTICS.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Fill defaults and normalise a rule before validation
+     */
+    normaliseRule(input) {
+        const rule = {
+            description: '',
+            action: 'block',
+            period: 60,
+            mitigation_timeout: CHALLENGE_ACTIONS.includes(input.action) ? 0 : 600,
+            characteristics: ['ip.src'],
+            simulate: false,
+            enabled: true
+        };
+
+        RULE_FIELDS.forEach(field => {
+            if (input[field] !== undefined) {
+                rule[field] = input[field];
+            }
+        });
+
+        // Cloudflare requires the data center to be part of every counting key
+        if (Array.isArray(rule.characteristics) && !rule.characteristics.includes('cf.colo.id')) {
+            rule.characteristics = ['cf.colo.id', ...rule.characteristics];
+        }
+
+        return rule;
+    }
+
+    /**
+     * Build the Rulesets API rule for a stored rule.
+     * Simulated rules are deployed with the log action so they only record matches.
+     */
+    toRulesetRule(rule) {
+        const ratelimit = {
+            characteristics: rule.characteristics,
+            period: rule.period,
+            requests_per_period: rule.threshold,
+            mitigation_timeout: rule.simulate ? 0 : rule.mitigation_timeout
+        };
+
+        if (rule.counting_expression) {
+            ratelimit.counting_expression = rule.counting_expression;
+        }
+
+        return {
+            description: rule.description || `Rate limit: ${rule.threshold} requests per ${rule.period}s`,
+            expression: rule.expression,
+            action: rule.simulate ? 'log' : rule.action,
+            enabled: rule.enabled,
+            ratelimit
+        };
+    }
+
+    async getConfig(zone, userId = null) {
+        return await SecurityConfig.findByZone(zone.id) ||
+            await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+    }
+
+    async saveRules(config, rules, userId) {
+        await config.update({
+            rate_limiting: {
+                ...config.rate_limiting,
+                enabled: rules.some(rule => rule.enabled),
+                rules
+            },
+            last_modified_by: userId,
+            last_cloudflare_sync: new Date()
+        });
+    }
+
+    /**
+     * List stored rules alongside the rules deployed on Cloudflare
+     */
+    async listRules(zone) {
+        const config = await SecurityConfig.findByZone(zone.id);
+        const stored = config?.rate_limiting?.rules || [];
+
+        const apiToken = zone.getDecryptedApiToken();
+        const { rules: remote } = await cloudflareService.getPhaseRules(apiToken, zone.cloudflare_zone_id, RATE_LIMIT_PHASE);
+        const remoteIds = new Set(remote.map(rule => rule.id));
+        const storedIds = new Set(stored.map(rule => rule.id));
+
+        return {
+            success: true,
+            enabled: config?.rate_limiting?.enabled || false,
+            rules: stored.map(rule => ({
+                ...rule,
+                status: remoteIds.has(rule.id) ? (rule.simulate ? 'simulating' : 'enforcing') : 'local_only'
+            })),
+            remote_only: remote.filter(rule => !storedIds.has(rule.id))
+        };
+    }
+
+    /**
+     * Validate a rule, deploy it to Cloudflare and persist it
+     */
+    async createRule(zone, input, userId = null) {
+        const rule = this.normaliseRule(input);
+        const errors = this.validateRule(rule);
+
+        if (errors.length > 0) {
+            throw new AppError(`Invalid rate limiting rule: ${errors.join('; ')}`, 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        const result = await cloudflareService.createPhaseRule(
+            apiToken, zone.cloudflare_zone_id, RATE_LIMIT_PHASE, this.toRulesetRule(rule)
+        );
+
+        const config = await this.getConfig(zone, userId);
+        const stored = {
+            id: result.rule.id,
+            ...rule,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+
+        await this.saveRules(config, [...(config.rate_limiting?.rules || []), stored], userId);
+
+        return {
+            success: true,
+            rule: stored
+        };
+    }
+
+    /**
+     * Update a stored rule and redeploy it
+     */
+    async updateRule(zone, ruleId, updates, userId = null) {
+        const config = await this.getConfig(zone, userId);
+        const rules = config.rate_limiting?.rules || [];
+        const index = rules.findIndex(rule => rule.id === ruleId);
+
+        if (index === -1) {
+            throw new AppError('Rate limiting rule not found', 404);
+        }
+
+        const previous = rules[index];
+        const rule = this.normaliseRule({ ...previous, ...updates });
+        const errors = this.validateRule(rule);
+
+        if (errors.length > 0) {
+            throw new AppError(`Invalid rate limiting rule: ${errors.join('; ')}`, 400);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        await cloudflareService.updatePhaseRule(
+            apiToken, zone.cloudflare_zone_id, RATE_LIMIT_PHASE, ruleId, this.toRulesetRule(rule)
+        );
+
+        const updated = {
+            ...previous,
+            ...rule,
+            updated_at: new Date().toISOString()
+        };
+
+        await this.saveRules(config, rules.map((existing, i) => (i === index ? updated : existing)), userId);
+
+        return {
+            success: true,
+            rule: updated,
+            previous
+        };
+    }
+
+    /**
+     * Remove a rule from Cloudflare and from the stored config
+     */
+    async deleteRule(zone, ruleId, userId = null) {
+        const config = await this.getConfig(zone, userId);
+        const rules = config.rate_limiting?.rules || [];
+        const rule = rules.find(existing => existing.id === ruleId);
+
+        if (!rule) {
+            throw new AppError('Rate limiting rule not found', 404);
+        }
+
+        const apiToken = zone.getDecryptedApiToken();
+        try {
+            await cloudflareService.deletePhaseRule(apiToken, zone.cloudflare_zone_id, RATE_LIMIT_PHASE, ruleId);
+        } catch (error) {
+            // Already gone on Cloudflare; still drop the stored copy
+            if ((error.response?.status || error.statusCode) !== 404) {
+                throw error;
+            }
+        }
+
+        await this.saveRules(config, rules.filter(existing => existing.id !== ruleId), userId);
+
+        return {
+            success: true,
+            rule
+        };
+    }
+}
+
+// Create singleton instance
+const rateLimitService = new RateLimitService();
+
+module.exports = rateLimitService;
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Built-in recommendation rules.
+ *
+ * Each rule receives the analysis context ({ zone, config, live }) where `config` is the
+ * stored SecurityConfig overlaid with the live Cloudflare values, and returns a finding
+ * (or null when the zone already complies). A finding's `fix` must be machine-applicable:
+ *   - { type: 'zone_settings', settings, config }  Cloudflare zone settings plus the matching local columns
+ *   - { type: 'managed_waf', ruleset, changes }     Managed WAF ruleset changes (see managedWafService)
+ */
+
+const { isOn } = require('../utils/zoneSettings');
+
+const TLS_ORDER = ['1.0', '1.1', '1.2', '1.3'];
+
+module.exports = [
+    {
+        id: 'ssl-full-strict',
+        category: 'ssl',
+        evaluate: ({ config }) => {
+            if (config.ssl_mode === 'strict') return null;
+
+            return {
+                severity: ['off', 'flexible'].includes(config.ssl_mode) ? 'critical' : 'high',
+                title: 'Use Full (Strict) SSL mode',
+                rationale: `SSL mode is '${config.ssl_mode}'. Only Full (Strict) validates the origin certificate, ` +
+                    'so any other mode allows traffic between Cloudflare and the origin to be intercepted.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { ssl: 'strict' },
+                    config: { ssl_mode: 'strict' }
+                }
+            };
+        }
+    },
+    {
+        id: 'always-use-https',
+        category: 'https',
+        evaluate: ({ config }) => {
+            if (isOn(config.always_use_https)) return null;
+
+            return {
+                severity: 'high',
+                title: 'Redirect all requests to HTTPS',
+                rationale: 'Always Use HTTPS is off, so visitors can still reach the site over plain HTTP.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { always_use_https: 'on' },
+                    config: { always_use_https: true }
+                }
+            };
+        }
+    },
+    {
+        id: 'min-tls-1-2',
+        category: 'tls',
+        evaluate: ({ config }) => {
+            if (TLS_ORDER.indexOf(config.min_tls_version) >= TLS_ORDER.indexOf('1.2')) return null;
+
+            return {
+                severity: 'high',
+                title: 'Require TLS 1.2 or newer',
+                rationale: `Minimum TLS version is ${config.min_tls_version}. TLS 1.0 and 1.1 are deprecated ` +
+                    'and fail PCI DSS requirements.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { min_tls_version: '1.2' },
+                    config: { min_tls_version: '1.2' }
+                }
+            };
+        }
+    },
+    {
+        id: 'security-level-medium',
+        category: 'security_level',
+        evaluate: ({ config }) => {
+            if (!['off', 'essentially_off', 'low'].includes(config.security_level)) return null;
+
+            return {
+                severity: 'medium',
+                title: 'Raise the security level',
+                rationale: `Security level is '${config.security_level}', so visitors with a poor IP reputation ` +
+                    'are rarely challenged.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { security_level: 'medium' },
+                    config: { security_level: 'medium' }
+                }
+            };
+        }
+    },
+    {
+        id: 'bot-fight-mode',
+        category: 'bot_protection',
+        evaluate: ({ config }) => {
+            if (isOn(config.bot_fight_mode) || isOn(config.super_bot_fight_mode)) return null;
+
+            return {
+                severity: 'medium',
+                title: 'Enable Bot Fight Mode',
+                rationale: 'No bot protection is active, so automated scrapers and credential stuffing are not challenged.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { bot_fight_mode: 'on' },
+                    config: { bot_fight_mode: true }
+                }
+            };
+        }
+    },
+    {
+        id: 'browser-integrity-check',
+        category: 'browser',
+        evaluate: ({ config }) => {
+            if (isOn(config.browser_integrity_check)) return null;
+
+            return {
+                severity: 'low',
+                title: 'Enable Browser Integrity Check',
+                rationale: 'Browser Integrity Check blocks requests with missing or abusive headers commonly sent by bots.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { browser_integrity_check: 'on' },
+                    config: { browser_integrity_check: true }
+                }
+            };
+        }
+    },
+    {
+        id: 'challenge-ttl',
+        category: 'browser',
+        evaluate: ({ config }) => {
+            if (config.challenge_ttl <= 3600) return null;
+
+            return {
+                severity: 'low',
+                title: 'Shorten the challenge passage',
+                rationale: `A solved challenge is trusted for ${config.challenge_ttl} seconds; ` +
+                    'a shorter passage limits how long a stolen clearance cookie is useful.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { challenge_ttl: 1800 },
+                    config: { challenge_ttl: 1800 }
+                }
+            };
+        }
+    },
+    {
+        id: 'hsts',
+        category: 'headers',
+        evaluate: ({ config }) => {
+            if (config.security_headers?.hsts?.enabled) return null;
+
+            const hsts = {
+                enabled: true,
+                max_age: 31536000,
+                include_subdomains: true,
+                preload: false
+            };
+
+            return {
+                severity: 'medium',
+                title: 'Enable HSTS',
+                rationale: 'Without HTTP Strict Transport Security browsers can be downgraded to HTTP on their first request.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: {
+                        security_header: {
+                            strict_transport_security: {
+                                enabled: true,
+                                max_age: hsts.max_age,
+                                include_subdomains: hsts.include_subdomains,
+                                preload: hsts.preload,
+                                nosniff: true
+                            }
+                        }
+                    },
+                    config: {
+                        security_headers: { ...config.security_headers, hsts }
+                    }
+                }
+            };
+        }
+    },
+    {
+        id: 'development-mode',
+        category: 'caching',
+        evaluate: ({ config }) => {
+            if (!isOn(config.development_mode)) return null;
+
+            return {
+                severity: 'medium',
+                title: 'Turn off Development Mode',
+                rationale: 'Development Mode bypasses the cache, which sends all traffic to the origin and removes DDoS absorption.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { development_mode: 'off' },
+                    config: { development_mode: false }
+                }
+            };
+        }
+    },
+    {
+        id: 'email-obfuscation',
+        category: 'scrape_shield',
+        evaluate: ({ config }) => {
+            if (isOn(config.scrape_shield?.email_obfuscation)) return null;
+
+            return {
+                severity: 'low',
+                title: 'Enable Email Address Obfuscation',
+                rationale: 'Email addresses on the site can be harvested by scrapers for spam.',
+                fix: {
+                    type: 'zone_settings',
+                    settings: { email_obfuscation: 'on' },
+                    config: { scrape_shield: { ...config.scrape_shield, email_obfuscation: true } }
+                }
+            };
+        }
+    },
+    {
+        id: 'managed-waf',
+        category: 'waf',
+        evaluate: ({ config }) => {
+            if (config.waf?.managed_rules?.cloudflare_managed) return null;
+
+            return {
+                severity: 'high',
+                title: 'Deploy the Cloudflare Managed Ruleset',
+                rationale: 'The Cloudflare Managed Ruleset is not deployed, leaving the zone without protection ' +
+                    'against common vulnerabilities and zero-day exploits.',
+                fix: {
+                    type: 'managed_waf',
+                    ruleset: 'cloudflare_managed',
+                    changes: { deployed: true },
+                    config: {
+                        waf: {
+                            ...config.waf,
+                            managed_rules: { ...config.waf?.managed_rules, cloudflare_managed: true, cloudflare_specials: true }
+                        }
+                    }
+                }
+            };
+        }
+    }
+];
\ No newline at end of file
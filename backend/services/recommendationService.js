@@ -0,0 +1,193 @@
+const { SecurityConfig } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const changeRequestService = require('./changeRequestService');
+const managedWafService = require('./managedWafService');
+const defaultRules = require('./recommendationRules');
+const { AppError } = require('../middleware/errorHandler');
+const { isOn } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const FIX_TYPES = ['zone_settings', 'managed_waf'];
+
+class RecommendationService {
+    constructor() {
+        this.rules = new Map();
+        defaultRules.forEach(rule => this.registerRule(rule));
+    }
+
+    /**
+     * Register a recommendation rule ({ id, category, evaluate(context) }).
+     * Registering an existing ID replaces the rule.
+     */
+    registerRule(rule) {
+        if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+            throw new Error('Recommendation rules need an id and an evaluate function');
+        }
+
+        this.rules.set(rule.id, rule);
+        return this;
+    }
+
+    unregisterRule(id) {
+        return this.rules.delete(id);
+    }
+
+    /**
+     * Load live settings and overlay them on the stored config.
+     * Live values win because they are what Cloudflare actually enforces.
+     */
+    async buildContext(zone) {
+        const apiToken = zone.getDecryptedApiToken();
+        const [securityConfig, security, ssl, bot] = await Promise.all([
+            SecurityConfig.findByZone(zone.id),
+            cloudflareService.getSecuritySettings(apiToken, zone.cloudflare_zone_id),
+            cloudflareService.getSSLSettings(apiToken, zone.cloudflare_zone_id),
+            cloudflareService.getBotSettings(apiToken, zone.cloudflare_zone_id)
+        ]);
+
+        const stored = securityConfig ? securityConfig.toJSON() : SecurityConfig.build({ zone_id: zone.id }).toJSON();
+        const live = {
+            ...security.settings,
+            min_tls_version: ssl.ssl.min_tls_version,
+            super_bot_fight_mode: bot.bot_protection.super_bot_fight_mode
+        };
+
+        const config = {
+            ...stored,
+            security_level: live.security_level,
+            ssl_mode: live.ssl_mode,
+            always_use_https: isOn(live.always_use_https),
+            min_tls_version: live.min_tls_version,
+            bot_fight_mode: isOn(live.bot_fight_mode),
+            super_bot_fight_mode: isOn(live.super_bot_fight_mode),
+            browser_integrity_check: isOn(live.browser_integrity_check),
+            challenge_ttl: live.challenge_ttl,
+            development_mode: isOn(live.development_mode),
+            scrape_shield: {
+                ...stored.scrape_shield,
+                email_obfuscation: isOn(live.scrape_shield?.email_obfuscation),
+                server_side_excludes: isOn(live.scrape_shield?.server_side_excludes),
+                hotlink_protection: isOn(live.scrape_shield?.hotlink_protection)
+            }
+        };
+
+        return { zone, securityConfig, config, live };
+    }
+
+    scoreOf(config) {
+        return SecurityConfig.build(config).getSecurityScore();
+    }
+
+    /**
+     * Run every registered rule against the zone.
+     * A rule that throws is reported under `errors` instead of failing the analysis.
+     */
+    async analyze(zone, context = null) {
+        const ctx = context || await this.buildContext(zone);
+        const score = this.scoreOf(ctx.config);
+        const findings = [];
+        const errors = [];
+
+        for (const rule of this.rules.values()) {
+            try {
+                const finding = await rule.evaluate(ctx);
+                if (!finding) continue;
+
+                if (!finding.fix || !FIX_TYPES.includes(finding.fix.type)) {
+                    throw new Error(`Finding has no applicable fix (expected one of: ${FIX_TYPES.join(', ')})`);
+                }
+
+                findings.push({
+                    id: rule.id,
+                    category: rule.category,
+                    severity: finding.severity,
+                    title: finding.title,
+                    rationale: finding.rationale,
+                    score_delta: this.scoreOf({ ...ctx.config, ...finding.fix.config }) - score,
+                    fix: finding.fix
+                });
+            } catch (error) {
+                errors.push({ id: rule.id, error: error.message });
+            }
+        }
+
+        findings.sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+            b.score_delta - a.score_delta
+        );
+
+        return {
+            success: true,
+            score,
+            level: SecurityConfig.build(ctx.config).getSecurityLevel(),
+            findings,
+            errors,
+            context: ctx
+        };
+    }
+
+    /**
+     * Re-evaluate a single recommendation and apply its fix
+     */
+    async apply(zone, id, userId = null) {
+        if (!this.rules.has(id)) {
+            throw new AppError(`Unknown recommendation '${id}'`, 404);
+        }
+
+        const analysis = await this.analyze(zone);
+        const finding = analysis.findings.find(item => item.id === id);
+
+        if (!finding) {
+            throw new AppError(`Recommendation '${id}' no longer applies to this zone`, 409);
+        }
+
+        const { fix } = finding;
+        const { context } = analysis;
+        let result;
+
+        if (fix.type === 'zone_settings') {
+            changeRequestService.ensureApprovalNotRequired(Object.keys(fix.settings), `Recommendation '${id}'`);
+
+            const apiToken = zone.getDecryptedApiToken();
+            result = await cloudflareService.bulkUpdateSettings(apiToken, zone.cloudflare_zone_id, fix.settings);
+
+            if (!result.success) {
+                throw new AppError(`Failed to apply recommendation '${id}': ${Object.values(result.errors).join(', ')}`, 502);
+            }
+
+            const securityConfig = context.securityConfig ||
+                await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+            await securityConfig.update({
+                ...fix.config,
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+        } else {
+            result = await managedWafService.updateRuleset(zone, fix.ruleset, fix.changes, userId);
+        }
+
+        const scoreAfter = this.scoreOf({ ...context.config, ...fix.config });
+
+        logger.cloudflareApi('APPLY_RECOMMENDATION', zone.cloudflare_zone_id, true, {
+            recommendation: id,
+            fixType: fix.type
+        });
+
+        return {
+            success: true,
+            finding,
+            previous: Object.keys(fix.config).reduce((values, key) => {
+                values[key] = context.config[key];
+                return values;
+            }, {}),
+            score_before: analysis.score,
+            score_after: scoreAfter
+        };
+    }
+}
+
+// Create singleton instance
+const recommendationService = new RecommendationService();
+
+module.exports = recommendationService;
\ No newline at end of file
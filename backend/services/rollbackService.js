@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { SecurityConfig, SecurityConfigVersion } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const changeRequestService = require('./changeRequestService');
+const { AppError } = require('../middleware/errorHandler');
+const jsonDiff = require('../utils/jsonDiff');
+const { SETTING_MAP, getPath, toCloudflareValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+class RollbackService {
+    /**
+     * Resolve the configuration to roll back to.
+     * `source` is { version } for a recorded version or { backup } for the contents of a
+     * backup file (backupService format, /api/config export format or a raw snapshot).
+     */
+    async resolveTarget(zone, source) {
+        if (source.version !== undefined) {
+            const version = await SecurityConfigVersion.findByVersion(zone.id, parseInt(source.version));
+
+            if (!version) {
+                throw new AppError(`Version ${source.version} not found for this zone`, 404);
+            }
+
+            return {
+                label: `version ${version.version}`,
+                source: { type: 'version', version: version.version, created_at: version.created_at },
+                config: version.snapshot
+            };
+        }
+
+        if (source.backup && typeof source.backup === 'object') {
+            const backup = source.backup;
+            const config = backup.security_config || backup.settings?.localSecurity || backup.snapshot || backup;
+            const backupZone = backup.zone?.id || backup.metadata?.zone_id;
+
+            if (backupZone && backupZone !== zone.cloudflare_zone_id && !source.allowOtherZone) {
+                throw new AppError('Backup was taken from a different zone', 400);
+            }
+
+            if (!SETTING_MAP.some(({ field }) => getPath(config, field) !== undefined)) {
+                throw new AppError('Backup does not contain a security configuration', 400);
+            }
+
+            return {
+                label: `backup ${backup.metadata?.backupId || backup.metadata?.exported_at || 'file'}`,
+                source: {
+                    type: 'backup',
+                    backup_id: backup.metadata?.backupId || null,
+                    taken_at: backup.metadata?.backupAt || backup.metadata?.exported_at || null
+                },
+                config
+            };
+        }
+
+        throw new AppError('Specify a version or a backup to restore', 400);
+    }
+
+    /**
+     * Read the live value of every mapped Cloudflare setting.
+     * Settings the plan does not support are reported as unavailable instead of failing.
+     */
+    async getLiveSettings(zone) {
+        const apiToken = zone.getDecryptedApiToken();
+        const results = await Promise.allSettled(
+            SETTING_MAP.map(({ setting }) => cloudflareService.getZoneSetting(apiToken, zone.cloudflare_zone_id, setting))
+        );
+
+        return SETTING_MAP.reduce((live, { setting }, index) => {
+            live[setting] = results[index].status === 'fulfilled' ?
+                { value: results[index].value.value, editable: results[index].value.editable !== false } :
+                { unavailable: true, error: results[index].reason?.message };
+            return live;
+        }, {});
+    }
+
+    fingerprint(changes) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(changes.map(({ setting, from, to }) => [setting, from, to])))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Work out what a rollback would change without touching anything
+     */
+    async preview(zone, source) {
+        const target = await this.resolveTarget(zone, source);
+        const [live, securityConfig] = await Promise.all([
+            this.getLiveSettings(zone),
+            SecurityConfig.findByZone(zone.id)
+        ]);
+
+        const changes = [];
+        const skipped = [];
+
+        SETTING_MAP.forEach((mapping) => {
+            const { field, setting } = mapping;
+            const targetValue = getPath(target.config, field);
+            if (targetValue === undefined || targetValue === null) return;
+
+            const to = toCloudflareValue(mapping, targetValue);
+            const current = live[setting];
+
+            if (current.unavailable) {
+                skipped.push({ setting, field, to, reason: current.error || 'Setting not available for this zone' });
+            } else if (current.editable === false) {
+                skipped.push({ setting, field, to, reason: 'Setting is not editable on this plan' });
+            } else if (JSON.stringify(current.value) !== JSON.stringify(to)) {
+                changes.push({ setting, field, from: current.value, to });
+            }
+        });
+
+        const current = securityConfig ? securityConfig.toJSON() : {};
+        const restorable = SecurityConfig.getConfigFields()
+            .filter(field => target.config[field] !== undefined);
+        const localChanges = jsonDiff.diff(
+            restorable.reduce((values, field) => ({ ...values, [field]: current[field] }), {}),
+            restorable.reduce((values, field) => ({ ...values, [field]: target.config[field] }), {})
+        );
+
+        return {
+            success: true,
+            target: target.source,
+            label: target.label,
+            changes,
+            skipped,
+            local_changes: localChanges,
+            fingerprint: this.fingerprint(changes),
+            restorable_fields: restorable,
+            config: target.config
+        };
+    }
+
+    async retrySetting(apiToken, zoneId, setting, value, maxRetries) {
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+
+            try {
+                await cloudflareService.updateZoneSetting(apiToken, zoneId, setting, value);
+                return { success: true, attempts: attempt + 1 };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        return { success: false, attempts: maxRetries + 1, error: lastError?.message };
+    }
+
+    /**
+     * Roll the zone back.
+     * Settings that fail are retried; if some still fail, `onFailure: 'revert'` puts the
+     * settings that did change back to their previous values so the zone is not left half restored.
+     */
+    async apply(zone, source, { confirm, onFailure = 'revert', maxRetries = 2, userId = null } = {}) {
+        const plan = await this.preview(zone, source);
+
+        if (confirm && confirm !== plan.fingerprint) {
+            throw new AppError('Zone settings changed since the preview was generated; preview again before restoring', 409);
+        }
+
+        changeRequestService.ensureApprovalNotRequired(plan.changes.map(change => change.setting), 'This rollback');
+
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const report = plan.changes.map(change => ({ ...change, status: 'pending', attempts: 0 }));
+
+        if (report.length > 0) {
+            const settings = report.reduce((values, change) => ({ ...values, [change.setting]: change.to }), {});
+            const result = await cloudflareService.bulkUpdateSettings(apiToken, cloudflareZoneId, settings);
+
+            for (const entry of report) {
+                entry.attempts = 1;
+
+                if (!result.errors?.[entry.setting]) {
+                    entry.status = 'applied';
+                    continue;
+                }
+
+                const retry = maxRetries > 0 ?
+                    await this.retrySetting(apiToken, cloudflareZoneId, entry.setting, entry.to, maxRetries) :
+                    { success: false, attempts: 1, error: result.errors[entry.setting] };
+
+                entry.attempts = retry.attempts;
+                entry.status = retry.success ? 'applied_after_retry' : 'failed';
+                if (!retry.success) {
+                    entry.error = retry.error || result.errors[entry.setting];
+                }
+            }
+        }
+
+        const failed = report.filter(entry => entry.status === 'failed');
+        let reverted = false;
+
+        if (failed.length > 0 && onFailure === 'revert') {
+            const applied = report.filter(entry => entry.status.startsWith('applied'));
+            const previous = applied.reduce((values, entry) => ({ ...values, [entry.setting]: entry.from }), {});
+            const revert = applied.length > 0 ?
+                await cloudflareService.bulkUpdateSettings(apiToken, cloudflareZoneId, previous) :
+                { success: true };
+
+            applied.forEach(entry => {
+                entry.status = revert.errors?.[entry.setting] ? 'revert_failed' : 'reverted';
+                if (revert.errors?.[entry.setting]) {
+                    entry.error = revert.errors[entry.setting];
+                }
+            });
+            reverted = true;
+        }
+
+        // The stored config follows Cloudflare: skip it when the rollback was undone
+        if (!reverted) {
+            const failedFields = failed.map(entry => entry.field);
+            const updates = plan.restorable_fields
+                .filter(field => !failedFields.includes(field))
+                .reduce((values, field) => ({ ...values, [field]: plan.config[field] }), {});
+
+            if (updates.scrape_shield && failedFields.some(field => field.startsWith('scrape_shield.'))) {
+                delete updates.scrape_shield;
+            }
+
+            const securityConfig = await SecurityConfig.findByZone(zone.id) ||
+                await SecurityConfig.create({ zone_id: zone.id, last_modified_by: userId });
+            await securityConfig.update({
+                ...updates,
+                last_modified_by: userId,
+                last_cloudflare_sync: new Date()
+            });
+        }
+
+        logger.cloudflareApi('ROLLBACK_CONFIG', cloudflareZoneId, failed.length === 0, {
+            target: plan.label,
+            changes: report.length,
+            failed: failed.length,
+            reverted
+        });
+
+        return {
+            success: failed.length === 0,
+            partial: failed.length > 0 && !reverted,
+            reverted,
+            target: plan.target,
+            label: plan.label,
+            fingerprint: plan.fingerprint,
+            results: report,
+            skipped: plan.skipped,
+            local_changes: reverted ? [] : plan.local_changes
+        };
+    }
+}
+
+// Create singleton instance
+const rollbackService = new RollbackService();
+
+module.exports = rollbackService;
\ No newline at end of file
@@ -0,0 +1,433 @@
+const { Zone, Rollout, AuditLog, User } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const bulkOperationService = require('./bulkOperationService');
+const freezeService = require('./freezeService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+let notificationService;
+try {
+    notificationService = require('./notificationService');
+} catch (error) {
+    notificationService = null;
+}
+
+const DEFAULT_THRESHOLDS = {
+    max_threat_rate_increase: 0.05,
+    max_error_rate_increase: 0.02
+};
+
+// Shortest window the baseline metrics are read over
+const MIN_BASELINE_MS = 60 * 60 * 1000;
+
+// How often a wave held by a change freeze looks again, in case the freeze is lifted early
+const FREEZE_RECHECK_MS = 15 * 60 * 1000;
+
+class RolloutService {
+    constructor() {
+        this.timers = new Map();
+    }
+
+    /**
+     * Split zones into waves: the canary wave first, then waves of `waveSize`
+     */
+    planWaves(zones, { canaryZoneIds = [], canaryCount = 1, waveSize = 5 }) {
+        const canaries = canaryZoneIds.length > 0 ?
+            zones.filter(zone => canaryZoneIds.includes(zone.id)) :
+            zones.slice(0, canaryCount);
+
+        if (canaries.length === 0) {
+            throw new AppError('None of the canary zones are part of the selection', 400);
+        }
+
+        const rest = zones.filter(zone => !canaries.includes(zone));
+        const groups = [canaries];
+        for (let index = 0; index < rest.length; index += waveSize) {
+            groups.push(rest.slice(index, index + waveSize));
+        }
+
+        return groups.map((group, index) => ({
+            index,
+            status: 'pending',
+            zone_ids: group.map(zone => zone.id),
+            zones: group.reduce((entries, zone) => ({ ...entries, [zone.id]: { zone_name: zone.name, status: 'pending' } }), {})
+        }));
+    }
+
+    /**
+     * Requests, threats and 5xx responses for a window
+     */
+    async readMetrics(zone, since, until) {
+        const { outcomes } = await cloudflareService.getRequestOutcomes(zone.getDecryptedApiToken(), zone.cloudflare_zone_id, {
+            since: since.toISOString(),
+            until: until.toISOString()
+        });
+        const { requests, threats, errors } = outcomes;
+
+        return {
+            requests,
+            threats,
+            errors,
+            threat_rate: requests > 0 ? threats / requests : 0,
+            error_rate: requests > 0 ? errors / requests : 0
+        };
+    }
+
+    /**
+     * Save changed waves. Waves are edited in place, which Sequelize cannot see on a JSON column.
+     */
+    save(rollout, waves, values = {}) {
+        rollout.set({ ...values, waves });
+        rollout.changed('waves', true);
+        return rollout.save();
+    }
+
+    schedule(rollout, delayMs) {
+        this.cancel(rollout.id);
+
+        const timer = setTimeout(() => {
+            this.timers.delete(rollout.id);
+            this.tick(rollout.id).catch(error => logger.error(`Rollout ${rollout.id} failed to advance:`, error));
+        }, Math.max(0, delayMs));
+        timer.unref?.();
+
+        this.timers.set(rollout.id, timer);
+    }
+
+    cancel(rolloutId) {
+        clearTimeout(this.timers.get(rolloutId));
+        this.timers.delete(rolloutId);
+    }
+
+    /**
+     * Select zones, plan the waves and apply the canary wave. A rollout changing settings that need
+     * approval waits in pending_approval and starts once its change request is approved.
+     */
+    async start(userId, { action, payload, selector, canaryZoneIds, canaryCount, waveSize, soakMinutes = 30, thresholds = {}, reason = null, breakGlass = false }) {
+        bulkOperationService.validatePayload(action, payload);
+
+        const zones = await bulkOperationService.selectZones(userId, selector);
+        if (zones.length === 0) {
+            throw new AppError('No zones match the selection', 404);
+        }
+
+        const waves = this.planWaves(zones, { canaryZoneIds, canaryCount, waveSize });
+        const request = await bulkOperationService.requestApprovalIfRequired(userId, { action, payload, zones, kind: 'rollout', reason });
+        const rollout = await Rollout.create({
+            user_id: userId,
+            action,
+            payload,
+            selector,
+            waves,
+            soak_minutes: soakMinutes,
+            thresholds: { ...DEFAULT_THRESHOLDS, ...thresholds },
+            status: request ? 'pending_approval' : 'running',
+            change_request_id: request ? request.id : null
+        });
+
+        if (!request) {
+            await this.runWave(rollout, { breakGlass });
+        }
+        return rollout;
+    }
+
+    /**
+     * Apply the current wave and start its soak period. A wave whose zones are under a
+     * change freeze stays pending until the freeze ends, unless the freeze was overridden.
+     */
+    async runWave(rollout, { breakGlass = false } = {}) {
+        const waves = rollout.waves;
+        const wave = waves[rollout.current_wave];
+        const zones = await Zone.findAll({ where: { id: wave.zone_ids, user_id: rollout.user_id } });
+
+        if (!breakGlass) {
+            const freeze = await freezeService.findBlocking(zones);
+            if (freeze) {
+                return this.holdForFreeze(rollout, waves, wave, freeze);
+            }
+        }
+
+        delete wave.held_by_freeze;
+        wave.status = 'applying';
+        wave.applied_at = new Date().toISOString();
+        await this.save(rollout, waves);
+
+        for (const zoneId of wave.zone_ids) {
+            const zone = zones.find(candidate => candidate.id === zoneId);
+            const entry = wave.zones[zoneId];
+
+            if (!zone) {
+                Object.assign(entry, { status: 'failed', error: 'Zone no longer exists' });
+                continue;
+            }
+
+            try {
+                entry.previous = await bulkOperationService.captureState(zone, rollout.action, rollout.payload);
+                const outcome = await bulkOperationService.runZone(rollout, zone, rollout.user_id);
+                const failed = Object.keys(outcome.failed || {});
+
+                entry.status = failed.length === 0 ? 'applied' : 'failed';
+                entry.error = failed.length > 0 ? `Failed settings: ${failed.join(', ')}` : null;
+            } catch (error) {
+                logger.error(`Rollout ${rollout.id} failed to apply to zone ${zoneId}:`, error);
+                Object.assign(entry, { status: 'failed', error: error.message });
+            }
+        }
+
+        const soakUntil = new Date(Date.now() + rollout.soak_minutes * 60 * 1000);
+        wave.status = 'soaking';
+        wave.soak_until = soakUntil.toISOString();
+        await this.save(rollout, waves, { next_check_at: soakUntil });
+
+        logger.userActivity(rollout.user_id, 'rollout_wave_applied', {
+            rolloutId: rollout.id,
+            wave: wave.index,
+            zones: wave.zone_ids.length
+        });
+
+        if (rollout.status === 'running') {
+            this.schedule(rollout, soakUntil - Date.now());
+        }
+    }
+
+    async holdForFreeze(rollout, waves, wave, freeze) {
+        const recheckAt = new Date(Math.min(freeze.ends_at.getTime(), Date.now() + FREEZE_RECHECK_MS));
+
+        wave.held_by_freeze = { id: freeze.id, name: freeze.name, ends_at: freeze.ends_at };
+        await this.save(rollout, waves, { next_check_at: recheckAt });
+
+        logger.info(`Rollout ${rollout.id} wave ${wave.index} held by change freeze ${freeze.id}`);
+
+        if (rollout.status === 'running') {
+            this.schedule(rollout, recheckAt - Date.now());
+        }
+    }
+
+    /**
+     * Advance a rollout whose timer fired
+     */
+    async tick(rolloutId) {
+        const rollout = await Rollout.findByPk(rolloutId);
+        if (!rollout || rollout.status !== 'running') return;
+
+        const wave = rollout.waves[rollout.current_wave];
+        if (wave.status === 'pending') {
+            await this.runWave(rollout);
+        } else if (wave.status === 'soaking') {
+            const remaining = new Date(wave.soak_until) - Date.now();
+            if (remaining > 0) {
+                this.schedule(rollout, remaining);
+            } else {
+                await this.evaluate(rollout);
+            }
+        } else if (wave.status === 'applying') {
+            // Interrupted while applying: settle it as if the soak failed so applied zones are put back
+            await this.evaluate(rollout, ['Rollout was interrupted while applying this wave']);
+        }
+    }
+
+    /**
+     * Compare soak metrics against the pre-change baseline and move on, or roll back every applied wave
+     */
+    async evaluate(rollout, breaches = []) {
+        const waves = rollout.waves;
+        const wave = waves[rollout.current_wave];
+        const thresholds = rollout.thresholds;
+        const appliedAt = new Date(wave.applied_at);
+        const window = Math.max(rollout.soak_minutes * 60 * 1000, MIN_BASELINE_MS);
+        const zones = await Zone.findAll({ where: { id: wave.zone_ids } });
+
+        for (const zone of zones) {
+            const entry = wave.zones[zone.id];
+
+            if (entry.status === 'failed') {
+                breaches.push(`${zone.name}: change failed to apply (${entry.error})`);
+                continue;
+            }
+
+            try {
+                entry.baseline = await this.readMetrics(zone, new Date(appliedAt - window), appliedAt);
+                entry.observed = await this.readMetrics(zone, appliedAt, new Date());
+            } catch (error) {
+                breaches.push(`${zone.name}: metrics unavailable (${error.message})`);
+                continue;
+            }
+
+            // Without traffic the rates say nothing, so the wave cannot be judged safe
+            if (entry.observed.requests === 0) {
+                breaches.push(`${zone.name}: metrics unavailable (no requests recorded during the soak period)`);
+                continue;
+            }
+
+            const threatIncrease = entry.observed.threat_rate - entry.baseline.threat_rate;
+            const errorIncrease = entry.observed.error_rate - entry.baseline.error_rate;
+
+            if (threatIncrease > thresholds.max_threat_rate_increase) {
+                breaches.push(`${zone.name}: threat rate rose by ${(threatIncrease * 100).toFixed(2)} points`);
+            }
+            if (errorIncrease > thresholds.max_error_rate_increase) {
+                breaches.push(`${zone.name}: 5xx rate rose by ${(errorIncrease * 100).toFixed(2)} points`);
+            }
+        }
+
+        wave.verdict = { passed: breaches.length === 0, breaches, checked_at: new Date().toISOString() };
+
+        if (breaches.length > 0) {
+            const zoneIds = await this.rollbackApplied(rollout, waves);
+            await this.save(rollout, waves, { status: 'rolled_back', next_check_at: null, completed_at: new Date() });
+            await this.report(rollout, wave, breaches, zoneIds);
+            return;
+        }
+
+        wave.status = 'passed';
+        if (rollout.current_wave === waves.length - 1) {
+            await this.save(rollout, waves, { status: 'completed', next_check_at: null, completed_at: new Date() });
+            logger.userActivity(rollout.user_id, 'rollout_completed', { rolloutId: rollout.id });
+            return;
+        }
+
+        await this.save(rollout, waves, { current_wave: rollout.current_wave + 1, next_check_at: null });
+        await this.runWave(rollout);
+    }
+
+    /**
+     * Roll back every wave that was applied, newest first, and return the ids of their zones
+     */
+    async rollbackApplied(rollout, waves) {
+        const zoneIds = [];
+
+        for (const wave of [...waves].reverse()) {
+            if (wave.status !== 'pending' && wave.status !== 'rolled_back') {
+                await this.rollbackWave(rollout, waves, wave);
+                zoneIds.push(...wave.zone_ids);
+            }
+        }
+
+        return zoneIds;
+    }
+
+    /**
+     * Put the zones of a wave back to the settings captured before the change
+     */
+    async rollbackWave(rollout, waves, wave) {
+        const zones = await Zone.findAll({ where: { id: wave.zone_ids } });
+
+        for (const zone of zones) {
+            const entry = wave.zones[zone.id];
+            if (!entry.previous || !['applied', 'failed'].includes(entry.status)) continue;
+
+            try {
+                const { failed } = await bulkOperationService.restoreState(zone, entry.previous, rollout.user_id);
+
+                entry.status = failed.length === 0 ? 'rolled_back' : 'rollback_failed';
+                entry.error = failed.length > 0 ? `Failed to restore: ${failed.join(', ')}` : entry.error;
+            } catch (error) {
+                logger.error(`Rollout ${rollout.id} failed to roll back zone ${zone.id}:`, error);
+                Object.assign(entry, { status: 'rollback_failed', error: error.message });
+            }
+        }
+
+        wave.status = 'rolled_back';
+    }
+
+    /**
+     * Audit an automatic rollback and notify the rollout owner
+     */
+    async report(rollout, wave, breaches, zoneIds) {
+        const description = `Rollout ${rollout.id} rolled back at wave ${wave.index}${wave.index === 0 ? ' (canary)' : ''}, ` +
+            `reverting ${zoneIds.length} zone(s): ${breaches.join('; ')}`;
+
+        await AuditLog.createEntry({
+            userId: rollout.user_id,
+            action: 'rollout_rolled_back',
+            resourceType: 'zone',
+            resourceId: rollout.id,
+            description,
+            category: 'configuration',
+            severity: 'high',
+            status: 'failed',
+            metadata: {
+                rolloutId: rollout.id,
+                wave: wave.index,
+                zoneIds,
+                breaches
+            }
+        });
+
+        if (!notificationService) return;
+
+        try {
+            const owner = await User.findByPk(rollout.user_id);
+            if (owner) {
+                await notificationService.sendNotificationWithPreferences(owner, {
+                    type: 'security_alert',
+                    zoneName: `${zoneIds.length} zone(s)`,
+                    alertType: 'Rollout rolled back',
+                    description,
+                    severity: 'high',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            logger.error(`Failed to send rollout notification for ${rollout.id}:`, error);
+        }
+    }
+
+    async pause(rollout) {
+        if (rollout.status !== 'running') {
+            throw new AppError(`Cannot pause a rollout that is ${rollout.status}`, 409);
+        }
+
+        this.cancel(rollout.id);
+        return rollout.update({ status: 'paused' });
+    }
+
+    async resume(rollout) {
+        if (rollout.status !== 'paused') {
+            throw new AppError(`Cannot resume a rollout that is ${rollout.status}`, 409);
+        }
+
+        await rollout.update({ status: 'running' });
+        const wave = rollout.waves[rollout.current_wave];
+        this.schedule(rollout, wave.soak_until ? new Date(wave.soak_until) - Date.now() : 0);
+        return rollout;
+    }
+
+    /**
+     * Stop a rollout; with `rollback` every wave that was applied is put back, newest first
+     */
+    async abort(rollout, { rollback = false } = {}) {
+        if (!rollout.isActive()) {
+            throw new AppError(`Cannot abort a rollout that is ${rollout.status}`, 409);
+        }
+
+        this.cancel(rollout.id);
+        const waves = rollout.waves;
+
+        if (rollback) {
+            await this.rollbackApplied(rollout, waves);
+        }
+
+        await this.save(rollout, waves, { status: 'aborted', next_check_at: null, completed_at: new Date() });
+        return rollout;
+    }
+
+    /**
+     * Pick up running rollouts after a restart
+     */
+    async resumeActive() {
+        const rollouts = await Rollout.findAll({ where: { status: 'running' } });
+
+        rollouts.forEach(rollout => {
+            const wave = rollout.waves[rollout.current_wave];
+            this.schedule(rollout, wave?.soak_until ? new Date(wave.soak_until) - Date.now() : 0);
+        });
+
+        return rollouts.length;
+    }
+}
+
+// Create singleton instance
+const rolloutService = new RolloutService();
+
+module.exports = rolloutService;
\ No newline at end of file
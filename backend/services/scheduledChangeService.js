@@ -0,0 +1,385 @@
+const { Op } = require('sequelize');
+const { Zone, SecurityConfig, ScheduledChange, ChangeRequest, AuditLog } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const bulkOperationService = require('./bulkOperationService');
+const changeRequestService = require('./changeRequestService');
+const freezeService = require('./freezeService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Due changes are picked up from the database, so nothing is lost across restarts
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Give up on a step after this many failed attempts
+const MAX_ATTEMPTS = 5;
+
+class ScheduledChangeService {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start polling for due changes
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => logger.error('Scheduled change tick failed:', error));
+        }, POLL_INTERVAL_MS);
+        this.timer.unref?.();
+
+        return this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Apply changes whose window started, revert those whose window ended
+     * and switch off development mode that outlived its expiry.
+     * During a change freeze new changes wait; reverts and expiries only put zones back, so they still run.
+     */
+    async tick(now = new Date()) {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const due = await ScheduledChange.findAll({
+                where: {
+                    [Op.or]: [
+                        { status: 'scheduled', starts_at: { [Op.lte]: now } },
+                        { status: 'active', ends_at: { [Op.lte]: now } }
+                    ]
+                },
+                order: [['starts_at', 'ASC']]
+            });
+
+            const freezes = due.length > 0 ? await freezeService.findActive(now) : [];
+
+            for (const change of due) {
+                if (change.status === 'active') {
+                    await this.revert(change, now);
+                } else if (change.ends_at && change.ends_at <= now) {
+                    await this.skipMissedWindow(change, now);
+                } else {
+                    const zone = freezes.length > 0 ? await Zone.findByPk(change.zone_id) : null;
+                    const freeze = freezes.find(candidate => candidate.covers(zone));
+
+                    if (freeze) {
+                        await this.holdForFreeze(change, freeze);
+                    } else {
+                        await this.apply(change);
+                    }
+                }
+            }
+
+            await this.expireDevelopmentMode(now);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async audit(change, zone, { action, description, status = 'success', errorMessage = null, oldValues = null, newValues = null }) {
+        await AuditLog.createEntry({
+            userId: change.created_by,
+            zoneId: zone.id,
+            action,
+            resourceType: 'security_config',
+            resourceId: change.id,
+            description,
+            oldValues,
+            newValues,
+            status,
+            errorMessage,
+            category: 'configuration',
+            severity: status === 'failed' ? 'high' : 'medium',
+            metadata: {
+                scheduledChangeId: change.id,
+                startsAt: change.starts_at,
+                endsAt: change.ends_at,
+                repeat: change.repeat,
+                reason: change.reason
+            }
+        });
+    }
+
+    /**
+     * Record a failed attempt; after MAX_ATTEMPTS the change is marked failed
+     */
+    async recordFailure(change, zone, step, message) {
+        const attempts = change.attempts + 1;
+        const giveUp = attempts >= MAX_ATTEMPTS;
+
+        await change.update({ attempts, error: message, ...(giveUp ? { status: 'failed' } : {}) });
+        logger.error(`Scheduled change ${change.id} failed to ${step} (attempt ${attempts}): ${message}`);
+
+        if (giveUp && zone) {
+            await this.audit(change, zone, {
+                action: `scheduled_change_${step}_failed`,
+                description: `Scheduled change on zone ${zone.name} failed to ${step} after ${attempts} attempts`,
+                status: 'failed',
+                errorMessage: message
+            });
+        }
+    }
+
+    async apply(change) {
+        const zone = await Zone.findByPk(change.zone_id);
+        if (!zone) {
+            return change.update({ status: 'failed', error: 'Zone no longer exists' });
+        }
+
+        try {
+            const previous = change.ends_at ?
+                await bulkOperationService.captureState(zone, 'settings', { settings: change.changes }) :
+                null;
+            // Only changes released by an approved change request carry one
+            const result = await bulkOperationService.applySettings(zone, change.changes, change.created_by, {
+                approved: Boolean(change.change_request_id)
+            });
+            const failed = Object.keys(result.failed || {});
+
+            if (failed.length > 0) {
+                // Put back what did change so a retry starts from the same state
+                if (previous) {
+                    await bulkOperationService.restoreState(zone, previous, change.created_by);
+                }
+                return this.recordFailure(change, zone, 'apply', `Failed settings: ${failed.join(', ')}`);
+            }
+
+            await change.update({
+                status: change.ends_at ? 'active' : 'completed',
+                previous_state: previous,
+                attempts: 0,
+                error: null,
+                last_applied_at: new Date()
+            });
+
+            await this.audit(change, zone, {
+                action: 'scheduled_change_applied',
+                description: `Scheduled change applied to zone ${zone.name}` +
+                    (change.ends_at ? `, reverting at ${change.ends_at.toISOString()}` : ''),
+                oldValues: previous ? previous.config : null,
+                newValues: change.changes
+            });
+        } catch (error) {
+            await this.recordFailure(change, zone, 'apply', error.message);
+        }
+    }
+
+    async revert(change, now = new Date()) {
+        const zone = await Zone.findByPk(change.zone_id);
+        if (!zone) {
+            return change.update({ status: 'failed', error: 'Zone no longer exists' });
+        }
+
+        try {
+            const { failed } = await bulkOperationService.restoreState(zone, change.previous_state, change.created_by);
+
+            if (failed.length > 0) {
+                return this.recordFailure(change, zone, 'revert', `Failed to restore: ${failed.join(', ')}`);
+            }
+
+            const next = change.getNextWindow(now);
+            await change.update({
+                ...(next ? { status: 'scheduled', ...next } : { status: 'completed' }),
+                attempts: 0,
+                error: null,
+                last_reverted_at: new Date()
+            });
+
+            await this.audit(change, zone, {
+                action: 'scheduled_change_reverted',
+                description: `Scheduled change on zone ${zone.name} reverted at the end of its window` +
+                    (next ? `; next window starts ${next.starts_at.toISOString()}` : ''),
+                oldValues: change.changes,
+                newValues: change.previous_state ? change.previous_state.config : null
+            });
+        } catch (error) {
+            await this.recordFailure(change, zone, 'revert', error.message);
+        }
+    }
+
+    /**
+     * Leave a due change scheduled while a freeze covers its zone. It is applied when the freeze
+     * ends, or skipped like any missed window if its own window closes first.
+     */
+    async holdForFreeze(change, freeze) {
+        const error = freezeService.describe(freeze);
+        if (change.error === error) return;
+
+        await change.update({ error });
+        logger.info(`Scheduled change ${change.id} held by change freeze ${freeze.id}`);
+    }
+
+    /**
+     * The whole window passed while the scheduler was not running: do not apply it late
+     */
+    async skipMissedWindow(change, now) {
+        const next = change.getNextWindow(now);
+        await change.update(next ?
+            { ...next, error: 'Previous window was missed' } :
+            { status: 'completed', error: 'Window was missed' });
+
+        logger.warn(`Scheduled change ${change.id} missed its window`, { next: next ? next.starts_at : null });
+    }
+
+    /**
+     * Switch development mode off for zones whose expiry passed
+     */
+    async expireDevelopmentMode(now = new Date()) {
+        const configs = await SecurityConfig.findAll({
+            where: {
+                is_template: false,
+                development_mode: true,
+                development_mode_expires: { [Op.lte]: now }
+            }
+        });
+
+        for (const securityConfig of configs) {
+            const zone = await Zone.findByPk(securityConfig.zone_id);
+            if (!zone) continue;
+
+            try {
+                await cloudflareService.updateZoneSetting(
+                    zone.getDecryptedApiToken(),
+                    zone.cloudflare_zone_id,
+                    'development_mode',
+                    'off'
+                );
+                await securityConfig.update({ development_mode: false, development_mode_expires: null }, { actor: null });
+
+                await AuditLog.createEntry({
+                    userId: securityConfig.last_modified_by,
+                    zoneId: zone.id,
+                    action: 'development_mode_expired',
+                    resourceType: 'security_config',
+                    resourceId: securityConfig.id,
+                    description: `Development mode switched off on zone ${zone.name} after it expired`,
+                    oldValues: { development_mode: true },
+                    newValues: { development_mode: false },
+                    category: 'configuration',
+                    severity: 'medium'
+                });
+            } catch (error) {
+                logger.error(`Failed to switch off expired development mode on zone ${zone.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Schedule a change. `durationMinutes` is an alternative to `endsAt`.
+     * Changes that need approval wait in pending_approval behind a change request.
+     */
+    async create(zone, { changes, startsAt = null, endsAt = null, durationMinutes = null, repeat = 'none', reason = null, userId }) {
+        bulkOperationService.validatePayload('settings', { settings: changes });
+
+        const severity = changeRequestService.changeSeverity(changes);
+        const needsApproval = changeRequestService.requiresApproval(severity);
+
+        const start = startsAt ? new Date(startsAt) : new Date();
+        const end = endsAt ? new Date(endsAt) :
+            (durationMinutes ? new Date(start.getTime() + durationMinutes * 60 * 1000) : null);
+
+        if (end && end <= new Date()) {
+            throw new AppError('The change window has already ended', 400);
+        }
+
+        let change;
+        try {
+            change = await ScheduledChange.create({
+                zone_id: zone.id,
+                changes,
+                starts_at: start,
+                ends_at: end,
+                repeat,
+                reason,
+                status: needsApproval ? 'pending_approval' : 'scheduled',
+                created_by: userId
+            });
+        } catch (error) {
+            if (error.name === 'SequelizeValidationError') {
+                throw new AppError(error.errors.map(entry => entry.message).join('; '), 400);
+            }
+            throw error;
+        }
+
+        if (needsApproval) {
+            const request = await changeRequestService.create(zone, { changes, severity, reason, userId });
+            await change.update({ change_request_id: request.id });
+        }
+
+        await AuditLog.createEntry({
+            userId,
+            zoneId: zone.id,
+            action: 'scheduled_change_created',
+            resourceType: 'security_config',
+            resourceId: change.id,
+            description: `Change scheduled on zone ${zone.name} for ${start.toISOString()}` +
+                (end ? ` until ${end.toISOString()}` : ''),
+            newValues: changes,
+            category: 'configuration',
+            severity: 'medium',
+            metadata: { scheduledChangeId: change.id, repeat, reason }
+        });
+
+        if (!needsApproval && start <= new Date()) {
+            await this.apply(change);
+        }
+
+        return change;
+    }
+
+    /**
+     * Cancel a change; an active one is reverted first
+     */
+    async cancel(change, userId) {
+        if (!change.isActive()) {
+            throw new AppError(`Scheduled change is already ${change.status}`, 409);
+        }
+
+        const zone = await Zone.findByPk(change.zone_id);
+
+        if (change.status === 'active') {
+            const { failed } = await bulkOperationService.restoreState(zone, change.previous_state, userId);
+            if (failed.length > 0) {
+                throw new AppError(`Could not revert the active change: ${failed.join(', ')}`, 502);
+            }
+        }
+
+        // A change still waiting for approval takes its change request with it, unless a reviewer got there first
+        if (change.status === 'pending_approval' && change.change_request_id) {
+            const request = await ChangeRequest.findByPk(change.change_request_id);
+            if (request) {
+                await changeRequestService.claim(request, { status: 'cancelled' });
+                await changeRequestService.settleAuditEntry(request, 'failed', 'Scheduled change cancelled');
+            }
+        }
+
+        const wasActive = change.status === 'active';
+        await change.update({ status: 'cancelled', ...(wasActive ? { last_reverted_at: new Date() } : {}) });
+
+        await AuditLog.createEntry({
+            userId,
+            zoneId: zone.id,
+            action: 'scheduled_change_cancelled',
+            resourceType: 'security_config',
+            resourceId: change.id,
+            description: `Scheduled change on zone ${zone.name} cancelled${wasActive ? ' and reverted' : ''}`,
+            category: 'configuration',
+            severity: 'medium',
+            metadata: { scheduledChangeId: change.id }
+        });
+
+        return change;
+    }
+}
+
+// Create singleton instance
+const scheduledChangeService = new ScheduledChangeService();
+
+module.exports = scheduledChangeService;
\ No newline at end of file
@@ -0,0 +1,369 @@
+const { SecurityConfig, Zone } = require('../models');
+const cloudflareService = require('./cloudflareService');
+const changeRequestService = require('./changeRequestService');
+const { AppError } = require('../middleware/errorHandler');
+const jsonDiff = require('../utils/jsonDiff');
+const { SETTING_MAP, getPath, toCloudflareValue } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const PARAMETER_TYPES = ['integer', 'boolean', 'string', 'list'];
+
+class TemplateService {
+    /**
+     * Run a template model call, turning its plain errors into API errors
+     */
+    async resolve(work) {
+        try {
+            return await work();
+        } catch (error) {
+            if (error.message === 'Template not found' || /^Version \d+ of template/.test(error.message)) {
+                throw new AppError(error.message, 404);
+            }
+            if (error.message.startsWith('Invalid template parameters') || error.message.startsWith('Template inheritance')) {
+                throw new AppError(error.message, 400);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check parameter declarations: each targets a config field and has a known type
+     */
+    validateParameters(parameters = {}) {
+        const configFields = SecurityConfig.getConfigFields();
+        const errors = [];
+
+        Object.entries(parameters).forEach(([name, parameter]) => {
+            if (!parameter || typeof parameter !== 'object') {
+                errors.push(`${name}: declaration must be an object`);
+                return;
+            }
+
+            const field = parameter.field || name;
+            if (!configFields.includes(field.split('.')[0])) {
+                errors.push(`${name}: unknown config field '${field}'`);
+            }
+            if (!PARAMETER_TYPES.includes(parameter.type)) {
+                errors.push(`${name}: type must be one of ${PARAMETER_TYPES.join(', ')}`);
+            }
+            if (parameter.values !== undefined && !Array.isArray(parameter.values)) {
+                errors.push(`${name}: values must be a list`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new AppError(`Invalid template parameters: ${errors.join('; ')}`, 400);
+        }
+    }
+
+    validateSettings(settings = {}) {
+        const configFields = SecurityConfig.getConfigFields();
+        const unknown = Object.keys(settings).filter(field => !configFields.includes(field));
+
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown configuration fields: ${unknown.join(', ')}`, 400);
+        }
+    }
+
+    /**
+     * Summary of a template, with its fully resolved settings
+     */
+    async describe(template) {
+        const summary = {
+            id: template.id,
+            template_name: template.template_name,
+            notes: template.notes,
+            version: template.config_version,
+            parent: template.template_id ?
+                { id: template.template_id, version: template.template_version || 'latest' } :
+                null,
+            created_at: template.created_at
+        };
+
+        try {
+            const resolved = await SecurityConfig.resolveTemplate(template.id);
+            summary.parameters = resolved.parameters;
+            summary.chain = resolved.chain;
+            summary.settings = resolved.config;
+        } catch (error) {
+            summary.parameters = template.template_parameters;
+            summary.error = error.message;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Create a template, either as a copy of a zone's configuration or as a child of another template
+     */
+    async createTemplate({ templateName, notes, sourceConfig = null, parentTemplateId = null, parentVersion = null, overrides = {}, parameters = {}, userId = null }) {
+        this.validateParameters(parameters);
+
+        const values = {
+            zone_id: null,
+            is_template: true,
+            template_name: templateName,
+            notes,
+            template_parameters: parameters,
+            created_by: userId,
+            last_modified_by: userId
+        };
+
+        if (parentTemplateId) {
+            this.validateSettings(overrides);
+            await this.resolve(() => SecurityConfig.resolveTemplate(parentTemplateId, parentVersion));
+
+            values.template_id = parentTemplateId;
+            values.template_version = parentVersion;
+            values.template_overrides = overrides;
+        } else {
+            const config = sourceConfig.exportConfig();
+            ['config_version', 'template_id', 'template_version', 'template_parameters', 'template_values', 'template_overrides']
+                .forEach(field => delete config[field]);
+            Object.assign(values, config, { is_template: true, template_name: templateName, notes });
+        }
+
+        return SecurityConfig.create(values);
+    }
+
+    /**
+     * Turn a template update request into column changes.
+     * Root templates take settings directly; child templates keep them as overrides.
+     */
+    buildChanges(template, { templateName, notes, settings, overrides, parameters, parentVersion }) {
+        const changes = {};
+
+        if (templateName !== undefined) changes.template_name = templateName;
+        if (notes !== undefined) changes.notes = notes;
+        if (parameters !== undefined) {
+            this.validateParameters(parameters);
+            changes.template_parameters = parameters;
+        }
+
+        if (settings !== undefined) {
+            this.validateSettings(settings);
+            if (template.template_id) {
+                changes.template_overrides = { ...template.template_overrides, ...settings };
+            } else {
+                Object.assign(changes, settings);
+            }
+        }
+
+        if (overrides !== undefined) {
+            if (!template.template_id) {
+                throw new AppError('Only templates that extend a parent have overrides', 400);
+            }
+            this.validateSettings(overrides);
+            changes.template_overrides = overrides;
+        }
+
+        if (parentVersion !== undefined) {
+            if (!template.template_id) {
+                throw new AppError('Only templates that extend a parent can pin its version', 400);
+            }
+            changes.template_version = parentVersion === 'latest' ? null : parentVersion;
+        }
+
+        return changes;
+    }
+
+    /**
+     * Render a zone's configuration from its template link
+     */
+    async renderForZone(securityConfig, pending = {}) {
+        const resolved = await SecurityConfig.resolveTemplate(
+            securityConfig.template_id,
+            securityConfig.template_version,
+            { pending }
+        );
+
+        return SecurityConfig.renderTemplate(resolved, securityConfig.template_values, securityConfig.template_overrides);
+    }
+
+    /**
+     * Zones whose configuration would change if `changes` were saved on the template.
+     * Zones linked through child templates are included. Zones pinned to an older version
+     * are listed separately: they only pick the change up when they move to a newer version.
+     */
+    async findAffectedZones(template, changes = {}, { userId = null } = {}) {
+        const pending = { [template.id]: changes };
+        await this.resolve(() => SecurityConfig.resolveTemplate(template.id, null, { pending }));
+
+        const descendants = await SecurityConfig.findDescendantTemplates(template.id);
+        const configs = await SecurityConfig.findAll({
+            where: { is_template: false, template_id: [template.id, ...descendants.map(child => child.id)] },
+            include: [{ model: Zone, as: 'zone', attributes: ['id', 'name', 'user_id'] }]
+        });
+
+        const report = { affected: [], pinned: [], unchanged: [], other_users_zones: 0 };
+
+        for (const config of configs) {
+            if (userId && config.zone?.user_id !== userId) {
+                report.other_users_zones++;
+                continue;
+            }
+
+            const entry = {
+                zone_id: config.zone_id,
+                zone_name: config.zone?.name,
+                template_id: config.template_id,
+                template_version: config.template_version || 'latest'
+            };
+
+            try {
+                const [before, after] = await Promise.all([
+                    this.renderForZone(config),
+                    this.renderForZone(config, pending)
+                ]);
+                entry.changes = jsonDiff.diff(before, after);
+            } catch (error) {
+                entry.changes = [];
+                entry.error = error.message;
+            }
+
+            if (entry.changes.length > 0 || entry.error) {
+                report.affected.push(entry);
+            } else if (config.template_version) {
+                report.pinned.push(entry);
+            } else {
+                report.unchanged.push(entry);
+            }
+        }
+
+        return {
+            template: {
+                id: template.id,
+                template_name: template.template_name,
+                current_version: template.config_version,
+                next_version: template.config_version + 1
+            },
+            descendant_templates: descendants.map(child => ({ id: child.id, template_name: child.template_name })),
+            ...report
+        };
+    }
+
+    /**
+     * Only a template's author or an admin may change or delete it; seeded templates have no author
+     */
+    ensureCanModify(template, { userId, isAdmin = false }) {
+        if (!isAdmin && (!template.created_by || template.created_by !== userId)) {
+            throw new AppError('Only the author of a template or an admin can change it', 403);
+        }
+    }
+
+    /**
+     * Update a template; with dryRun only the affected zones are reported.
+     * Only admins may change a template other users' zones follow.
+     */
+    async updateTemplate(template, request, { userId = null, isAdmin = false, dryRun = false } = {}) {
+        if (!dryRun) {
+            this.ensureCanModify(template, { userId, isAdmin });
+        }
+
+        const changes = this.buildChanges(template, request);
+        const impact = await this.findAffectedZones(template, changes, { userId });
+
+        if (!dryRun && !isAdmin && impact.other_users_zones > 0) {
+            throw new AppError(`Template is used by ${impact.other_users_zones} zone(s) of other users; only an admin can change it`, 403);
+        }
+
+        if (!dryRun && Object.keys(changes).length > 0) {
+            await template.update({ ...changes, last_modified_by: userId });
+        }
+
+        return { changes, impact, template };
+    }
+
+    /**
+     * Zone configurations and templates that still reference a template
+     */
+    async findUsage(templateId) {
+        const [zones, templates] = await Promise.all([
+            SecurityConfig.count({ where: { is_template: false, template_id: templateId } }),
+            SecurityConfig.count({ where: { is_template: true, template_id: templateId } })
+        ]);
+
+        return { zones, templates };
+    }
+
+    /**
+     * Render a template for a zone, push the resulting settings to Cloudflare and store the link.
+     * `version` pins a template version ('latest' follows new versions), `parameters` fills the
+     * template's declared parameters and `overrides` are local fields kept on top of the template.
+     * Settings that need approval are refused unless the change was `approved` through a change request.
+     */
+    async applyToZone(zone, templateId, { version, parameters = {}, overrides = {}, userId = null, approved = false } = {}) {
+        this.validateSettings(overrides);
+
+        const resolved = await this.resolve(() => SecurityConfig.resolveTemplate(templateId, version === 'latest' ? null : version));
+        const config = await this.resolve(async () => SecurityConfig.renderTemplate(resolved, parameters, overrides));
+        const previous = await SecurityConfig.findByZone(zone.id);
+        const previousConfig = previous ? previous.toJSON() : {};
+
+        const settings = SETTING_MAP.reduce((values, mapping) => {
+            const value = getPath(config, mapping.field);
+            if (value !== undefined && JSON.stringify(value) !== JSON.stringify(getPath(previousConfig, mapping.field))) {
+                values[mapping.setting] = toCloudflareValue(mapping, value);
+            }
+            return values;
+        }, {});
+
+        if (!approved) {
+            changeRequestService.ensureApprovalNotRequired(Object.keys(settings), 'Applying this template');
+        }
+
+        let failed = {};
+        if (Object.keys(settings).length > 0) {
+            const result = await cloudflareService.bulkUpdateSettings(zone.getDecryptedApiToken(), zone.cloudflare_zone_id, settings);
+            failed = result.errors || {};
+        }
+
+        const securityConfig = await this.resolve(() => SecurityConfig.createFromTemplate(zone.id, templateId, userId, {
+            version: version === 'latest' ? 'latest' : resolved.chain[resolved.chain.length - 1].version,
+            parameters,
+            overrides
+        }));
+
+        // Settings Cloudflare rejected keep their previous values so the stored config matches the zone
+        const kept = previous ? SETTING_MAP.filter(({ setting }) => failed[setting]).reduce((values, { field }) => {
+            const [column, key] = field.split('.');
+            values[column] = key ?
+                { ...(values[column] || securityConfig[column] || {}), [key]: getPath(previousConfig, field) } :
+                previousConfig[column];
+            return values;
+        }, {}) : {};
+        await securityConfig.update({ ...kept, last_cloudflare_sync: new Date() }, { actor: userId });
+
+        const changes = jsonDiff.diff(
+            SecurityConfig.getConfigFields().reduce((values, field) => ({ ...values, [field]: previousConfig[field] }), {}),
+            SecurityConfig.getConfigFields().reduce((values, field) => ({ ...values, [field]: securityConfig[field] }), {})
+        );
+
+        logger.cloudflareApi('APPLY_TEMPLATE', zone.cloudflare_zone_id, Object.keys(failed).length === 0, {
+            templateId,
+            version: securityConfig.template_version || 'latest',
+            settings: Object.keys(settings).length,
+            failed: Object.keys(failed).length
+        });
+
+        return {
+            success: Object.keys(failed).length === 0,
+            template: {
+                id: templateId,
+                version: securityConfig.template_version || 'latest',
+                chain: resolved.chain
+            },
+            changes,
+            cloudflare: {
+                updated: Object.keys(settings).filter(setting => !failed[setting]),
+                failed
+            },
+            security_config: securityConfig
+        };
+    }
+}
+
+// Create singleton instance
+const templateService = new TemplateService();
+
+module.exports = templateService;
\ No newline at end of file
@@ -0,0 +1,308 @@
+const cloudflareService = require('./cloudflareService');
+const rollbackService = require('./rollbackService');
+const { SETTING_MAP } = require('../utils/zoneSettings');
+const logger = require('../utils/logger');
+
+const PROVIDER_VERSION = '~> 4.0';
+
+// Phases exported as cloudflare_ruleset resources
+const RULESET_PHASES = ['http_request_firewall_custom', 'http_ratelimit', 'http_request_firewall_managed'];
+
+// Cloudflare setting -> cloudflare_zone_settings_override attribute, where the names differ
+const SETTING_ATTRIBUTES = {
+    browser_integrity_check: 'browser_check'
+};
+
+// Settings the zone settings override resource cannot manage
+const UNSUPPORTED_SETTINGS = {
+    bot_fight_mode: 'managed by the cloudflare_bot_management resource'
+};
+
+// Rule fields kept in cloudflare_ruleset rules
+const RULE_FIELDS = ['action', 'expression', 'description', 'enabled', 'ref', 'action_parameters', 'ratelimit', 'logging'];
+
+// DNS record fields kept in cloudflare_record resources
+const RECORD_FIELDS = ['name', 'type', 'content', 'ttl', 'proxied', 'priority', 'comment', 'data'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class TerraformExportService {
+    /**
+     * Build a unique Terraform resource name from arbitrary parts
+     */
+    identifier(used, ...parts) {
+        let base = parts
+            .filter(part => part !== undefined && part !== null && part !== '')
+            .join('_')
+            .toLowerCase()
+            .replace(/[^a-z0-9_]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .substring(0, 60);
+
+        if (!/^[a-z_]/.test(base)) {
+            base = `r_${base}`;
+        }
+
+        let name = base;
+        for (let suffix = 2; used.has(name); suffix++) {
+            name = `${base}_${suffix}`;
+        }
+        used.add(name);
+
+        return name;
+    }
+
+    /**
+     * Quote a string for HCL, escaping template sequences
+     */
+    quote(value) {
+        return JSON.stringify(String(value)).replace(/\$\{/g, () => '$${').replace(/%\{/g, () => '%%{');
+    }
+
+    renderScalar(value) {
+        if (typeof value === 'string') return this.quote(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.renderScalar(item)).join(', ')}]`;
+        return String(value);
+    }
+
+    /**
+     * Render attributes and nested blocks, aligning '=' the way `terraform fmt` does.
+     * Objects become blocks and lists of objects become repeated blocks.
+     */
+    renderBody(body, depth = 1) {
+        const indent = '  '.repeat(depth);
+        const lines = [];
+        let attributes = [];
+
+        const flushAttributes = () => {
+            const width = Math.max(...attributes.map(([key]) => key.length));
+            attributes.forEach(([key, value]) => lines.push(`${indent}${key.padEnd(width)} = ${value}`));
+            attributes = [];
+        };
+
+        Object.entries(body).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+
+            const blocks = isObject(value) ? [value] :
+                Array.isArray(value) && value.length > 0 && value.every(isObject) ? value : null;
+
+            if (!blocks) {
+                attributes.push([key, this.renderScalar(value)]);
+                return;
+            }
+
+            if (attributes.length > 0) flushAttributes();
+            blocks.forEach(block => {
+                lines.push('', `${indent}${key} {`, ...this.renderBody(block, depth + 1), `${indent}}`);
+            });
+        });
+
+        if (attributes.length > 0) flushAttributes();
+
+        // No blank line straight after an opening brace
+        while (lines[0] === '') lines.shift();
+
+        return lines;
+    }
+
+    renderResource(type, name, body) {
+        return [`resource "${type}" "${name}" {`, ...this.renderBody(body), '}'].join('\n');
+    }
+
+    renderImport(type, name, id) {
+        return ['import {', `  to = ${type}.${name}`, `  id = ${this.quote(id)}`, '}'].join('\n');
+    }
+
+    renderProvider() {
+        return [
+            'terraform {',
+            '  required_providers {',
+            '    cloudflare = {',
+            '      source  = "cloudflare/cloudflare"',
+            `      version = "${PROVIDER_VERSION}"`,
+            '    }',
+            '  }',
+            '}'
+        ].join('\n');
+    }
+
+    pick(object, fields) {
+        return fields.reduce((picked, field) => {
+            if (object[field] !== undefined && object[field] !== null && object[field] !== '') {
+                picked[field] = object[field];
+            }
+            return picked;
+        }, {});
+    }
+
+    /**
+     * Read everything the HCL export covers from Cloudflare.
+     * Sections the token cannot read are reported as warnings instead of failing the export.
+     */
+    async collectZone(zone) {
+        const apiToken = zone.getDecryptedApiToken();
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const warnings = [];
+
+        const attempt = async (label, fn, fallback) => {
+            try {
+                return await fn();
+            } catch (error) {
+                warnings.push(`${label} not exported: ${error.message}`);
+                return fallback;
+            }
+        };
+
+        const settings = await attempt('Zone settings', () => rollbackService.getLiveSettings(zone), {});
+
+        const rulesets = [];
+        for (const phase of RULESET_PHASES) {
+            const ruleset = await attempt(`Ruleset ${phase}`,
+                async () => (await cloudflareService.getPhaseRuleset(apiToken, cloudflareZoneId, phase)).ruleset, null);
+
+            if (ruleset && (ruleset.rules || []).length > 0) {
+                rulesets.push({ ...ruleset, phase });
+            }
+        }
+
+        const accessRules = await attempt('Access rules',
+            async () => (await cloudflareService.getAccessRules(apiToken, cloudflareZoneId)).rules, []);
+
+        const dnsRecords = await attempt('DNS records',
+            async () => (await cloudflareService.getDnsRecords(apiToken, cloudflareZoneId)).records, []);
+
+        return { settings, rulesets, accessRules, dnsRecords, warnings };
+    }
+
+    /**
+     * Render the resources and import blocks of one zone
+     */
+    renderZone(zone, { settings, rulesets, accessRules, dnsRecords, warnings }, used = new Set()) {
+        const cloudflareZoneId = zone.cloudflare_zone_id;
+        const sections = [`# Zone ${zone.name} (${cloudflareZoneId})`];
+        const imports = [];
+        const skipped = [];
+
+        warnings.forEach(warning => sections.push(`# WARNING: ${warning}`));
+
+        // Zone settings
+        const overrides = {};
+        SETTING_MAP.forEach(({ setting }) => {
+            const live = settings[setting];
+            if (!live || live.unavailable) return;
+
+            if (UNSUPPORTED_SETTINGS[setting]) {
+                skipped.push(`# ${setting} = ${this.renderScalar(live.value)} is ${UNSUPPORTED_SETTINGS[setting]}`);
+                return;
+            }
+
+            overrides[SETTING_ATTRIBUTES[setting] || setting] = live.value;
+        });
+
+        if (Object.keys(overrides).length > 0) {
+            const name = this.identifier(used, zone.name, 'settings');
+            sections.push(this.renderResource('cloudflare_zone_settings_override', name, {
+                zone_id: cloudflareZoneId,
+                settings: overrides
+            }));
+            imports.push(this.renderImport('cloudflare_zone_settings_override', name, cloudflareZoneId));
+        }
+        sections.push(...skipped);
+
+        // Rulesets
+        rulesets.forEach(ruleset => {
+            const name = this.identifier(used, zone.name, ruleset.phase);
+            sections.push(this.renderResource('cloudflare_ruleset', name, {
+                zone_id: cloudflareZoneId,
+                name: ruleset.name || 'default',
+                description: ruleset.description,
+                kind: 'zone',
+                phase: ruleset.phase,
+                rules: ruleset.rules.map(rule => this.pick(rule, RULE_FIELDS))
+            }));
+            imports.push(this.renderImport('cloudflare_ruleset', name, `zone/${cloudflareZoneId}/${ruleset.id}`));
+        });
+
+        // Access rules inherited from the account belong to the account configuration
+        accessRules
+            .filter(rule => !rule.scope?.type || rule.scope.type === 'zone')
+            .forEach(rule => {
+                const name = this.identifier(used, zone.name, 'access', rule.mode, rule.configuration.value);
+                sections.push(this.renderResource('cloudflare_access_rule', name, {
+                    zone_id: cloudflareZoneId,
+                    mode: rule.mode,
+                    notes: rule.notes || undefined,
+                    configuration: {
+                        target: rule.configuration.target,
+                        value: rule.configuration.value
+                    }
+                }));
+                imports.push(this.renderImport('cloudflare_access_rule', name, `zone/${cloudflareZoneId}/${rule.id}`));
+            });
+
+        // DNS records
+        dnsRecords.forEach(record => {
+            const label = record.name === zone.name ? 'apex' : record.name.replace(`.${zone.name}`, '');
+            const name = this.identifier(used, zone.name, record.type, label);
+            const body = { zone_id: cloudflareZoneId, ...this.pick(record, RECORD_FIELDS) };
+
+            // Records with structured data have their content computed from it
+            if (body.data) delete body.content;
+            if (!record.proxiable) delete body.proxied;
+
+            sections.push(this.renderResource('cloudflare_record', name, body));
+            imports.push(this.renderImport('cloudflare_record', name, `${cloudflareZoneId}/${record.id}`));
+        });
+
+        return [...sections, ...imports].join('\n\n');
+    }
+
+    header(title) {
+        return [
+            `# ${title}`,
+            `# Generated by Cloudflare Security Manager on ${new Date().toISOString()}`,
+            '# The import blocks adopt the existing Cloudflare objects (Terraform 1.5+).'
+        ].join('\n');
+    }
+
+    /**
+     * Terraform configuration for one zone
+     */
+    async exportZone(zone) {
+        const data = await this.collectZone(zone);
+
+        logger.cloudflareApi('EXPORT_TERRAFORM', zone.cloudflare_zone_id, data.warnings.length === 0, {
+            rulesets: data.rulesets.length,
+            accessRules: data.accessRules.length,
+            dnsRecords: data.dnsRecords.length
+        });
+
+        return [this.header(`Terraform configuration for ${zone.name}`), this.renderProvider(), this.renderZone(zone, data)]
+            .join('\n\n') + '\n';
+    }
+
+    /**
+     * Terraform configuration for several zones in one file.
+     * A zone that cannot be read is written as a comment so the rest still exports.
+     */
+    async exportZones(zones) {
+        const used = new Set();
+        const parts = [this.header(`Terraform configuration for ${zones.length} zone(s)`), this.renderProvider()];
+
+        for (const zone of zones) {
+            try {
+                parts.push(this.renderZone(zone, await this.collectZone(zone), used));
+            } catch (error) {
+                logger.warn(`Terraform export failed for zone ${zone.name}: ${error.message}`);
+                parts.push(`# Zone ${zone.name} (${zone.cloudflare_zone_id}) could not be exported: ${error.message}`);
+            }
+        }
+
+        return parts.join('\n\n') + '\n';
+    }
+}
+
+// Create singleton instance
+const terraformExportService = new TerraformExportService();
+
+module.exports = terraformExportService;
\ No newline at end of file
@@ -0,0 +1,272 @@
+const { createTestContext } = require('../support/testContext');
+
+describe('routes/analytics', () => {
+    let ctx;
+    let user;
+
+    beforeAll(async () => {
+        ctx = await createTestContext();
+    });
+
+    afterAll(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        ctx.reset();
+        user = await ctx.createUser();
+    });
+
+    const graphqlRequests = () => ctx.simulator.requests.filter(entry => entry.path === '/graphql');
+
+    describe('GET /api/analytics/:zoneId/overview', () => {
+        it('builds the overview from hourly GraphQL groups', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/overview`).query({ period: '24h' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.overview.requests).toBeGreaterThan(0);
+            expect(res.body.overview.bandwidth).toBeGreaterThan(0);
+            expect(res.body.timeseries.length).toBeGreaterThanOrEqual(24);
+            expect(res.body.overview.requests).toBe(res.body.timeseries.reduce((sum, point) => sum + point.requests, 0));
+            expect(res.body.top_stats.cache_ratio.ratio).toBeGreaterThan(0);
+            expect(res.body.top_stats.ssl_ratio).toBeGreaterThan(90);
+
+            const [request] = graphqlRequests();
+            expect(request.body.query).toContain('httpRequests1hGroups');
+            expect(request.body.variables.zoneTag).toBe(zone.cloudflare_zone_id);
+        });
+
+        it('switches to daily groups for long ranges', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/overview`).query({ period: '7d' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.timeseries).toHaveLength(8);
+            expect(graphqlRequests()[0].body.query).toContain('httpRequests1dGroups');
+        });
+
+        it('maps a GraphQL authorization error to 403', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+            ctx.simulator.tokens.get(zone.getDecryptedApiToken()).zones.delete(remote.id);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/overview`);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /api/analytics/:zoneId/performance', () => {
+        it('reports status classes, content types and cache savings', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/performance`);
+
+            expect(res.status).toBe(200);
+            const { performance } = res.body;
+            expect(performance.http_status['2xx']).toBeGreaterThan(0);
+            expect(performance.http_status['5xx']).toBeGreaterThan(0);
+            expect(Object.keys(performance.content_types)).toEqual(expect.arrayContaining(['html', 'css', 'javascript']));
+            expect(performance.bandwidth_saved.saved).toBeGreaterThan(0);
+        });
+    });
+
+    describe('GET /api/analytics/:zoneId/threats', () => {
+        it('summarises firewall events by action, rule and country', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+            const now = Date.now();
+            ctx.simulator.setEvents(remote.id, [
+                { action: 'block', ruleId: 'rule-a', clientIP: '198.51.100.7', clientCountryName: 'VN', datetime: now - 60000 },
+                { action: 'block', ruleId: 'rule-a', clientIP: '198.51.100.7', clientCountryName: 'VN', datetime: now - 120000 },
+                { action: 'managed_challenge', ruleId: 'rule-b', clientIP: '198.51.100.8', clientCountryName: 'US', datetime: now - 180000 },
+                { action: 'log', ruleId: 'rule-c', clientIP: '198.51.100.9', clientCountryName: 'US', datetime: now - 240000 }
+            ]);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/threats`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.threat_summary).toMatchObject({
+                total_threats: 4,
+                blocked_requests: 2,
+                challenged_requests: 1
+            });
+            expect(res.body.threat_types[0]).toEqual({ type: 'rule-a', count: 2 });
+            expect(res.body.threat_countries).toEqual(expect.arrayContaining([{ country: 'VN', count: 2 }]));
+            expect(res.body.blocked_ips).toEqual([{ ip: '198.51.100.7', count: 2 }]);
+        });
+
+        it('pages through events sharing a timestamp without repeating any', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+            const datetime = Date.now() - 60000;
+            ctx.simulator.setEvents(remote.id, Array.from({ length: 2500 }, () => ({ datetime })));
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/threats`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.threat_summary.total_threats).toBe(2500);
+
+            const eventQueries = graphqlRequests().filter(entry => entry.body.query.includes('firewallEventsAdaptive'));
+            expect(eventQueries).toHaveLength(3);
+            expect(eventQueries[2].body.variables.filter.rayName_notin).toHaveLength(2000);
+        });
+    });
+
+    describe('GET /api/analytics/:zoneId/top', () => {
+        it('returns top countries, ASNs, paths and user agents', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/top`).query({ limit: 3 });
+
+            expect(res.status).toBe(200);
+            expect(Object.keys(res.body.top)).toEqual(['countries', 'asns', 'paths', 'user_agents']);
+            expect(res.body.top.countries).toHaveLength(3);
+            expect(res.body.top.countries[0].count).toBeGreaterThanOrEqual(res.body.top.countries[1].count);
+            expect(res.body.top.asns[0]).toEqual({ value: expect.any(Number), description: expect.any(String), count: expect.any(Number) });
+        });
+
+        it('limits the query to the requested dimensions', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/top`).query({ dimensions: 'paths' });
+
+            expect(res.status).toBe(200);
+            expect(Object.keys(res.body.top)).toEqual(['paths']);
+            expect(graphqlRequests()[0].body.query).not.toContain('clientCountryName');
+        });
+
+        it('rejects unknown dimensions', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/top`).query({ dimensions: 'paths,referers' });
+
+            expect(res.status).toBe(400);
+            expect(graphqlRequests()).toHaveLength(0);
+        });
+    });
+
+    describe('security events explorer', () => {
+        let zone;
+        let remote;
+
+        const seedEvents = () => {
+            const now = Date.now();
+            ctx.simulator.setEvents(remote.id, [
+                { rayName: 'a0000000000000a1', action: 'block', source: 'waf', ruleId: 'sqli', clientIP: '198.51.100.7', clientAsn: 14061, clientCountryName: 'VN', clientRequestPath: '/wp-login.php', userAgent: 'curl/8.4.0', datetime: now - 60000 },
+                { rayName: 'a0000000000000a2', action: 'block', source: 'waf', ruleId: 'sqli', clientIP: '198.51.100.7', clientAsn: 14061, clientCountryName: 'VN', clientRequestPath: '/wp-admin/', userAgent: 'curl/8.4.0', datetime: now - 120000 },
+                { rayName: 'a0000000000000a3', action: 'managed_challenge', source: 'ratelimit', ruleId: 'login-rl', clientIP: '198.51.100.7', clientAsn: 14061, clientCountryName: 'VN', clientRequestPath: '/login', userAgent: 'curl/8.4.0', datetime: now - 180000 },
+                { rayName: 'a0000000000000a4', action: 'block', source: 'firewallrules', ruleId: 'geo', clientIP: '192.0.2.10', clientAsn: 4134, clientCountryName: 'CN', clientRequestPath: '/', userAgent: 'python-requests/2.31.0', datetime: now - 240000 },
+                { rayName: 'a0000000000000a5', action: 'log', source: 'bic', ruleId: 'bic', clientIP: '192.0.2.11', clientAsn: 15169, clientCountryName: 'US', clientRequestPath: '/search', userAgent: 'Mozilla/5.0', datetime: now - 300000 }
+            ]);
+        };
+
+        beforeEach(async () => {
+            ({ zone, remote } = await ctx.createZone(user));
+            seedEvents();
+        });
+
+        it('filters events by several dimensions at once', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events`)
+                .query({ action: 'block,managed_challenge', country: 'vn', path: '/wp-*' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.filters).toEqual({ action: ['block', 'managed_challenge'], country: 'VN', path: '/wp-*' });
+            expect(res.body.events.map(event => event.ray_id)).toEqual(['a0000000000000a1', 'a0000000000000a2']);
+            expect(res.body.pagination.next_cursor).toBeNull();
+
+            const [request] = graphqlRequests();
+            expect(request.body.variables.filter).toMatchObject({
+                action_in: ['block', 'managed_challenge'],
+                clientCountryName: 'VN',
+                clientRequestPath_like: '/wp-%'
+            });
+        });
+
+        it('filters by ASN and source', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events`)
+                .query({ asn: '14061', source: 'ratelimit' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.events).toHaveLength(1);
+            expect(res.body.events[0]).toMatchObject({ ray_id: 'a0000000000000a3', rule_id: 'login-rl', client_asn: 14061 });
+        });
+
+        it('pages through events with the returned cursor', async () => {
+            const seen = [];
+            let cursor;
+
+            do {
+                const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events`)
+                    .query({ limit: 2, ...(cursor && { cursor }) });
+
+                expect(res.status).toBe(200);
+                seen.push(...res.body.events.map(event => event.ray_id));
+                cursor = res.body.pagination.next_cursor;
+            } while (cursor);
+
+            expect(seen).toEqual(['a0000000000000a1', 'a0000000000000a2', 'a0000000000000a3', 'a0000000000000a4', 'a0000000000000a5']);
+        });
+
+        it('rejects a malformed cursor and invalid filters', async () => {
+            let res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events`).query({ cursor: 'bm90LWEtY3Vyc29y' });
+            expect(res.status).toBe(400);
+
+            res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events`).query({ ip: '198.51.100.300', asn: 'AS14061' });
+            expect(res.status).toBe(400);
+            expect(res.body.details.map(detail => detail.field)).toEqual(['ip', 'asn']);
+            expect(graphqlRequests()).toHaveLength(0);
+        });
+
+        it('groups events by any combination of dimensions', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/groups`)
+                .query({ by: 'country,action', action: 'block,managed_challenge' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.groups).toEqual([
+                { country: 'VN', action: 'block', count: 2 },
+                expect.objectContaining({ count: 1 }),
+                expect.objectContaining({ count: 1 })
+            ]);
+            expect(res.body.groups).toEqual(expect.arrayContaining([
+                { country: 'VN', action: 'managed_challenge', count: 1 },
+                { country: 'CN', action: 'block', count: 1 }
+            ]));
+        });
+
+        it('rejects grouping by an unknown dimension', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/groups`).query({ by: 'referer' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('does not take object properties for dimensions', async () => {
+            for (const by of ['constructor', 'action,toString']) {
+                const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/groups`).query({ by });
+                expect(res.status).toBe(400);
+            }
+
+            const similar = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/a0000000000000a1/similar`)
+                .query({ by: '__proto__' });
+            expect(similar.status).toBe(400);
+        });
+
+        it('pivots to events similar to a ray ID', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/a0000000000000a1/similar`)
+                .query({ by: 'ip,asn' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.event.ray_id).toBe('a0000000000000a1');
+            expect(res.body.filters).toEqual({ ip: '198.51.100.7', asn: 14061 });
+            expect(res.body.total).toBe(3);
+            expect(res.body.by_action).toEqual([{ action: 'block', count: 2 }, { action: 'managed_challenge', count: 1 }]);
+            expect(res.body.events.map(event => event.ray_id)).toEqual(['a0000000000000a1', 'a0000000000000a2', 'a0000000000000a3']);
+        });
+
+        it('returns 404 for an unknown ray ID', async () => {
+            const res = await ctx.api(user, 'get', `/api/analytics/${zone.id}/events/ffffffffffffffff/similar`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
\ No newline at end of file
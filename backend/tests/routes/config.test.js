@@ -0,0 +1,249 @@
+const { createTestContext } = require('../support/testContext');
+
+describe('routes/config', () => {
+    let ctx;
+    let user;
+    let zone;
+    let remote;
+
+    beforeAll(async () => {
+        ctx = await createTestContext();
+    });
+
+    afterAll(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        ctx.reset();
+        user = await ctx.createUser();
+        ({ zone, remote } = await ctx.createZone(user, { simulated: { settings: { ssl: 'flexible', min_tls_version: '1.2' } } }));
+    });
+
+    describe('GET /api/config/:zoneId/export', () => {
+        it('exports live Cloudflare settings with the stored configuration', async () => {
+            const res = await ctx.api(user, 'get', `/api/config/${zone.id}/export`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toMatch(/attachment; filename=".*\.json"/);
+            expect(res.body.metadata).toMatchObject({ zone_name: remote.name, zone_id: remote.id, export_version: '1.0' });
+            expect(res.body.security_settings).toMatchObject({ ssl_mode: 'flexible', security_level: 'medium' });
+            expect(res.body.security_config).toBeTruthy();
+        });
+
+        it('exports YAML', async () => {
+            const res = await ctx.api(user, 'get', `/api/config/${zone.id}/export?format=yaml`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/yaml/);
+            expect(res.text).toMatch(/zone_name: /);
+        });
+
+        it('rejects unknown formats', async () => {
+            const res = await ctx.api(user, 'get', `/api/config/${zone.id}/export?format=xml`);
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/config/export', () => {
+        it('exports every zone of the user as one Terraform file', async () => {
+            const { remote: second } = await ctx.createZone(user);
+            const { remote: foreign } = await ctx.createZone(await ctx.createUser());
+
+            const res = await ctx.api(user, 'get', '/api/config/export?format=terraform');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toMatch(/attachment; filename=".*\.tf"/);
+            expect(res.text).toMatch(/Terraform configuration for 2 zone\(s\)/);
+            expect(res.text).toContain(remote.id);
+            expect(res.text).toContain(second.id);
+            expect(res.text).not.toContain(foreign.id);
+        });
+
+        it('rejects formats other than terraform', async () => {
+            const res = await ctx.api(user, 'get', '/api/config/export?format=json');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('POST /api/config/:zoneId/backup', () => {
+        it('stores a backup of the live settings and lists it', async () => {
+            const res = await ctx.api(user, 'post', `/api/config/${zone.id}/backup`)
+                .send({ description: 'Before migration' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.backup.description).toBe('Before migration');
+
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(config.backup_config.security_settings.ssl_mode).toBe('flexible');
+
+            const list = await ctx.api(user, 'get', `/api/config/${zone.id}/backups`);
+            expect(list.status).toBe(200);
+            expect(list.body.backups).toHaveLength(1);
+        });
+
+        it('fails without storing anything when Cloudflare rejects the token', async () => {
+            ctx.simulator.tokens.clear();
+
+            const res = await ctx.api(user, 'post', `/api/config/${zone.id}/backup`).send({});
+
+            expect(res.status).toBe(401);
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(config.backup_config?.security_settings).toBeUndefined();
+        });
+    });
+
+    describe('plan and apply', () => {
+        const document = {
+            security_config: {
+                ssl_mode: 'flexible',
+                min_tls_version: '1.3',
+                challenge_ttl: 3600
+            }
+        };
+
+        it('plans only the settings that differ and applies them', async () => {
+            const planned = await ctx.api(user, 'post', `/api/config/${zone.id}/plan`).send({ document });
+
+            expect(planned.status).toBe(201);
+            const settingOperations = planned.body.operations.filter(operation => operation.type === 'zone_setting');
+            expect(settingOperations.map(operation => [operation.setting, operation.from, operation.to])).toEqual([
+                ['min_tls_version', '1.2', '1.3'],
+                ['challenge_ttl', 1800, 3600]
+            ]);
+
+            const applied = await ctx.api(user, 'post', `/api/config/${zone.id}/apply`)
+                .send({ plan_id: planned.body.plan_id });
+
+            expect(applied.status).toBe(200);
+            expect(ctx.simulator.getSetting(remote.id, 'min_tls_version')).toBe('1.3');
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(3600);
+            expect(ctx.simulator.getSetting(remote.id, 'ssl')).toBe('flexible');
+
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(config.min_tls_version).toBe('1.3');
+        });
+
+        it('refuses plans that change settings needing approval', async () => {
+            const planned = await ctx.api(user, 'post', `/api/config/${zone.id}/plan`)
+                .send({ document: { security_config: { security_level: 'essentially_off' } } });
+
+            const applied = await ctx.api(user, 'post', `/api/config/${zone.id}/apply`)
+                .send({ plan_id: planned.body.plan_id });
+
+            expect(applied.status).toBe(403);
+            expect(applied.body.message).toMatch(/security_level, which requires approval/);
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+        });
+
+        it('refuses a plan when the live settings changed after planning', async () => {
+            const planned = await ctx.api(user, 'post', `/api/config/${zone.id}/plan`).send({ document });
+
+            ctx.simulator.setSetting(remote.id, 'min_tls_version', '1.1');
+
+            const applied = await ctx.api(user, 'post', `/api/config/${zone.id}/apply`)
+                .send({ plan_id: planned.body.plan_id });
+
+            expect(applied.status).toBe(409);
+            expect(applied.body.message).toMatch(/zone setting min_tls_version/);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(1800);
+        });
+
+        it('reports settings Cloudflare rejects while applying the rest', async () => {
+            const planned = await ctx.api(user, 'post', `/api/config/${zone.id}/plan`).send({ document });
+            ctx.simulator.failNext({ method: 'PATCH', path: `/zones/${remote.id}/settings/min_tls_version`, status: 400, code: 1007, message: 'Invalid value for zone setting min_tls_version' });
+
+            const applied = await ctx.api(user, 'post', `/api/config/${zone.id}/apply`)
+                .send({ plan_id: planned.body.plan_id });
+
+            expect(applied.status).toBe(207);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(3600);
+            expect(ctx.simulator.getSetting(remote.id, 'min_tls_version')).toBe('1.2');
+        });
+
+        it('rejects documents for another zone', async () => {
+            const res = await ctx.api(user, 'post', `/api/config/${zone.id}/plan`)
+                .send({ document: { metadata: { zone_name: 'elsewhere.example' }, security_config: {} } });
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('PUT /api/config/templates/:templateId', () => {
+        let template;
+
+        beforeEach(async () => {
+            const created = await ctx.api(user, 'post', '/api/config/templates')
+                .send({ template_name: `Baseline ${zone.id}`, source_zone_id: zone.id });
+            template = created.body.template;
+
+            const other = await ctx.createUser();
+            const { zone: otherZone } = await ctx.createZone(other);
+            const otherConfig = await ctx.models.SecurityConfig.findByZone(otherZone.id);
+            await otherConfig.update({ template_id: template.id });
+        });
+
+        it('refuses to change a template other users follow', async () => {
+            const res = await ctx.api(user, 'put', `/api/config/templates/${template.id}`)
+                .send({ settings: { challenge_ttl: 3600 } });
+
+            expect(res.status).toBe(403);
+            const stored = await ctx.models.SecurityConfig.findByPk(template.id);
+            expect(stored.challenge_ttl).not.toBe(3600);
+        });
+
+        it('still previews the change and lets an admin make it', async () => {
+            const preview = await ctx.api(user, 'put', `/api/config/templates/${template.id}`)
+                .send({ settings: { challenge_ttl: 3600 }, dry_run: true });
+            expect(preview.status).toBe(200);
+            expect(preview.body.other_users_zones).toBe(1);
+
+            const admin = await ctx.createUser({ role: 'admin' });
+            const res = await ctx.api(admin, 'put', `/api/config/templates/${template.id}`)
+                .send({ settings: { challenge_ttl: 3600 } });
+
+            expect(res.status).toBe(200);
+            const stored = await ctx.models.SecurityConfig.findByPk(template.id);
+            expect(stored.challenge_ttl).toBe(3600);
+        });
+    });
+
+    describe('template ownership', () => {
+        let template;
+        let other;
+
+        beforeEach(async () => {
+            const created = await ctx.api(user, 'post', '/api/config/templates')
+                .send({ template_name: `Owned ${zone.id}`, source_zone_id: zone.id });
+            template = created.body.template;
+            other = await ctx.createUser();
+        });
+
+        it('lets only the author change or delete a template nobody else follows', async () => {
+            const changed = await ctx.api(other, 'put', `/api/config/templates/${template.id}`)
+                .send({ settings: { challenge_ttl: 3600 } });
+            const deleted = await ctx.api(other, 'delete', `/api/config/templates/${template.id}`);
+
+            expect(changed.status).toBe(403);
+            expect(deleted.status).toBe(403);
+            expect((await ctx.models.SecurityConfig.findByPk(template.id)).challenge_ttl).not.toBe(3600);
+
+            const own = await ctx.api(user, 'put', `/api/config/templates/${template.id}`)
+                .send({ settings: { challenge_ttl: 3600 } });
+            expect(own.status).toBe(200);
+        });
+
+        it('keeps templates without an author to admins', async () => {
+            const seeded = await ctx.models.SecurityConfig.create({ is_template: true, template_name: 'Seeded baseline' });
+
+            const res = await ctx.api(user, 'delete', `/api/config/templates/${seeded.id}`);
+            expect(res.status).toBe(403);
+
+            const admin = await ctx.createUser({ role: 'admin' });
+            const removed = await ctx.api(admin, 'delete', `/api/config/templates/${seeded.id}`);
+            expect(removed.status).toBe(200);
+        });
+    });
+});
\ No newline at end of file
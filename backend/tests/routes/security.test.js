@@ -0,0 +1,388 @@
+const { createTestContext } = require('../support/testContext');
+
+describe('routes/security', () => {
+    let ctx;
+    let user;
+    let zone;
+    let remote;
+
+    beforeAll(async () => {
+        ctx = await createTestContext();
+    });
+
+    afterAll(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        ctx.reset();
+        user = await ctx.createUser();
+        ({ zone, remote } = await ctx.createZone(user));
+    });
+
+    describe('PATCH /api/security/:zoneId/:setting', () => {
+        it('applies a low-severity setting to Cloudflare and the local config', async () => {
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/browser_integrity_check`)
+                .send({ value: false });
+
+            expect(res.status).toBe(200);
+            expect(res.body.setting).toMatchObject({ name: 'browser_integrity_check', old_value: 'on', new_value: false });
+            expect(ctx.simulator.getSetting(remote.id, 'browser_integrity_check')).toBe('off');
+
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(config.browser_integrity_check).toBe(false);
+        });
+
+        it('turns high-severity changes into a change request without calling Cloudflare', async () => {
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/security_level`)
+                .send({ value: 'under_attack', reason: 'Ongoing attack' });
+
+            expect(res.status).toBe(202);
+            expect(res.body.change_request.status).toBe('pending');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+            expect(ctx.simulator.requests.some(entry => entry.method === 'PATCH')).toBe(false);
+        });
+
+        it('applies a change request once when two reviewers approve it at the same time', async () => {
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/security_level`)
+                .send({ value: 'under_attack' });
+            const reviewers = [await ctx.createUser({ role: 'admin' }), await ctx.createUser({ role: 'admin' })];
+
+            const reviews = await Promise.all(reviewers.map(reviewer =>
+                ctx.api(reviewer, 'post', `/api/approvals/${res.body.change_request.id}/approve`)));
+
+            expect(reviews.map(review => review.status).sort()).toEqual([200, 409]);
+            expect(ctx.simulator.requests.filter(entry => entry.method === 'PATCH')).toHaveLength(1);
+            expect(await ctx.models.AuditLog.count({
+                where: { action: 'security_change_approved', resource_id: res.body.change_request.id }
+            })).toBe(1);
+        });
+
+        it('reports values Cloudflare rejects', async () => {
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/challenge_ttl`)
+                .send({ value: 1234 });
+
+            expect(res.status).toBe(502);
+            expect(res.body.message).toMatch(/Invalid value for zone setting challenge_ttl/);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(1800);
+        });
+
+        it('validates the value for the setting before calling Cloudflare', async () => {
+            const invalid = await Promise.all([
+                ctx.api(user, 'patch', `/api/security/${zone.id}/security_level`).send({ value: 'maximum' }),
+                ctx.api(user, 'patch', `/api/security/${zone.id}/ssl`).send({ value: { mode: 'strict' } }),
+                ctx.api(user, 'patch', `/api/security/${zone.id}/hotlink_protection`).send({ value: 'sometimes' }),
+                ctx.api(user, 'patch', `/api/security/${zone.id}/challenge_ttl`).send({ value: 10 }),
+                ctx.api(user, 'patch', `/api/security/${zone.id}/bot_fight_mode`).send({})
+            ]);
+
+            invalid.forEach(res => expect(res.status).toBe(400));
+            expect(await ctx.models.ChangeRequest.count({ where: { zone_id: zone.id } })).toBe(0);
+            expect(ctx.simulator.requests).toHaveLength(0);
+        });
+
+        it('rejects unknown settings', async () => {
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/not_a_setting`)
+                .send({ value: 'on' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('maps Cloudflare outages to 503', async () => {
+            ctx.simulator.failNext({ method: 'GET', path: `/zones/${remote.id}/settings`, status: 500 });
+
+            const res = await ctx.api(user, 'patch', `/api/security/${zone.id}/hotlink_protection`)
+                .send({ value: true });
+
+            expect(res.status).toBe(503);
+            expect(ctx.simulator.getSetting(remote.id, 'hotlink_protection')).toBe('off');
+        });
+    });
+
+    describe('POST /api/security/:zoneId/bulk-update', () => {
+        it('applies several settings and reports partial failures', async () => {
+            ctx.simulator.failNext({ method: 'PATCH', path: `/zones/${remote.id}/settings/hotlink_protection`, status: 400, code: 1007, message: 'Invalid value for zone setting hotlink_protection' });
+
+            const res = await ctx.api(user, 'post', `/api/security/${zone.id}/bulk-update`)
+                .send({ settings: { browser_integrity_check: false, challenge_ttl: 3600, scrape_shield: { hotlink_protection: true } } });
+
+            expect(res.status).toBe(207);
+            expect(res.body.summary.failed).toBe(1);
+            expect(ctx.simulator.getSetting(remote.id, 'browser_integrity_check')).toBe('off');
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(3600);
+            expect(ctx.simulator.getSetting(remote.id, 'hotlink_protection')).toBe('off');
+        });
+
+        it('rejects fields that are not zone settings', async () => {
+            const before = await ctx.models.SecurityConfig.findByZone(zone.id);
+
+            const res = await ctx.api(user, 'post', `/api/security/${zone.id}/bulk-update`)
+                .send({ settings: { is_template: true, config_version: 999 } });
+
+            expect(res.status).toBe(400);
+            const after = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(after.is_template).toBe(false);
+            expect(after.config_version).toBe(before.config_version);
+        });
+    });
+
+    describe('POST /api/security/:zoneId/apply-template', () => {
+        it('keeps the previous value of settings Cloudflare rejects', async () => {
+            const created = await ctx.api(user, 'post', '/api/config/templates')
+                .send({ template_name: `Hardened ${zone.id}`, source_zone_id: zone.id });
+            const template = await ctx.models.SecurityConfig.findByPk(created.body.template.id);
+            await template.update({ challenge_ttl: 3600, min_tls_version: '1.3' });
+            const before = await ctx.models.SecurityConfig.findByZone(zone.id);
+            ctx.simulator.failNext({ method: 'PATCH', path: `/zones/${remote.id}/settings/min_tls_version`, status: 400, code: 1007, message: 'Invalid value for zone setting min_tls_version' });
+
+            const res = await ctx.api(user, 'post', `/api/security/${zone.id}/apply-template`)
+                .send({ template_id: template.id });
+
+            expect(res.status).toBe(207);
+            const after = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(after.template_id).toBe(template.id);
+            expect(after.challenge_ttl).toBe(3600);
+            expect(after.min_tls_version).toBe(before.min_tls_version);
+        });
+    });
+
+    describe('drift', () => {
+        it('detects and re-enforces a drifted local value', async () => {
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            await config.update({ browser_integrity_check: false });
+
+            const detected = await ctx.api(user, 'get', `/api/security/${zone.id}/drift`);
+            expect(detected.status).toBe(200);
+            expect(detected.body.differences).toEqual(expect.arrayContaining([
+                expect.objectContaining({ field: 'browser_integrity_check', setting: 'browser_integrity_check', local: false, remote: true })
+            ]));
+
+            const resolved = await ctx.api(user, 'post', `/api/security/${zone.id}/drift/resolve`)
+                .send({ resolutions: [{ field: 'browser_integrity_check', action: 'enforce_local' }] });
+            expect(resolved.status).toBe(200);
+            expect(ctx.simulator.getSetting(remote.id, 'browser_integrity_check')).toBe('off');
+
+            const after = await ctx.api(user, 'get', `/api/security/${zone.id}/drift`);
+            expect(after.body.differences.map(entry => entry.field)).not.toContain('browser_integrity_check');
+        });
+    });
+
+    describe('config versions', () => {
+        const versionsOf = (config) => ctx.models.SecurityConfigVersion.findAll({
+            where: { security_config_id: config.id },
+            order: [['version', 'ASC']]
+        });
+
+        it('does not record a version when only the sync time changes', async () => {
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            const { config_version: version } = config;
+            const versions = await versionsOf(config);
+
+            await config.update({ last_cloudflare_sync: new Date(Date.now() + 1000) });
+
+            expect(config.config_version).toBe(version);
+            expect(await versionsOf(config)).toHaveLength(versions.length);
+        });
+
+        it('credits changes made by the scheduler to no one', async () => {
+            const scheduledChangeService = require('../../services/scheduledChangeService');
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            await config.update({ development_mode: true, last_modified_by: user.id });
+            await config.update({ development_mode_expires: new Date(Date.now() - 1000) });
+
+            await scheduledChangeService.expireDevelopmentMode();
+
+            const versions = await versionsOf(config);
+            const latest = versions[versions.length - 1];
+            expect(latest.snapshot.development_mode).toBe(false);
+            expect(latest.created_by).toBeNull();
+        });
+
+        it('diffs the first version against an empty configuration', async () => {
+            const config = await ctx.models.SecurityConfig.findByZone(zone.id);
+            expect(await versionsOf(config)).toHaveLength(1);
+
+            const res = await ctx.api(user, 'get', `/api/security/${zone.id}/history/diff`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.from).toBeNull();
+            expect(res.body.to.version).toBe(1);
+            expect(res.body.changes).toEqual(expect.arrayContaining([
+                expect.objectContaining({ path: 'security_level', to: config.security_level })
+            ]));
+        });
+
+        it('reports a zone without versions as not found', async () => {
+            await ctx.models.SecurityConfigVersion.destroy({ where: { zone_id: zone.id } });
+
+            const res = await ctx.api(user, 'get', `/api/security/${zone.id}/history/diff`);
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toMatch(/No configuration versions/);
+        });
+    });
+
+    describe('scheduled changes', () => {
+        let scheduledChangeService;
+
+        beforeAll(() => {
+            // Loaded after the test context has pointed the services at the simulator
+            scheduledChangeService = require('../../services/scheduledChangeService');
+        });
+
+        const schedule = () => ctx.api(user, 'post', `/api/security/${zone.id}/scheduled-changes`)
+            .send({ changes: { security_level: 'under_attack' }, duration_minutes: 60, reason: 'Expected traffic spike' });
+
+        it('waits for approval before applying a high-severity change', async () => {
+            const res = await schedule();
+
+            expect(res.status).toBe(202);
+            expect(res.body.scheduled_change.status).toBe('pending_approval');
+            await scheduledChangeService.tick();
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+
+            const admin = await ctx.createUser({ role: 'admin' });
+            const approved = await ctx.api(admin, 'post', `/api/approvals/${res.body.scheduled_change.change_request_id}/approve`);
+            expect(approved.status).toBe(200);
+            expect(approved.body.change_request.status).toBe('approved');
+
+            await scheduledChangeService.tick();
+
+            const change = await ctx.models.ScheduledChange.findByPk(res.body.scheduled_change.id);
+            expect(change.status).toBe('active');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('under_attack');
+        });
+
+        it('cancels the change request along with a change still waiting for approval', async () => {
+            const res = await schedule();
+
+            const cancelled = await ctx.api(user, 'delete', `/api/security/${zone.id}/scheduled-changes/${res.body.scheduled_change.id}`);
+
+            expect(cancelled.status).toBe(200);
+            expect(cancelled.body.scheduled_change.status).toBe('cancelled');
+            const request = await ctx.models.ChangeRequest.findByPk(res.body.scheduled_change.change_request_id);
+            expect(request.status).toBe('cancelled');
+        });
+    });
+
+    describe('firewall rules', () => {
+        const createRule = (rule) => ctx.api(user, 'post', `/api/security/${zone.id}/firewall/rules`)
+            .send({ action: 'block', ...rule });
+
+        it('creates, lists, updates, pauses and deletes a rule', async () => {
+            const created = await createRule({ expression: 'ip.src eq 198.51.100.7', description: 'Block scanner' });
+            expect(created.status).toBe(201);
+            const ruleId = created.body.rule.id;
+
+            let res = await ctx.api(user, 'get', `/api/security/${zone.id}/firewall/rules`);
+            expect(res.status).toBe(200);
+            expect(res.body.total).toBe(1);
+            expect(res.body.rules[0].filter.expression).toBe('ip.src eq 198.51.100.7');
+
+            res = await ctx.api(user, 'put', `/api/security/${zone.id}/firewall/rules/${ruleId}`)
+                .send({ expression: '(ip.src in {198.51.100.7 198.51.100.8})', action: 'managed_challenge' });
+            expect(res.status).toBe(200);
+            expect(ctx.simulator.getFirewallRules(remote.id)[0]).toMatchObject({
+                action: 'managed_challenge',
+                filter: { expression: '(ip.src in {198.51.100.7 198.51.100.8})' }
+            });
+
+            res = await ctx.api(user, 'post', `/api/security/${zone.id}/firewall/rules/${ruleId}/pause`);
+            expect(res.status).toBe(200);
+            expect(ctx.simulator.getFirewallRules(remote.id)[0].paused).toBe(true);
+
+            res = await ctx.api(user, 'delete', `/api/security/${zone.id}/firewall/rules/${ruleId}`);
+            expect(res.status).toBe(200);
+            expect(ctx.simulator.getFirewallRules(remote.id)).toHaveLength(0);
+            expect(ctx.simulator.filters.size).toBe(0);
+
+            const actions = (await ctx.models.AuditLog.findAll({ where: { zone_id: zone.id } })).map(entry => entry.action);
+            expect(actions).toEqual(expect.arrayContaining(['firewall_rule_created', 'firewall_rule_deleted']));
+        });
+
+        it('reorders rules by priority', async () => {
+            const first = (await createRule({ expression: 'ip.src eq 198.51.100.1' })).body.rule.id;
+            const second = (await createRule({ expression: 'ip.src eq 198.51.100.2' })).body.rule.id;
+
+            const res = await ctx.api(user, 'post', `/api/security/${zone.id}/firewall/rules/reorder`)
+                .send({ order: [second, first] });
+
+            expect(res.status).toBe(200);
+            expect(ctx.simulator.getFirewallRules(remote.id)
+                .sort((a, b) => a.priority - b.priority)
+                .map(rule => rule.id)).toEqual([second, first]);
+        });
+
+        it('surfaces expressions Cloudflare cannot parse', async () => {
+            const res = await createRule({ expression: '(ip.src eq 198.51.100.1' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toMatch(/parse_error/);
+            expect(ctx.simulator.getFirewallRules(remote.id)).toHaveLength(0);
+        });
+
+        it('returns 404 for rules that do not exist', async () => {
+            const res = await ctx.api(user, 'delete', `/api/security/${zone.id}/firewall/rules/${'0'.repeat(32)}`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('validates the request before calling Cloudflare', async () => {
+            const res = await createRule({ expression: 'ip.src eq 198.51.100.1', action: 'explode' });
+
+            expect(res.status).toBe(400);
+            expect(ctx.simulator.requests).toHaveLength(0);
+        });
+    });
+
+    it('refuses to act on zones owned by another user', async () => {
+        const other = await ctx.createUser();
+
+        const res = await ctx.api(other, 'patch', `/api/security/${zone.id}/browser_integrity_check`)
+            .send({ value: false });
+
+        expect(res.status).toBe(404);
+        expect(ctx.simulator.requests).toHaveLength(0);
+    });
+
+    describe('change freeze', () => {
+        let freeze;
+
+        beforeEach(async () => {
+            freeze = await ctx.models.FreezeWindow.create({
+                name: 'Release freeze',
+                scope: 'global',
+                starts_at: new Date(Date.now() - 60000),
+                ends_at: new Date(Date.now() + 60 * 60000),
+                created_by: user.id
+            });
+        });
+
+        afterEach(async () => {
+            await freeze.destroy();
+        });
+
+        it('holds setting changes even when they claim to be a dry run', async () => {
+            let res = await ctx.api(user, 'patch', `/api/security/${zone.id}/always_use_https`)
+                .query({ dry_run: 'true' })
+                .send({ value: true });
+            expect(res.status).toBe(423);
+
+            res = await ctx.api(user, 'patch', `/api/security/${zone.id}/always_use_https`)
+                .send({ value: true, dry_run: true });
+            expect(res.status).toBe(423);
+
+            expect(ctx.simulator.getSetting(remote.id, 'always_use_https')).toBe('off');
+        });
+
+        it('lets routes with a real preview run their dry run', async () => {
+            let res = await ctx.api(user, 'post', `/api/security/${zone.id}/access-rules/sync`)
+                .send({ direction: 'push', dry_run: true });
+            expect(res.status).not.toBe(423);
+
+            res = await ctx.api(user, 'post', `/api/security/${zone.id}/access-rules/sync`)
+                .send({ direction: 'push', dry_run: false });
+            expect(res.status).toBe(423);
+        });
+    });
+});
\ No newline at end of file
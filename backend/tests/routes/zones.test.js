@@ -0,0 +1,333 @@
+const { createTestContext, randomToken } = require('../support/testContext');
+
+describe('routes/zones', () => {
+    let ctx;
+    let user;
+    let rolloutService;
+
+    beforeAll(async () => {
+        ctx = await createTestContext();
+        rolloutService = require('../../services/rolloutService');
+    });
+
+    afterAll(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        ctx.reset();
+        user = await ctx.createUser();
+    });
+
+    describe('POST /api/zones', () => {
+        it('registers a zone after verifying the token and zone access', async () => {
+            const apiToken = ctx.simulator.addToken(randomToken());
+            const remote = ctx.simulator.addZone({ name: 'shop.example.com', plan: 'pro' });
+
+            const res = await ctx.api(user, 'post', '/api/zones')
+                .send({ cloudflare_zone_id: remote.id, api_token: apiToken });
+
+            expect(res.status).toBe(201);
+            expect(res.body.zone).toMatchObject({
+                cloudflare_zone_id: remote.id,
+                name: 'shop.example.com',
+                status: 'active',
+                plan: 'pro'
+            });
+            expect(res.body.zone.security_config).toBeTruthy();
+
+            const stored = await ctx.models.Zone.findByCloudflareId(remote.id);
+            expect(stored.cloudflare_api_token).not.toBe(apiToken);
+            expect(stored.getDecryptedApiToken()).toBe(apiToken);
+
+            const paths = ctx.simulator.requests.map(entry => `${entry.method} ${entry.path}`);
+            expect(paths).toEqual(expect.arrayContaining(['GET /user/tokens/verify', `GET /zones/${remote.id}`]));
+        });
+
+        it('rejects a token Cloudflare does not recognise', async () => {
+            const remote = ctx.simulator.addZone();
+
+            const res = await ctx.api(user, 'post', '/api/zones')
+                .send({ cloudflare_zone_id: remote.id, api_token: randomToken() });
+
+            expect(res.status).toBe(401);
+            expect(await ctx.models.Zone.count({ where: { user_id: user.id } })).toBe(0);
+        });
+
+        it('rejects a token without access to the zone', async () => {
+            const apiToken = ctx.simulator.addToken(randomToken(), { zones: [] });
+            const remote = ctx.simulator.addZone();
+
+            const res = await ctx.api(user, 'post', '/api/zones')
+                .send({ cloudflare_zone_id: remote.id, api_token: apiToken });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('rejects a zone that is already registered', async () => {
+            const { remote, apiToken } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones')
+                .send({ cloudflare_zone_id: remote.id, api_token: apiToken });
+
+            expect(res.status).toBe(409);
+        });
+
+        it('validates the zone ID format', async () => {
+            const res = await ctx.api(user, 'post', '/api/zones')
+                .send({ cloudflare_zone_id: 'not-a-zone', api_token: randomToken() });
+
+            expect(res.status).toBe(400);
+            expect(ctx.simulator.requests).toHaveLength(0);
+        });
+    });
+
+    describe('GET /api/zones', () => {
+        it('lists only the zones owned by the user', async () => {
+            await ctx.createZone(user, { simulated: { name: 'a.example.com' } });
+            await ctx.createZone(user, { simulated: { name: 'b.example.com' } });
+            await ctx.createZone(await ctx.createUser(), { simulated: { name: 'other.example.com' } });
+
+            const res = await ctx.api(user, 'get', '/api/zones');
+
+            expect(res.status).toBe(200);
+            expect(res.body.zones.map(zone => zone.name).sort()).toEqual(['a.example.com', 'b.example.com']);
+            expect(res.body.pagination.total).toBe(2);
+        });
+
+        it('requires authentication', async () => {
+            const res = await ctx.api({ authToken: 'invalid' }, 'get', '/api/zones');
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('POST /api/zones/sync', () => {
+        it('registers every zone the stored tokens can see across all pages', async () => {
+            const { zone, remote, apiToken } = await ctx.createZone(user);
+            const others = Array.from({ length: 55 }, (_, i) => ctx.simulator.addZone({ name: `sync${i}.example.com`, events: 0, tokens: [apiToken] }));
+            const { remote: foreign } = await ctx.createZone(await ctx.createUser());
+            ctx.simulator.tokens.get(apiToken).zones.add(foreign.id);
+
+            const res = await ctx.api(user, 'post', '/api/zones/sync');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ total: 57, updated: 1, skipped: 1 });
+            expect(res.body.added).toHaveLength(55);
+            expect(ctx.simulator.requests.filter(entry => entry.method === 'GET' && entry.path === '/zones')).toHaveLength(2);
+
+            const stored = await ctx.models.Zone.findByCloudflareId(others[54].id);
+            expect(stored.user_id).toBe(user.id);
+            expect(stored.getDecryptedApiToken()).toBe(apiToken);
+            expect(await ctx.models.SecurityConfig.findByZone(stored.id)).toBeTruthy();
+            expect((await zone.reload()).sync_status).toBe('success');
+            expect((await ctx.models.Zone.findByCloudflareId(foreign.id)).user_id).not.toBe(user.id);
+        });
+
+        it('needs a token when the user has no zones yet', async () => {
+            const newcomer = await ctx.createUser();
+
+            const res = await ctx.api(newcomer, 'post', '/api/zones/sync');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/zones/:zoneId', () => {
+        it('returns the zone with its security config', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'get', `/api/zones/${zone.id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.zone.id).toBe(zone.id);
+            expect(res.body.zone.security_config).toBeTruthy();
+        });
+
+        it('does not expose zones owned by someone else', async () => {
+            const { zone } = await ctx.createZone(await ctx.createUser());
+
+            const res = await ctx.api(user, 'get', `/api/zones/${zone.id}`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('PUT and DELETE /api/zones/:zoneId', () => {
+        it('updates zone metadata and records an audit entry', async () => {
+            const { zone } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'put', `/api/zones/${zone.id}`)
+                .send({ notes: 'Main storefront', tags: ['production'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.zone).toMatchObject({ notes: 'Main storefront', tags: ['production'] });
+
+            const audit = await ctx.models.AuditLog.findOne({ where: { zone_id: zone.id, action: 'zone_updated' } });
+            expect(audit).toBeTruthy();
+        });
+
+        it('removes the zone from management without touching Cloudflare', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'delete', `/api/zones/${zone.id}`);
+
+            expect(res.status).toBe(200);
+            expect(await ctx.models.Zone.findByPk(zone.id)).toBeNull();
+            expect(ctx.simulator.zones.has(remote.id)).toBe(true);
+        });
+    });
+
+    describe('POST /api/zones/bulk-operations', () => {
+        it('applies low-severity settings to the selected zones', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones/bulk-operations')
+                .send({ action: 'settings', settings: { challenge_ttl: 3600 }, zone_ids: [zone.id] });
+
+            expect(res.status).toBe(201);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(3600);
+        });
+
+        it('holds settings that need approval until the change request is approved', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones/bulk-operations')
+                .send({ action: 'settings', settings: { security_level: 'high' }, zone_ids: [zone.id] });
+
+            expect(res.status).toBe(202);
+            expect(res.body.operation.status).toBe('pending_approval');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+
+            const admin = await ctx.createUser({ role: 'admin' });
+            const approved = await ctx.api(admin, 'post', `/api/approvals/${res.body.operation.change_request_id}/approve`);
+
+            expect(approved.status).toBe(200);
+            expect(approved.body.change_request.status).toBe('applied');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('high');
+            expect((await ctx.models.BulkOperation.findByPk(res.body.operation.id)).status).toBe('completed');
+        });
+
+        it('cancels the held operation when its change request is rejected', async () => {
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones/bulk-operations')
+                .send({ action: 'settings', settings: { security_level: 'high' }, zone_ids: [zone.id] });
+            const admin = await ctx.createUser({ role: 'admin' });
+            await ctx.api(admin, 'post', `/api/approvals/${res.body.operation.change_request_id}/reject`);
+
+            expect((await ctx.models.BulkOperation.findByPk(res.body.operation.id)).status).toBe('cancelled');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+        });
+    });
+
+    describe('POST /api/zones/rollouts', () => {
+        it('applies the canary wave of a rollout that needs approval once it is approved', async () => {
+            const { zone: canary, remote: canaryRemote } = await ctx.createZone(user);
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones/rollouts')
+                .send({ action: 'settings', settings: { security_level: 'high' }, zone_ids: [canary.id, zone.id], canary_zone_ids: [canary.id] });
+
+            expect(res.status).toBe(202);
+            expect(res.body.rollout.status).toBe('pending_approval');
+            expect(ctx.simulator.getSetting(canaryRemote.id, 'security_level')).toBe('medium');
+
+            const admin = await ctx.createUser({ role: 'admin' });
+            const approved = await ctx.api(admin, 'post', `/api/approvals/${res.body.rollout.change_request_id}/approve`);
+            const rollout = await ctx.models.Rollout.findByPk(res.body.rollout.id);
+            rolloutService.cancel(rollout.id);
+
+            expect(approved.status).toBe(200);
+            expect(approved.body.change_request.status).toBe('approved');
+            expect(rollout.status).toBe('running');
+            expect(rollout.waves[0].status).toBe('soaking');
+            expect(ctx.simulator.getSetting(canaryRemote.id, 'security_level')).toBe('high');
+            expect(ctx.simulator.getSetting(remote.id, 'security_level')).toBe('medium');
+        });
+
+        // Start a two-wave challenge_ttl rollout and return it with its canary wave applied `minutesAgo`
+        const startRollout = async (minutesAgo) => {
+            const { zone: canary, remote: canaryRemote } = await ctx.createZone(user);
+            const { zone, remote } = await ctx.createZone(user);
+
+            const res = await ctx.api(user, 'post', '/api/zones/rollouts')
+                .send({ action: 'settings', settings: { challenge_ttl: 3600 }, zone_ids: [canary.id, zone.id], canary_zone_ids: [canary.id] });
+            expect(res.status).toBe(201);
+            rolloutService.cancel(res.body.rollout.id);
+
+            const rollout = await ctx.models.Rollout.findByPk(res.body.rollout.id);
+            rollout.waves[0].applied_at = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+            await rolloutService.save(rollout, rollout.waves);
+
+            return { rollout, canaryRemote, remote };
+        };
+
+        it('moves on to the next wave when the canary metrics stay within thresholds', async () => {
+            const { rollout, canaryRemote, remote } = await startRollout(120);
+            ctx.simulator.events.set(canaryRemote.id, []);
+
+            await rolloutService.evaluate(rollout);
+            rolloutService.cancel(rollout.id);
+
+            expect(rollout.waves[0].verdict.passed).toBe(true);
+            expect(rollout.waves[0].zones[rollout.waves[0].zone_ids[0]].observed.requests).toBeGreaterThan(0);
+            expect(rollout.current_wave).toBe(1);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(3600);
+        });
+
+        it('does not pass a wave when no requests were recorded during its soak period', async () => {
+            const { rollout, canaryRemote } = await startRollout(0);
+
+            await rolloutService.evaluate(rollout);
+
+            expect(rollout.waves[0].verdict.passed).toBe(false);
+            expect(rollout.waves[0].verdict.breaches[0]).toMatch(/no requests recorded/);
+            expect(ctx.simulator.getSetting(canaryRemote.id, 'challenge_ttl')).toBe(1800);
+        });
+
+        it('rolls back the waves that already passed when a later wave fails', async () => {
+            const { rollout, canaryRemote, remote } = await startRollout(120);
+            ctx.simulator.events.set(canaryRemote.id, []);
+            await rolloutService.evaluate(rollout);
+            rolloutService.cancel(rollout.id);
+            expect(ctx.simulator.getSetting(canaryRemote.id, 'challenge_ttl')).toBe(3600);
+
+            await rolloutService.evaluate(rollout);
+
+            expect(rollout.status).toBe('rolled_back');
+            expect(rollout.waves.map(wave => wave.status)).toEqual(['rolled_back', 'rolled_back']);
+            expect(ctx.simulator.getSetting(canaryRemote.id, 'challenge_ttl')).toBe(1800);
+            expect(ctx.simulator.getSetting(remote.id, 'challenge_ttl')).toBe(1800);
+
+            const audit = await ctx.models.AuditLog.findOne({ where: { action: 'rollout_rolled_back', resource_id: rollout.id } });
+            expect(audit.metadata.zoneIds).toHaveLength(2);
+        });
+
+        it('only lets a rollout be paused or aborted without rolling back during a freeze', async () => {
+            const { rollout, canaryRemote } = await startRollout(0);
+            const freeze = await ctx.models.FreezeWindow.create({
+                name: 'Release freeze',
+                scope: 'global',
+                starts_at: new Date(Date.now() - 60000),
+                ends_at: new Date(Date.now() + 60 * 60000),
+                created_by: user.id
+            });
+
+            try {
+                const paused = await ctx.api(user, 'post', `/api/zones/rollouts/${rollout.id}/pause`);
+                const rolledBack = await ctx.api(user, 'post', `/api/zones/rollouts/${rollout.id}/abort`).send({ rollback: true });
+                expect(paused.status).toBe(200);
+                expect(rolledBack.status).toBe(423);
+                expect(ctx.simulator.getSetting(canaryRemote.id, 'challenge_ttl')).toBe(3600);
+
+                const aborted = await ctx.api(user, 'post', `/api/zones/rollouts/${rollout.id}/abort`).send({ rollback: false });
+                expect(aborted.status).toBe(200);
+                expect(aborted.body.rollout.status).toBe('aborted');
+                expect(ctx.simulator.getSetting(canaryRemote.id, 'challenge_ttl')).toBe(3600);
+            } finally {
+                await freeze.destroy();
+            }
+        });
+    });
+});
\ No newline at end of file
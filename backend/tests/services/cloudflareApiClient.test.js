@@ -0,0 +1,145 @@
+// The logger reads LOG_SILENT when first required
+process.env.LOG_SILENT = process.env.LOG_SILENT || 'true';
+
+const axios = require('axios');
+const { CloudflareSimulator } = require('../../utils/cloudflareSimulator');
+const cloudflareApiClient = require('../../services/cloudflareApiClient');
+
+const TOKEN = 'client-test-token-000000000000000000000000';
+
+describe('services/cloudflareApiClient', () => {
+    let simulator;
+    let url;
+    let zone;
+    let client;
+
+    // A fresh client per test so budgets and breakers do not leak between them
+    const createClient = (options) => {
+        client = new cloudflareApiClient.constructor().configure({ maxRetries: 0, ...options });
+        const http = axios.create({ baseURL: url, headers: { Authorization: `Bearer ${TOKEN}` } });
+        return client.attach(http, TOKEN);
+    };
+
+    beforeAll(async () => {
+        simulator = new CloudflareSimulator();
+        url = await simulator.start();
+        simulator.addToken(TOKEN);
+        zone = simulator.addZone({ name: 'client.example' });
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        simulator.faults = [];
+        simulator.requests = [];
+    });
+
+    describe('request budget', () => {
+        it('queues calls once the budget for the window is spent', async () => {
+            const http = createClient({ budget: 2, budgetWindowMs: 300 });
+            const started = Date.now();
+
+            const calls = [0, 1, 2].map(() => http.get(`/zones/${zone.id}`).then(() => Date.now() - started));
+            await new Promise(resolve => setImmediate(resolve));
+            expect(client.getStatus(TOKEN).queued).toBeGreaterThan(0);
+
+            const durations = await Promise.all(calls);
+            expect(durations[2]).toBeGreaterThanOrEqual(250);
+            expect(simulator.requests).toHaveLength(3);
+        });
+    });
+
+    describe('Retry-After', () => {
+        it('waits as long as a 429 asks before retrying, even for non-idempotent calls', async () => {
+            const http = createClient({ maxRetries: 1 });
+            simulator.failNext({ method: 'POST', path: `/zones/${zone.id}/purge_cache`, status: 429, message: 'Rate limited', retryAfter: 1 });
+            const started = Date.now();
+
+            const res = await http.post(`/zones/${zone.id}/purge_cache`, { purge_everything: true });
+
+            expect(res.status).toBe(200);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+            expect(simulator.requests.filter(entry => entry.method === 'POST')).toHaveLength(2);
+        });
+
+        it('holds other calls for the same token during the pause', async () => {
+            const http = createClient({ maxRetries: 1 });
+            simulator.failNext({ method: 'GET', path: `/zones/${zone.id}/settings`, status: 429, retryAfter: 1 });
+
+            const limited = http.get(`/zones/${zone.id}/settings`);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const started = Date.now();
+            await http.get(`/zones/${zone.id}`);
+
+            expect(Date.now() - started).toBeGreaterThanOrEqual(700);
+            await limited;
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const failTwice = async (http) => {
+            simulator.failNext({ method: 'GET', status: 500, times: 2 });
+            await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ response: { status: 500 } });
+            await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ response: { status: 500 } });
+        };
+        const cooldown = () => new Promise(resolve => setTimeout(resolve, 150));
+
+        it('opens after repeated failures and rejects calls without sending them', async () => {
+            const http = createClient({ breakerThreshold: 2, breakerCooldownMs: 100 });
+
+            await failTwice(http);
+            expect(client.getStatus(TOKEN).breaker).toBe('open');
+
+            await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ statusCode: 503, circuitOpen: true });
+            expect(simulator.requests).toHaveLength(2);
+        });
+
+        it('reopens when the half-open trial fails and closes when it succeeds', async () => {
+            const http = createClient({ breakerThreshold: 2, breakerCooldownMs: 100 });
+            await failTwice(http);
+
+            await cooldown();
+            simulator.failNext({ method: 'GET', status: 503 });
+            await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ response: { status: 503 } });
+            expect(client.getStatus(TOKEN).breaker).toBe('open');
+
+            await cooldown();
+            await http.get(`/zones/${zone.id}`);
+            expect(client.getStatus(TOKEN).breaker).toBe('closed');
+        });
+
+        it('does not count answers that only concern one endpoint', async () => {
+            const http = createClient({ breakerThreshold: 2 });
+            simulator.failNext({ method: 'GET', status: 403, times: 3 });
+
+            for (let i = 0; i < 3; i++) {
+                await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ response: { status: 403 } });
+            }
+
+            expect(client.getStatus(TOKEN).breaker).toBe('closed');
+        });
+
+        it('counts a failed call once however often it was retried', async () => {
+            const http = createClient({ breakerThreshold: 2, maxRetries: 2, retryBaseMs: 1 });
+            simulator.failNext({ method: 'GET', status: 502, times: 3 });
+
+            await expect(http.get(`/zones/${zone.id}`)).rejects.toMatchObject({ response: { status: 502 } });
+
+            expect(simulator.requests).toHaveLength(3);
+            expect(client.getStatus(TOKEN).breaker).toBe('closed');
+        });
+
+        it('closes when the trial call gets any other answer from the API', async () => {
+            const http = createClient({ breakerThreshold: 2, breakerCooldownMs: 100 });
+            await failTwice(http);
+
+            await cooldown();
+            await expect(http.get(`/zones/${'0'.repeat(32)}`)).rejects.toMatchObject({ response: { status: 404 } });
+
+            expect(client.getStatus(TOKEN).breaker).toBe('closed');
+            await http.get(`/zones/${zone.id}`);
+        });
+    });
+});
\ No newline at end of file
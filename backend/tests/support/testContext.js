@@ -0,0 +1,94 @@
+/**
+ * Shared setup for route tests: an in-memory database, the Express app and a
+ * Cloudflare API simulator that CloudflareService is pointed at.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { CloudflareSimulator } = require('../../utils/cloudflareSimulator');
+
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+async function createTestContext() {
+    const simulator = new CloudflareSimulator();
+    const url = await simulator.start();
+
+    // CloudflareService reads its base URL when first required, so the environment is set before the app loads
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        JWT_SECRET: 'test-jwt-secret',
+        ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef',
+        CLOUDFLARE_API_BASE_URL: url,
+        CLOUDFLARE_API_MAX_RETRIES: '0',
+        LOG_SILENT: process.env.LOG_SILENT || 'true'
+    });
+
+    const app = require('../../app');
+    const models = require('../../models');
+    const cloudflareApiClient = require('../../services/cloudflareApiClient');
+
+    await models.sequelize.sync({ force: true });
+
+    const context = {
+        app,
+        models,
+        simulator,
+
+        async createUser(attributes = {}) {
+            const user = await models.User.create({
+                name: 'Test User',
+                email: `user-${randomToken().substring(0, 8)}@example.com`,
+                password: 'Password123!',
+                ...attributes
+            });
+            user.authToken = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+            return user;
+        },
+
+        /**
+         * Create a zone in the simulator and register it locally for `user`, with its own API token
+         */
+        async createZone(user, { simulated = {}, ...attributes } = {}) {
+            const apiToken = simulator.addToken(randomToken(), { zones: [] });
+            const remote = simulator.addZone({ tokens: [apiToken], ...simulated });
+
+            const zone = await models.Zone.create({
+                user_id: user.id,
+                cloudflare_zone_id: remote.id,
+                name: remote.name,
+                status: remote.status,
+                plan: remote.plan.legacy_id,
+                cloudflare_api_token: apiToken,
+                ...attributes
+            });
+            await models.SecurityConfig.create({ zone_id: zone.id, last_modified_by: user.id });
+
+            return { zone, remote, apiToken };
+        },
+
+        /**
+         * supertest request authenticated as `user`
+         */
+        api(user, method, path) {
+            return request(app)[method](path).set('Authorization', `Bearer ${user.authToken}`);
+        },
+
+        reset() {
+            simulator.reset();
+            cloudflareApiClient.reset();
+        },
+
+        async close() {
+            await simulator.stop();
+            await models.sequelize.close();
+        }
+    };
+
+    return context;
+}
+
+module.exports = {
+    createTestContext,
+    randomToken
+};
\ No newline at end of file
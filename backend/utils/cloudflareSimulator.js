@@ -0,0 +1,1016 @@
+/**
+ * In-process, stateful fake of the Cloudflare v4 API endpoints used by CloudflareService.
+ *
+ * Responses use Cloudflare's envelope ({ success, errors, messages, result, result_info })
+ * and error codes, so the service, interceptors and error mapping run unchanged.
+ * Analytics are served from POST /graphql, which understands the datasets CloudflareService
+ * queries (httpRequests1hGroups, httpRequests1dGroups, httpRequestsAdaptiveGroups,
+ * firewallEventsAdaptive and firewallEventsAdaptiveGroups) with variable filters, orderBy and limit.
+ * Point CLOUDFLARE_API_BASE_URL at `simulator.url` before CloudflareService is loaded.
+ *
+ *   const simulator = new CloudflareSimulator();
+ *   await simulator.start();
+ *   simulator.addToken('token-with-40-characters...');
+ *   const zone = simulator.addZone({ name: 'example.com' });
+ *
+ * Run standalone for local development with `npm run simulator`.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+
+const API_PREFIX = '/client/v4';
+
+// Cloudflare error codes returned by the simulator
+const ERRORS = {
+    missingAuth: { status: 400, code: 6003, message: 'Invalid request headers' },
+    invalidToken: { status: 401, code: 1000, message: 'Invalid API Token' },
+    forbidden: { status: 403, code: 10000, message: 'Authentication error' },
+    invalidZoneId: { status: 400, code: 7003, message: 'Could not route to the requested zone, perhaps your object identifier is invalid?' },
+    zoneNotFound: { status: 404, code: 1001, message: 'Invalid zone identifier' },
+    unknownSetting: { status: 400, code: 1003, message: 'Invalid or missing zone setting' },
+    invalidSettingValue: { status: 400, code: 1007, message: 'Invalid value for zone setting' },
+    settingNotEditable: { status: 400, code: 1008, message: 'Zone setting is not editable on this plan' },
+    ruleNotFound: { status: 404, code: 10007, message: 'firewallrules.api.not_found' },
+    filterNotFound: { status: 404, code: 10007, message: 'filters.api.not_found' },
+    ruleValidation: { status: 400, code: 10014, message: 'firewallrules.api.validation_error' },
+    filterParse: { status: 400, code: 10014, message: 'filters.api.parse_error' },
+    invalidPurge: { status: 400, code: 1012, message: 'Request must contain one of "purge_everything", "files", "tags", "hosts" or "prefixes"' },
+    tooManyFiles: { status: 400, code: 1015, message: 'Too many files in a single purge request, the limit is 30' },
+    noRoute: { status: 404, code: 7000, message: 'No route for that URI' }
+};
+
+const ON_OFF = ['on', 'off'];
+
+// Zone settings with their default value and the values Cloudflare accepts
+const SETTINGS = {
+    security_level: { value: 'medium', values: ['off', 'essentially_off', 'low', 'medium', 'high', 'under_attack'] },
+    ssl: { value: 'full', values: ['off', 'flexible', 'full', 'strict'] },
+    always_use_https: { value: 'off', values: ON_OFF },
+    min_tls_version: { value: '1.0', values: ['1.0', '1.1', '1.2', '1.3'] },
+    tls_1_3: { value: 'on', values: ['on', 'off', 'zrt'] },
+    opportunistic_encryption: { value: 'on', values: ON_OFF },
+    automatic_https_rewrites: { value: 'off', values: ON_OFF },
+    bot_fight_mode: { value: 'off', values: ON_OFF },
+    browser_integrity_check: { value: 'on', values: ON_OFF },
+    challenge_ttl: { value: 1800, values: [300, 900, 1800, 2700, 3600, 7200, 10800, 14400, 28800, 57600, 86400, 604800, 2592000, 31536000] },
+    privacy_pass: { value: 'on', values: ON_OFF },
+    development_mode: { value: 'off', values: ON_OFF },
+    email_obfuscation: { value: 'on', values: ON_OFF },
+    server_side_exclude: { value: 'on', values: ON_OFF },
+    hotlink_protection: { value: 'off', values: ON_OFF },
+    ipv6: { value: 'on', values: ON_OFF },
+    waf: { value: 'off', values: ON_OFF, plans: ['pro', 'business', 'enterprise'] },
+    security_header: {
+        value: {
+            strict_transport_security: {
+                enabled: false,
+                max_age: 0,
+                include_subdomains: false,
+                preload: false,
+                nosniff: false
+            }
+        },
+        validate: value => value && typeof value.strict_transport_security === 'object'
+    }
+};
+
+const FIREWALL_ACTIONS = ['block', 'challenge', 'js_challenge', 'managed_challenge', 'allow', 'log', 'bypass'];
+const EVENT_SOURCES = ['firewallrules', 'waf', 'securitylevel', 'bic', 'ratelimit', 'uablock'];
+const EVENT_ACTIONS = ['block', 'challenge', 'managed_challenge', 'jschallenge', 'log'];
+const EVENT_COUNTRIES = ['US', 'DE', 'CN', 'RU', 'BR', 'IN', 'VN', 'GB'];
+const EVENT_PATHS = ['/', '/login', '/wp-login.php', '/api/v1/users', '/admin', '/.env', '/search'];
+const EVENT_ASNS = [
+    { asn: 15169, description: 'GOOGLE' },
+    { asn: 16509, description: 'AMAZON-02' },
+    { asn: 14061, description: 'DIGITALOCEAN-ASN' },
+    { asn: 4134, description: 'CHINANET-BACKBONE' },
+    { asn: 7552, description: 'VIETEL-AS-AP' }
+];
+const USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148',
+    'curl/8.4.0',
+    'python-requests/2.31.0',
+    'Mozilla/5.0 (compatible; SimulatedClient/1.0)'
+];
+
+// Actions counted as threats in httpRequests groups
+const THREAT_ACTIONS = ['block', 'challenge', 'managed_challenge', 'jschallenge', 'connection_close'];
+
+// GraphQL datasets the simulator can answer
+const DATASETS = ['httpRequests1hGroups', 'httpRequests1dGroups', 'httpRequestsAdaptiveGroups', 'firewallEventsAdaptive', 'firewallEventsAdaptiveGroups'];
+const GRAPHQL_MAX_LIMIT = 10000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PLANS = {
+    free: { id: '0feeeeeeeeeeeeeeeeeeeeeeeeeeeeee', name: 'Free Website', legacy_id: 'free', is_subscribed: false },
+    pro: { id: '94f3b7b768b0458b56d2cac4fe5ec0f9', name: 'Pro Website', legacy_id: 'pro', is_subscribed: true },
+    business: { id: 'c6f0bd2e8c7c2a6b0e4e4f9dfe3b2a11', name: 'Business Website', legacy_id: 'business', is_subscribed: true },
+    enterprise: { id: 'a0b5c7a1d2e34f5a6b7c8d9e0f1a2b3c', name: 'Enterprise Website', legacy_id: 'enterprise', is_subscribed: true }
+};
+
+const newId = () => crypto.randomBytes(16).toString('hex');
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Small deterministic PRNG so analytics for a zone are stable between calls
+ */
+const seededRandom = (seed) => {
+    let state = crypto.createHash('md5').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// GraphQL datetimes have second precision
+const toDatetime = value => new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+const newRayName = () => crypto.randomBytes(8).toString('hex');
+
+const isDatetime = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value);
+
+const compareValues = (a, b) => {
+    if (isDatetime(a) && isDatetime(b)) return Date.parse(a) - Date.parse(b);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+/**
+ * Match a row against a GraphQL Analytics filter: `field`, `field_geq`, `field_gt`, `field_leq`,
+ * `field_lt`, `field_neq`, `field_in`, `field_notin`, `field_like` (% wildcards), plus AND/OR lists
+ */
+const matchesFilter = (row, filter = {}) => Object.entries(filter).every(([key, expected]) => {
+    if (key === 'AND') return expected.every(part => matchesFilter(row, part));
+    if (key === 'OR') return expected.some(part => matchesFilter(row, part));
+
+    const [, field, operator] = key.match(/^(.+?)(?:_(geq|gt|leq|lt|neq|in|notin|like))?$/);
+    const actual = row[field];
+
+    switch (operator) {
+        case 'geq': return compareValues(actual, expected) >= 0;
+        case 'gt': return compareValues(actual, expected) > 0;
+        case 'leq': return compareValues(actual, expected) <= 0;
+        case 'lt': return compareValues(actual, expected) < 0;
+        case 'neq': return actual !== expected;
+        case 'in': return expected.includes(actual);
+        case 'notin': return !expected.includes(actual);
+        case 'like': {
+            const pattern = expected.split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+            return new RegExp(`^${pattern}$`).test(String(actual ?? ''));
+        }
+        default: return actual === expected;
+    }
+});
+
+/**
+ * Return the text between the brace at `open` and its matching closing brace
+ */
+const blockAt = (text, open) => {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}' && --depth === 0) return text.substring(open + 1, i);
+    }
+    return text.substring(open + 1);
+};
+
+/**
+ * Fields selected inside `name { ... }`, as { alias, field } pairs
+ */
+const selectedFields = (selection, name) => {
+    const match = new RegExp(`\\b${name}\\s*\\{`).exec(selection);
+    if (!match) return [];
+
+    return [...blockAt(selection, match.index + match[0].length - 1).matchAll(/(\w+)(?:\s*:\s*(\w+))?/g)]
+        .map(([, alias, field]) => ({ alias, field: field || alias }));
+};
+
+/**
+ * Balanced parentheses and quotes are the only parse rule the simulator checks
+ */
+const isParsableExpression = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) return false;
+
+    let depth = 0;
+    let quoted = false;
+    for (const char of expression) {
+        if (char === '"') quoted = !quoted;
+        if (quoted) continue;
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth < 0) return false;
+    }
+
+    return depth === 0 && !quoted;
+};
+
+class CloudflareSimulatorError extends Error {
+    constructor(error, message) {
+        super(message || error.message);
+        this.status = error.status;
+        this.code = error.code;
+    }
+}
+
+class CloudflareSimulator {
+    constructor() {
+        this.server = null;
+        this.url = null;
+        this.app = this.createApp();
+        this.reset();
+    }
+
+    /**
+     * Drop all zones, tokens, rules, events, faults and recorded requests
+     */
+    reset() {
+        this.tokens = new Map();
+        this.zones = new Map();
+        this.settings = new Map();
+        this.firewallRules = new Map();
+        this.filters = new Map();
+        this.events = new Map();
+        this.requestSamples = new Map();
+        this.purges = [];
+        this.faults = [];
+        this.requests = [];
+    }
+
+    // ===== STATE =====
+
+    /**
+     * Register an API token. `zones` limits it to those zone IDs; omit it for account-wide access.
+     */
+    addToken(token, { zones = null, status = 'active', expiresOn = null } = {}) {
+        this.tokens.set(token, {
+            id: newId(),
+            status,
+            expires_on: expiresOn,
+            zones: zones ? new Set(zones) : null
+        });
+        return token;
+    }
+
+    /**
+     * Create a zone with default settings and a day of sample security events
+     */
+    addZone({ id = newId(), name, status = 'active', plan = 'free', paused = false, settings = {}, events = 40, tokens = [] } = {}) {
+        const now = new Date().toISOString();
+        const zone = {
+            id,
+            name: name || `zone-${this.zones.size + 1}.example`,
+            status,
+            paused,
+            type: 'full',
+            development_mode: 0,
+            name_servers: ['ada.ns.cloudflare.com', 'bob.ns.cloudflare.com'],
+            original_name_servers: ['ns1.registrar.example', 'ns2.registrar.example'],
+            original_registrar: null,
+            original_dnshost: null,
+            created_on: now,
+            modified_on: now,
+            activated_on: status === 'active' ? now : null,
+            owner: { id: null, type: 'user', email: null },
+            account: { id: 'f037e56e89293a057740de681ac9abbe', name: 'Simulated account' },
+            permissions: ['#zone:read', '#zone:edit', '#zone_settings:read', '#zone_settings:edit', '#firewall_services:edit'],
+            plan: clone(PLANS[plan] || PLANS.free)
+        };
+
+        this.zones.set(id, zone);
+        this.settings.set(id, new Map(Object.entries(SETTINGS).map(([setting, definition]) => [setting, {
+            id: setting,
+            value: clone(settings[setting] ?? definition.value),
+            editable: !definition.plans || definition.plans.includes(zone.plan.legacy_id),
+            modified_on: null
+        }])));
+        this.firewallRules.set(id, new Map());
+        this.events.set(id, this.generateEvents(id, events));
+        this.requestSamples.set(id, this.generateRequestSamples(id, 200));
+
+        tokens.forEach((token) => {
+            const record = this.tokens.get(token);
+            if (record?.zones) record.zones.add(id);
+        });
+
+        return zone;
+    }
+
+    getSetting(zoneId, setting) {
+        return this.settings.get(zoneId)?.get(setting)?.value;
+    }
+
+    setSetting(zoneId, setting, value) {
+        const entry = this.settings.get(zoneId)?.get(setting);
+        if (!entry) throw new Error(`Unknown zone ${zoneId} or setting ${setting}`);
+        entry.value = clone(value);
+        entry.modified_on = new Date().toISOString();
+    }
+
+    getFirewallRules(zoneId) {
+        return [...(this.firewallRules.get(zoneId)?.values() || [])].map(rule => this.presentRule(rule));
+    }
+
+    /**
+     * Replace a zone's security events. Events use firewallEventsAdaptive field names
+     * (action, source, clientIP, clientCountryName, ...) and need at least a `datetime`.
+     */
+    setEvents(zoneId, events) {
+        this.events.set(zoneId, events
+            .map(event => ({
+                rayName: newRayName(),
+                kind: 'firewall',
+                action: 'block',
+                source: 'firewallrules',
+                clientRequestHTTPHost: this.zones.get(zoneId)?.name,
+                ...event,
+                datetime: toDatetime(event.datetime)
+            }))
+            .sort((a, b) => compareValues(b.datetime, a.datetime)));
+    }
+
+    /**
+     * Make the next `times` requests matching `method` and `path` fail.
+     * `path` is a string prefix or RegExp tested against the path after /client/v4.
+     */
+    failNext({ method = null, path = null, status = 500, code = 10000, message = 'Internal Server Error', retryAfter = null, times = 1 } = {}) {
+        this.faults.push({ method: method?.toUpperCase(), path, status, code, message, retryAfter, remaining: times });
+    }
+
+    generateEvents(zoneId, count) {
+        const random = seededRandom(zoneId);
+        const now = Date.now();
+        const pick = list => list[Math.floor(random() * list.length)];
+        const events = [];
+
+        for (let i = 0; i < count; i++) {
+            const source = pick(EVENT_SOURCES);
+            const asn = pick(EVENT_ASNS);
+            const path = pick(EVENT_PATHS);
+            events.push({
+                rayName: newRayName(),
+                kind: 'firewall',
+                source,
+                action: pick(EVENT_ACTIONS),
+                ruleId: source === 'firewallrules' || source === 'waf' ? newId() : source,
+                description: source === 'firewallrules' ? 'Simulated firewall rule' : '',
+                clientIP: `203.0.113.${Math.floor(random() * 254) + 1}`,
+                clientAsn: asn.asn,
+                clientASNDescription: asn.description,
+                clientCountryName: pick(EVENT_COUNTRIES),
+                clientRequestHTTPHost: this.zones.get(zoneId)?.name,
+                clientRequestHTTPMethodName: random() < 0.8 ? 'GET' : 'POST',
+                clientRequestHTTPProtocol: 'HTTP/2',
+                clientRequestPath: path,
+                clientRequestQuery: path === '/search' ? '?q=%27%20OR%201%3D1' : '',
+                userAgent: pick(USER_AGENTS),
+                edgeResponseStatus: 403,
+                datetime: toDatetime(now - Math.floor(random() * DAY_MS))
+            });
+        }
+
+        return events.sort((a, b) => compareValues(b.datetime, a.datetime));
+    }
+
+    /**
+     * Sampled requests over the last day, answered by httpRequestsAdaptiveGroups
+     */
+    generateRequestSamples(zoneId, count) {
+        const random = seededRandom(`${zoneId}:requests`);
+        const now = Date.now();
+        // Skewed towards the head of each list so top-N results have a clear order
+        const pick = list => list[Math.floor(random() * random() * list.length)];
+        const samples = [];
+
+        for (let i = 0; i < count; i++) {
+            const asn = pick(EVENT_ASNS);
+            samples.push({
+                datetime: toDatetime(now - Math.floor(random() * DAY_MS)),
+                clientIP: `198.51.100.${Math.floor(random() * 254) + 1}`,
+                clientAsn: asn.asn,
+                clientASNDescription: asn.description,
+                clientCountryName: pick(EVENT_COUNTRIES),
+                clientRequestHTTPHost: this.zones.get(zoneId)?.name,
+                clientRequestHTTPMethodName: random() < 0.9 ? 'GET' : 'POST',
+                clientRequestPath: pick(EVENT_PATHS),
+                userAgent: pick(USER_AGENTS),
+                edgeResponseStatus: random() < 0.9 ? 200 : 404
+            });
+        }
+
+        return samples;
+    }
+
+    presentRule(rule) {
+        return { ...clone(rule), filter: clone(this.filters.get(rule.filter_id)), filter_id: undefined };
+    }
+
+    // ===== HTTP =====
+
+    createApp() {
+        const app = express();
+        const api = express.Router();
+
+        app.use(express.json({ limit: '5mb' }));
+        app.use(API_PREFIX, api);
+        app.use((req, res) => this.sendError(res, new CloudflareSimulatorError(ERRORS.noRoute)));
+        app.use((error, req, res, next) => this.sendError(res, error));
+
+        api.use((req, res, next) => {
+            this.requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body });
+
+            const fault = this.faults.find(entry => entry.remaining > 0 &&
+                (!entry.method || entry.method === req.method) &&
+                (!entry.path || (entry.path instanceof RegExp ? entry.path.test(req.path) : req.path.startsWith(entry.path))));
+
+            if (fault) {
+                fault.remaining--;
+                if (fault.retryAfter) res.set('Retry-After', String(fault.retryAfter));
+                return this.sendError(res, new CloudflareSimulatorError(fault, fault.message));
+            }
+
+            next();
+        });
+
+        api.use(this.authenticate.bind(this));
+
+        const route = handler => (req, res, next) => {
+            try {
+                handler.call(this, req, res);
+            } catch (error) {
+                next(error);
+            }
+        };
+
+        api.get('/user/tokens/verify', route(this.verifyToken));
+        api.get('/accounts', route(this.listAccounts));
+        api.get('/zones', route(this.listZones));
+        api.post('/graphql', route(this.graphql));
+
+        api.param('zoneId', (req, res, next, zoneId) => {
+            try {
+                req.zone = this.resolveZone(req.token, zoneId);
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        api.get('/zones/:zoneId', route((req, res) => this.send(res, req.zone)));
+        api.get('/zones/:zoneId/settings', route(this.listSettings));
+        api.get('/zones/:zoneId/settings/:setting', route(this.getSettingRoute));
+        api.patch('/zones/:zoneId/settings/:setting', route(this.updateSetting));
+        api.post('/zones/:zoneId/purge_cache', route(this.purgeCache));
+
+        api.get('/zones/:zoneId/firewall/rules', route(this.listFirewallRules));
+        api.post('/zones/:zoneId/firewall/rules', route(this.createFirewallRules));
+        api.patch('/zones/:zoneId/firewall/rules', route(this.patchFirewallRules));
+        api.get('/zones/:zoneId/firewall/rules/:ruleId', route(this.getFirewallRule));
+        api.put('/zones/:zoneId/firewall/rules/:ruleId', route(this.updateFirewallRule));
+        api.delete('/zones/:zoneId/firewall/rules/:ruleId', route(this.deleteFirewallRule));
+        api.put('/zones/:zoneId/filters/:filterId', route(this.updateFilter));
+
+        return app;
+    }
+
+    authenticate(req, res, next) {
+        const header = req.get('Authorization') || '';
+        if (!header.startsWith('Bearer ')) {
+            return this.sendError(res, new CloudflareSimulatorError(ERRORS.missingAuth));
+        }
+
+        const record = this.tokens.get(header.substring(7));
+        if (!record || record.status !== 'active' ||
+            (record.expires_on && new Date(record.expires_on) <= new Date())) {
+            return this.sendError(res, new CloudflareSimulatorError(ERRORS.invalidToken));
+        }
+
+        req.token = record;
+        next();
+    }
+
+    resolveZone(token, zoneId) {
+        if (!/^[a-f0-9]{32}$/.test(zoneId)) {
+            throw new CloudflareSimulatorError(ERRORS.invalidZoneId);
+        }
+
+        const zone = this.zones.get(zoneId);
+        if (!zone) {
+            throw new CloudflareSimulatorError(ERRORS.zoneNotFound);
+        }
+
+        if (token.zones && !token.zones.has(zoneId)) {
+            throw new CloudflareSimulatorError(ERRORS.forbidden);
+        }
+
+        return zone;
+    }
+
+    send(res, result, resultInfo, status = 200) {
+        res.status(status).json({
+            success: true,
+            errors: [],
+            messages: [],
+            result,
+            ...(resultInfo && { result_info: resultInfo })
+        });
+    }
+
+    sendError(res, error) {
+        const status = error.status || 500;
+        res.status(status).json({
+            success: false,
+            errors: [{ code: error.code || 10000, message: error.message }],
+            messages: [],
+            result: null
+        });
+    }
+
+    paginate(items, query, { defaultPerPage = 20, maxPerPage = 50 } = {}) {
+        const perPage = Math.min(Math.max(parseInt(query.per_page) || defaultPerPage, 1), maxPerPage);
+        const page = Math.max(parseInt(query.page) || 1, 1);
+        const result = items.slice((page - 1) * perPage, page * perPage);
+
+        return [result, {
+            page,
+            per_page: perPage,
+            count: result.length,
+            total_count: items.length,
+            total_pages: Math.max(Math.ceil(items.length / perPage), 1)
+        }];
+    }
+
+    // ===== HANDLERS =====
+
+    verifyToken(req, res) {
+        this.send(res, {
+            id: req.token.id,
+            status: req.token.status,
+            not_before: null,
+            expires_on: req.token.expires_on
+        });
+    }
+
+    listAccounts(req, res) {
+        this.send(res, ...this.paginate([{
+            id: 'f037e56e89293a057740de681ac9abbe',
+            name: 'Simulated account',
+            type: 'standard',
+            settings: { enforce_twofactor: false },
+            created_on: '2024-01-01T00:00:00Z'
+        }], req.query));
+    }
+
+    listZones(req, res) {
+        const { name, status, order = 'name', direction = 'asc' } = req.query;
+        const zones = [...this.zones.values()]
+            .filter(zone => !req.token.zones || req.token.zones.has(zone.id))
+            .filter(zone => !name || zone.name === name)
+            .filter(zone => !status || zone.status === status)
+            .sort((a, b) => String(a[order] ?? '').localeCompare(String(b[order] ?? '')) * (direction === 'desc' ? -1 : 1));
+
+        this.send(res, ...this.paginate(zones, req.query));
+    }
+
+    listSettings(req, res) {
+        this.send(res, [...this.settings.get(req.zone.id).values()].map(clone));
+    }
+
+    getSettingRoute(req, res) {
+        const entry = this.settings.get(req.zone.id).get(req.params.setting);
+        if (!entry) {
+            throw new CloudflareSimulatorError(ERRORS.unknownSetting, `${ERRORS.unknownSetting.message}: ${req.params.setting}`);
+        }
+
+        this.send(res, clone(entry));
+    }
+
+    updateSetting(req, res) {
+        const { setting } = req.params;
+        const entry = this.settings.get(req.zone.id).get(setting);
+        const definition = SETTINGS[setting];
+
+        if (!entry) {
+            throw new CloudflareSimulatorError(ERRORS.unknownSetting, `${ERRORS.unknownSetting.message}: ${setting}`);
+        }
+
+        if (!entry.editable) {
+            throw new CloudflareSimulatorError(ERRORS.settingNotEditable);
+        }
+
+        const value = req.body?.value;
+        const valid = definition.validate ? definition.validate(value) : definition.values.includes(value);
+        if (value === undefined || !valid) {
+            throw new CloudflareSimulatorError(ERRORS.invalidSettingValue, `${ERRORS.invalidSettingValue.message} ${setting}`);
+        }
+
+        this.setSetting(req.zone.id, setting, value);
+        if (setting === 'development_mode') {
+            req.zone.development_mode = value === 'on' ? 3 * 60 * 60 : 0;
+        }
+
+        this.send(res, clone(entry));
+    }
+
+    // ===== GRAPHQL ANALYTICS =====
+
+    /**
+     * Answer a GraphQL Analytics query. Like Cloudflare, query errors come back
+     * with HTTP 200 and an `errors` list.
+     */
+    graphql(req, res) {
+        const { query = '', variables = {} } = req.body || {};
+
+        try {
+            res.json({ data: this.resolveGraphqlQuery(req.token, query, variables), errors: null });
+        } catch (error) {
+            if (!error.graphql) throw error;
+            res.json({
+                data: null,
+                errors: [{ message: error.message, path: null, extensions: { code: error.graphql, timestamp: new Date().toISOString() } }]
+            });
+        }
+    }
+
+    graphqlError(message, code = 'bad_request') {
+        const error = new Error(message);
+        error.graphql = code;
+        return error;
+    }
+
+    resolveGraphqlQuery(token, query, variables) {
+        const valueOf = (raw) => {
+            if (raw === undefined) return undefined;
+            if (raw.startsWith('$')) return variables[raw.substring(1)];
+            if (/^\d+$/.test(raw)) return parseInt(raw);
+            return raw.replace(/^"|"$/g, '');
+        };
+
+        const zoneTag = valueOf(query.match(/zoneTag\s*:\s*(\$\w+|"[^"]*")/)?.[1]);
+        const zone = this.zones.get(zoneTag);
+        if (!zone || (token.zones && !token.zones.has(zone.id))) {
+            throw this.graphqlError(`zone '${zoneTag}' does not exist or you do not have access to it`, 'authz');
+        }
+
+        const zonesMatch = /zones\s*\([^)]*\)\s*\{/.exec(query);
+        const zoneSelection = zonesMatch ? blockAt(query, zonesMatch.index + zonesMatch[0].length - 1) : '';
+        const result = {};
+
+        for (const match of zoneSelection.matchAll(/(?:(\w+)\s*:\s*)?\b(\w+)\s*\(([^)]*)\)\s*\{/g)) {
+            const [whole, alias, dataset, args] = match;
+            if (!DATASETS.includes(dataset)) {
+                throw this.graphqlError(`unknown field "${dataset}"`);
+            }
+
+            const limit = valueOf(args.match(/limit\s*:\s*(\$?\w+)/)?.[1]) ?? 100;
+            if (limit > GRAPHQL_MAX_LIMIT) {
+                throw this.graphqlError(`limit must be less than or equal to ${GRAPHQL_MAX_LIMIT}`);
+            }
+
+            const options = {
+                limit,
+                filter: valueOf(args.match(/filter\s*:\s*(\$\w+)/)?.[1]) || {},
+                orderBy: (args.match(/orderBy\s*:\s*\[([^\]]*)\]/)?.[1] || '').split(',').map(entry => entry.trim()).filter(Boolean),
+                selection: blockAt(zoneSelection, match.index + whole.length - 1)
+            };
+
+            result[alias || dataset] = this.resolveDataset(zone, dataset, options);
+        }
+
+        return { viewer: { zones: [result] } };
+    }
+
+    resolveDataset(zone, dataset, { limit, filter, orderBy, selection }) {
+        let rows;
+        if (dataset === 'firewallEventsAdaptive') {
+            const fields = selection.match(/\w+/g) || [];
+            rows = (this.events.get(zone.id) || [])
+                .filter(event => matchesFilter(event, filter))
+                .map(event => Object.fromEntries(fields.map(field => [field, event[field] ?? null])));
+        } else if (dataset === 'firewallEventsAdaptiveGroups') {
+            rows = this.groupRows((this.events.get(zone.id) || []).filter(event => matchesFilter(event, filter)), selection);
+        } else if (dataset === 'httpRequestsAdaptiveGroups') {
+            rows = this.groupRows((this.requestSamples.get(zone.id) || []).filter(sample => matchesFilter(sample, filter)), selection);
+        } else {
+            rows = this.httpRequestsGroups(zone, dataset === 'httpRequests1dGroups' ? DAY_MS : HOUR_MS, filter, selection);
+        }
+
+        const sortKey = (row, field) => (field === 'count' ? row.count : row.dimensions?.[field] ?? row[field] ??
+            Object.entries(row.dimensions || {}).find(([, value]) => value !== undefined)?.[1]);
+        const ordered = orderBy.length === 0 ? rows : [...rows].sort((a, b) => {
+            for (const entry of orderBy) {
+                const [, field, direction] = entry.match(/^(\w+?)_(ASC|DESC)$/) || [];
+                const order = compareValues(sortKey(a, field), sortKey(b, field));
+                if (order !== 0) return direction === 'DESC' ? -order : order;
+            }
+            return 0;
+        });
+
+        return ordered.slice(0, limit);
+    }
+
+    /**
+     * Group rows by the selected dimensions, like the *AdaptiveGroups datasets
+     */
+    groupRows(rows, selection) {
+        const dimensions = selectedFields(selection, 'dimensions');
+        const groups = new Map();
+
+        rows.forEach((row) => {
+            const values = Object.fromEntries(dimensions.map(({ alias, field }) => [alias, row[field] ?? null]));
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) groups.set(key, { count: 0, dimensions: values });
+            groups.get(key).count++;
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Deterministic hourly or daily request totals. Threats come from the zone's security events.
+     */
+    httpRequestsGroups(zone, bucketMs, filter, selection) {
+        const daily = bucketMs === DAY_MS;
+        const since = Date.parse(daily ? `${filter.date_geq || filter.date_gt}T00:00:00Z` : filter.datetime_geq || filter.datetime_gt);
+        const until = daily ?
+            Date.parse(`${filter.date_leq || filter.date_lt}T00:00:00Z`) + (filter.date_leq ? DAY_MS : 0) :
+            Date.parse(filter.datetime_lt || filter.datetime_leq);
+
+        if (Number.isNaN(since) || Number.isNaN(until) || since >= until) {
+            throw this.graphqlError('filter must include a valid time range');
+        }
+
+        const [timeslot = { alias: daily ? 'date' : 'datetime' }] = selectedFields(selection, 'dimensions');
+        const events = (this.events.get(zone.id) || []).filter(event => THREAT_ACTIONS.includes(event.action));
+        const groups = [];
+
+        for (let start = Math.floor(since / bucketMs) * bucketMs; start < until; start += bucketMs) {
+            const random = seededRandom(`${zone.id}:${start}`);
+            const requests = Math.floor(random() * 900) + 100;
+            const cachedRequests = Math.floor(requests * (0.3 + random() * 0.5));
+            const encryptedRequests = Math.floor(requests * 0.95);
+            const errors = Math.floor(requests * random() * 0.02);
+            const notFound = Math.floor(requests * random() * 0.05);
+            const redirects = Math.floor(requests * random() * 0.05);
+            const threats = events.filter((event) => {
+                const at = Date.parse(event.datetime);
+                return at >= start && at < start + bucketMs;
+            });
+            const countThreats = field => threats.reduce((counts, event) => ({ ...counts, [event[field]]: (counts[event[field]] || 0) + 1 }), {});
+            const threatsByCountry = countThreats('clientCountryName');
+            const threatsBySource = countThreats('source');
+
+            groups.push({
+                dimensions: { [timeslot.alias]: daily ? new Date(start).toISOString().substring(0, 10) : toDatetime(start) },
+                sum: {
+                    requests,
+                    cachedRequests,
+                    bytes: requests * 24000,
+                    cachedBytes: cachedRequests * 24000,
+                    encryptedRequests,
+                    encryptedBytes: encryptedRequests * 24000,
+                    threats: threats.length,
+                    pageViews: Math.floor(requests * 0.4),
+                    countryMap: EVENT_COUNTRIES.map((country, index) => ({
+                        clientCountryName: country,
+                        requests: Math.floor(requests / (2 ** (index + 1))),
+                        threats: threatsByCountry[country] || 0,
+                        bytes: Math.floor(requests / (2 ** (index + 1))) * 24000
+                    })),
+                    responseStatusMap: [
+                        { edgeResponseStatus: 200, requests: requests - errors - notFound - redirects },
+                        { edgeResponseStatus: 301, requests: redirects },
+                        { edgeResponseStatus: 404, requests: notFound },
+                        { edgeResponseStatus: 503, requests: errors }
+                    ],
+                    contentTypeMap: [
+                        { edgeResponseContentTypeName: 'html', requests: Math.floor(requests * 0.4), bytes: Math.floor(requests * 0.4) * 30000 },
+                        { edgeResponseContentTypeName: 'css', requests: Math.floor(requests * 0.2), bytes: Math.floor(requests * 0.2) * 8000 },
+                        { edgeResponseContentTypeName: 'javascript', requests: Math.floor(requests * 0.3), bytes: Math.floor(requests * 0.3) * 20000 }
+                    ],
+                    threatPathingMap: Object.entries(threatsBySource).map(([name, count]) => ({ threatPathingName: name, requests: count })),
+                    clientHTTPVersionMap: [
+                        { clientHTTPProtocol: 'HTTP/2', requests: Math.floor(requests * 0.7) },
+                        { clientHTTPProtocol: 'HTTP/1.1', requests: requests - Math.floor(requests * 0.7) }
+                    ]
+                },
+                uniq: { uniques: Math.floor(requests * 0.15) }
+            });
+        }
+
+        return groups;
+    }
+
+    purgeCache(req, res) {
+        const body = req.body || {};
+        const modes = ['purge_everything', 'files', 'tags', 'hosts', 'prefixes'].filter(key => body[key] !== undefined);
+
+        if (modes.length !== 1 || (modes[0] === 'purge_everything' && body.purge_everything !== true) ||
+            (modes[0] !== 'purge_everything' && (!Array.isArray(body[modes[0]]) || body[modes[0]].length === 0))) {
+            throw new CloudflareSimulatorError(ERRORS.invalidPurge);
+        }
+
+        if (modes[0] === 'files' && body.files.length > 30) {
+            throw new CloudflareSimulatorError(ERRORS.tooManyFiles);
+        }
+
+        const purge = { id: newId(), zone_id: req.zone.id, ...clone(body), purged_at: new Date().toISOString() };
+        this.purges.push(purge);
+
+        this.send(res, { id: purge.id });
+    }
+
+    findRule(zoneId, ruleId) {
+        const rule = this.firewallRules.get(zoneId).get(ruleId);
+        if (!rule) throw new CloudflareSimulatorError(ERRORS.ruleNotFound);
+        return rule;
+    }
+
+    listFirewallRules(req, res) {
+        const rules = [...this.firewallRules.get(req.zone.id).values()]
+            .filter(rule => !req.query.description || rule.description.includes(req.query.description))
+            .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.created_on.localeCompare(b.created_on))
+            .map(rule => this.presentRule(rule));
+
+        this.send(res, ...this.paginate(rules, req.query, { defaultPerPage: 25, maxPerPage: 100 }));
+    }
+
+    getFirewallRule(req, res) {
+        this.send(res, this.presentRule(this.findRule(req.zone.id, req.params.ruleId)));
+    }
+
+    validateRule(rule) {
+        if (!FIREWALL_ACTIONS.includes(rule?.action)) {
+            throw new CloudflareSimulatorError(ERRORS.ruleValidation, `${ERRORS.ruleValidation.message}: invalid action ${rule?.action}`);
+        }
+
+        if (rule.priority !== undefined && rule.priority !== null && !(Number.isInteger(rule.priority) && rule.priority >= 0)) {
+            throw new CloudflareSimulatorError(ERRORS.ruleValidation, `${ERRORS.ruleValidation.message}: priority must be a positive integer`);
+        }
+    }
+
+    createFirewallRules(req, res) {
+        const payload = Array.isArray(req.body) ? req.body : [req.body];
+
+        // Cloudflare validates the whole batch before creating anything
+        payload.forEach((rule) => {
+            this.validateRule(rule);
+            if (!rule.filter?.id && !isParsableExpression(rule.filter?.expression)) {
+                throw new CloudflareSimulatorError(ERRORS.filterParse);
+            }
+            if (rule.filter?.id && !this.filters.has(rule.filter.id)) {
+                throw new CloudflareSimulatorError(ERRORS.filterNotFound);
+            }
+        });
+
+        const now = new Date().toISOString();
+        const created = payload.map((rule) => {
+            let filterId = rule.filter.id;
+            if (!filterId) {
+                filterId = newId();
+                this.filters.set(filterId, {
+                    id: filterId,
+                    expression: rule.filter.expression,
+                    paused: rule.filter.paused === true
+                });
+            }
+
+            const stored = {
+                id: newId(),
+                paused: rule.paused === true,
+                description: rule.description || '',
+                action: rule.action,
+                priority: rule.priority ?? null,
+                products: rule.products,
+                filter_id: filterId,
+                created_on: now,
+                modified_on: now
+            };
+            this.firewallRules.get(req.zone.id).set(stored.id, stored);
+
+            return this.presentRule(stored);
+        });
+
+        this.send(res, created);
+    }
+
+    updateFirewallRule(req, res) {
+        const rule = this.findRule(req.zone.id, req.params.ruleId);
+        const body = req.body || {};
+
+        this.validateRule(body);
+        if (body.filter?.id && !this.filters.has(body.filter.id)) {
+            throw new CloudflareSimulatorError(ERRORS.filterNotFound);
+        }
+
+        Object.assign(rule, {
+            action: body.action,
+            description: body.description ?? rule.description,
+            priority: body.priority ?? null,
+            paused: body.paused === true,
+            products: body.products,
+            filter_id: body.filter?.id || rule.filter_id,
+            modified_on: new Date().toISOString()
+        });
+
+        this.send(res, this.presentRule(rule));
+    }
+
+    patchFirewallRules(req, res) {
+        const updates = Array.isArray(req.body) ? req.body : [];
+        const rules = updates.map(update => this.findRule(req.zone.id, update.id));
+
+        updates.forEach((update, index) => {
+            if (update.priority !== undefined) rules[index].priority = update.priority;
+            if (update.paused !== undefined) rules[index].paused = update.paused === true;
+            if (update.action !== undefined) {
+                this.validateRule({ action: update.action });
+                rules[index].action = update.action;
+            }
+            rules[index].modified_on = new Date().toISOString();
+        });
+
+        this.send(res, rules.map(rule => this.presentRule(rule)));
+    }
+
+    deleteFirewallRule(req, res) {
+        const rule = this.findRule(req.zone.id, req.params.ruleId);
+        const rules = this.firewallRules.get(req.zone.id);
+
+        rules.delete(rule.id);
+
+        const filterInUse = [...this.firewallRules.values()]
+            .some(zoneRules => [...zoneRules.values()].some(other => other.filter_id === rule.filter_id));
+        if (String(req.query.delete_filter_if_unused) === 'true' && !filterInUse) {
+            this.filters.delete(rule.filter_id);
+        }
+
+        this.send(res, { id: rule.id });
+    }
+
+    updateFilter(req, res) {
+        const filter = this.filters.get(req.params.filterId);
+        if (!filter) throw new CloudflareSimulatorError(ERRORS.filterNotFound);
+
+        if (req.body?.expression !== undefined && !isParsableExpression(req.body.expression)) {
+            throw new CloudflareSimulatorError(ERRORS.filterParse);
+        }
+
+        filter.expression = req.body?.expression ?? filter.expression;
+        filter.paused = req.body?.paused ?? filter.paused;
+
+        this.send(res, clone(filter));
+    }
+
+    // ===== LIFECYCLE =====
+
+    /**
+     * Listen on `port` (0 picks a free one) and resolve with the base URL to use as CLOUDFLARE_API_BASE_URL
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer(this.app);
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}${API_PREFIX}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+}
+
+if (require.main === module) {
+    const simulator = new CloudflareSimulator();
+    const token = process.env.CLOUDFLARE_SIMULATOR_TOKEN || 'simulated-token-0000000000000000000000000000';
+
+    simulator.addToken(token);
+    simulator.addZone({ name: 'example.com', plan: 'pro' });
+    simulator.addZone({ name: 'example.org' });
+
+    simulator.start(parseInt(process.env.CLOUDFLARE_SIMULATOR_PORT) || 8787, '0.0.0.0').then((url) => {
+        console.log(`Cloudflare API simulator listening on ${url}`);
+        console.log(`Set CLOUDFLARE_API_BASE_URL=${url.replace('0.0.0.0', 'localhost')} and use API token ${token}`);
+        [...simulator.zones.values()].forEach(zone => console.log(`  zone ${zone.name}: ${zone.id}`));
+    });
+}
+
+module.exports = {
+    CloudflareSimulator,
+    ERRORS,
+    SETTINGS
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Field-level JSON diff.
+ * Produces a flat list of changes with dotted paths, e.g.
+ *   { path: 'waf.managed_rules.owasp_core', op: 'changed', from: false, to: true }
+ * Objects are compared key by key and arrays index by index.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+function diff(from, to, path = '', changes = []) {
+    if (isObject(from) && isObject(to) && Array.isArray(from) === Array.isArray(to)) {
+        const keys = Array.isArray(from) ?
+            [...Array(Math.max(from.length, to.length)).keys()] :
+            [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+        keys.forEach(key => {
+            const childPath = Array.isArray(from) ? `${path}[${key}]` : (path ? `${path}.${key}` : String(key));
+
+            if (!(key in to) || (Array.isArray(to) && key >= to.length)) {
+                changes.push({ path: childPath, op: 'removed', from: from[key] });
+            } else if (!(key in from) || (Array.isArray(from) && key >= from.length)) {
+                changes.push({ path: childPath, op: 'added', to: to[key] });
+            } else {
+                diff(from[key], to[key], childPath, changes);
+            }
+        });
+
+        return changes;
+    }
+
+    if (from !== to && JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ path: path || '$', op: 'changed', from, to });
+    }
+
+    return changes;
+}
+
+module.exports = {
+    diff
+};
\ No newline at end of file
@@ -39,6 +39,8 @@ const consoleFormat = winston.format.combine(
 // Create logger instance
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
+    // Lets test runs keep their output clean
+    silent: process.env.LOG_SILENT === 'true',
     format: logFormat,
     defaultMeta: {
         service: 'cloudflare-security-manager',
@@ -114,6 +116,12 @@ if (process.env.NODE_ENV !== 'production') {
 const customLogger = {
     ...logger,
 
+    // Level methods live on the winston prototype, so the spread above does not copy them
+    error: (...args) => logger.error(...args),
+    warn: (...args) => logger.warn(...args),
+    info: (...args) => logger.info(...args),
+    debug: (...args) => logger.debug(...args),
+
     // API request logging
     apiRequest: (req, res, duration) => {
         logger.info('API Request', {
@@ -0,0 +1,192 @@
+/**
+ * JSON policy rules.
+ * A policy is { id, title, severity, applies_to?, when?, rule } where `when` and `rule` are conditions:
+ *   { field: 'min_tls_version', op: 'gte', value: '1.2' }   compare a dotted fact path
+ *   { all: [condition, ...] } / { any: [condition, ...] } / { not: condition }
+ * Comparisons between dotted version strings ('1.2' vs '1.3') are done part by part.
+ * `applies_to: { tags: [...] }` limits a policy to zones carrying one of the tags, and a
+ * policy whose `when` does not hold is skipped for the zone.
+ */
+
+const { getPath } = require('./zoneSettings');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const VERSION = /^\d+(\.\d+)*$/;
+
+const compare = (a, b) => {
+    if (typeof a === 'string' && typeof b === 'string' && VERSION.test(a) && VERSION.test(b)) {
+        const left = a.split('.').map(Number);
+        const right = b.split('.').map(Number);
+        for (let index = 0; index < Math.max(left.length, right.length); index++) {
+            const delta = (left[index] || 0) - (right[index] || 0);
+            if (delta !== 0) return delta;
+        }
+        return 0;
+    }
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== expected,
+    in: (actual, expected) => expected.includes(actual),
+    not_in: (actual, expected) => !expected.includes(actual),
+    gt: (actual, expected) => compare(actual, expected) > 0,
+    gte: (actual, expected) => compare(actual, expected) >= 0,
+    lt: (actual, expected) => compare(actual, expected) < 0,
+    lte: (actual, expected) => compare(actual, expected) <= 0,
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+const LABELS = {
+    eq: 'be', ne: 'not be', in: 'be one of', not_in: 'not be one of',
+    gt: 'be greater than', gte: 'be at least', lt: 'be less than', lte: 'be at most', exists: 'exist'
+};
+
+/**
+ * List what is wrong with a condition; an empty list means it is valid
+ */
+function validateCondition(condition, path = 'rule') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${path} must be an object`];
+    }
+
+    if (condition.all || condition.any) {
+        const key = condition.all ? 'all' : 'any';
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            return [`${path}.${key} must be a non-empty array`];
+        }
+        return condition[key].flatMap((child, index) => validateCondition(child, `${path}.${key}[${index}]`));
+    }
+
+    if (condition.not) {
+        return validateCondition(condition.not, `${path}.not`);
+    }
+
+    const errors = [];
+    if (typeof condition.field !== 'string' || condition.field.length === 0) {
+        errors.push(`${path}.field must be a dotted path`);
+    }
+    if (!OPERATORS[condition.op]) {
+        errors.push(`${path}.op must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+    } else if (['in', 'not_in'].includes(condition.op) && !Array.isArray(condition.value)) {
+        errors.push(`${path}.value must be an array for '${condition.op}'`);
+    } else if (condition.op === 'exists' && typeof condition.value !== 'boolean') {
+        errors.push(`${path}.value must be a boolean for 'exists'`);
+    } else if (condition.value === undefined) {
+        errors.push(`${path}.value is required`);
+    }
+
+    return errors;
+}
+
+function validatePolicy(policy, index = 0) {
+    const label = policy?.id ? `Policy '${policy.id}'` : `Policy #${index + 1}`;
+
+    if (!policy || typeof policy !== 'object') {
+        return [`${label} must be an object`];
+    }
+
+    const errors = [];
+    if (typeof policy.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(policy.id)) {
+        errors.push(`${label}: id must be letters, digits, dashes or underscores`);
+    }
+    if (typeof policy.title !== 'string' || policy.title.length === 0) {
+        errors.push(`${label}: title is required`);
+    }
+    if (policy.severity !== undefined && !SEVERITIES.includes(policy.severity)) {
+        errors.push(`${label}: severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    if (policy.applies_to?.tags !== undefined && !Array.isArray(policy.applies_to.tags)) {
+        errors.push(`${label}: applies_to.tags must be an array`);
+    }
+    if (policy.when !== undefined) {
+        errors.push(...validateCondition(policy.when, 'when').map(error => `${label}: ${error}`));
+    }
+    errors.push(...validateCondition(policy.rule, 'rule').map(error => `${label}: ${error}`));
+
+    return errors;
+}
+
+/**
+ * Evaluate a condition. Returns { passed, failures } where failures describe the
+ * comparisons that did not hold, e.g. "min_tls_version must be at least 1.2 (is 1.0)".
+ */
+function evaluateCondition(condition, facts) {
+    if (condition.all) {
+        const results = condition.all.map(child => evaluateCondition(child, facts));
+        return {
+            passed: results.every(result => result.passed),
+            failures: results.flatMap(result => result.failures)
+        };
+    }
+
+    if (condition.any) {
+        const results = condition.any.map(child => evaluateCondition(child, facts));
+        const passed = results.some(result => result.passed);
+        return {
+            passed,
+            failures: passed ? [] : [results.map(result => result.failures.join(' and ')).join(', or ')]
+        };
+    }
+
+    if (condition.not) {
+        const result = evaluateCondition(condition.not, facts);
+        return {
+            passed: !result.passed,
+            failures: result.passed ? [`not (${describeCondition(condition.not)})`] : []
+        };
+    }
+
+    const actual = getPath(facts, condition.field);
+    if (condition.op !== 'exists' && (actual === undefined || actual === null)) {
+        return { passed: false, failures: [`${condition.field} is not known`] };
+    }
+
+    const passed = OPERATORS[condition.op](actual, condition.value);
+    return {
+        passed,
+        failures: passed ? [] : [`${describeCondition(condition)} (is ${JSON.stringify(actual)})`]
+    };
+}
+
+function describeCondition(condition) {
+    if (condition.all) return condition.all.map(describeCondition).join(' and ');
+    if (condition.any) return condition.any.map(describeCondition).join(' or ');
+    if (condition.not) return `not (${describeCondition(condition.not)})`;
+
+    const expected = condition.op === 'exists' && !condition.value ? 'not exist' : LABELS[condition.op];
+    return condition.op === 'exists' ?
+        `${condition.field} must ${expected}` :
+        `${condition.field} must ${expected} ${JSON.stringify(condition.value)}`;
+}
+
+/**
+ * Evaluate a policy for a zone: 'pass', 'fail' or 'skipped' (not applicable)
+ */
+function evaluatePolicy(policy, facts, zone = null) {
+    const tags = policy.applies_to?.tags;
+    if (tags && tags.length > 0 && !(zone?.tags || []).some(tag => tags.includes(tag))) {
+        return { status: 'skipped', message: 'Zone does not carry any of the policy tags' };
+    }
+
+    if (policy.when && !evaluateCondition(policy.when, facts).passed) {
+        return { status: 'skipped', message: `Condition not met: ${describeCondition(policy.when)}` };
+    }
+
+    const { passed, failures } = evaluateCondition(policy.rule, facts);
+    return passed ?
+        { status: 'pass', message: null } :
+        { status: 'fail', message: failures.join('; ') };
+}
+
+module.exports = {
+    SEVERITIES,
+    OPERATORS,
+    validateCondition,
+    validatePolicy,
+    evaluateCondition,
+    describeCondition,
+    evaluatePolicy
+};
\ No newline at end of file
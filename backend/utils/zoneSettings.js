@@ -0,0 +1,53 @@
+/**
+ * Mapping between SecurityConfig fields and Cloudflare zone settings
+ */
+
+const isOn = (value) => value === true || value === 'on';
+const toOnOff = (value) => (isOn(value) ? 'on' : 'off');
+
+// Local SecurityConfig field -> Cloudflare zone setting
+const SETTING_MAP = [
+    { field: 'security_level', setting: 'security_level' },
+    { field: 'ssl_mode', setting: 'ssl' },
+    { field: 'always_use_https', setting: 'always_use_https', convert: toOnOff },
+    { field: 'min_tls_version', setting: 'min_tls_version' },
+    { field: 'opportunistic_encryption', setting: 'opportunistic_encryption', convert: toOnOff },
+    { field: 'tls_1_3', setting: 'tls_1_3' },
+    { field: 'automatic_https_rewrites', setting: 'automatic_https_rewrites', convert: toOnOff },
+    { field: 'bot_fight_mode', setting: 'bot_fight_mode', convert: toOnOff },
+    { field: 'browser_integrity_check', setting: 'browser_integrity_check', convert: toOnOff },
+    { field: 'challenge_ttl', setting: 'challenge_ttl', convert: Number },
+    { field: 'privacy_pass', setting: 'privacy_pass', convert: toOnOff },
+    { field: 'development_mode', setting: 'development_mode', convert: toOnOff },
+    { field: 'scrape_shield.email_obfuscation', setting: 'email_obfuscation', convert: toOnOff },
+    { field: 'scrape_shield.server_side_excludes', setting: 'server_side_exclude', convert: toOnOff },
+    { field: 'scrape_shield.hotlink_protection', setting: 'hotlink_protection', convert: toOnOff }
+];
+
+/**
+ * Read a dotted path such as 'scrape_shield.email_obfuscation'
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Cloudflare value for a local field value
+ */
+const toCloudflareValue = ({ convert }, value) => (convert ? convert(value) : value);
+
+/**
+ * Local field value for a Cloudflare value
+ */
+const toLocalValue = ({ convert }, value) => {
+    if (convert === toOnOff) return isOn(value);
+    if (convert === Number) return Number(value);
+    return value;
+};
+
+module.exports = {
+    SETTING_MAP,
+    isOn,
+    toOnOff,
+    getPath,
+    toCloudflareValue,
+    toLocalValue
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+-- Append-only history of security configurations
+
+CREATE TABLE IF NOT EXISTS security_config_versions (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    security_config_id TEXT NOT NULL,
+    zone_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    snapshot TEXT NOT NULL,
+    changed_fields TEXT DEFAULT '[]',
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (security_config_id) REFERENCES security_configs(id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_config_versions_zone_version ON security_config_versions(zone_id, version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_security_config_versions_config_version ON security_config_versions(security_config_id, version);
+CREATE INDEX IF NOT EXISTS idx_security_config_versions_created_by ON security_config_versions(created_by);
+
+-- Versions are never rewritten
+CREATE TRIGGER IF NOT EXISTS security_config_versions_no_update
+BEFORE UPDATE ON security_config_versions
+BEGIN
+    SELECT RAISE(ABORT, 'security_config_versions is append-only');
+END;
\ No newline at end of file
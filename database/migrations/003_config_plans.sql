@@ -0,0 +1,30 @@
+-- Plans computed from declarative zone configuration documents
+
+CREATE TABLE IF NOT EXISTS config_plans (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    zone_id TEXT NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'failed', 'stale', 'discarded')),
+    document TEXT NOT NULL,
+    operations TEXT DEFAULT '[]',
+    live_state TEXT DEFAULT '{}',
+    result TEXT,
+    created_by TEXT,
+    applied_by TEXT,
+    applied_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (applied_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_config_plans_zone_created ON config_plans(zone_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_config_plans_status ON config_plans(status);
+
+CREATE TRIGGER IF NOT EXISTS update_config_plans_timestamp
+    AFTER UPDATE ON config_plans
+    FOR EACH ROW
+BEGIN
+    UPDATE config_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
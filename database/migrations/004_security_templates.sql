@@ -0,0 +1,42 @@
+-- Parameterised templates with inheritance, and zone links to a pinned template version
+
+ALTER TABLE security_configs ADD COLUMN template_id TEXT;
+ALTER TABLE security_configs ADD COLUMN template_version INTEGER;
+ALTER TABLE security_configs ADD COLUMN template_parameters TEXT DEFAULT '{}';
+ALTER TABLE security_configs ADD COLUMN template_values TEXT DEFAULT '{}';
+ALTER TABLE security_configs ADD COLUMN template_overrides TEXT DEFAULT '{}';
+ALTER TABLE security_configs ADD COLUMN created_by TEXT REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_security_configs_template_id ON security_configs(template_id);
+
+-- Template versions are recorded too, so zone_id becomes nullable
+DROP TRIGGER IF EXISTS security_config_versions_no_update;
+
+CREATE TABLE security_config_versions_new (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    security_config_id TEXT NOT NULL,
+    zone_id TEXT,
+    version INTEGER NOT NULL,
+    snapshot TEXT NOT NULL,
+    changed_fields TEXT DEFAULT '[]',
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (security_config_id) REFERENCES security_configs(id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO security_config_versions_new SELECT * FROM security_config_versions;
+DROP TABLE security_config_versions;
+ALTER TABLE security_config_versions_new RENAME TO security_config_versions;
+
+CREATE INDEX IF NOT EXISTS idx_security_config_versions_zone_version ON security_config_versions(zone_id, version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_security_config_versions_config_version ON security_config_versions(security_config_id, version);
+CREATE INDEX IF NOT EXISTS idx_security_config_versions_created_by ON security_config_versions(created_by);
+
+CREATE TRIGGER IF NOT EXISTS security_config_versions_no_update
+BEFORE UPDATE ON security_config_versions
+BEGIN
+    SELECT RAISE(ABORT, 'security_config_versions is append-only');
+END;
\ No newline at end of file
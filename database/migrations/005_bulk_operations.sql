@@ -0,0 +1,31 @@
+-- Template and settings changes applied across many zones, with a per-zone report
+
+CREATE TABLE IF NOT EXISTS bulk_operations (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('template', 'settings')),
+    payload TEXT NOT NULL,
+    selector TEXT DEFAULT '{}',
+    concurrency INTEGER DEFAULT 3,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending_approval', 'pending', 'running', 'completed', 'partial', 'failed', 'cancelled')),
+    change_request_id TEXT,
+    results TEXT DEFAULT '{}',
+    runs INTEGER DEFAULT 0,
+    started_at DATETIME,
+    completed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (change_request_id) REFERENCES change_requests(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_operations_user_created ON bulk_operations(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bulk_operations_status ON bulk_operations(status);
+
+CREATE TRIGGER IF NOT EXISTS update_bulk_operations_timestamp
+    AFTER UPDATE ON bulk_operations
+    FOR EACH ROW
+BEGIN
+    UPDATE bulk_operations SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
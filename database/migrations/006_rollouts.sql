@@ -0,0 +1,33 @@
+-- Staged rollouts of security changes in waves, starting with canary zones
+
+CREATE TABLE IF NOT EXISTS rollouts (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('template', 'settings')),
+    payload TEXT NOT NULL,
+    selector TEXT DEFAULT '{}',
+    waves TEXT DEFAULT '[]',
+    current_wave INTEGER DEFAULT 0,
+    soak_minutes INTEGER DEFAULT 30,
+    thresholds TEXT DEFAULT '{}',
+    status TEXT DEFAULT 'running' CHECK (status IN ('pending_approval', 'running', 'paused', 'completed', 'rolled_back', 'aborted', 'failed', 'cancelled')),
+    change_request_id TEXT,
+    next_check_at DATETIME,
+    error TEXT,
+    completed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (change_request_id) REFERENCES change_requests(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollouts_user_created ON rollouts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_rollouts_status ON rollouts(status);
+
+CREATE TRIGGER IF NOT EXISTS update_rollouts_timestamp
+    AFTER UPDATE ON rollouts
+    FOR EACH ROW
+BEGIN
+    UPDATE rollouts SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
@@ -0,0 +1,37 @@
+-- Four-eyes approval of high-severity security changes
+
+CREATE TABLE IF NOT EXISTS change_requests (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    zone_id TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'applied', 'failed', 'cancelled', 'expired')),
+    changes TEXT NOT NULL,
+    previous_values TEXT DEFAULT '{}',
+    severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+    reason TEXT,
+    requested_by TEXT NOT NULL,
+    reviewed_by TEXT,
+    review_comment TEXT,
+    audit_log_id TEXT,
+    result TEXT,
+    reviewed_at DATETIME,
+    applied_at DATETIME,
+    expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (audit_log_id) REFERENCES audit_logs(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_requests_zone_created ON change_requests(zone_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_change_requests_status ON change_requests(status);
+CREATE INDEX IF NOT EXISTS idx_change_requests_requested_by ON change_requests(requested_by);
+
+CREATE TRIGGER IF NOT EXISTS update_change_requests_timestamp
+    AFTER UPDATE ON change_requests
+    FOR EACH ROW
+BEGIN
+    UPDATE change_requests SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
@@ -0,0 +1,36 @@
+-- Security changes applied at a set time and reverted automatically when their window ends
+
+CREATE TABLE IF NOT EXISTS scheduled_changes (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    zone_id TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    previous_state TEXT,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME,
+    repeat TEXT DEFAULT 'none' CHECK (repeat IN ('none', 'daily', 'weekly')),
+    status TEXT DEFAULT 'scheduled' CHECK (status IN ('pending_approval', 'scheduled', 'active', 'completed', 'cancelled', 'failed')),
+    reason TEXT,
+    change_request_id TEXT,
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    last_applied_at DATETIME,
+    last_reverted_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (change_request_id) REFERENCES change_requests(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_changes_status_starts ON scheduled_changes(status, starts_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_changes_status_ends ON scheduled_changes(status, ends_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_changes_zone ON scheduled_changes(zone_id);
+
+CREATE TRIGGER IF NOT EXISTS update_scheduled_changes_timestamp
+    AFTER UPDATE ON scheduled_changes
+    FOR EACH ROW
+BEGIN
+    UPDATE scheduled_changes SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
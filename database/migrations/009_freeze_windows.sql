@@ -0,0 +1,27 @@
+-- Change freeze windows: mutating requests and scheduled jobs are held while one is in effect
+
+CREATE TABLE IF NOT EXISTS freeze_windows (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    name TEXT NOT NULL,
+    reason TEXT,
+    scope TEXT DEFAULT 'global' CHECK (scope IN ('global', 'tag')),
+    tags TEXT DEFAULT '[]',
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    cancelled_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_freeze_windows_period ON freeze_windows(starts_at, ends_at);
+
+CREATE TRIGGER IF NOT EXISTS update_freeze_windows_timestamp
+    AFTER UPDATE ON freeze_windows
+    FOR EACH ROW
+BEGIN
+    UPDATE freeze_windows SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
\ No newline at end of file
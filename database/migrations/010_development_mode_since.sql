@@ -0,0 +1,3 @@
+-- Track when development mode was switched on so compliance policies can limit how long it stays on
+
+ALTER TABLE security_configs ADD COLUMN development_mode_since DATETIME;
\ No newline at end of file
@@ -11,7 +11,7 @@ const sqlite3 = require('sqlite3').verbose();
 console.log('🗄️  Setting up Cloudflare Security Manager Database...');
 
 const DB_PATH = path.join(__dirname, '../backend/database/app.db');
-const SCHEMA_PATH = path.join(__dirname, '../database/migrations/001_initial.sql');
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
 
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
@@ -20,16 +20,62 @@ if (!fs.existsSync(dbDir)) {
     console.log('📁 Created database directory');
 }
 
-// Read schema file
-let schema;
+// Read migration files in order (001_initial.sql, 002_..., ...)
+let migrations;
 try {
-    schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-    console.log('📋 Schema file loaded');
+    migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.*\.sql$/.test(file))
+        .sort()
+        .map(file => ({ name: file, sql: fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8') }));
+    console.log(`📋 Schema loaded from ${migrations.length} migration file(s)`);
 } catch (error) {
     console.error('❌ Failed to read schema file:', error.message);
     process.exit(1);
 }
 
+// Applied migrations are recorded so that running setup again only applies new ones.
+// Databases set up before this table existed only have 001_initial.sql, which is safe to re-run.
+const TRACKING_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);`;
+
+// Apply each pending migration in its own transaction, stopping at the first failure
+function applyMigrations(db, pending, done) {
+    if (pending.length === 0) {
+        return done(null);
+    }
+
+    const [migration, ...rest] = pending;
+    db.exec(`BEGIN;\n${migration.sql}\n;INSERT INTO schema_migrations (name) VALUES ('${migration.name}');\nCOMMIT;`, (err) => {
+        if (err) {
+            return db.exec('ROLLBACK;', () => done(new Error(`${migration.name}: ${err.message}`)));
+        }
+        console.log(`   ✅ Applied ${migration.name}`);
+        applyMigrations(db, rest, done);
+    });
+}
+
+function migrate(db, done) {
+    db.exec(TRACKING_TABLE, (err) => {
+        if (err) {
+            return done(err);
+        }
+
+        db.all('SELECT name FROM schema_migrations', [], (err, rows) => {
+            if (err) {
+                return done(err);
+            }
+
+            const applied = new Set(rows.map(row => row.name));
+            const pending = migrations.filter(migration => !applied.has(migration.name));
+            console.log(`📋 ${pending.length} pending migration(s), ${applied.size} already applied`);
+            applyMigrations(db, pending, done);
+        });
+    });
+}
+
 // Create and setup database
 const db = new sqlite3.Database(DB_PATH, (err) => {
     if (err) {
@@ -39,8 +85,8 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
     console.log('✅ Database connection established');
 });
 
-// Execute schema
-db.exec(schema, (err) => {
+// Execute pending migrations
+migrate(db, (err) => {
     if (err) {
         console.error('❌ Failed to execute schema:', err.message);
         process.exit(1);
@@ -71,7 +117,7 @@ db.exec(schema, (err) => {
             console.log('✅ Database setup completed successfully!');
             console.log('🎉 ===============================================');
             console.log(`📍 Database location: ${DB_PATH}`);
-            console.log('📊 Tables: users, zones, security_configs, audit_logs');
+            console.log('📊 Tables: users, zones, security_configs, security_config_versions, audit_logs');
             console.log('👤 Default admin user created:');
             console.log('   Email: admin@cloudflare-manager.local');
             console.log('   Password: admin123');